@@ -1,71 +1,234 @@
 // backend/config/migrationRunner.js
 const fs = require('fs');
 const path = require('path');
-const { initDb } = require('./database');
+const { BackupManager } = require('../services/backupManager');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Migration files are numbered: 0001_initial_schema.js, 0002_add_cache_tables.js, ...
+const MIGRATION_FILE_PATTERN = /^(\d{4})_(.+\.js)$/;
+
+/**
+ * Read the migration files in version order
+ *
+ * @returns {Array<{version: number, name: string, legacyName: string, reversible: boolean, module: object}>}
+ */
+function loadMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, legacyName]) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: Number(version),
+        name: file,
+        legacyName, // name before migrations were numbered
+        reversible: typeof migration.down === 'function',
+        module: migration
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].name}, ${migrations[i].name}`);
+    }
+  }
+  return migrations;
+}
+
+/**
+ * Create the tracking table, and carry over databases that recorded migrations by their old
+ * unnumbered file names
+ */
+async function ensureMigrationsTable(db, migrations) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      version INTEGER,
+      applied_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+
+  try {
+    await db.run(`ALTER TABLE migrations ADD COLUMN version INTEGER`);
+  } catch (err) {
+    if (!err.message.includes('duplicate column')) throw err;
+  }
+
+  for (const migration of migrations) {
+    await db.run(
+      `UPDATE migrations SET name = ?, version = ? WHERE name = ? AND NOT EXISTS (SELECT 1 FROM migrations WHERE name = ?)`,
+      [migration.name, migration.version, migration.legacyName, migration.name]
+    );
+  }
+}
+
+async function getAppliedMigrations(db) {
+  return await db.all(`SELECT name, version, applied_at FROM migrations WHERE version IS NOT NULL ORDER BY version`);
+}
+
+/**
+ * Schema version and which migrations are applied or pending
+ */
+async function getMigrationStatus(db) {
+  const migrations = loadMigrations();
+  await ensureMigrationsTable(db, migrations);
+  const applied = new Map((await getAppliedMigrations(db)).map(m => [m.version, m]));
+
+  const describe = (migration) => ({
+    version: migration.version,
+    name: migration.name,
+    reversible: migration.reversible,
+    applied_at: applied.get(migration.version)?.applied_at ?? null
+  });
+
+  return {
+    currentVersion: applied.size > 0 ? Math.max(...applied.keys()) : 0,
+    latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied: migrations.filter(m => applied.has(m.version)).map(describe),
+    pending: migrations.filter(m => !applied.has(m.version)).map(describe)
+  };
+}
+
+// Safety backup before the schema changes; skipped for new and in-memory databases
+async function backupBeforeChange(db, operation) {
+  if (!db.path || db.path === ':memory:') return null;
+  return await new BackupManager(db.path, db).createSafetyBackup(operation);
+}
+
+function validationError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 
 /**
- * Migration runner with tracking
- * Only runs migrations that haven't been applied yet
+ * Apply pending migrations in version order, up to targetVersion if given
  * Records completed migrations in the database
+ *
+ * @param {object} options - { dryRun: only report what would run, targetVersion, backup: take a pre-migration backup }
+ * @returns {Promise<{dryRun: boolean, migrations: string[], backupPath: string|null, version: number}>}
+ *          version is the schema version afterwards (for a dry run, the version it would reach)
  */
-async function runMigrations(db) {
+async function runMigrations(db, { dryRun = false, targetVersion = null, backup = true } = {}) {
   try {
-    const migrationsDir = path.join(__dirname, '../migrations');
-    
-    // Create migrations directory if it doesn't exist
-    if (!fs.existsSync(migrationsDir)) {
-      fs.mkdirSync(migrationsDir);
-      console.log('📁 Created migrations directory');
-      return;
-    }
-    
-    // Get all migration files
-    const migrationFiles = fs.readdirSync(migrationsDir)
-      .filter(file => file.endsWith('.js'))
-      .sort(); // Run in alphabetical order
-    
-    if (migrationFiles.length === 0) {
-      return; // No migrations, exit silently
+    const migrations = loadMigrations();
+    await ensureMigrationsTable(db, migrations);
+
+    const applied = await getAppliedMigrations(db);
+    const appliedVersions = new Set(applied.map(m => m.version));
+
+    const pendingMigrations = migrations.filter(m =>
+      !appliedVersions.has(m.version) && (targetVersion === null || m.version <= targetVersion)
+    );
+    const result = {
+      dryRun,
+      migrations: pendingMigrations.map(m => m.name),
+      backupPath: null,
+      version: Math.max(0, ...appliedVersions, ...pendingMigrations.map(m => m.version))
+    };
+
+    if (pendingMigrations.length === 0 || dryRun) {
+      return result;
     }
-    
-    // Get list of already-applied migrations
-    const appliedMigrations = await db.all(`SELECT name FROM migrations`);
-    const appliedSet = new Set(appliedMigrations.map(m => m.name));
-    
-    // Filter to only migrations that haven't been run
-    const pendingMigrations = migrationFiles.filter(file => !appliedSet.has(file));
-    
-    if (pendingMigrations.length === 0) {
-      return; // All migrations already applied, exit silently
+
+    // A database with migrations already applied holds data worth keeping
+    if (backup && applied.length > 0) {
+      result.backupPath = await backupBeforeChange(db, 'migration');
     }
-    
+
     console.log(`🔄 Running ${pendingMigrations.length} pending migration(s)...`);
-    
-    for (const file of pendingMigrations) {
-      const migrationPath = path.join(migrationsDir, file);
-      const migration = require(migrationPath);
-      
-      if (typeof migration.up === 'function') {
-        console.log(`  ⚙️  Applying: ${file}`);
-        
-        try {
-          await migration.up(db);
-          
-          // Record successful migration
-          await db.run(`INSERT INTO migrations (name) VALUES (?)`, [file]);
-          console.log(`  ✅ Completed: ${file}`);
-        } catch (error) {
-          console.error(`  ❌ Failed: ${file}`, error);
-          throw error; // Stop on first failure
-        }
+
+    for (const migration of pendingMigrations) {
+      console.log(`  ⚙️  Applying: ${migration.name}`);
+
+      try {
+        await migration.module.up(db);
+
+        // Record successful migration
+        await db.run(`INSERT INTO migrations (name, version) VALUES (?, ?)`, [migration.name, migration.version]);
+        console.log(`  ✅ Completed: ${migration.name}`);
+      } catch (error) {
+        console.error(`  ❌ Failed: ${migration.name}`, error);
+        throw error; // Stop on first failure
       }
     }
-    
+
     console.log('✅ All migrations completed successfully');
+    return result;
   } catch (error) {
     console.error('❌ Migration error:', error);
     throw error;
   }
 }
 
-module.exports = { runMigrations };
+/**
+ * Revert applied migrations above targetVersion, newest first, using their down functions
+ *
+ * @param {object} options - { dryRun: only report what would be reverted, backup: take a pre-rollback backup }
+ * @returns {Promise<{dryRun: boolean, migrations: string[], backupPath: string|null, version: number}>}
+ */
+async function rollbackMigrations(db, targetVersion, { dryRun = false, backup = true } = {}) {
+  if (!Number.isInteger(targetVersion) || targetVersion < 0) {
+    throw validationError('Target version must be a whole number of 0 or more', 'INVALID_TARGET');
+  }
+
+  const migrations = loadMigrations();
+  await ensureMigrationsTable(db, migrations);
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  const applied = await getAppliedMigrations(db);
+  const toRevert = applied
+    .filter(m => m.version > targetVersion)
+    .sort((a, b) => b.version - a.version);
+
+  // Check everything first so a rollback never stops halfway at an irreversible step
+  for (const entry of toRevert) {
+    const migration = byVersion.get(entry.version);
+    if (!migration) {
+      throw validationError(`Migration file for version ${entry.version} (${entry.name}) is missing`, 'IRREVERSIBLE');
+    }
+    if (!migration.reversible) {
+      throw validationError(`${migration.name} cannot be rolled back`, 'IRREVERSIBLE');
+    }
+  }
+
+  const result = {
+    dryRun,
+    migrations: toRevert.map(m => m.name),
+    backupPath: null,
+    version: Math.max(0, ...applied.filter(m => m.version <= targetVersion).map(m => m.version))
+  };
+  if (toRevert.length === 0 || dryRun) {
+    return result;
+  }
+
+  if (backup) {
+    result.backupPath = await backupBeforeChange(db, 'rollback');
+  }
+
+  console.log(`⏪ Rolling back ${toRevert.length} migration(s) to version ${targetVersion}...`);
+
+  for (const entry of toRevert) {
+    const migration = byVersion.get(entry.version);
+    console.log(`  ⚙️  Reverting: ${migration.name}`);
+
+    try {
+      await migration.module.down(db);
+      await db.run(`DELETE FROM migrations WHERE version = ?`, [migration.version]);
+      console.log(`  ✅ Reverted: ${migration.name}`);
+    } catch (error) {
+      console.error(`  ❌ Failed to revert: ${migration.name}`, error);
+      throw error;
+    }
+  }
+
+  console.log(`✅ Rolled back to version ${result.version}`);
+  return result;
+}
+
+module.exports = { runMigrations, rollbackMigrations, getMigrationStatus, loadMigrations };
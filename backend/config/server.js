@@ -32,10 +32,12 @@ function startServer(db, port = 3000) {
     const app = express();
 
     // Subscribe once per server instance
-    events.removeAllListeners('new-run');
-    events.on('new-run', () => {
-        broadcastSseEvent({ type: 'new-run' });
-    });
+    for (const type of events.SSE_EVENTS) {
+        events.removeAllListeners(type);
+        events.on(type, (payload = {}) => {
+            broadcastSseEvent({ type, ...payload });
+        });
+    }
     
     // Enable CORS for development
     app.use((req, res, next) => {
@@ -88,10 +90,15 @@ function startServer(db, port = 3000) {
             `Runs:\n` +
             `  GET /api/runs - Get runs with filters\n` +
             `  GET /api/runs/by-day - Get runs for a specific day\n` +
+            `  GET /api/runs/:id - Run details (meta, ranked, session, prev/next)\n` +
+            `  GET /api/runs/:id/kills - Kill-by-kill timeline for a run\n` +
+            `  POST /api/runs/reimport - Re-parse stored files and update runs in place\n` +
             `  POST /api/runs/backfill-duration - Backfill duration data\n\n` +
             `Statistics:\n` +
             `  GET /api/stats/global - Global statistics\n` +
             `  GET /api/stats/history - Performance history\n` +
+            `  GET /api/stats/sources - Trainers runs were imported from\n` +
+            `  GET /api/stats/skill-types - Run totals per skill type\n` +
             `  GET /api/summary - Global summary\n` +
             `  GET /api/summary/kpis/7d - KPIs for last 7 days\n\n` +
             `Tasks:\n` +
@@ -99,39 +106,84 @@ function startServer(db, port = 3000) {
             `  GET /api/tasks/names - Get task names\n` +
             `  GET /api/tasks/summary - Task performance summary\n` +
             `  GET /api/tasks/:taskName/best-settings - Best settings for task\n` +
-            `  GET /api/tasks/:taskId/stats - Current stats for task\n\n` +
+            `  GET /api/tasks/:taskId/stats - Current stats for task\n` +
+            `  GET /api/tasks/aliases - Alias names and the task they resolve to\n` +
+            `  GET /api/tasks/duplicates - Tasks whose names differ only by case/spacing\n` +
+            `  POST /api/tasks/merge - Merge one task into another\n` +
+            `  GET /api/tasks/merges - Merge history\n` +
+            `  POST /api/tasks/merges/:id/undo - Undo a merge\n\n` +
             `Practice Mode:\n` +
             `  GET /api/practice/status - Get practice mode status\n` +
             `  POST /api/practice/toggle - Toggle practice mode\n` +
+            `  GET /api/practice/intervals - Practice mode history\n` +
+            `  POST /api/practice/recompute - Re-tag runs from practice history\n` +
             `  GET /api/practice/stats - Practice statistics\n` +
             `  GET /api/practice/runs - Practice runs\n` +
             `  GET /api/practice/tasks/summary - Practice task summary\n` +
             `  GET /api/practice/stats/history - Practice history\n\n` +
             `Goals:\n` +
-            `  GET /api/goals - Get goals\n` +
+            `  GET /api/goals - Get goals, with pacing towards their deadlines\n` +
             `  POST /api/goals/create - Create goal\n` +
-            `  DELETE /api/goals/:id - Delete goal\n` +
+            `  GET /api/goals/preview - Current value of a goal before creating it\n` +
+            `  GET /api/goals/:id/history - Progress timeline of a goal\n` +
+            `  DELETE /api/goals/:id - Move goal to the trash\n` +
             `  GET /api/goals/played-tasks - Get played tasks\n` +
             `  POST /api/goals/cleanup-duplicates - Clean up duplicates\n\n` +
             `Sessions:\n` +
             `  GET /api/sessions - Get all sessions\n` +
+            `  GET /api/sessions/detect - Detect play clusters without a session\n` +
+            `  POST /api/sessions/detect - Create sessions from detected clusters\n` +
             `  GET /api/sessions/:id - Get session details\n` +
             `  POST /api/sessions/start - Start new session\n` +
             `  POST /api/sessions/:id/end - End session\n` +
             `  PUT /api/sessions/:id - Update session\n` +
-            `  DELETE /api/sessions/:id - Delete session\n\n` +
+            `  DELETE /api/sessions/:id - Move session to the trash\n\n` +
             `Playlists:\n` +
             `  GET /api/playlists - Get all playlists\n` +
             `  GET /api/playlists/:id/tasks - Get playlist tasks\n` +
             `  GET /api/playlists/:id/stats - Get playlist stats\n` +
             `  POST /api/playlists - Create playlist (in database)\n` +
             `  POST /api/playlists/create - Export playlist JSON file\n` +
-            `  DELETE /api/playlists/:id - Delete playlist\n\n` +
+            `  DELETE /api/playlists/:id - Move playlist to the trash\n\n` +
             `Settings:\n` +
             `  GET /api/settings - Get settings\n` +
             `  POST /api/settings - Update settings\n` +
-            `  POST /api/settings/clear-data - Clear all data\n` +
+            `  POST /api/settings/clear-data - Clear all data (undoable from the trash)\n` +
             `  POST /api/settings/rescan - Rescan stats folder\n\n` +
+            `Import:\n` +
+            `  GET /api/import/status - File watcher health\n` +
+            `  GET /api/import/log - Per-file import outcomes\n` +
+            `  POST /api/import/log/:id/retry - Retry importing a file\n` +
+            `  POST /api/import/retry-failed - Retry all failed files\n` +
+            `  POST /api/import/scenarios - Refresh task metadata from scenario files\n` +
+            `  GET /api/import/importers - Importer types\n` +
+            `  GET /api/import/folders - Watched stats folders\n` +
+            `  POST /api/import/folders - Add a stats folder\n` +
+            `  PUT /api/import/folders/:id - Rename, toggle or retype a folder\n` +
+            `  DELETE /api/import/folders/:id - Stop watching a folder\n` +
+            `  POST /api/import/folders/:id/rescan - Rescan one folder\n\n` +
+            `Trash:\n` +
+            `  GET /api/trash - Deleted items that can be restored\n` +
+            `  POST /api/trash/undo - Undo the last destructive action\n` +
+            `  POST /api/trash/:id/restore - Restore an item\n` +
+            `  DELETE /api/trash/:id - Delete an item permanently\n` +
+            `  DELETE /api/trash - Empty the trash\n\n` +
+            `Backups:\n` +
+            `  GET /api/backups - List backups\n` +
+            `  GET /api/backups/stats - Backup count, size and retention policy\n` +
+            `  POST /api/backups - Create a backup\n` +
+            `  PUT /api/backups/retention - Update the retention policy\n` +
+            `  GET /api/backups/:filename/verify - Check a backup's integrity\n` +
+            `  POST /api/backups/:filename/restore - Restore a backup (verified first)\n` +
+            `  DELETE /api/backups/:filename - Delete a backup\n\n` +
+            `Integrity:\n` +
+            `  GET /api/integrity/check - Run database health checks\n` +
+            `  POST /api/integrity/fix - Fix what can be fixed and check again\n` +
+            `  GET /api/integrity/reports - Stored health reports\n\n` +
+            `Migrations:\n` +
+            `  GET /api/migrations/status - Schema version, applied and pending migrations\n` +
+            `  POST /api/migrations/migrate - Apply pending migrations (dryRun, targetVersion)\n` +
+            `  POST /api/migrations/rollback - Roll back to a version (targetVersion, dryRun)\n\n` +
             `User:\n` +
             `  GET /api/user/profile - Get user profile\n\n` +
             `Ranked:\n` +
@@ -159,6 +211,11 @@ function startServer(db, port = 3000) {
     const rankedRoutes = require('../routes/ranked')(db);
     const playlistsRoutes = require('../routes/playlists');
     const exportRoutes = require('../routes/export');
+    const importRoutes = require('../routes/import')(db);
+    const trashRoutes = require('../routes/trash')(db);
+    const backupsRoutes = require('../routes/backups')(db);
+    const integrityRoutes = require('../routes/integrity')(db);
+    const migrationsRoutes = require('../routes/migrations')(db);
 
     app.set('db', db);
 
@@ -180,7 +237,12 @@ function startServer(db, port = 3000) {
     app.use('/api/comparisons', comparisonsRoutes);
     app.use('/api/ranked', rankedRoutes);
     app.use('/api/export', exportRoutes);
+    app.use('/api/import', importRoutes);
     app.use('/api/playlists', playlistsRoutes);
+    app.use('/api/trash', trashRoutes);
+    app.use('/api/backups', backupsRoutes);
+    app.use('/api/integrity', integrityRoutes);
+    app.use('/api/migrations', migrationsRoutes);
 
     // Initialize default packs and check for goal generation on startup
     app.listen(port, async () => {
@@ -192,6 +254,9 @@ function startServer(db, port = 3000) {
         // Check for goal generation
         console.log('Checking for automatic goal generation...');
         await goals.generateGoals(db);
+
+        // Streaks, weekly volume and days windows change with the date, not only with new runs
+        await goals.scheduleTimeBasedRefresh(db);
     });
 }
 
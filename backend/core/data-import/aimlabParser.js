@@ -0,0 +1,233 @@
+// backend/core/data-import/aimlabParser.js
+// Parses Aim Lab data exports (CSV or JSON) into the same run shape parseCsvToRun produces.
+// Unlike Kovaak's (one CSV per run), an Aim Lab export holds many plays per file.
+const fs = require('fs');
+const path = require('path');
+const { toLocalISOString } = require('../../utils/time');
+const { sha1 } = require('../../utils/hash');
+
+// Bump whenever parsing changes what ends up in a run (see csvParser.js)
+const PARSER_VERSION = 1;
+
+// Leading bytes read to tell an export apart during scans (header line, or the first JSON record's keys)
+const DETECT_BYTES = 4096;
+
+const KEYMAP = {
+    task: ['taskname', 'task_name', 'task name', 'task', 'taskid', 'task_id', 'scenario'],
+    play_id: ['playid', 'play_id', 'id', 'klutchid', 'klutch_id', 'uuid'],
+    score: ['score', 'final score', 'points'],
+    accuracy: ['accuracy', 'acc', 'accuracy %', 'hit %'],
+    shots: ['shotsfired', 'shots_fired', 'shots fired', 'shots', 'totalshots', 'total shots'],
+    hits: ['shotshit', 'shots_hit', 'shots hit', 'hits', 'targetshit', 'targets hit', 'kills'],
+    avg_ttk: ['timeperkill', 'time_per_kill', 'time per kill', 'avgtimeperkill', 'avg ttk', 'ttk'],
+    duration: ['duration', 'durationseconds', 'duration_seconds', 'playtime', 'time played'],
+    duration_ms: ['durationms', 'duration_ms'],
+    played_at: ['createdate', 'create_date', 'createdat', 'created_at', 'endedat', 'ended_at', 'date', 'timestamp', 'played_at']
+};
+
+// Aim Lab internal task ids → display names stored in the tasks table.
+// Names carry an "(Aim Lab)" suffix so they never collide with Kovaak's scenarios of the same name.
+const TASK_NAMES = {
+    'gridshot': 'Gridshot',
+    'gridshot_ultimate': 'Gridshot Ultimate',
+    'gridshot_precision': 'Gridshot Precision',
+    'gridshot_speed': 'Gridshot Speed',
+    'sixshot': 'Sixshot',
+    'sixshot_ultimate': 'Sixshot Ultimate',
+    'spidershot': 'Spidershot',
+    'spidershot_ultimate': 'Spidershot Ultimate',
+    'spidershot_precision': 'Spidershot Precision',
+    'microshot': 'Microshot',
+    'microshot_ultimate': 'Microshot Ultimate',
+    'microflex': 'Microflex',
+    'motionshot': 'Motionshot',
+    'multishot': 'Multishot',
+    'detection': 'Detection',
+    'circletrack': 'Circletrack',
+    'strafetrack': 'Strafetrack',
+    'switchtrack': 'Switchtrack',
+    'reflexshot': 'Reflexshot',
+    'headshot': 'Headshot',
+    'perception': 'Perception'
+};
+
+function norm(s) { return String(s ?? '').trim().toLowerCase(); }
+
+function pick(record, key) {
+    for (const [k, v] of Object.entries(record)) {
+        if (KEYMAP[key].includes(norm(k)) && v !== '' && v != null) return v;
+    }
+    return null;
+}
+
+function toNumber(v) {
+    if (v == null) return null;
+    const n = Number(String(v).replace(/[% ,]/g, ''));
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Map an Aim Lab task id or name to the name stored in the tasks table
+ * e.g. "CsLevel.Aimlab.Gridshot.Ultimate" or "gridshot_ultimate" → "Gridshot Ultimate (Aim Lab)"
+ */
+function mapTaskName(raw) {
+    if (!raw) return null;
+    const key = String(raw)
+        .replace(/^CsLevel\.[^.]+\./i, '')
+        .replace(/[.\s-]+/g, '_')
+        .toLowerCase();
+    const name = TASK_NAMES[key] || String(raw)
+        .replace(/^CsLevel\.[^.]+\./i, '')
+        .replace(/[._]+/g, ' ')
+        .replace(/\b\w/g, c => c.toUpperCase())
+        .trim();
+    return `${name} (Aim Lab)`;
+}
+
+function parsePlayedAt(v) {
+    if (v == null || v === '') return null;
+    // Epoch seconds or milliseconds
+    const n = Number(v);
+    const d = Number.isFinite(n) ? new Date(n < 1e12 ? n * 1000 : n) : new Date(v);
+    return isNaN(d.getTime()) ? null : toLocalISOString(d);
+}
+
+function mapPlay(record) {
+    const task = pick(record, 'task');
+    const score = toNumber(pick(record, 'score'));
+    if (!task || score == null) return null;
+
+    const shots = toNumber(pick(record, 'shots'));
+    const hits = toNumber(pick(record, 'hits'));
+
+    let accuracy = toNumber(pick(record, 'accuracy'));
+    if (accuracy != null && accuracy <= 1) accuracy *= 100; // ratio → %
+    if (accuracy == null && shots) accuracy = (hits / shots) * 100;
+
+    let duration = toNumber(pick(record, 'duration'));
+    const durationMs = toNumber(pick(record, 'duration_ms'));
+    if (duration == null && durationMs != null) duration = durationMs / 1000;
+
+    // Aim Lab reports time per kill in milliseconds; runs store seconds
+    let avgTtk = toNumber(pick(record, 'avg_ttk'));
+    if (avgTtk != null && avgTtk > 20) avgTtk /= 1000;
+
+    const playedAt = parsePlayedAt(pick(record, 'played_at'));
+    const playId = pick(record, 'play_id');
+
+    return {
+        scenario: mapTaskName(task),
+        score,
+        accuracy: accuracy != null ? Math.max(0, Math.min(100, accuracy)) : null,
+        hits,
+        shots,
+        duration,
+        avg_ttk: avgTtk,
+        overshots: null,
+        reloads: null,
+        fps_avg: null,
+        dpi: null,
+        sens_h: null,
+        fov: null,
+        played_at: playedAt,
+        kills: [],
+        // Exports overlap (each one contains full history), so dedupe on the play rather than the file
+        hash: sha1(`aimlab:${playId ?? `${task}|${playedAt}|${score}`}`)
+    };
+}
+
+function splitCSV(line) {
+    const cells = [];
+    let cur = '', inQ = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (c === '"') {
+            if (inQ && line[i + 1] === '"') { cur += '"'; i++; continue; }
+            inQ = !inQ;
+            continue;
+        }
+        if (c === ',' && !inQ) { cells.push(cur); cur = ''; continue; }
+        cur += c;
+    }
+    cells.push(cur);
+    return cells.map(s => s.trim());
+}
+
+function readCsvRecords(raw) {
+    const lines = raw.split(/\r?\n/).filter(l => l.trim().length);
+    if (lines.length < 2) return [];
+    const header = splitCSV(lines[0]);
+    return lines.slice(1).map(line => {
+        const cells = splitCSV(line);
+        const record = {};
+        header.forEach((h, i) => { record[h] = cells[i]; });
+        return record;
+    });
+}
+
+function readJsonRecords(raw) {
+    const data = JSON.parse(raw);
+    if (Array.isArray(data)) return data;
+    // Common wrappers: { plays: [...] }, { data: [...] }, { taskData: [...] }
+    for (const key of ['plays', 'data', 'taskData', 'task_data', 'results']) {
+        if (Array.isArray(data?.[key])) return data[key];
+    }
+    return [];
+}
+
+function hasAimlabColumns(keys) {
+    const normalized = keys.map(norm);
+    return KEYMAP.task.some(k => normalized.includes(k)) && KEYMAP.score.some(k => normalized.includes(k));
+}
+
+// Only the start of a file is needed to recognise it, so scans never read whole files
+function readHead(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buf = Buffer.alloc(DETECT_BYTES);
+        const bytes = fs.readSync(fd, buf, 0, buf.length, 0);
+        return buf.toString('utf-8', 0, bytes);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Check whether a file looks like an Aim Lab export.
+ * CSVs need task + score columns (Kovaak's CSVs have neither); JSON needs task + score fields.
+ *
+ * @param {string} [contents] - The file's text, if already read (saves opening the file again)
+ */
+function isAimlabExport(filePath, contents = null) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext !== '.csv' && ext !== '.json') return false;
+
+    try {
+        const head = (contents ?? readHead(filePath)).slice(0, DETECT_BYTES).replace(/^\uFEFF/, '');
+        if (ext === '.csv') {
+            return hasAimlabColumns(splitCSV(head.split(/\r?\n/)[0]));
+        }
+
+        // The prefix is usually not valid JSON on its own; the field names of the first record are enough
+        const keys = [...head.matchAll(/"((?:[^"\\]|\\.)*)"\s*:/g)].map(m => m[1]);
+        return hasAimlabColumns(keys);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Parse an Aim Lab export into runs
+ * @param {string} [contents] - The file's text, if the caller already read it
+ * @returns {object[]} - One run per play; rows without a task or score are skipped
+ */
+function parseAimlabExport(filePath, contents = null) {
+    const raw = (contents ?? fs.readFileSync(filePath, 'utf-8')).replace(/^\uFEFF/, '');
+    const records = path.extname(filePath).toLowerCase() === '.json'
+        ? readJsonRecords(raw)
+        : readCsvRecords(raw);
+
+    return records.map(mapPlay).filter(Boolean);
+}
+
+module.exports = { parseAimlabExport, isAimlabExport, mapTaskName, PARSER_VERSION };
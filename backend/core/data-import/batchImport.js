@@ -0,0 +1,312 @@
+// backend/core/data-import/batchImport.js
+// Batch import pipeline for initial scans and rescans.
+// Files are read asynchronously, several at a time, then parsed; runs are inserted in batches through TransactionManager.batchInsertRuns,
+// and cache, goals and ranked progress are rebuilt once at the end instead of after every file.
+const fs = require('fs/promises');
+const path = require('path');
+const importers = require('./importers');
+const importLog = require('./importLog');
+const { sha1 } = require('../../utils/hash');
+const { isRankedTask } = require('../../utils/ranked');
+const goals = require('../goals/goals');
+const events = require('../../utils/events');
+const CacheManager = require('../../services/cacheManager');
+const { TransactionManager } = require('../../services/transactionManager');
+const { loadTaskAliases } = require('../../services/taskMerger');
+const { findFolderForFile } = require('./statsFolders');
+const { getPracticeIntervals, isPracticeAt } = require('../../services/practiceMode');
+const { noteImportedRuns } = require('../../services/integrityReports');
+const {
+    deriveMetrics,
+    resolveTaskName,
+    insertRunKills,
+    buildRunRow,
+    refreshRankedProgress
+} = require('./runPipeline');
+
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_BATCH_SIZE = 250;
+// Stay well below SQLite's bound-parameter limit for IN (...) lookups
+const LOOKUP_CHUNK_SIZE = 500;
+
+/**
+ * Recursively collect files any registered importer claims
+ *
+ * @param {string} root - Folder to walk
+ * @param {object} options - { modifiedAfter: ms timestamp, only files modified later are returned;
+ *                            importer: only files this importer id claims }
+ */
+async function collectImportableFiles(root, { modifiedAfter = null, importer = null } = {}) {
+    const files = [];
+
+    async function walk(dir) {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        for (const ent of entries) {
+            const full = path.join(dir, ent.name);
+            if (ent.isDirectory()) { await walk(full); continue; }
+            if (!ent.isFile() || !importers.isImportableFile(full, importer)) continue;
+
+            if (modifiedAfter != null) {
+                try {
+                    const stats = await fs.stat(full);
+                    if (stats.mtimeMs <= modifiedAfter) continue; // Skip old files
+                } catch {
+                    continue;
+                }
+            }
+            files.push(full);
+        }
+    }
+
+    await walk(root);
+    return files;
+}
+
+// Run an async mapper over items with at most `limit` in flight, preserving order
+async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await mapper(items[index]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Read, parse and hash one file without touching the database. The read is asynchronous, so up to
+// `concurrency` files are read at once; parsing the contents is synchronous.
+async function prepareFile(file, folder) {
+    let importerId = null;
+    try {
+        const contents = await fs.readFile(file);
+        const result = importers.parseFile(file, folder?.importer ?? null, contents.toString('utf-8'));
+        if (!result) throw new Error('No importer found for file');
+        importerId = result.importer.id;
+        if (result.runs.length === 0) throw new Error('No runs found in file');
+
+        let fileHash = null;
+        let missingScore = 0;
+        const entries = [];
+
+        for (const run of result.runs) {
+            if (run.score === null || run.score === undefined) {
+                missingScore++;
+                continue;
+            }
+            const parsed = deriveMetrics(run);
+            // content hash (robust dedupe); importers that pack several runs into one file hash each run
+            if (!parsed.hash && !fileHash) fileHash = sha1(contents);
+            entries.push({
+                file,
+                folderId: folder?.id ?? null,
+                importer: result.importer,
+                parsed,
+                hash: parsed.hash || fileHash,
+                taskName: resolveTaskName(file, parsed)
+            });
+        }
+
+        return { file, importer: result.importer, entries, missingScore };
+    } catch (err) {
+        return { file, importerId, error: err.code === 'ENOENT' ? 'File not found' : err.message };
+    }
+}
+
+async function lookupInChunks(db, values, buildSql) {
+    const rows = [];
+    for (let i = 0; i < values.length; i += LOOKUP_CHUNK_SIZE) {
+        const chunk = values.slice(i, i + LOOKUP_CHUNK_SIZE);
+        const placeholders = chunk.map(() => '?').join(',');
+        rows.push(...await db.all(buildSql(placeholders), chunk));
+    }
+    return rows;
+}
+
+/**
+ * Import many files at once
+ *
+ * @param {object} db - Database wrapper
+ * @param {string[]} files - Absolute file paths
+ * @param {object} options - { scan: label sent with progress events, folders: stats folders the files
+ *                            belong to (sets each run's folder and importer type), concurrency, batchSize }
+ * @returns {Promise<{total: number, processed: number, inserted: number, duplicates: number, failed: number}>}
+ */
+async function importFilesInBatches(db, files, { scan = 'rescan', folders = [], concurrency = DEFAULT_CONCURRENCY, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    const transactionManager = new TransactionManager(db);
+    const totals = { total: files.length, processed: 0, inserted: 0, duplicates: 0, failed: 0 };
+    const practiceIntervals = await getPracticeIntervals(db);
+
+    // Newest non-practice run per task, used for the single goals/ranked rebuild at the end
+    const latestByTask = new Map();
+
+    const report = (phase) => events.emitScanProgress({ scan, phase, ...totals });
+    events.emitScanStart({ scan, total: files.length });
+
+    // Parse a batch of files, then store it in one transaction so a failure leaves nothing half imported
+    async function importBatch(batch) {
+        const prepared = await mapWithConcurrency(batch, concurrency,
+            (file) => prepareFile(file, findFolderForFile(folders, file)));
+        const entries = prepared.flatMap(p => p.entries || []);
+
+        // Names merged into another task resolve to the surviving task
+        const aliases = await loadTaskAliases(db);
+        for (const entry of entries) {
+            entry.taskName = aliases.get(entry.taskName.toLowerCase()) ?? entry.taskName;
+        }
+
+        const outcome = { inserted: 0, duplicates: 0, failed: 0, latest: [] };
+        await transactionManager.withTransaction(async (tx) => {
+            // Ensure every task exists, then map names to ids
+            const taskNames = [...new Set(entries.map(e => e.taskName))];
+            for (const name of taskNames) {
+                await tx.run(`INSERT OR IGNORE INTO tasks (name) VALUES (?)`, [name]);
+            }
+            const taskRows = await lookupInChunks(tx, taskNames,
+                (placeholders) => `SELECT id, name FROM tasks WHERE name IN (${placeholders})`);
+            const taskIds = new Map(taskRows.map(t => [t.name, t.id]));
+
+            // Skip runs already stored (or repeated within this batch) before hitting the insert path
+            const hashes = [...new Set(entries.map(e => e.hash))];
+            const existingRows = await lookupInChunks(tx, hashes,
+                (placeholders) => `SELECT hash FROM runs WHERE hash IN (${placeholders})`);
+            const seen = new Set(existingRows.map(r => r.hash));
+
+            const rows = [];
+            for (const entry of entries) {
+                if (seen.has(entry.hash)) continue;
+                seen.add(entry.hash);
+                const row = buildRunRow({
+                    taskId: taskIds.get(entry.taskName),
+                    hash: entry.hash,
+                    file: entry.file,
+                    parsed: entry.parsed,
+                    importer: entry.importer,
+                    isPractice: false,
+                    statsFolderId: entry.folderId
+                });
+                // Practice status comes from the practice mode history at the time the run was played
+                entry.isPractice = isPracticeAt(practiceIntervals, row.played_at);
+                row.is_practice = entry.isPractice ? 1 : 0;
+                rows.push(row);
+            }
+
+            // Joins this transaction
+            const inserted = rows.length > 0 ? await transactionManager.batchInsertRuns(rows) : [];
+            const insertedIds = new Map(inserted.map(r => [r.hash, r.id]));
+
+            // Kill timelines and import log
+            for (const p of prepared) {
+                if (p.error) {
+                    await importLog.recordImport(tx, p.file, { importer: p.importerId, status: 'failed', reason: p.error });
+                    outcome.failed++;
+                    continue;
+                }
+
+                let imported = 0;
+                for (const entry of p.entries) {
+                    const runId = insertedIds.get(entry.hash);
+                    if (!runId) continue;
+                    insertedIds.delete(entry.hash); // count each run once
+                    imported++;
+
+                    await insertRunKills(tx, runId, entry.parsed.kills);
+                    if (!entry.isPractice) outcome.latest.push(entry);
+                }
+
+                const duplicates = p.entries.length - imported;
+                const { status, reason } = importLog.describeOutcome({ imported, duplicates, missingScore: p.missingScore });
+                await importLog.recordImport(tx, p.file, { importer: p.importer.id, status, reason, inserted: imported, duplicates });
+
+                outcome.inserted += imported;
+                outcome.duplicates += duplicates;
+                if (status === 'failed') outcome.failed++;
+            }
+        });
+
+        // Only counted once the batch is committed
+        totals.inserted += outcome.inserted;
+        totals.duplicates += outcome.duplicates;
+        totals.failed += outcome.failed;
+        for (const entry of outcome.latest) {
+            const previous = latestByTask.get(entry.taskName);
+            const playedAt = entry.parsed.played_at || '';
+            if (!previous || playedAt >= previous.played_at) {
+                latestByTask.set(entry.taskName, {
+                    task_name: entry.taskName,
+                    accuracy: entry.parsed.accuracy,
+                    score: entry.parsed.score,
+                    duration: entry.parsed.duration,
+                    played_at: playedAt
+                });
+            }
+        }
+    }
+
+    for (let start = 0; start < files.length; start += batchSize) {
+        const batch = files.slice(start, start + batchSize);
+
+        try {
+            await importBatch(batch);
+        } catch (err) {
+            console.error('Batch import error, importing the batch file by file:', err.message);
+            for (const file of batch) {
+                try {
+                    await importBatch([file]);
+                } catch (fileErr) {
+                    // Logged as failed so the file shows up in the import log and can be retried
+                    totals.failed++;
+                    await importLog.recordImport(db, file, { status: 'failed', reason: fileErr.message })
+                        .catch(logErr => console.error('Failed to log import failure:', logErr.message));
+                }
+            }
+        }
+
+        totals.processed += batch.length;
+        report('importing');
+    }
+
+    if (totals.inserted > 0) {
+        report('rebuilding');
+        await rebuildAfterImport(db, latestByTask);
+        events.emitNewRun();
+        noteImportedRuns(db, totals.inserted);
+    }
+
+    events.emitScanComplete({ scan, ...totals });
+    return totals;
+}
+
+// Rebuild everything upsertRun normally updates per run, once for the whole import
+async function rebuildAfterImport(db, latestByTask) {
+    const cacheManager = new CacheManager(db);
+    await cacheManager.initializeCache();
+
+    // Goal values are aggregates over all runs, so each goal is measured once for all touched tasks
+    await goals.updateGoalsForTasks(db, [...latestByTask.values()].map(runData => runData.task_name));
+
+    const latestByCategory = new Map();
+    for (const runData of latestByTask.values()) {
+        const ranked = isRankedTask(runData.task_name);
+        if (ranked) {
+            const previous = latestByCategory.get(ranked.category);
+            if (!previous || runData.played_at >= previous.played_at) {
+                latestByCategory.set(ranked.category, runData);
+            }
+        }
+    }
+
+    for (const runData of latestByCategory.values()) {
+        await refreshRankedProgress(db, runData.task_name, runData.score);
+    }
+}
+
+module.exports = {
+    collectImportableFiles,
+    importFilesInBatches,
+    rebuildAfterImport
+};
@@ -3,6 +3,11 @@ const fs = require('fs');
 const path = require('path');
 const { toLocalISOString } = require('../../utils/time');
 
+// Bump whenever parsing changes what ends up in a run, so older rows can be found and re-parsed.
+// 1: original parser
+// 2: per-kill timeline rows (run_kills)
+const PARSER_VERSION = 2;
+
 const DEBUG_CSV_PARSER = process.env.DEBUG_CSV_PARSER === 'true' || process.env.DEBUG_CSV_PARSER === '1';
 
 const KEYMAP = {
@@ -226,11 +231,11 @@ function mapRow(row, filename) {
     };
 }
 
-// tolerant CSV reader
-function parseCsvToRun(filePath) {
-    const raw = fs.readFileSync(filePath, 'utf-8');
+// tolerant CSV reader (contents: the file's text, if the caller already read it)
+function parseCsvToRun(filePath, contents = null) {
+    const raw = contents ?? fs.readFileSync(filePath, 'utf-8');
     const lines = raw.split(/\r?\n/).filter(l => l.trim().length);
-    if (lines.length < 2) return mapRow({}, filePath);
+    if (lines.length < 2) return { ...mapRow({}, filePath), kills: [] };
 
     const splitCSV = (line) => {
         const cells = [];
@@ -314,13 +319,32 @@ function parseCsvToRun(filePath) {
             if (hitsIdx >= 0 && hits != null) totalHits += hits;
             if (overshotsIdx >= 0 && overshots != null) totalOvershots += overshots;
             
+            let ttk = null;
             if (ttkIdx >= 0) {
-                const ttk = parseFloatLocale(cells[ttkIdx]?.replace(/s$/, ''));
+                ttk = parseFloatLocale(cells[ttkIdx]?.replace(/s$/, ''));
                 if (ttk != null && ttk > 0) {
                     totalTTK += ttk;
                     ttkCount++;
                 }
             }
+
+            // Keep the per-kill row so the timeline inside a run can be stored
+            let killAccuracy = null;
+            if (shotsIdx >= 0 && hitsIdx >= 0 && shots != null && hits != null && shots > 0) {
+                killAccuracy = Math.min(100, Math.max(0, (hits / shots) * 100));
+            } else if (accuracyIdx >= 0) {
+                killAccuracy = parsePercentFlexible(cells[accuracyIdx]);
+            }
+
+            killData.push({
+                kill_number: parseIntSafe(cells[killNumIdx]),
+                timestamp: timestampIdx >= 0 && cells[timestampIdx] ? String(cells[timestampIdx]).trim() : null,
+                ttk: ttk != null && ttk >= 0 ? ttk : null,
+                shots: shotsIdx >= 0 ? shots : null,
+                hits: hitsIdx >= 0 ? hits : null,
+                accuracy: killAccuracy,
+                overshots: overshotsIdx >= 0 ? overshots : null,
+            });
         }
     }
     
@@ -405,7 +429,15 @@ function parseCsvToRun(filePath) {
         }
     }
 
+    // Seconds since challenge start for each kill (null when timestamps are unusable)
+    result.kills = killData.map(kill => ({
+        ...kill,
+        elapsed: challengeStart && kill.timestamp
+            ? diffSeconds(challengeStart, combineDateAndTime(filenameEnd, kill.timestamp))
+            : null,
+    }));
+
     return result;
 }
 
-module.exports = { parseCsvToRun };
+module.exports = { parseCsvToRun, PARSER_VERSION };
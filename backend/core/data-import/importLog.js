@@ -0,0 +1,89 @@
+// backend/core/data-import/importLog.js
+// Records the outcome of every import attempt so failed files can be reviewed and retried
+
+const path = require('path');
+
+// Most entries one request returns
+const MAX_LOG_ENTRIES = 1000;
+
+/**
+ * Store the latest outcome for a file (one row per path)
+ * 
+ * @param {object} db - Database wrapper
+ * @param {string} file - Absolute file path
+ * @param {object} outcome - { importer, status, reason, inserted, duplicates }
+ */
+async function recordImport(db, file, { importer = null, status, reason = null, inserted = 0, duplicates = 0 }) {
+    await db.run(`
+        INSERT INTO import_log (path, filename, importer, status, reason, runs_inserted, runs_duplicate)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(path) DO UPDATE SET
+            importer = excluded.importer,
+            status = excluded.status,
+            reason = excluded.reason,
+            runs_inserted = excluded.runs_inserted,
+            runs_duplicate = excluded.runs_duplicate,
+            attempts = import_log.attempts + 1,
+            last_attempt_at = CURRENT_TIMESTAMP
+    `, [file, path.basename(file), importer, status, reason, inserted, duplicates]);
+}
+
+/**
+ * Turn per-file run counts into an import_log status and reason
+ * 
+ * @param {object} counts - { imported, duplicates, missingScore }
+ * @returns {{status: string, reason: string|null}}
+ */
+function describeOutcome({ imported = 0, duplicates = 0, missingScore = 0 }) {
+    const status = imported > 0 ? 'inserted' : duplicates > 0 ? 'duplicate' : 'failed';
+    if (status === 'failed') {
+        return { status, reason: 'No score found in file' };
+    }
+    const reason = missingScore > 0
+        ? `${missingScore} run${missingScore === 1 ? '' : 's'} skipped: no score found`
+        : null;
+    return { status, reason };
+}
+
+/**
+ * List import log entries, newest attempts first
+ * 
+ * @param {object} db - Database wrapper
+ * @param {object} options - { status, limit }
+ */
+async function getImportLog(db, { status = null, limit = 200 } = {}) {
+    const params = [];
+    let where = '';
+    if (status) {
+        where = 'WHERE status = ?';
+        params.push(status);
+    }
+
+    const entries = await db.all(`
+        SELECT * FROM import_log
+        ${where}
+        ORDER BY last_attempt_at DESC, id DESC
+        LIMIT ?
+    `, [...params, limit]);
+
+    const counts = await db.all(`SELECT status, COUNT(*) AS count FROM import_log GROUP BY status`);
+    const summary = { inserted: 0, duplicate: 0, failed: 0 };
+    for (const row of counts) summary[row.status] = row.count;
+
+    return { entries, summary };
+}
+
+/**
+ * Get a single import log entry
+ */
+async function getImportLogEntry(db, id) {
+    return db.get(`SELECT * FROM import_log WHERE id = ?`, [id]);
+}
+
+module.exports = {
+    MAX_LOG_ENTRIES,
+    recordImport,
+    describeOutcome,
+    getImportLog,
+    getImportLogEntry
+};
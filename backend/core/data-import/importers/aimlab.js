@@ -0,0 +1,20 @@
+// backend/core/data-import/importers/aimlab.js
+// Aim Lab local data exports (CSV or JSON, many plays per file)
+
+const { parseAimlabExport, isAimlabExport, PARSER_VERSION } = require('../aimlabParser');
+
+module.exports = {
+    id: 'aimlab',
+    name: 'Aim Lab',
+    version: PARSER_VERSION,
+    // Must run before the Kovaak's catch-all so Aim Lab CSVs are not treated as Kovaak's stats
+    priority: 10,
+
+    matches(filePath, contents) {
+        return isAimlabExport(filePath, contents);
+    },
+
+    parse(filePath, contents) {
+        return parseAimlabExport(filePath, contents);
+    }
+};
@@ -0,0 +1,122 @@
+// backend/core/data-import/importers/index.js
+/**
+ * Importer Registry
+ * 
+ * Purpose: Routes stats files to the aim trainer importer that understands them.
+ * 
+ * Each importer is a plain object:
+ * - id: unique importer id, also written to runs as the run source (e.g. 'kovaaks-csv')
+ * - name: display name of the trainer
+ * - version: parser version stamped on every run it produces (bump when parsing changes)
+ * - priority: higher priorities are asked first (specific importers before catch-alls)
+ * - matches(filePath, contents): true if this importer claims the file
+ * - parse(filePath, contents): returns one parsed run or an array of runs in the common run shape
+ *   (scenario, score, accuracy, hits, shots, duration, avg_ttk, overshots, reloads,
+ *    fps_avg, dpi, sens_h, fov, played_at, kills). A run may carry its own `hash`
+ *   when a single file holds several runs.
+ *   `contents` is the file as UTF-8 text when it has already been read (parseFile always passes it);
+ *   without it, an importer reads what it needs from the file itself.
+ * 
+ * Communicates With:
+ * - watcher.js (file scans and live watching)
+ * - Individual importer modules in this folder
+ */
+
+const fs = require('fs');
+
+const importers = [];
+
+/**
+ * Register an importer (replaces an existing importer with the same id)
+ * 
+ * @param {object} importer - Importer definition
+ */
+function registerImporter(importer) {
+    if (!importer || !importer.id || typeof importer.matches !== 'function' || typeof importer.parse !== 'function') {
+        throw new Error('Importer must define id, matches() and parse()');
+    }
+
+    const existingIndex = importers.findIndex(i => i.id === importer.id);
+    if (existingIndex >= 0) {
+        importers.splice(existingIndex, 1);
+    }
+
+    importers.push({ priority: 0, version: 1, ...importer });
+    importers.sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Get all registered importers, highest priority first
+ */
+function getImporters() {
+    return importers.slice();
+}
+
+/**
+ * Get an importer by id
+ * 
+ * @param {string} id - Importer id
+ * @returns {object|null}
+ */
+function getImporter(id) {
+    return importers.find(i => i.id === id) || null;
+}
+
+/**
+ * Find the importer that claims a file
+ * 
+ * @param {string} filePath - Absolute file path
+ * @param {string|null} importerId - Only consider this importer (a stats folder's importer type)
+ * @param {string} [contents] - File contents, if already read
+ * @returns {object|null} - Importer or null if no importer claims the file
+ */
+function findImporter(filePath, importerId = null, contents = undefined) {
+    const candidates = importerId ? importers.filter(i => i.id === importerId) : importers;
+    for (const importer of candidates) {
+        try {
+            if (importer.matches(filePath, contents)) return importer;
+        } catch (err) {
+            console.error(`Importer ${importer.id} failed to match file:`, err.message);
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether any importer claims a file
+ */
+function isImportableFile(filePath, importerId = null) {
+    return findImporter(filePath, importerId) !== null;
+}
+
+/**
+ * Parse a file with the importer that claims it. The file is read once and that text is used
+ * both to pick the importer and to parse.
+ * 
+ * @param {string} filePath - Absolute file path
+ * @param {string|null} importerId - Only consider this importer
+ * @param {string} [contents] - File contents, if already read
+ * @returns {{importer: object, runs: object[]}|null} - null if no importer claims the file
+ */
+function parseFile(filePath, importerId = null, contents = undefined) {
+    const text = contents ?? fs.readFileSync(filePath, 'utf-8');
+    const importer = findImporter(filePath, importerId, text);
+    if (!importer) return null;
+
+    const parsed = importer.parse(filePath, text);
+    const runs = (Array.isArray(parsed) ? parsed : [parsed]).filter(Boolean);
+    return { importer, runs };
+}
+
+// Built-in importers
+registerImporter(require('./kovaaks'));
+registerImporter(require('./aimlab'));
+
+module.exports = {
+    registerImporter,
+    getImporters,
+    getImporter,
+    findImporter,
+    isImportableFile,
+    parseFile
+};
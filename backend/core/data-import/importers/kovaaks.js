@@ -0,0 +1,20 @@
+// backend/core/data-import/importers/kovaaks.js
+// Kovaak's FPS Aim Trainer stats CSVs (SaveGames/Stats/*.csv)
+
+const { parseCsvToRun, PARSER_VERSION } = require('../csvParser');
+
+module.exports = {
+    id: 'kovaaks-csv',
+    name: "Kovaak's",
+    version: PARSER_VERSION,
+    // Catch-all for CSVs: the stats folder has always been treated as Kovaak's output
+    priority: 0,
+
+    matches(filePath) {
+        return String(filePath).toLowerCase().endsWith('.csv');
+    },
+
+    parse(filePath, contents) {
+        return parseCsvToRun(filePath, contents);
+    }
+};
@@ -2,6 +2,7 @@
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const { resolveTaskAlias } = require('../../services/taskMerger');
 
 /**
  * Import Kovaak's playlist JSON files as packs
@@ -105,8 +106,9 @@ async function importPlaylistsAsPacks(playlistsFolder, db) {
 
                 // Add all tasks to playlist
                 let addedTasks = 0;
-                for (const scenarioName of scenarios) {
-                    // Find or create task (case-insensitive match)
+                for (const rawScenarioName of scenarios) {
+                    // Find or create task (case-insensitive match, merged-away names resolve to the surviving task)
+                    const scenarioName = await resolveTaskAlias(db, rawScenarioName);
                     let task = await db.get(
                         'SELECT id FROM tasks WHERE LOWER(TRIM(name)) = LOWER(?)',
                         [scenarioName]
@@ -0,0 +1,248 @@
+// backend/core/data-import/reimport.js
+// Re-parses the stored source file of existing runs and updates changed columns in place.
+// Used when the parsers learn new aliases or derived fields: hash dedupe means old runs are never re-read otherwise.
+const fsSync = require('fs');
+const importers = require('./importers');
+const { deriveMetrics, insertRunKills } = require('./runPipeline');
+const { TransactionManager } = require('../../services/transactionManager');
+const events = require('../../utils/events');
+
+// Columns refreshed from the parser. played_at is deliberately left alone:
+// sessions are matched by time range, so moving a run would silently change session membership.
+const RUN_COLUMNS = [
+    'score', 'accuracy', 'hits', 'shots', 'duration', 'score_per_min',
+    'avg_ttk', 'overshots', 'reloads', 'fps_avg'
+];
+const META_FIELDS = ['dpi', 'sens_h', 'fov'];
+
+const MAX_REPORTED_CHANGES = 100;
+
+function sameValue(a, b) {
+    if (a == null || b == null) return a == null && b == null;
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+    }
+    return String(a) === String(b);
+}
+
+function parseMeta(raw) {
+    try {
+        return raw ? JSON.parse(raw) : {};
+    } catch {
+        return {};
+    }
+}
+
+// Diff a stored run against a freshly parsed one → { field: { from, to } }
+function diffRun(row, parsed) {
+    const changes = {};
+    for (const col of RUN_COLUMNS) {
+        const next = parsed[col] ?? null;
+        // Never wipe a stored value because the new parse could not read it
+        if (next == null) continue;
+        if (!sameValue(row[col], next)) changes[col] = { from: row[col], to: next };
+    }
+
+    const meta = parseMeta(row.meta);
+    for (const field of META_FIELDS) {
+        const next = parsed[field] ?? null;
+        if (next == null) continue;
+        if (!sameValue(meta[field] ?? null, next)) changes[field] = { from: meta[field] ?? null, to: next };
+    }
+    return changes;
+}
+
+// SQL condition matching runs stamped by an older parser than the importer's current version
+function outdatedCondition() {
+    const params = [];
+    const clauses = ['r.parser_version IS NULL'];
+    for (const importer of importers.getImporters()) {
+        clauses.push('(r.source = ? AND r.parser_version < ?)');
+        params.push(importer.id, importer.version);
+    }
+    return { sql: `(${clauses.join(' OR ')})`, params };
+}
+
+/**
+ * Count runs parsed by an outdated parser, grouped by importer
+ * 
+ * @returns {Promise<Array<{source: string, parser_version: number|null, current_version: number|null, count: number}>>}
+ */
+async function getOutdatedRuns(db) {
+    const outdated = outdatedCondition();
+    const rows = await db.all(`
+        SELECT r.source, r.parser_version, COUNT(*) AS count
+        FROM runs r
+        WHERE ${outdated.sql}
+        GROUP BY r.source, r.parser_version
+        ORDER BY count DESC
+    `, outdated.params);
+
+    return rows.map(row => ({
+        ...row,
+        current_version: importers.getImporter(row.source)?.version ?? null
+    }));
+}
+
+/**
+ * Re-parse every run's stored path and update changed columns in place.
+ * Run ids, hashes, played_at and practice flags are kept, so sessions, goals and comparisons stay linked.
+ * Every re-parsed run is stamped with the importer's current parser version.
+ *
+ * @param {object} db - Database wrapper
+ * @param {object} options - { dryRun, limit, source, outdatedOnly }
+ * @returns {Promise<object>} - Diff summary
+ */
+async function reimportRuns(db, { dryRun = false, limit = null, source = null, outdatedOnly = false } = {}) {
+    const where = ['r.path IS NOT NULL', "TRIM(r.path) <> ''"];
+    const params = [];
+    if (source) {
+        where.push('r.source = ?');
+        params.push(source);
+    }
+    if (outdatedOnly) {
+        const outdated = outdatedCondition();
+        where.push(outdated.sql);
+        params.push(...outdated.params);
+    }
+
+    const rows = await db.all(`
+        SELECT r.id, r.task_id, r.hash, r.path, r.source, r.parser_version, r.meta, ${RUN_COLUMNS.join(', ')},
+               (SELECT COUNT(*) FROM run_kills k WHERE k.run_id = r.id) AS kill_count
+        FROM runs r
+        WHERE ${where.join(' AND ')}
+        ORDER BY r.path, r.id
+        ${limit ? 'LIMIT ?' : ''}
+    `, limit ? [...params, Number(limit)] : params);
+
+    const summary = {
+        dryRun,
+        total: rows.length,
+        updated: 0,
+        unchanged: 0,
+        skippedMissingFile: 0,
+        unmatched: 0,
+        errors: 0,
+        killsRefreshed: 0,
+        restamped: 0,
+        fields: {},
+        changes: []
+    };
+    const updates = [];
+    const stamps = []; // unchanged runs that only need the current parser version
+
+    // Group by file: exports such as Aim Lab hold many runs per file, parse each file once
+    const byPath = new Map();
+    for (const row of rows) {
+        if (!byPath.has(row.path)) byPath.set(row.path, []);
+        byPath.get(row.path).push(row);
+    }
+
+    for (const [file, fileRows] of byPath) {
+        if (!fsSync.existsSync(file)) {
+            summary.skippedMissingFile += fileRows.length;
+            continue;
+        }
+
+        let parsedRuns;
+        let importer;
+        try {
+            importer = importers.getImporter(fileRows[0].source) || importers.findImporter(file);
+            if (!importer) throw new Error('No importer found for file');
+            const parsed = importer.parse(file);
+            parsedRuns = (Array.isArray(parsed) ? parsed : [parsed]).filter(Boolean).map(deriveMetrics);
+        } catch (err) {
+            console.error('Reimport parse error:', err.message, 'file:', file);
+            summary.errors += fileRows.length;
+            continue;
+        }
+
+        for (const row of fileRows) {
+            // Multi-run files carry a hash per run; single-run files map onto their only run
+            const parsed = parsedRuns.find(p => p.hash && p.hash === row.hash)
+                || (parsedRuns.length === 1 && !parsedRuns[0].hash ? parsedRuns[0] : null);
+            if (!parsed) {
+                summary.unmatched++;
+                continue;
+            }
+
+            const changes = diffRun(row, parsed);
+            const kills = Array.isArray(parsed.kills) ? parsed.kills : [];
+            const refreshKills = kills.length > 0 && kills.length !== row.kill_count;
+
+            if (Object.keys(changes).length === 0 && !refreshKills) {
+                summary.unchanged++;
+                if (row.parser_version !== importer.version) {
+                    summary.restamped++;
+                    stamps.push({ id: row.id, version: importer.version });
+                }
+                continue;
+            }
+
+            summary.updated++;
+            for (const field of Object.keys(changes)) {
+                summary.fields[field] = (summary.fields[field] || 0) + 1;
+            }
+            if (refreshKills) summary.killsRefreshed++;
+            if (summary.changes.length < MAX_REPORTED_CHANGES) {
+                summary.changes.push({ id: row.id, path: file, changes, killsRefreshed: refreshKills });
+            }
+            updates.push({ row, changes, kills: refreshKills ? kills : null, version: importer.version });
+        }
+    }
+
+    if (dryRun || (updates.length === 0 && stamps.length === 0)) return summary;
+
+    const transactionManager = new TransactionManager(db);
+    await transactionManager.withTransaction(async (tx) => {
+        for (const { row, changes, kills, version } of updates) {
+            const columns = Object.keys(changes).filter(c => RUN_COLUMNS.includes(c));
+            const metaChanges = Object.keys(changes).filter(c => META_FIELDS.includes(c));
+
+            const sets = columns.map(c => `${c} = ?`);
+            const values = columns.map(c => changes[c].to);
+            if (metaChanges.length > 0) {
+                const meta = parseMeta(row.meta);
+                for (const field of metaChanges) meta[field] = changes[field].to;
+                sets.push('meta = json(?)');
+                values.push(JSON.stringify(meta));
+            }
+
+            sets.push('parser_version = ?');
+            values.push(version);
+            await tx.run(`UPDATE runs SET ${sets.join(', ')} WHERE id = ?`, [...values, row.id]);
+            if (kills) {
+                await tx.run(`DELETE FROM run_kills WHERE run_id = ?`, [row.id]);
+                await insertRunKills(tx, row.id, kills);
+            }
+        }
+
+        for (const { id, version } of stamps) {
+            await tx.run(`UPDATE runs SET parser_version = ? WHERE id = ?`, [version, id]);
+        }
+    });
+
+    if (updates.length === 0) return summary;
+
+    // Stats caches, goals and ranked progress are aggregates over the changed columns.
+    // Required here: batchImport reaches this module through the integrity checker.
+    const { rebuildAfterImport } = require('./batchImport');
+    const latestByTask = new Map();
+    for (const taskId of new Set(updates.map(u => u.row.task_id))) {
+        const run = await db.get(`
+            SELECT t.name AS task_name, r.accuracy, r.score, r.duration, r.played_at
+            FROM runs r
+            JOIN tasks t ON t.id = r.task_id
+            WHERE r.task_id = ? AND r.is_practice = 0
+            ORDER BY r.played_at DESC
+            LIMIT 1
+        `, [taskId]);
+        if (run) latestByTask.set(run.task_name, run);
+    }
+    await rebuildAfterImport(db, latestByTask);
+    events.emitNewRun();
+
+    return summary;
+}
+
+module.exports = { reimportRuns, getOutdatedRuns };
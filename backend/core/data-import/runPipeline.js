@@ -0,0 +1,250 @@
+// backend/core/data-import/runPipeline.js
+// Shared steps for turning parsed runs into `runs` rows.
+// Used by the live watcher (one file at a time), batch scans and the reimport job.
+const path = require('path');
+const { toLocalISOString } = require('../../utils/time');
+const { isRankedTask, scoreToPercentile, aggregateCategoryRating, loadBaselines, getRankTier, getAllRankTiers } = require('../../utils/ranked');
+const { updateCategoryProgress } = require('../../utils/rankedProgress');
+const events = require('../../utils/events');
+
+// Files (or plays) newer than this are treated as freshly played rather than historical
+const RECENT_RUN_WINDOW_MS = 5 * 60 * 1000;
+
+function deriveMetrics(parsed) {
+    const out = { ...parsed };
+    if (out.score != null && out.duration && out.duration > 0) {
+        out.score_per_min = out.score / (out.duration / 60);
+    } else {
+        out.score_per_min = null;
+    }
+    return out;
+}
+
+function normalizeTaskName(taskName) {
+    if (!taskName) return taskName;
+
+    // Remove common variations and normalize
+    let normalized = taskName
+        // Remove date patterns
+        .replace(/\s*-\s*\d{4}\.\d{2}\.\d{2}-\d{2}\.\d{2}\.\d{2}\s*Stats?$/i, '')
+        .replace(/\s*-\s*Challenge\s*-\s*\d{4}\.\d{2}\.\d{2}-\d{2}\.\d{2}\.\d{2}\s*Stats?$/i, '')
+        // Remove "Stats" suffix
+        .replace(/\s*Stats?$/i, '')
+        // Normalize spacing
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return normalized;
+}
+
+// Task name for a parsed run, falling back to the file name
+function resolveTaskName(file, parsed) {
+    const taskName = (parsed.scenario && parsed.scenario.length)
+        ? parsed.scenario
+        : path.parse(file).name;
+    return normalizeTaskName(taskName);
+}
+
+// Store kill-by-kill rows for a run (chunked multi-row inserts keep big scans fast)
+async function insertRunKills(db, runId, kills) {
+    if (!runId || !Array.isArray(kills) || kills.length === 0) return 0;
+
+    const chunkSize = 100;
+    for (let i = 0; i < kills.length; i += chunkSize) {
+        const chunk = kills.slice(i, i + chunkSize);
+        const placeholders = chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+        const params = [];
+        for (const kill of chunk) {
+            params.push(
+                runId,
+                kill.kill_number ?? null,
+                kill.timestamp ?? null,
+                kill.elapsed ?? null,
+                kill.ttk ?? null,
+                kill.shots ?? null,
+                kill.hits ?? null,
+                kill.accuracy ?? null,
+                kill.overshots ?? null
+            );
+        }
+        await db.run(
+            `INSERT INTO run_kills
+         (run_id, kill_number, timestamp, elapsed, ttk, shots, hits, accuracy, overshots)
+         VALUES ${placeholders}`,
+            params
+        );
+    }
+    return kills.length;
+}
+
+/**
+ * Determine if this is a truly new run or a historical run being rescanned (only new runs are announced).
+ * Files modified more than 5 minutes ago are historical.
+ * Multi-run exports (e.g. Aim Lab) are rewritten with full history, so each run is judged by when it was played.
+ */
+function isRecentRun(fileMtimeMs, parsed) {
+    let isRecent = Date.now() - fileMtimeMs < RECENT_RUN_WINDOW_MS;
+    if (isRecent && parsed.hash && parsed.played_at) {
+        isRecent = Date.now() - new Date(parsed.played_at).getTime() < RECENT_RUN_WINDOW_MS;
+    }
+    return isRecent;
+}
+
+/**
+ * Build the column values for a parsed run (shape accepted by TransactionManager.batchInsertRuns)
+ */
+function buildRunRow({ taskId, hash, file, parsed, importer, isPractice, statsFolderId = null }) {
+    return {
+        task_id: taskId,
+        hash,
+        filename: path.basename(file),
+        path: file,
+        played_at: parsed.played_at || toLocalISOString(new Date()),
+        score: parsed.score ?? null,
+        accuracy: parsed.accuracy ?? null,
+        hits: parsed.hits ?? null,
+        shots: parsed.shots ?? null,
+        duration: parsed.duration ?? null,
+        score_per_min: parsed.score_per_min ?? null,
+        avg_ttk: parsed.avg_ttk ?? null,
+        overshots: parsed.overshots ?? null,
+        reloads: parsed.reloads ?? null,
+        fps_avg: parsed.fps_avg ?? null,
+        meta: {
+            dpi: parsed.dpi ?? null,
+            sens_h: parsed.sens_h ?? null,
+            fov: parsed.fov ?? null,
+            source: importer.id
+        },
+        is_practice: isPractice ? 1 : 0,
+        source: importer.id,
+        parser_version: importer.version,
+        stats_folder_id: statsFolderId
+    };
+}
+
+/**
+ * Recalculate ranked category progress after a non-practice run on a ranked task
+ *
+ * @param {object} db - Database wrapper
+ * @param {string} taskName - Task the newest run was played on
+ * @param {number} score - Score of the newest run
+ */
+async function refreshRankedProgress(db, taskName, score) {
+    const rankedTaskData = isRankedTask(taskName);
+    if (!rankedTaskData || score === null || score === undefined) return;
+
+    try {
+        const category = rankedTaskData.category;
+        const lastRunPercentile = scoreToPercentile(rankedTaskData.leaderboardId, score);
+
+        if (lastRunPercentile !== null) {
+            const categoryRating = await aggregateCategoryRating(db, category, 30);
+
+            if (categoryRating.rating !== null && !categoryRating.isProvisional) {
+                const baselines = loadBaselines();
+                const categoryTasks = Object.values(baselines.tasks)
+                    .filter(t => t.category === category);
+                const taskNames = categoryTasks.map(t => t.scenarioName);
+                const namePlaceholders = taskNames.map(() => '?').join(',');
+
+                const recentRuns = await db.all(`
+                    SELECT r.score, t.name
+                    FROM runs r
+                    JOIN tasks t ON r.task_id = t.id
+                    WHERE t.name IN (${namePlaceholders})
+                      AND r.is_practice = 0
+                      AND r.score IS NOT NULL
+                    ORDER BY r.played_at DESC
+                    LIMIT 30
+                `, taskNames);
+
+                const recentPercentiles = [];
+                for (const run of recentRuns) {
+                    const taskData = categoryTasks.find(t => t.scenarioName === run.name);
+                    if (taskData) {
+                        const pct = scoreToPercentile(taskData.leaderboardId, run.score);
+                        if (pct !== null) recentPercentiles.push(pct);
+                    }
+                }
+
+                const tierInfo = getRankTier(categoryRating.rating);
+
+                const progress = await updateCategoryProgress({
+                    db,
+                    category,
+                    skillTier: tierInfo.tier,
+                    skillPercentile: categoryRating.rating,
+                    recentPercentiles,
+                    lastRunPercentile,
+                    distinctTasks: categoryRating.distinctTasks
+                });
+
+                // No stored tier yet means this is the first rated run, not a promotion
+                if (progress.previousTier && progress.previousTier !== tierInfo.tier) {
+                    const order = getAllRankTiers().map(t => t.tier);
+                    events.emitRankTierChanged({
+                        category,
+                        previousTier: progress.previousTier,
+                        tier: tierInfo.tier,
+                        rating: categoryRating.rating,
+                        promoted: order.indexOf(tierInfo.tier) > order.indexOf(progress.previousTier)
+                    });
+                }
+            }
+        }
+    } catch (err) {
+        console.error('Error updating ranked progress:', err);
+    }
+}
+
+/**
+ * Describe a freshly stored run for the run-imported event.
+ * Ranked tasks report their leaderboard percentile; other tasks report where the score sits among the player's own runs.
+ *
+ * @returns {Promise<{runId, taskName, score, accuracy, percentile, percentileSource, isPractice, source}>}
+ */
+async function describeImportedRun(db, { runId, taskId, taskName, row }) {
+    let percentile = null;
+    let percentileSource = null;
+
+    const rankedTaskData = isRankedTask(taskName);
+    if (rankedTaskData && row.score != null) {
+        percentile = scoreToPercentile(rankedTaskData.leaderboardId, row.score);
+        if (percentile !== null) percentileSource = 'ranked';
+    }
+
+    if (percentile === null && row.score != null) {
+        const history = await db.get(`
+            SELECT COUNT(*) AS total, SUM(CASE WHEN score < ? THEN 1 ELSE 0 END) AS below
+            FROM runs
+            WHERE task_id = ? AND id <> ? AND score IS NOT NULL
+        `, [row.score, taskId, runId]);
+        if (history && history.total > 0) {
+            percentile = history.below / history.total;
+            percentileSource = 'history';
+        }
+    }
+
+    return {
+        runId,
+        taskName,
+        score: row.score,
+        accuracy: row.accuracy,
+        percentile,
+        percentileSource,
+        isPractice: row.is_practice === 1,
+        source: row.source
+    };
+}
+
+module.exports = {
+    deriveMetrics,
+    normalizeTaskName,
+    resolveTaskName,
+    insertRunKills,
+    isRecentRun,
+    buildRunRow,
+    refreshRankedProgress,
+    describeImportedRun
+};
@@ -0,0 +1,222 @@
+// backend/core/data-import/scenarioImporter.js
+// Reads Kovaak's scenario definition files (.sce) and fills in task metadata:
+// time limit, weapon, hitscan/projectile, target count and an inferred skill type.
+// Skill types use the same labels as the ranked categories in baselines.json, so ranked
+// and non-ranked tasks group together.
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { getSetting } = require('../../services/settings');
+const { resolveTaskAlias } = require('../../services/taskMerger');
+const { isRankedTask } = require('../../utils/ranked');
+
+const SKILL_TYPES = ['Flicking', 'Tracking', 'Target Switching'];
+
+// Name keywords, checked in this order (switching scenarios often also say "track" or "click")
+const NAME_HINTS = [
+    ['Target Switching', /switch|\bts\b|\bpatts\b|beants|domi ?switch/i],
+    ['Tracking', /track|smooth|strafe|reactive|\bair\b|control|sine|whisphere|plaza|\borb|follow|ctrlsphere|pgti/i],
+    ['Flicking', /click|flick|static|\d ?wall|pasu|gridshot|popcorn|tile|micro|headshot|bounce/i]
+];
+
+// Keys inside profile lines that hold a bot/target count
+const TARGET_COUNT_KEY = /^(number ?of ?(bots|players|targets)|num ?bots|max ?(alive|spawned) ?bots|bots ?to ?spawn)$/i;
+
+function toBool(value) {
+    if (value === undefined || value === null) return null;
+    return /^(true|1)$/i.test(String(value).trim());
+}
+
+function toNumber(value) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+// "Key:Value;Key2:Value2" → { key: value } (keys lowercased)
+function parseProfile(value) {
+    const fields = {};
+    for (const part of value.split(';')) {
+        const idx = part.indexOf(':');
+        if (idx <= 0) continue;
+        fields[part.slice(0, idx).trim().toLowerCase()] = part.slice(idx + 1).trim();
+    }
+    return fields;
+}
+
+/**
+ * Parse the text of a .sce scenario file
+ *
+ * @param {string} content - File contents (Key=Value lines, profiles as Key:Value;... lists)
+ * @param {string} fileName - Used as the scenario name when the file has no Name= line
+ * @returns {{name, duration, weaponName, weaponType, autofire, targetCount}}
+ */
+function parseScenarioFile(content, fileName) {
+    const top = {};
+    const profiles = { weapon: [], other: [] };
+
+    for (const rawLine of content.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        const idx = line.indexOf('=');
+        if (idx <= 0) continue;
+        const key = line.slice(0, idx).trim();
+        const value = line.slice(idx + 1).trim();
+
+        if (/profile$/i.test(key) && value.includes(':')) {
+            (/^weapon/i.test(key) ? profiles.weapon : profiles.other).push(parseProfile(value));
+        } else if (!(key.toLowerCase() in top)) {
+            top[key.toLowerCase()] = value;
+        }
+    }
+
+    const weapon = profiles.weapon[0] || {};
+    const hitscan = toBool(weapon.bhitscan ?? top.bhitscan);
+    const autofire = toBool(weapon.bautofire ?? top.bautofire);
+
+    let targetCount = null;
+    for (const fields of [top, ...profiles.other]) {
+        for (const [key, value] of Object.entries(fields)) {
+            if (!TARGET_COUNT_KEY.test(key)) continue;
+            const count = toNumber(value);
+            if (count !== null && count > 0) targetCount = Math.max(targetCount ?? 0, Math.round(count));
+        }
+    }
+
+    return {
+        name: (top.name || path.parse(fileName).name).trim(),
+        duration: toNumber(top.timelimit),
+        weaponName: weapon['weapon name'] || weapon.name || null,
+        weaponType: hitscan === null ? null : (hitscan ? 'hitscan' : 'projectile'),
+        autofire,
+        targetCount
+    };
+}
+
+/**
+ * Best guess at a scenario's skill type from its name and weapon
+ *
+ * @returns {string|null} - One of SKILL_TYPES, or null when nothing points anywhere
+ */
+function inferSkillType({ name, autofire } = {}) {
+    for (const [skillType, pattern] of NAME_HINTS) {
+        if (name && pattern.test(name)) return skillType;
+    }
+    // Hold-to-fire weapons are tracking; click-to-fire weapons are flicking
+    if (autofire === true) return 'Tracking';
+    if (autofire === false) return 'Flicking';
+    return null;
+}
+
+/**
+ * Scenario folder to read: the scenarios_folder setting, else Saved/SandboxScenarios next to the stats folder
+ */
+async function findScenariosFolder(db, statsFolder) {
+    const configured = await getSetting(db, 'scenarios_folder', '');
+    if (configured) return configured;
+    if (!statsFolder) return null;
+    return path.join(path.dirname(statsFolder), 'Saved', 'SandboxScenarios');
+}
+
+/**
+ * Fill in task metadata from scenario files, then infer skill types for the tasks left over.
+ * Ranked tasks always take their category from baselines.json.
+ *
+ * @param {string|null} scenariosFolder - Folder holding .sce files (may be missing)
+ * @param {object} db - Database instance
+ * @returns {Promise<{updated: number, unmatched: number, inferred: number, errors: number}>}
+ */
+async function importScenarioMetadata(scenariosFolder, db) {
+    let updated = 0;
+    let unmatched = 0;
+    let errors = 0;
+
+    if (scenariosFolder && fsSync.existsSync(scenariosFolder)) {
+        console.log('🎯 Reading scenario files from:', scenariosFolder);
+        let files = [];
+        try {
+            files = (await fs.readdir(scenariosFolder)).filter(f => f.toLowerCase().endsWith('.sce'));
+        } catch (err) {
+            console.error('  ❌ Could not read scenarios folder:', err.message);
+            errors++;
+        }
+
+        for (const file of files) {
+            try {
+                const content = await fs.readFile(path.join(scenariosFolder, file), 'utf-8');
+                const scenario = parseScenarioFile(content, file);
+                const taskName = await resolveTaskAlias(db, scenario.name);
+
+                const task = await db.get(
+                    'SELECT id, name, skill_type, skill_type_source FROM tasks WHERE LOWER(TRIM(name)) = LOWER(?)',
+                    [taskName]
+                );
+                if (!task) {
+                    // Only describe scenarios that have been played (or are in a playlist)
+                    unmatched++;
+                    continue;
+                }
+
+                const ranked = isRankedTask(task.name);
+                const skillType = ranked ? ranked.category : inferSkillType(scenario);
+                const skillSource = ranked ? 'ranked' : (skillType ? 'scenario' : null);
+
+                await db.run(`
+                    UPDATE tasks
+                    SET scenario_duration = COALESCE(?, scenario_duration),
+                        weapon_name = COALESCE(?, weapon_name),
+                        weapon_type = COALESCE(?, weapon_type),
+                        target_count = COALESCE(?, target_count),
+                        skill_type = COALESCE(?, skill_type),
+                        skill_type_source = COALESCE(?, skill_type_source),
+                        metadata_updated_at = datetime('now')
+                    WHERE id = ?
+                `, [
+                    scenario.duration,
+                    scenario.weaponName,
+                    scenario.weaponType,
+                    scenario.targetCount,
+                    skillType,
+                    skillSource,
+                    task.id
+                ]);
+                updated++;
+            } catch (err) {
+                console.error(`  ❌ Error reading scenario ${file}:`, err.message);
+                errors++;
+            }
+        }
+    } else {
+        console.log('📁 Scenarios folder not configured or does not exist');
+    }
+
+    const inferred = await inferMissingSkillTypes(db);
+
+    console.log(`📊 Scenario metadata: ${updated} tasks updated, ${unmatched} unplayed scenarios, ${inferred} skill types inferred from names, ${errors} errors`);
+    return { updated, unmatched, inferred, errors };
+}
+
+// Tasks without a scenario file: ranked category, else a guess from the name
+async function inferMissingSkillTypes(db) {
+    const tasks = await db.all(`SELECT id, name FROM tasks WHERE skill_type IS NULL OR skill_type = ''`);
+    let inferred = 0;
+
+    for (const task of tasks) {
+        const ranked = isRankedTask(task.name);
+        const skillType = ranked ? ranked.category : inferSkillType({ name: task.name });
+        if (!skillType) continue;
+
+        await db.run(
+            `UPDATE tasks SET skill_type = ?, skill_type_source = ? WHERE id = ?`,
+            [skillType, ranked ? 'ranked' : 'name', task.id]
+        );
+        inferred++;
+    }
+    return inferred;
+}
+
+module.exports = {
+    SKILL_TYPES,
+    parseScenarioFile,
+    inferSkillType,
+    findScenariosFolder,
+    importScenarioMetadata
+};
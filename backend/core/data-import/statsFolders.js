@@ -0,0 +1,133 @@
+// backend/core/data-import/statsFolders.js
+// Registry of watched stats folders (second installs, synced folders, archives of old CSVs).
+// Each folder has a label, an optional importer that files must belong to, and an enable flag.
+// The stats_folder setting is always registered as the first folder.
+
+const path = require('path');
+const { getSetting, getSettingBoolean } = require('../../services/settings');
+
+function normalizeFolderPath(folderPath) {
+    return path.resolve(String(folderPath).trim());
+}
+
+/**
+ * All folders with the number of runs imported from each
+ */
+async function listStatsFolders(db) {
+    const primary = await getSetting(db, 'stats_folder', '');
+    const folders = await db.all(`
+        SELECT f.*, COUNT(r.id) AS runs, MAX(r.played_at) AS last_played
+        FROM stats_folders f
+        LEFT JOIN runs r ON r.stats_folder_id = f.id
+        GROUP BY f.id
+        ORDER BY f.id
+    `);
+    return folders.map(folder => ({
+        ...folder,
+        enabled: !!folder.enabled,
+        is_primary: !!primary && folder.path === normalizeFolderPath(primary)
+    }));
+}
+
+async function getStatsFolder(db, id) {
+    return await db.get('SELECT * FROM stats_folders WHERE id = ?', [id]);
+}
+
+async function getEnabledStatsFolders(db) {
+    return await db.all('SELECT * FROM stats_folders WHERE enabled = 1 ORDER BY id');
+}
+
+/**
+ * Register a folder
+ *
+ * @param {object} db - Database wrapper
+ * @param {object} folder - { path, label, importer: importer id or null for any, enabled }
+ * @returns {Promise<object>} - The stored row
+ */
+async function addStatsFolder(db, { path: folderPath, label, importer = null, enabled = true }) {
+    const resolved = normalizeFolderPath(folderPath);
+    const result = await db.run(
+        'INSERT INTO stats_folders (path, label, importer, enabled) VALUES (?, ?, ?, ?)',
+        [resolved, label || path.basename(resolved) || resolved, importer || null, enabled ? 1 : 0]
+    );
+    return await getStatsFolder(db, result.lastID);
+}
+
+async function updateStatsFolder(db, id, { label, importer, enabled }) {
+    const updates = [];
+    const params = [];
+    if (label !== undefined) { updates.push('label = ?'); params.push(label); }
+    if (importer !== undefined) { updates.push('importer = ?'); params.push(importer || null); }
+    if (enabled !== undefined) { updates.push('enabled = ?'); params.push(enabled ? 1 : 0); }
+    if (updates.length > 0) {
+        await db.run(`UPDATE stats_folders SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+    }
+    return await getStatsFolder(db, id);
+}
+
+// Runs stay; they just no longer point at a folder
+async function removeStatsFolder(db, id) {
+    await db.run('UPDATE runs SET stats_folder_id = NULL WHERE stats_folder_id = ?', [id]);
+    await db.run('DELETE FROM stats_folders WHERE id = ?', [id]);
+}
+
+async function markFoldersScanned(db, ids, scannedAt) {
+    for (const id of ids) {
+        await db.run('UPDATE stats_folders SET last_scan_at = ? WHERE id = ?', [scannedAt, id]);
+    }
+}
+
+/**
+ * Make sure the configured stats folder is registered.
+ * Runs imported before folders existed are attributed to it by path.
+ */
+async function ensurePrimaryStatsFolder(db, statsPath) {
+    if (!statsPath) return null;
+    const resolved = normalizeFolderPath(statsPath);
+
+    const existing = await db.get('SELECT * FROM stats_folders WHERE path = ?', [resolved]);
+    if (existing) return existing;
+
+    // Carry over the single-folder scan state so the next start stays incremental
+    const scanComplete = await getSettingBoolean(db, 'initial_scan_complete', false);
+    const lastScan = scanComplete ? await getSetting(db, 'last_scan_timestamp', null) : null;
+
+    const result = await db.run(
+        `INSERT INTO stats_folders (path, label, importer, enabled, last_scan_at) VALUES (?, ?, NULL, 1, ?)`,
+        [resolved, "Kovaak's", lastScan]
+    );
+    await db.run(`
+        UPDATE runs SET stats_folder_id = ?
+        WHERE stats_folder_id IS NULL AND substr(path, 1, length(?)) = ?
+    `, [result.lastID, resolved, resolved]);
+
+    console.log('📂 Registered stats folder:', resolved);
+    return await getStatsFolder(db, result.lastID);
+}
+
+/**
+ * Folder a file belongs to (the deepest folder containing it), or null
+ */
+function findFolderForFile(folders, file) {
+    const resolved = path.resolve(file);
+    let match = null;
+    for (const folder of folders) {
+        const prefix = folder.path.endsWith(path.sep) ? folder.path : folder.path + path.sep;
+        if (!resolved.startsWith(prefix)) continue;
+        if (!match || folder.path.length > match.path.length) match = folder;
+    }
+    return match;
+}
+
+module.exports = {
+    normalizeFolderPath,
+    listStatsFolders,
+    getStatsFolder,
+    getEnabledStatsFolders,
+    addStatsFolder,
+    updateStatsFolder,
+    removeStatsFolder,
+    markFoldersScanned,
+    ensurePrimaryStatsFolder,
+    findFolderForFile
+};
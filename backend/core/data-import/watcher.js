@@ -3,112 +3,182 @@ const chokidar = require('chokidar');
 const fs = require('fs/promises');
 const fsSync = require('fs');
 const path = require('path');
-const { parseCsvToRun } = require('./csvParser');
-const { toLocalISOString } = require('../../utils/time');
+const importers = require('./importers');
+const importLog = require('./importLog');
 const { hashFile } = require('../../utils/hash');
 const goals = require('../goals/goals');
-const { getSetting, setSetting, getSettingBoolean } = require('../../services/settings');
+const { setSetting, getSettingBoolean } = require('../../services/settings');
 const events = require('../../utils/events');
-const { isRankedTask, scoreToPercentile, aggregateCategoryRating } = require('../../utils/ranked');
-const { updateCategoryProgress } = require('../../utils/rankedProgress');
 const CacheManager = require('../../services/cacheManager');
+const {
+    deriveMetrics,
+    resolveTaskName,
+    insertRunKills,
+    isRecentRun,
+    buildRunRow,
+    refreshRankedProgress,
+    describeImportedRun
+} = require('./runPipeline');
+const { collectImportableFiles, importFilesInBatches } = require('./batchImport');
+const { TransactionManager } = require('../../services/transactionManager');
+const { resolveTaskAlias } = require('../../services/taskMerger');
+const statsFolders = require('./statsFolders');
+const { wasPracticeModeAt } = require('../../services/practiceMode');
+const { handleAutoSessionRun, closeIdleAutoSessions } = require('../../services/autoSessions');
 
-function deriveMetrics(parsed) {
-    const out = { ...parsed };
-    if (out.score != null && out.duration && out.duration > 0) {
-        out.score_per_min = out.score / (out.duration / 60);
-    } else {
-        out.score_per_min = null;
+// The running chokidar watcher and the folders it serves (see refreshWatchedFolders)
+let activeWatcher = null;
+
+// How often folder reachability is checked and a failed watcher restarted
+const HEALTH_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Health of the live watcher, reported by GET /api/import/status
+const watcherStatus = {
+    startedAt: null,
+    lastEventAt: null,
+    lastImportAt: null,
+    lastCheckAt: null,
+    lastError: null, // { message, at }
+    needsRestart: false,
+    restarts: 0,
+    folders: new Map() // folder id → { reachable, since }
+};
+let healthTimer = null;
+let healthCheckRunning = false;
+
+// How often an idle auto session is looked for
+const AUTO_SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+let autoSessionTimer = null;
+
+// Parse a stats file with whichever importer claims it and upsert every run it contains.
+// The outcome is written to import_log; runs without a score are quarantined there instead of stored.
+// `folder` is the stats folder the file came from; looked up by path when not given.
+async function importFile(db, file, folder) {
+    let importerId = null;
+    let imported = 0;
+    let duplicates = 0;
+    let missingScore = 0;
+
+    if (folder === undefined) {
+        folder = statsFolders.findFolderForFile(await db.all('SELECT * FROM stats_folders'), file);
     }
-    return out;
+
+    try {
+        const result = importers.parseFile(file, folder?.importer ?? null);
+        if (!result) {
+            throw new Error('No importer found for file');
+        }
+        importerId = result.importer.id;
+
+        if (result.runs.length === 0) {
+            throw new Error('No runs found in file');
+        }
+
+        for (const run of result.runs) {
+            if (run.score === null || run.score === undefined) {
+                missingScore++;
+                continue;
+            }
+            const { exists, isNew } = await upsertRun(db, file, run, result.importer, folder?.id ?? null);
+            if (isNew) imported++;
+            else if (exists) duplicates++;
+        }
+    } catch (err) {
+        const reason = err.code === 'ENOENT' ? 'File not found' : err.message;
+        await recordImportSafe(db, file, { importer: importerId, status: 'failed', reason, inserted: imported, duplicates });
+        throw err;
+    }
+
+    const { status, reason } = importLog.describeOutcome({ imported, duplicates, missingScore });
+    await recordImportSafe(db, file, {
+        importer: importerId,
+        status,
+        reason,
+        inserted: imported,
+        duplicates
+    });
+
+    return {
+        importer: importerId,
+        status,
+        exists: imported + duplicates > 0,
+        isNew: imported > 0,
+        imported,
+        duplicates
+    };
 }
 
-function normalizeTaskName(taskName) {
-    if (!taskName) return taskName;
-    
-    // Remove common variations and normalize
-    let normalized = taskName
-        // Remove date patterns
-        .replace(/\s*-\s*\d{4}\.\d{2}\.\d{2}-\d{2}\.\d{2}\.\d{2}\s*Stats?$/i, '')
-        .replace(/\s*-\s*Challenge\s*-\s*\d{4}\.\d{2}\.\d{2}-\d{2}\.\d{2}\.\d{2}\s*Stats?$/i, '')
-        // Remove "Stats" suffix
-        .replace(/\s*Stats?$/i, '')
-        // Normalize spacing
-        .replace(/\s+/g, ' ')
-        .trim();
-    
-    return normalized;
+// A broken import log must never stop runs from being imported
+async function recordImportSafe(db, file, outcome) {
+    try {
+        await importLog.recordImport(db, file, outcome);
+    } catch (err) {
+        console.error('Error writing import log:', err.message, 'file:', file);
+    }
 }
 
-async function upsertRun(db, file) {
-    const parsed = deriveMetrics(parseCsvToRun(file));
-    let taskName = (parsed.scenario && parsed.scenario.length)
-        ? parsed.scenario
-        : path.basename(file).replace(/\.csv$/i, '');
+async function upsertRun(db, file, run, importer, statsFolderId = null) {
+    const parsed = deriveMetrics(run);
+    // Names merged into another task (see task_aliases) import straight onto the surviving task
+    const taskName = await resolveTaskAlias(db, resolveTaskName(file, parsed));
 
-    // Normalize task name to group similar tasks
-    taskName = normalizeTaskName(taskName);
+    // content hash (robust dedupe); importers that pack several runs into one file hash each run
+    const hash = parsed.hash || await hashFile(file);
 
-    // ensure task
-    await db.run(`INSERT OR IGNORE INTO tasks (name) VALUES (?)`, [taskName]);
-    const task = await db.get(`SELECT id FROM tasks WHERE name = ?`, [taskName]);
+    // Recent files are announced to the frontend; older ones are historical
+    const fileStats = await fs.stat(file);
+    const isRecent = isRecentRun(fileStats.mtimeMs, parsed);
 
-    // content hash (robust dedupe)
-    const hash = await hashFile(file);
+    // Task, run and kills are written in one transaction, queued behind any scan running on the connection
+    const { task, row, isPracticeMode, wasInserted } = await new TransactionManager(db).withTransaction(async (tx) => {
+        // ensure task
+        await tx.run(`INSERT OR IGNORE INTO tasks (name) VALUES (?)`, [taskName]);
+        const task = await tx.get(`SELECT id FROM tasks WHERE name = ?`, [taskName]);
 
-    // Determine if this is a truly new run or a historical run being rescanned
-    // Check file creation/modification time - if older than 5 minutes, it's historical
-    const fileStats = await fs.stat(file);
-    const fileAge = Date.now() - fileStats.mtimeMs;
-    const isRecentFile = fileAge < 5 * 60 * 1000; // 5 minutes in milliseconds
-    
-    let isPracticeMode = false; // Default to NOT practice mode for historical runs
-    
-    if (isRecentFile) {
-        // Only apply practice mode to recent files (truly new runs)
-        const activeSession = await db.get('SELECT is_practice FROM sessions WHERE is_active = 1');
-        
-        if (activeSession) {
-            // Use the session's practice mode to ensure runs are tracked correctly
-            isPracticeMode = activeSession.is_practice === 1;
-        } else {
-            // No active session, use global practice mode setting
-            isPracticeMode = await getSettingBoolean(db, 'practice_mode_active', false);
+        const row = buildRunRow({ taskId: task.id, hash, file, parsed, importer, isPractice: false, statsFolderId });
+        // Practice status comes from the practice mode history at the time the run was played
+        const isPracticeMode = await wasPracticeModeAt(tx, row.played_at);
+        row.is_practice = isPracticeMode ? 1 : 0;
+
+        // insert-or-ignore by unique hash
+        const wasInserted = await tx.run(
+            `INSERT OR IGNORE INTO runs
+         (task_id, hash, filename, path, played_at, score, accuracy, hits, shots, duration, score_per_min,
+          avg_ttk, overshots, reloads, fps_avg, meta, is_practice, source, parser_version, stats_folder_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, json(?), ?, ?, ?, ?)`,
+            [
+                row.task_id,
+                row.hash,
+                row.filename,
+                row.path,
+                row.played_at,
+                row.score,
+                row.accuracy,
+                row.hits,
+                row.shots,
+                row.duration,
+                row.score_per_min,
+                row.avg_ttk,
+                row.overshots,
+                row.reloads,
+                row.fps_avg,
+                JSON.stringify(row.meta),
+                row.is_practice,
+                row.source,
+                row.parser_version,
+                row.stats_folder_id
+            ]
+        );
+
+        if (wasInserted.changes > 0) {
+            try {
+                await insertRunKills(tx, wasInserted.lastID, parsed.kills);
+            } catch (err) {
+                console.error('Error storing kill data:', err.message, 'file:', file);
+            }
         }
-    }
-    // Else: Historical file (older than 5 minutes) - keep isPracticeMode = false
-
-    // insert-or-ignore by unique hash
-    const wasInserted = await db.run(
-        `INSERT OR IGNORE INTO runs
-     (task_id, hash, filename, path, played_at, score, accuracy, hits, shots, duration, score_per_min,
-      avg_ttk, overshots, reloads, fps_avg, meta, is_practice)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, json(?), ?)`,
-        [
-            task.id,
-            hash,
-            path.basename(file),
-            file,
-            parsed.played_at || toLocalISOString(new Date()),
-            parsed.score ?? null,
-            parsed.accuracy ?? null,
-            parsed.hits ?? null,
-            parsed.shots ?? null,
-            parsed.duration ?? null,
-            parsed.score_per_min ?? null,
-            parsed.avg_ttk ?? null,
-            parsed.overshots ?? null,
-            parsed.reloads ?? null,
-            parsed.fps_avg ?? null,
-            JSON.stringify({
-                dpi: parsed.dpi ?? null,
-                sens_h: parsed.sens_h ?? null,
-                fov: parsed.fov ?? null,
-                source: 'kovaaks-csv'
-            }),
-            isPracticeMode ? 1 : 0
-        ]
-    );
+        return { task, row, isPracticeMode, wasInserted };
+    });
 
     const isNewRun = wasInserted.changes > 0;
     
@@ -128,146 +198,102 @@ async function upsertRun(db, file) {
                 accuracy: parsed.accuracy,
                 score: parsed.score,
                 duration: parsed.duration,
-                played_at: parsed.played_at || toLocalISOString(new Date())
+                played_at: row.played_at
             };
             
             await goals.updateGoalProgress(db, runData);
             
             // Update ranked progress if this is a ranked task
-            const rankedTaskData = isRankedTask(taskName);
-            if (rankedTaskData && parsed.score !== null && parsed.score !== undefined) {
-                try {
-                    const category = rankedTaskData.category;
-                    const lastRunPercentile = scoreToPercentile(rankedTaskData.leaderboardId, parsed.score);
-                    
-                    if (lastRunPercentile !== null) {
-                        const categoryRating = await aggregateCategoryRating(db, category, 30);
-                        
-                        if (categoryRating.rating !== null && !categoryRating.isProvisional) {
-                            const baselines = require('../../utils/ranked').loadBaselines();
-                            const categoryTasks = Object.values(baselines.tasks)
-                                .filter(t => t.category === category);
-                            const taskNames = categoryTasks.map(t => t.scenarioName);
-                            const namePlaceholders = taskNames.map(() => '?').join(',');
-                            
-                            const recentRuns = await db.all(`
-                                SELECT r.score, t.name
-                                FROM runs r
-                                JOIN tasks t ON r.task_id = t.id
-                                WHERE t.name IN (${namePlaceholders})
-                                  AND r.is_practice = 0
-                                  AND r.score IS NOT NULL
-                                ORDER BY r.played_at DESC
-                                LIMIT 30
-                            `, taskNames);
-                            
-                            const recentPercentiles = [];
-                            for (const run of recentRuns) {
-                                const taskData = categoryTasks.find(t => t.scenarioName === run.name);
-                                if (taskData) {
-                                    const pct = scoreToPercentile(taskData.leaderboardId, run.score);
-                                    if (pct !== null) recentPercentiles.push(pct);
-                                }
-                            }
-                            
-                            const tierInfo = require('../../utils/ranked').getRankTier(categoryRating.rating);
-                            
-                            await updateCategoryProgress({
-                                db,
-                                category,
-                                skillTier: tierInfo.tier,
-                                skillPercentile: categoryRating.rating,
-                                recentPercentiles,
-                                lastRunPercentile,
-                                distinctTasks: categoryRating.distinctTasks
-                            });
-                        }
-                    }
-                } catch (err) {
-                    console.error('Error updating ranked progress:', err);
-                }
-            }
+            await refreshRankedProgress(db, taskName, parsed.score);
         }
-    }
-
-    const row = await db.get(`SELECT id FROM runs WHERE hash = ?`, [hash]);
-    return { exists: !!row, isNew: isNewRun };
-}
 
-// Scan all CSVs in directory (for initial scan)
-async function scanAllCsvs(root, db) {
-    let newFiles = 0;
-    let duplicates = 0;
-    
-    async function walk(dir) {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        for (const ent of entries) {
-            const full = path.join(dir, ent.name);
-            if (ent.isDirectory()) { await walk(full); continue; }
-            if (!ent.isFile() || !full.toLowerCase().endsWith('.csv')) continue;
+        // Freshly played runs drive auto sessions and are announced; historical files picked up by the watcher stay quiet
+        if (isRecent) {
+            try {
+                await handleAutoSessionRun(db, row);
+            } catch (err) {
+                console.error('Error updating auto session:', err.message);
+            }
 
             try {
-                const result = await upsertRun(db, full);
-                if (result.isNew) {
-                    newFiles++;
-                } else if (result.exists) {
-                    duplicates++;
-                }
+                events.emitRunImported(await describeImportedRun(db, {
+                    runId: wasInserted.lastID,
+                    taskId: task.id,
+                    taskName,
+                    row
+                }));
             } catch (err) {
-                console.error('Scan error:', err.message, 'file:', full);
+                console.error('Error describing imported run:', err.message);
             }
         }
     }
-    
-    await walk(root);
-    return { newFiles, duplicates, total: newFiles + duplicates };
+
+    const existing = await db.get(`SELECT id FROM runs WHERE hash = ?`, [hash]);
+    return { exists: !!existing, isNew: isNewRun };
 }
 
-// Scan only CSVs modified after a certain timestamp
-async function scanNewCsvs(root, db, lastScanTimestamp) {
-    let newFiles = 0;
-    const cutoff = new Date(lastScanTimestamp).getTime();
-    
-    async function walk(dir) {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        for (const ent of entries) {
-            const full = path.join(dir, ent.name);
-            if (ent.isDirectory()) { await walk(full); continue; }
-            if (!ent.isFile() || !full.toLowerCase().endsWith('.csv')) continue;
+// Scans waiting to run; see scanStatsFolders
+let scanQueue = Promise.resolve();
 
-            try {
-                // Check file modification time
-                const stats = fsSync.statSync(full);
-                if (stats.mtimeMs <= cutoff) continue; // Skip old files
-                
-                const result = await upsertRun(db, full);
-                if (result.isNew) {
-                    newFiles++;
-                    console.log('📁 New CSV detected:', path.basename(full));
-                }
-            } catch (err) {
-                console.error('Incremental scan error:', err.message, 'file:', full);
-            }
+/**
+ * Scan stats folders through the batch pipeline: concurrent parsing, batched inserts, one rebuild at the end
+ *
+ * @param {object} db - Database wrapper
+ * @param {object[]} folders - stats_folders rows
+ * @param {object} options - { scan: progress label, incremental: only files changed since each folder's last scan
+ *                            (folders never scanned are read in full) }
+ */
+function scanStatsFolders(db, folders, options = {}) {
+    // One scan at a time: concurrent scans would interleave on the shared database connection
+    const scan = scanQueue.then(() => runFolderScan(db, folders, options));
+    scanQueue = scan.catch(() => {});
+    return scan;
+}
+
+async function runFolderScan(db, folders, { scan = 'rescan', incremental = false } = {}) {
+    const scannedAt = new Date().toISOString();
+    const files = new Set();
+    const scanned = [];
+
+    for (const folder of folders) {
+        if (!fsSync.existsSync(folder.path)) {
+            console.warn(`⚠️  Stats folder "${folder.label}" not found, skipping:`, folder.path);
+            continue;
         }
+        const modifiedAfter = incremental && folder.last_scan_at ? new Date(folder.last_scan_at).getTime() : null;
+        const found = await collectImportableFiles(folder.path, { modifiedAfter, importer: folder.importer });
+        if (modifiedAfter !== null) {
+            for (const file of found) console.log('📁 New stats file detected:', path.basename(file));
+        }
+        found.forEach(file => files.add(file));
+        scanned.push(folder.id);
     }
-    
-    await walk(root);
-    return { newFiles };
+
+    const result = await importFilesInBatches(db, [...files], { scan, folders });
+    await statsFolders.markFoldersScanned(db, scanned, scannedAt);
+
+    return {
+        newFiles: result.inserted,
+        duplicates: result.duplicates,
+        failed: result.failed,
+        total: result.inserted + result.duplicates
+    };
 }
 
 async function startWatcher(statsPath, db) {
-    const pattern = path.join(statsPath, '**', '*.csv');
     console.log('📂 Stats folder:', statsPath);
 
+    await statsFolders.ensurePrimaryStatsFolder(db, statsPath);
+    const folders = await statsFolders.getEnabledStatsFolders(db);
+
     // Check if initial scan has been completed
     const scanComplete = await getSettingBoolean(db, 'initial_scan_complete', false);
-    const lastScan = await getSetting(db, 'last_scan_timestamp', null);
 
     if (!scanComplete) {
         console.log('🔄 First run detected - scanning all CSVs...');
         const startTime = Date.now();
         
-        const result = await scanAllCsvs(statsPath, db);
+        const result = await scanStatsFolders(db, folders, { scan: 'initial' });
         const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
         
         console.log(`✅ Initial scan complete in ${elapsed}s:`);
@@ -284,9 +310,9 @@ async function startWatcher(statsPath, db) {
         const goalResult = await goals.generateGoals(db);
         console.log(`✅ Generated ${goalResult.generated} goals`);
         
-    } else if (lastScan) {
-        console.log('📂 Checking for new CSVs since', new Date(lastScan).toLocaleString());
-        const result = await scanNewCsvs(statsPath, db, lastScan);
+    } else {
+        console.log('📂 Checking for new CSVs in', folders.length, 'stats folder(s)');
+        const result = await scanStatsFolders(db, folders, { scan: 'incremental', incremental: true });
         
         if (result.newFiles > 0) {
             console.log(`✅ Found ${result.newFiles} new runs from offline play`);
@@ -299,8 +325,32 @@ async function startWatcher(statsPath, db) {
 
     // Start live file watcher for real-time updates
     console.log('👁️  Starting real-time file watcher...');
-    
-    const watcher = chokidar.watch(statsPath, {  // Watch the directory, not the pattern
+    const watcher = createLiveWatcher(db, folders);
+    watcherStatus.startedAt = new Date().toISOString();
+    updateFolderReachability(folders);
+
+    if (!healthTimer) {
+        healthTimer = setInterval(() => {
+            checkWatcherHealth(db).catch(err => console.error('Watcher health check failed:', err.message));
+        }, HEALTH_CHECK_INTERVAL_MS);
+        healthTimer.unref?.();
+    }
+
+    // Close an auto session left open by the last app run, then keep checking for idle ones
+    await closeIdleAutoSessions(db).catch(err => console.error('Auto session check failed:', err.message));
+    if (!autoSessionTimer) {
+        autoSessionTimer = setInterval(() => {
+            closeIdleAutoSessions(db).catch(err => console.error('Auto session check failed:', err.message));
+        }, AUTO_SESSION_CHECK_INTERVAL_MS);
+        autoSessionTimer.unref?.();
+    }
+
+    return watcher;
+}
+
+// Create the chokidar watcher for the given folders and make it the active one
+function createLiveWatcher(db, folders) {
+    const watcher = chokidar.watch(folders.map(f => f.path), {  // Watch the directories, not a pattern
         ignored: /(^|[\/\\])\../, // ignore dotfiles
         ignoreInitial: true,
         persistent: true,
@@ -314,19 +364,30 @@ async function startWatcher(statsPath, db) {
         alwaysStat: true, // Ensure file stats are checked
         atomic: false // Some games don't write atomically
     });
+    activeWatcher = { watcher, folders };
+
+    watcher.on('all', () => {
+        watcherStatus.lastEventAt = new Date().toISOString();
+    });
 
     watcher.on('add', async file => {
-        // Only process CSV files
-        if (!file.toLowerCase().endsWith('.csv')) return;
+        const folder = statsFolders.findFolderForFile(activeWatcher.folders, file);
+        if (!folder) return;
+
+        // Only process files the folder's importer (or any registered importer) understands
+        if (!importers.isImportableFile(file, folder.importer)) return;
         
-        console.log('📊 New run detected:', path.basename(file));
+        console.log(`📊 New run detected (${folder.label}):`, path.basename(file));
         try {
-            const result = await upsertRun(db, file);
+            const result = await importFile(db, file, folder);
             if (result.isNew) {
                 console.log('   ✅ Imported successfully');
                 
-                // Update last scan timestamp so next app start knows about this file
-                await setSetting(db, 'last_scan_timestamp', new Date().toISOString());
+                // Update last scan timestamps so next app start knows about this file
+                const now = new Date().toISOString();
+                watcherStatus.lastImportAt = now;
+                await setSetting(db, 'last_scan_timestamp', now);
+                await statsFolders.markFoldersScanned(db, [folder.id], now);
                 
                 // Notify frontend clients to refresh data
                 events.emitNewRun();
@@ -338,15 +399,165 @@ async function startWatcher(statsPath, db) {
 
     watcher.on('error', error => {
         console.error('❌ Watcher error:', error);
+        // Polling watchers don't recover by themselves; the next health check restarts it
+        watcherStatus.lastError = { message: error.message || String(error), at: new Date().toISOString() };
+        watcherStatus.needsRestart = true;
     });
 
     watcher.on('ready', () => {
         console.log('✅ Watcher ready - monitoring for new runs');
-        console.log('   Watching:', statsPath);
+        for (const folder of folders) {
+            console.log(`   Watching: ${folder.path} (${folder.label})`);
+        }
         console.log('   Polling: Every 2 seconds\n');
     });
 
     return watcher;
 }
 
-module.exports = { startWatcher, scanAllCsvs };
+function isFolderReachable(folderPath) {
+    try {
+        return fsSync.statSync(folderPath).isDirectory();
+    } catch {
+        return false;
+    }
+}
+
+// Record which folders can be read right now; returns folders that just came back
+function updateFolderReachability(folders) {
+    const now = new Date().toISOString();
+    const recovered = [];
+    const known = new Map();
+
+    for (const folder of folders) {
+        const reachable = isFolderReachable(folder.path);
+        const previous = watcherStatus.folders.get(folder.id);
+
+        if (!previous || previous.reachable !== reachable) {
+            known.set(folder.id, { reachable, since: now });
+            if (previous && reachable) recovered.push(folder);
+            if (!reachable) console.warn(`⚠️  Stats folder "${folder.label}" is not reachable:`, folder.path);
+        } else {
+            known.set(folder.id, previous);
+        }
+    }
+
+    watcherStatus.folders = known;
+    watcherStatus.lastCheckAt = now;
+    return recovered;
+}
+
+/**
+ * Check folder reachability; restart the watcher after an error or when a folder comes back,
+ * then catch up on files written while it was away
+ */
+async function checkWatcherHealth(db) {
+    if (!activeWatcher || healthCheckRunning) return;
+    healthCheckRunning = true;
+
+    try {
+        const folders = await statsFolders.getEnabledStatsFolders(db);
+        const recovered = updateFolderReachability(folders);
+        if (!watcherStatus.needsRestart && recovered.length === 0) return;
+
+        console.log('🔁 Restarting file watcher', recovered.length > 0
+            ? `(back online: ${recovered.map(f => f.label).join(', ')})`
+            : '(after watcher error)');
+
+        await activeWatcher.watcher.close();
+        createLiveWatcher(db, folders);
+        watcherStatus.needsRestart = false;
+        watcherStatus.restarts++;
+
+        // After an error every folder may have missed files
+        const catchUp = recovered.length > 0 ? recovered : folders.filter(f => isFolderReachable(f.path));
+        const result = await scanStatsFolders(db, catchUp, { scan: 'incremental', incremental: true });
+        if (result.newFiles > 0) {
+            console.log(`✅ Caught up on ${result.newFiles} runs after watcher restart`);
+            watcherStatus.lastImportAt = new Date().toISOString();
+        }
+        await setSetting(db, 'last_scan_timestamp', new Date().toISOString());
+    } finally {
+        healthCheckRunning = false;
+    }
+}
+
+/**
+ * Watcher health for the status endpoint and the Nav badge
+ *
+ * @returns {object} - { state: 'ok'|'degraded'|'error'|'stopped', ..., folders: [{ id, label, path, reachable, since }] }
+ */
+function getWatcherStatus() {
+    const folders = (activeWatcher?.folders || []).map(folder => ({
+        id: folder.id,
+        label: folder.label,
+        path: folder.path,
+        reachable: watcherStatus.folders.get(folder.id)?.reachable ?? null,
+        since: watcherStatus.folders.get(folder.id)?.since ?? null
+    }));
+    const unreachable = folders.filter(f => f.reachable === false);
+
+    let state = 'ok';
+    let message = null;
+    if (!activeWatcher) {
+        state = 'stopped';
+        message = 'File watcher is not running';
+    } else if (watcherStatus.needsRestart) {
+        state = 'error';
+        message = `File watcher failed: ${watcherStatus.lastError?.message}`;
+    } else if (folders.length > 0 && unreachable.length === folders.length) {
+        state = 'error';
+        message = folders.length === 1 ? 'Stats folder is not reachable' : 'No stats folder is reachable';
+    } else if (unreachable.length > 0) {
+        state = 'degraded';
+        message = `Not reachable: ${unreachable.map(f => f.label).join(', ')}`;
+    }
+
+    return {
+        state,
+        message,
+        running: !!activeWatcher,
+        startedAt: watcherStatus.startedAt,
+        lastEventAt: watcherStatus.lastEventAt,
+        lastImportAt: watcherStatus.lastImportAt,
+        lastCheckAt: watcherStatus.lastCheckAt,
+        lastError: watcherStatus.lastError,
+        restarts: watcherStatus.restarts,
+        folders
+    };
+}
+
+/**
+ * Apply stats folder changes (added, removed, enabled, disabled, importer changed) to the running watcher
+ */
+async function refreshWatchedFolders(db) {
+    const folders = await statsFolders.getEnabledStatsFolders(db);
+    if (!activeWatcher) return folders;
+
+    const previous = new Set(activeWatcher.folders.map(f => f.path));
+    const current = new Set(folders.map(f => f.path));
+
+    const added = [...current].filter(p => !previous.has(p));
+    const removed = [...previous].filter(p => !current.has(p));
+    if (added.length > 0) activeWatcher.watcher.add(added);
+    if (removed.length > 0) activeWatcher.watcher.unwatch(removed);
+
+    activeWatcher.folders = folders;
+
+    // Newly added folders get a status right away; changes to known ones are left to the health check
+    for (const folder of folders) {
+        if (!watcherStatus.folders.has(folder.id)) {
+            watcherStatus.folders.set(folder.id, { reachable: isFolderReachable(folder.path), since: new Date().toISOString() });
+        }
+    }
+    return folders;
+}
+
+module.exports = {
+    startWatcher,
+    scanStatsFolders,
+    refreshWatchedFolders,
+    checkWatcherHealth,
+    getWatcherStatus,
+    importFile
+};
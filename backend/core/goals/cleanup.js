@@ -40,6 +40,16 @@ async function cleanupGoals() {
             console.log('⚠️  goal_progress table not found, skipping...');
         }
         
+        // Delete progress history too, or regenerated goals would inherit it when ids restart
+        const historyExists = await dbGet(`
+            SELECT name FROM sqlite_master 
+            WHERE type='table' AND name='goal_progress_history'
+        `);
+        if (historyExists) {
+            await dbRun('DELETE FROM goal_progress_history');
+            console.log('✓ Deleted goal progress history');
+        }
+        
         // Delete all goals
         await dbRun('DELETE FROM goals');
         console.log('✓ Deleted all goals');
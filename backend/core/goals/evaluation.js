@@ -0,0 +1,277 @@
+// backend/core/goals/evaluation.js
+// Measures a goal's current value from the runs in its scope (overall, one task or one pack) and
+// its window (all runs, the last N runs, the last N days, or runs played since it was created).
+// Each goal type decides what it measures over those runs: an average, a count, a total, ...
+// Ranked goals instead follow a ranked category's rating, as shown on the Ranked page.
+
+const { toLocalISOString } = require('../../utils/time');
+const { aggregateCategoryRating, computeOverallRating, isRankedTask } = require('../../utils/ranked');
+
+const RANKED_CATEGORIES = ['Flicking', 'Tracking', 'Target Switching'];
+// Categories a ranked goal can target; 'Overall' is the combined rank
+const GOAL_CATEGORIES = [...RANKED_CATEGORIES, 'Overall'];
+
+const WINDOW_TYPES = ['all', 'runs', 'days', 'since_created'];
+const WINDOW_SIZE_LIMITS = {
+  runs: 1000,
+  days: 365
+};
+
+// Window for new goals that don't choose one
+const DEFAULT_WINDOW = { type: 'runs', size: 20 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// goals.created_at comes from SQLite datetime('now') (UTC, no zone suffix); played_at is local time
+function utcToLocalIso(timestamp) {
+  return toLocalISOString(new Date(`${timestamp.replace(' ', 'T')}Z`));
+}
+
+function localDay(date) {
+  return toLocalISOString(date).slice(0, 10);
+}
+
+/**
+ * Earliest played_at a goal's window includes, or null when it isn't limited by time.
+ * A goal that doesn't exist yet (no created_at) measured since creation starts now.
+ */
+function getWindowStart(goal, now = new Date()) {
+  if (goal.window_type === 'days') {
+    const start = new Date(now);
+    start.setDate(start.getDate() - goal.window_size);
+    return toLocalISOString(start);
+  }
+  if (goal.window_type === 'since_created') {
+    return goal.created_at ? utcToLocalIso(goal.created_at) : toLocalISOString(now);
+  }
+  return null;
+}
+
+/**
+ * Query for the runs a goal counts, newest first: its scope, its window and no practice runs
+ *
+ * @param {string} columns - Select list, using alias r for runs
+ * @param {string[]} conditions - Extra conditions, e.g. that the measured column is set
+ * @returns {{sql: string, params: Array}}
+ */
+function goalRunsQuery(goal, columns, conditions = []) {
+  const where = ['r.is_practice = 0', ...conditions];
+  const params = [];
+
+  if (goal.target_task_id) {
+    where.push('r.task_id = ?');
+    params.push(goal.target_task_id);
+  } else if (goal.target_pack_id) {
+    where.push('r.task_id IN (SELECT task_id FROM pack_tasks WHERE pack_id = ?)');
+    params.push(goal.target_pack_id);
+  }
+
+  const windowStart = getWindowStart(goal);
+  if (windowStart) {
+    where.push('r.played_at >= ?');
+    params.push(windowStart);
+  }
+
+  let limit = '';
+  if (goal.window_type === 'runs') {
+    limit = 'LIMIT ?';
+    params.push(goal.window_size);
+  }
+
+  return {
+    sql: `SELECT ${columns} FROM runs r WHERE ${where.join(' AND ')} ORDER BY r.played_at DESC ${limit}`,
+    params
+  };
+}
+
+// Average of a run column (accuracy, score, ttk goals)
+function average(column) {
+  return async (db, goal) => {
+    const { sql, params } = goalRunsQuery(goal, `r.${column} as value`, [`r.${column} IS NOT NULL`]);
+    const result = await db.get(`SELECT AVG(value) as value, COUNT(*) as runs FROM (${sql})`, params);
+    return { value: result.runs > 0 ? result.value : null, runs: result.runs };
+  };
+}
+
+// Standard deviation of score; needs two runs before it means anything
+async function scoreSpread(db, goal) {
+  const { sql, params } = goalRunsQuery(goal, 'r.score as value', ['r.score IS NOT NULL']);
+  const result = await db.get(`
+    SELECT AVG(value) as mean, AVG(value * value) as mean_square, COUNT(*) as runs
+    FROM (${sql})
+  `, params);
+  if (result.runs < 2) return { value: null, runs: result.runs };
+  return { value: Math.sqrt(Math.max(0, result.mean_square - result.mean * result.mean)), runs: result.runs };
+}
+
+// Runs that beat the best earlier score on the same task (a task's first run sets, not beats, a PB)
+async function countPersonalBests(db, goal) {
+  const { sql, params } = goalRunsQuery(goal, 'r.task_id, r.played_at, r.score', ['r.score IS NOT NULL']);
+  const result = await db.get(`
+    SELECT
+      COUNT(*) as runs,
+      COALESCE(SUM(w.score > (
+        SELECT MAX(p.score) FROM runs p
+        WHERE p.task_id = w.task_id AND p.is_practice = 0 AND p.played_at < w.played_at
+      )), 0) as value
+    FROM (${sql}) w
+  `, params);
+  return { value: result.value, runs: result.runs };
+}
+
+// Runs per week over the window; windows shorter than a week count as one week
+async function runsPerWeek(db, goal) {
+  const { sql, params } = goalRunsQuery(goal, 'r.played_at');
+  const result = await db.get(`SELECT COUNT(*) as runs, MIN(played_at) as first_played FROM (${sql})`, params);
+
+  let days;
+  if (goal.window_type === 'days') {
+    days = goal.window_size;
+  } else {
+    const start = getWindowStart(goal) || result.first_played;
+    days = start ? (Date.now() - new Date(start).getTime()) / DAY_MS : 0;
+  }
+  return { value: result.runs / (Math.max(days, 7) / 7), runs: result.runs };
+}
+
+// Hours played over the window (runs without a duration add nothing)
+async function totalPlaytime(db, goal) {
+  const { sql, params } = goalRunsQuery(goal, 'r.duration');
+  const result = await db.get(`SELECT COALESCE(SUM(duration), 0) as seconds, COUNT(*) as runs FROM (${sql})`, params);
+  return { value: result.seconds / 3600, runs: result.runs };
+}
+
+// Consecutive days with at least one run, up to today (or yesterday, if today hasn't been played yet)
+async function dayStreak(db, goal) {
+  const { sql, params } = goalRunsQuery({ ...goal, window_type: 'all' }, 'substr(r.played_at, 1, 10) as day');
+  const days = await db.all(`SELECT DISTINCT day FROM (${sql}) ORDER BY day DESC LIMIT 1000`, params);
+  const played = new Set(days.map(d => d.day));
+
+  const cursor = new Date();
+  if (!played.has(localDay(cursor))) cursor.setDate(cursor.getDate() - 1);
+
+  let streak = 0;
+  while (played.has(localDay(cursor))) {
+    streak++;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return { value: streak, runs: days.length };
+}
+
+// Category rating (median percentile of recent ranked runs, 0-1), or the overall rating
+async function rankedRating(db, goal) {
+  if (goal.target_category === 'Overall') {
+    const categoryRatings = {};
+    for (const category of RANKED_CATEGORIES) {
+      categoryRatings[category] = await aggregateCategoryRating(db, category);
+    }
+    const { overall, isProvisional } = computeOverallRating(categoryRatings);
+    const runs = RANKED_CATEGORIES.reduce((sum, category) => sum + categoryRatings[category].totalRuns, 0);
+    return { value: overall, runs, isProvisional };
+  }
+
+  const rating = await aggregateCategoryRating(db, goal.target_category);
+  return { value: rating.rating, runs: rating.totalRuns, isProvisional: rating.isProvisional };
+}
+
+/**
+ * Whether a run on this task can move a ranked goal's rating
+ */
+function affectsRankedGoal(goal, taskName) {
+  const rankedTask = isRankedTask(taskName);
+  if (!rankedTask) return false;
+  return goal.target_category === 'Overall' || rankedTask.category === goal.target_category;
+}
+
+/**
+ * What each goal type measures.
+ * lowerIsBetter: met at or below the target. windows: windows it can use (default all of them;
+ * empty when it ignores the window). taskOnly: only meaningful for a single task.
+ * column: run column an averaged goal is measured on; pacing fits its trend (see pacing.js).
+ * ranked: targets a ranked category (target_category) instead of a task or pack; the value is a
+ * percentile from 0 to 1, and the goal can't be met while the rating is provisional.
+ * timeBased: the value moves with the clock alone, not only when runs are added.
+ */
+const GOAL_TYPES = {
+  accuracy: { measure: average('accuracy'), column: 'accuracy' },
+  score: { measure: average('score'), column: 'score' },
+  ttk: { measure: average('avg_ttk'), column: 'avg_ttk', lowerIsBetter: true },
+  consistency: { measure: scoreSpread, lowerIsBetter: true, taskOnly: true },
+  pb_count: { measure: countPersonalBests, defaultWindow: { type: 'since_created', size: null } },
+  volume: { measure: runsPerWeek, windows: ['days', 'since_created', 'all'], defaultWindow: { type: 'days', size: 7 }, timeBased: true },
+  playtime: { measure: totalPlaytime, windows: ['days', 'since_created', 'all'], defaultWindow: { type: 'days', size: 7 } },
+  streak: { measure: dayStreak, windows: [], timeBased: true },
+  ranked_tier: { measure: rankedRating, windows: [], ranked: true },
+  ranked_percentile: { measure: rankedRating, windows: [], ranked: true }
+};
+
+/**
+ * Read a goal's window from request fields, falling back to the goal type's default
+ *
+ * @returns {{windowType: string, windowSize: number|null, error: string|null}}
+ */
+function parseWindow(goalType, { window_type, window_size } = {}) {
+  const definition = GOAL_TYPES[goalType];
+  const allowed = definition.windows || WINDOW_TYPES;
+  if (allowed.length === 0) {
+    return { windowType: 'all', windowSize: null, error: null };
+  }
+
+  const fallback = definition.defaultWindow || DEFAULT_WINDOW;
+  const windowType = window_type || fallback.type;
+  let windowSize = window_size != null && window_size !== '' ? Number(window_size) : null;
+  if (windowSize === null && windowType === fallback.type) windowSize = fallback.size;
+
+  if (!allowed.includes(windowType)) {
+    return { windowType, windowSize, error: `${goalType} goals can use these windows: ${allowed.join(', ')}` };
+  }
+  const limit = WINDOW_SIZE_LIMITS[windowType];
+  if (limit && (!Number.isInteger(windowSize) || windowSize < 1 || windowSize > limit)) {
+    return { windowType, windowSize, error: `window_size must be a whole number of ${windowType} between 1 and ${limit}` };
+  }
+  return { windowType, windowSize: limit ? windowSize : null, error: null };
+}
+
+/**
+ * Measure a goal over the runs in its scope and window (practice runs excluded)
+ *
+ * @param {object} goal - goals row, or the same fields for a goal that doesn't exist yet
+ * @returns {Promise<{value: number|null, runs: number, isProvisional?: boolean}>} value is null when
+ *          nothing can be measured yet; isProvisional is set for ranked goals without enough ranked runs
+ */
+async function computeGoalValue(db, goal) {
+  const definition = GOAL_TYPES[goal.goal_type];
+  if (!definition) {
+    throw new Error(`Unknown goal type: ${goal.goal_type}`);
+  }
+  return await definition.measure(db, goal);
+}
+
+/**
+ * Whether a goal's value can change without new runs: runs age out of a days window,
+ * a weekly rate spreads over more weeks, a streak breaks on a day without play
+ */
+function dependsOnTime(goal) {
+  return goal.window_type === 'days' || !!GOAL_TYPES[goal.goal_type]?.timeBased;
+}
+
+function isGoalMet(goal, value, { isProvisional = false } = {}) {
+  if (isProvisional) return false;
+  return GOAL_TYPES[goal.goal_type]?.lowerIsBetter
+    ? value <= goal.target_value
+    : value >= goal.target_value;
+}
+
+module.exports = {
+  WINDOW_TYPES,
+  DEFAULT_WINDOW,
+  GOAL_TYPES,
+  GOAL_CATEGORIES,
+  parseWindow,
+  affectsRankedGoal,
+  getWindowStart,
+  goalRunsQuery,
+  computeGoalValue,
+  dependsOnTime,
+  isGoalMet
+};
@@ -1,5 +1,18 @@
 // backend/core/goals/goals.js
 const { getSettingBoolean } = require('../../services/settings');
+const events = require('../../utils/events');
+const { computeGoalValue, isGoalMet, affectsRankedGoal, dependsOnTime } = require('./evaluation');
+const { projectTarget } = require('./pacing');
+
+// Auto-generated goals track recent form, so years of old runs don't hold the average down
+const TASK_GOAL_WINDOW = { window_type: 'runs', window_size: 20 };
+const OVERALL_GOAL_WINDOW = { window_type: 'runs', window_size: 100 };
+
+// Days auto-generated goals get; targets are where the recent trend leads in that time
+const GOAL_TIMEFRAME_DAYS = 30;
+
+// Next scheduled refresh of time-based goals (see scheduleTimeBasedRefresh)
+let timeBasedRefreshTimer = null;
 
 const goals = {
   // Generate simple overall performance goals (not task-specific)
@@ -21,10 +34,7 @@ const goals = {
         SELECT
           t.id as task_id,
           t.name as task_name,
-          COUNT(r.id) as runs,
-          AVG(r.accuracy) as avg_accuracy,
-          AVG(r.score) as avg_score,
-          AVG(r.avg_ttk) as avg_ttk
+          COUNT(r.id) as runs
         FROM tasks t
         JOIN runs r ON r.task_id = t.id
         GROUP BY t.id
@@ -54,6 +64,15 @@ const goals = {
           const taskId = t.task_id;
           const taskName = t.task_name;
 
+          // Baselines over the same window the goal will be measured in
+          const scope = { target_task_id: taskId, ...TASK_GOAL_WINDOW };
+          const [accuracy, score, ttk] = await Promise.all(
+            ['accuracy', 'score', 'ttk'].map(goal_type => computeGoalValue(db, { ...scope, goal_type }))
+          );
+          t.avg_accuracy = accuracy.value;
+          t.avg_score = score.value;
+          t.avg_ttk = ttk.value;
+
           // Determine the best metric to target for this task.
           // Priority: accuracy, score, ttk (lower is better)
           let metric = null;
@@ -73,17 +92,19 @@ const goals = {
 
           if (metric === 'accuracy') {
             currentValue = Number(t.avg_accuracy);
-            targetValue = Math.min(98, Math.round(currentValue + 3));
+            const projected = await projectTarget(db, { ...scope, goal_type: metric }, currentValue, GOAL_TIMEFRAME_DAYS);
+            targetValue = Math.min(98, Number(projected.toFixed(1)));
             title = `Improve ${taskName} Accuracy`;
             description = `Increase your average accuracy on ${taskName} from ${currentValue.toFixed(1)}% to ${targetValue}%`;
           } else if (metric === 'score') {
             currentValue = Number(t.avg_score);
-            targetValue = Math.round(currentValue * 1.1);
+            targetValue = Math.round(await projectTarget(db, { ...scope, goal_type: metric }, currentValue, GOAL_TIMEFRAME_DAYS));
             title = `Boost ${taskName} Score`;
             description = `Increase your average score on ${taskName} from ${Math.round(currentValue)} to ${targetValue}`;
           } else {
             currentValue = Number(t.avg_ttk);
-            targetValue = Number((currentValue * 0.9).toFixed(3));
+            const projected = await projectTarget(db, { ...scope, goal_type: metric }, currentValue, GOAL_TIMEFRAME_DAYS);
+            targetValue = Number(projected.toFixed(3));
             title = `Improve ${taskName} Reaction Speed`;
             description = `Decrease your average TTK on ${taskName} from ${currentValue.toFixed(3)}s to ${targetValue.toFixed(3)}s`;
           }
@@ -94,7 +115,8 @@ const goals = {
             goal_type: metric,
             target_value: targetValue,
             target_task_id: taskId,
-            target_timeframe: 30,
+            target_timeframe: GOAL_TIMEFRAME_DAYS,
+            ...TASK_GOAL_WINDOW,
             is_auto_generated: 1
           });
 
@@ -123,18 +145,17 @@ const goals = {
       const existingTypes = new Set(existingGoals.map(g => g.goal_type));
       console.log('Existing active goal types:', Array.from(existingTypes));
 
-      // Get overall performance stats
-      const overallStats = await db.get(`
-        SELECT 
-          AVG(accuracy) as avg_accuracy,
-          AVG(score) as avg_score,
-          AVG(avg_ttk) as avg_ttk,
-          COUNT(*) as total_runs
-        FROM runs 
-        WHERE accuracy IS NOT NULL AND score IS NOT NULL AND avg_ttk IS NOT NULL
-      `);
-
-      if (!overallStats || !overallStats.avg_accuracy) {
+      // Get overall performance stats over recent runs
+      const [overallAccuracy, overallScore, overallTtk] = await Promise.all(
+        ['accuracy', 'score', 'ttk'].map(goal_type => computeGoalValue(db, { goal_type, ...OVERALL_GOAL_WINDOW }))
+      );
+      const overallStats = {
+        avg_accuracy: overallAccuracy.value,
+        avg_score: overallScore.value,
+        avg_ttk: overallTtk.value
+      };
+
+      if (!overallStats.avg_accuracy) {
         console.log('No valid stats for goal generation');
         return { generated: 0, reason: 'no_stats' };
       }
@@ -142,14 +163,16 @@ const goals = {
 
       // 1. Overall Accuracy Goal (only if not exists)
       if (!existingTypes.has('accuracy') && overallStats.avg_accuracy < 95) {
-        const targetAccuracy = Math.min(95, Math.round(overallStats.avg_accuracy + 5));
+        const projected = await projectTarget(db, { goal_type: 'accuracy', ...OVERALL_GOAL_WINDOW }, overallStats.avg_accuracy, GOAL_TIMEFRAME_DAYS);
+        const targetAccuracy = Math.min(95, Number(projected.toFixed(1)));
         const goalId = await this.createGoal(db, {
           title: `Improve Overall Accuracy`,
           description: `Increase your average accuracy across all tasks from ${overallStats.avg_accuracy.toFixed(1)}% to ${targetAccuracy}%`,
           goal_type: 'accuracy',
           target_value: targetAccuracy,
           target_task_id: null, // Overall, not task-specific
-          target_timeframe: 30,
+          target_timeframe: GOAL_TIMEFRAME_DAYS,
+          ...OVERALL_GOAL_WINDOW,
           is_auto_generated: 1
         });
         
@@ -161,14 +184,17 @@ const goals = {
 
       // 2. Overall Score Goal (only if not exists)
       if (!existingTypes.has('score') && overallStats.avg_score) {
-        const targetScore = Math.round(overallStats.avg_score * 1.15); // 15% improvement
+        const targetScore = Math.round(
+          await projectTarget(db, { goal_type: 'score', ...OVERALL_GOAL_WINDOW }, overallStats.avg_score, GOAL_TIMEFRAME_DAYS)
+        );
         const goalId = await this.createGoal(db, {
           title: `Boost Overall Score`,
           description: `Increase your average score across all tasks from ${Math.round(overallStats.avg_score)} to ${targetScore}`,
           goal_type: 'score',
           target_value: targetScore,
           target_task_id: null,
-          target_timeframe: 30,
+          target_timeframe: GOAL_TIMEFRAME_DAYS,
+          ...OVERALL_GOAL_WINDOW,
           is_auto_generated: 1
         });
         
@@ -180,14 +206,16 @@ const goals = {
 
       // 3. Overall TTK Goal (lower is better, only if not exists)
       if (!existingTypes.has('ttk') && overallStats.avg_ttk && overallStats.avg_ttk > 0.5) {
-        const targetTtk = (overallStats.avg_ttk * 0.9).toFixed(3); // 10% faster
+        const projected = await projectTarget(db, { goal_type: 'ttk', ...OVERALL_GOAL_WINDOW }, overallStats.avg_ttk, GOAL_TIMEFRAME_DAYS);
+        const targetTtk = projected.toFixed(3); // lower is better
         const goalId = await this.createGoal(db, {
           title: `Improve Reaction Speed`,
           description: `Decrease your average TTK across all tasks from ${overallStats.avg_ttk.toFixed(3)}s to ${targetTtk}s`,
           goal_type: 'ttk',
           target_value: parseFloat(targetTtk),
           target_task_id: null,
-          target_timeframe: 30,
+          target_timeframe: GOAL_TIMEFRAME_DAYS,
+          ...OVERALL_GOAL_WINDOW,
           is_auto_generated: 1
         });
         
@@ -209,8 +237,8 @@ const goals = {
   async createGoal(db, goalData) {
     try {
       const result = await db.run(`
-        INSERT INTO goals (title, description, goal_type, target_value, target_task_id, target_timeframe, is_auto_generated)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO goals (title, description, goal_type, target_value, target_task_id, target_timeframe, window_type, window_size, is_auto_generated)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         goalData.title,
         goalData.description,
@@ -218,6 +246,8 @@ const goals = {
         goalData.target_value,
         goalData.target_task_id,
         goalData.target_timeframe,
+        goalData.window_type || 'all',
+        goalData.window_size ?? null,
         goalData.is_auto_generated
       ]);
       
@@ -230,15 +260,24 @@ const goals = {
 
   async initializeGoalProgress(db, goalId, currentValue) {
     try {
-      await db.run(`
+      const result = await db.run(`
         INSERT OR IGNORE INTO goal_progress (goal_id, current_value)
         VALUES (?, ?)
       `, [goalId, currentValue || 0]);
+      if (result.changes > 0) {
+        await this.recordProgressHistory(db, goalId, currentValue || 0);
+      }
     } catch (error) {
       console.error('Failed to initialize goal progress:', error);
     }
   },
 
+  // Append a point to the goal's progress timeline (GET /api/goals/:id/history)
+  async recordProgressHistory(db, goalId, value) {
+    if (value == null) return;
+    await db.run(`INSERT INTO goal_progress_history (goal_id, value) VALUES (?, ?)`, [goalId, value]);
+  },
+
   async getTaskId(db, taskName) {
     try {
       const task = await db.get(`SELECT id FROM tasks WHERE name = ?`, [taskName]);
@@ -251,6 +290,63 @@ const goals = {
 
   // Update goal progress when new runs are added
   async updateGoalProgress(db, runData) {
+    return this.updateGoalsForTasks(db, [runData.task_name]);
+  },
+
+  // Update the goals runs on any of these tasks can move, measuring each goal once
+  async updateGoalsForTasks(db, taskNames) {
+    const names = new Set(taskNames);
+    return this.evaluateGoals(db, async (goal) => {
+      // Determine goal scope
+      const isRankedGoal = !!goal.target_category;
+      const isOverallGoal = !goal.task_name && !goal.pack_id && !isRankedGoal;
+      const isPackGoal = !!goal.pack_id;
+
+      // Check if these runs should update this goal
+      const matchesTask = names.has(goal.task_name);
+      const matchesCategory = isRankedGoal && [...names].some(name => affectsRankedGoal(goal, name));
+
+      // For pack goals, check if any of the tasks is in the pack
+      let matchesPack = false;
+      if (isPackGoal) {
+        const packTasks = await db.all(`
+          SELECT t.name FROM pack_tasks pt
+          JOIN tasks t ON pt.task_id = t.id
+          WHERE pt.pack_id = ?
+        `, [goal.pack_id]);
+        matchesPack = packTasks.some(task => names.has(task.name));
+      }
+
+      return isOverallGoal || matchesTask || matchesPack || matchesCategory;
+    });
+  },
+
+  // Re-measure goals that move without new runs (see dependsOnTime)
+  async refreshTimeBasedGoals(db) {
+    return this.evaluateGoals(db, dependsOnTime);
+  },
+
+  // Refresh time-based goals now and after every local midnight, when streaks break and
+  // days windows move on even if nothing is played
+  scheduleTimeBasedRefresh(db) {
+    if (timeBasedRefreshTimer) clearTimeout(timeBasedRefreshTimer);
+
+    const scheduleNext = () => {
+      const nextDay = new Date();
+      nextDay.setHours(24, 0, 5, 0);
+      timeBasedRefreshTimer = setTimeout(async () => {
+        await this.refreshTimeBasedGoals(db);
+        scheduleNext();
+      }, nextDay - Date.now());
+      timeBasedRefreshTimer.unref?.();
+    };
+
+    scheduleNext();
+    return this.refreshTimeBasedGoals(db);
+  },
+
+  // Re-measure the active, incomplete goals `appliesTo(goal)` selects and record any completions
+  async evaluateGoals(db, appliesTo) {
     try {
       const activeGoals = await db.all(`
         SELECT 
@@ -270,118 +366,22 @@ const goals = {
         let shouldUpdate = false;
         let newValue = goal.current_value;
 
-        // Determine goal scope
-        const isOverallGoal = !goal.task_name && !goal.pack_id;
-        const isTaskGoal = !!goal.task_name;
-        const isPackGoal = !!goal.pack_id;
-        
-        // Check if this run should update this goal
-        const matchesTask = goal.task_name === runData.task_name;
-        
-        // For pack goals, check if the task is in the pack
-        let matchesPack = false;
-        if (isPackGoal) {
-          const packTask = await db.get(`
-            SELECT pt.id FROM pack_tasks pt
-            JOIN tasks t ON pt.task_id = t.id
-            WHERE pt.pack_id = ? AND t.name = ?
-          `, [goal.pack_id, runData.task_name]);
-          matchesPack = !!packTask;
-        }
-
-        switch (goal.goal_type) {
-          case 'accuracy':
-            if (isOverallGoal || matchesTask || matchesPack) {
-              let query, params;
-              
-              if (isOverallGoal) {
-                query = `SELECT AVG(accuracy) as avg_val FROM runs WHERE accuracy IS NOT NULL`;
-                params = [];
-              } else if (isTaskGoal) {
-                query = `SELECT AVG(accuracy) as avg_val FROM runs r
-                         JOIN tasks t ON r.task_id = t.id
-                         WHERE t.name = ? AND accuracy IS NOT NULL`;
-                params = [goal.task_name];
-              } else if (isPackGoal) {
-                query = `SELECT AVG(r.accuracy) as avg_val FROM runs r
-                         JOIN pack_tasks pt ON r.task_id = pt.task_id
-                         WHERE pt.pack_id = ? AND r.accuracy IS NOT NULL`;
-                params = [goal.pack_id];
-              }
-              
-              const result = await db.get(query, params);
-              
-              if (result && result.avg_val != null) {
-                newValue = result.avg_val;
-                shouldUpdate = true;
-              }
-            }
-            break;
-
-          case 'score':
-            if (isOverallGoal || matchesTask || matchesPack) {
-              let query, params;
-              
-              if (isOverallGoal) {
-                query = `SELECT AVG(score) as avg_val FROM runs WHERE score IS NOT NULL`;
-                params = [];
-              } else if (isTaskGoal) {
-                query = `SELECT AVG(score) as avg_val FROM runs r
-                         JOIN tasks t ON r.task_id = t.id
-                         WHERE t.name = ? AND score IS NOT NULL`;
-                params = [goal.task_name];
-              } else if (isPackGoal) {
-                query = `SELECT AVG(r.score) as avg_val FROM runs r
-                         JOIN pack_tasks pt ON r.task_id = pt.task_id
-                         WHERE pt.pack_id = ? AND r.score IS NOT NULL`;
-                params = [goal.pack_id];
-              }
-              
-              const result = await db.get(query, params);
-              
-              if (result && result.avg_val != null) {
-                newValue = result.avg_val;
-                shouldUpdate = true;
-              }
-            }
-            break;
-
-          case 'ttk':
-            if (isOverallGoal || matchesTask || matchesPack) {
-              let query, params;
-              
-              if (isOverallGoal) {
-                query = `SELECT AVG(avg_ttk) as avg_val FROM runs WHERE avg_ttk IS NOT NULL`;
-                params = [];
-              } else if (isTaskGoal) {
-                query = `SELECT AVG(avg_ttk) as avg_val FROM runs r
-                         JOIN tasks t ON r.task_id = t.id
-                         WHERE t.name = ? AND avg_ttk IS NOT NULL`;
-                params = [goal.task_name];
-              } else if (isPackGoal) {
-                query = `SELECT AVG(r.avg_ttk) as avg_val FROM runs r
-                         JOIN pack_tasks pt ON r.task_id = pt.task_id
-                         WHERE pt.pack_id = ? AND r.avg_ttk IS NOT NULL`;
-                params = [goal.pack_id];
-              }
-              
-              const result = await db.get(query, params);
-              
-              if (result && result.avg_val != null) {
-                newValue = result.avg_val;
-                shouldUpdate = true;
-              }
-            }
-            break;
+        let isProvisional = false;
+        if (await appliesTo(goal)) {
+          // Measured over the goal's own window (last N runs, last N days, since created or all runs)
+          const result = await computeGoalValue(db, goal);
+          if (result.value != null) {
+            newValue = result.value;
+            isProvisional = !!result.isProvisional;
+            shouldUpdate = true;
+          }
         }
 
         if (shouldUpdate) {
-          // For TTK (lower is better), completion is when newValue <= target
-          // For others (higher is better), completion is when newValue >= target
-          const isCompleted = goal.goal_type === 'ttk' 
-            ? newValue <= goal.target_value
-            : newValue >= goal.target_value;
-            
+          const isCompleted = isGoalMet(goal, newValue, { isProvisional });
+          // Nothing changed: no write and no new history point
+          if (newValue === goal.current_value && !isCompleted) continue;
+
           await db.run(`
             UPDATE goal_progress 
             SET current_value = ?, is_completed = ?, completed_at = ?, updated_at = datetime('now')
@@ -393,8 +393,19 @@ const goals = {
             goal.id
           ]);
 
+          if (newValue !== goal.current_value) {
+            await this.recordProgressHistory(db, goal.id, newValue);
+          }
+
           if (isCompleted) {
             console.log(`Goal ${goal.id} (${goal.title}) completed!`);
+            events.emitGoalCompleted({
+              goalId: goal.id,
+              title: goal.title,
+              goalType: goal.goal_type,
+              targetValue: goal.target_value,
+              currentValue: newValue
+            });
             
             // Only deactivate and replace auto-generated goals
             // User-created goals stay active but marked as completed
@@ -0,0 +1,140 @@
+// backend/core/goals/pacing.js
+// Projects when a goal will reach its target from the trend of its recent runs (a straight line
+// fitted to the measured value over time), and whether that lands before its deadline: the
+// target_date, or target_timeframe days after the goal was created.
+// Only averaged goals (accuracy, score, ttk) have a per-run value to fit; other types aren't paced.
+
+const { GOAL_TYPES, goalRunsQuery, isGoalMet } = require('./evaluation');
+
+// Recent runs the trend is fitted over
+const TREND_RUNS = 50;
+const MIN_TREND_RUNS = 5;
+
+// Projections further out than this are treated as "not reaching the target"
+const MAX_PROJECTION_DAYS = 365;
+
+// Finishing at least this share of the remaining time early counts as ahead, not just on track
+const AHEAD_MARGIN = 0.25;
+
+// Improvement a generated goal asks for, relative to the current value
+const MIN_IMPROVEMENT = 0.02;
+const MAX_IMPROVEMENT = 0.15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Least-squares line through the measured value of recent runs, with x in days from now
+ *
+ * @returns {Promise<{slope: number, valueNow: number, runs: number}|null>} slope is per day;
+ *          null for goal types without a per-run value or too few runs to fit
+ */
+async function fitTrend(db, goal, now = new Date()) {
+  const column = GOAL_TYPES[goal.goal_type]?.column;
+  if (!column) return null;
+
+  const { sql, params } = goalRunsQuery(
+    { ...goal, window_type: 'runs', window_size: TREND_RUNS },
+    `r.played_at, r.${column} as value`,
+    [`r.${column} IS NOT NULL`]
+  );
+  const rows = await db.all(sql, params);
+  if (rows.length < MIN_TREND_RUNS) return null;
+
+  const points = rows.map(row => ({ x: (new Date(row.played_at) - now) / DAY_MS, y: row.value }));
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+
+  let sxx = 0;
+  let sxy = 0;
+  for (const p of points) {
+    sxx += (p.x - meanX) ** 2;
+    sxy += (p.x - meanX) * (p.y - meanY);
+  }
+  // All runs at the same moment: no trend to speak of
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  return { slope, valueNow: meanY - slope * meanX, runs: points.length };
+}
+
+// goals.created_at is SQLite UTC without a zone; target_date is a local YYYY-MM-DD (end of that day)
+function getDeadline(goal) {
+  if (goal.target_date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(goal.target_date)
+      ? new Date(`${goal.target_date}T23:59:59`)
+      : new Date(goal.target_date);
+  }
+  if (goal.target_timeframe && goal.created_at) {
+    const created = new Date(`${goal.created_at.replace(' ', 'T')}Z`);
+    return new Date(created.getTime() + goal.target_timeframe * DAY_MS);
+  }
+  return null;
+}
+
+/**
+ * When a goal is projected to reach its target, and how that compares with its deadline
+ *
+ * @param {object} goal - goals row with its current_value
+ * @returns {Promise<{status: 'ahead'|'on_track'|'behind'|null, projected_date: string|null,
+ *          deadline: string|null, trend_per_day: number, runs: number}|null>}
+ *          null when the goal can't be paced; status is null without a deadline, and
+ *          projected_date is null when the trend doesn't reach the target
+ */
+async function projectGoal(db, goal, now = new Date()) {
+  const trend = await fitTrend(db, goal, now);
+  if (!trend) return null;
+
+  const lowerIsBetter = GOAL_TYPES[goal.goal_type].lowerIsBetter;
+  const improving = lowerIsBetter ? trend.slope < 0 : trend.slope > 0;
+
+  let projected = null;
+  if ((goal.current_value != null && isGoalMet(goal, goal.current_value)) || isGoalMet(goal, trend.valueNow)) {
+    // Already there, or recent runs are and the goal's average is catching up
+    projected = now;
+  } else if (improving) {
+    const days = (goal.target_value - trend.valueNow) / trend.slope;
+    if (days <= MAX_PROJECTION_DAYS) projected = new Date(now.getTime() + days * DAY_MS);
+  }
+
+  const deadline = getDeadline(goal);
+  let status = null;
+  if (deadline) {
+    if (!projected || projected > deadline) status = 'behind';
+    else if (deadline - projected >= AHEAD_MARGIN * (deadline - now)) status = 'ahead';
+    else status = 'on_track';
+  }
+
+  return {
+    status,
+    projected_date: projected ? projected.toISOString() : null,
+    deadline: deadline ? deadline.toISOString() : null,
+    trend_per_day: trend.slope,
+    runs: trend.runs
+  };
+}
+
+/**
+ * Target a new goal can reach in `days` if the trend of its recent runs holds. It always asks for
+ * some improvement (MIN_IMPROVEMENT), and never more than MAX_IMPROVEMENT, of the current value.
+ *
+ * @param {object} goal - goal_type, scope and window of the goal to be created
+ */
+async function projectTarget(db, goal, currentValue, days) {
+  const direction = GOAL_TYPES[goal.goal_type].lowerIsBetter ? -1 : 1;
+  const trend = await fitTrend(db, goal);
+
+  let improvement = MIN_IMPROVEMENT;
+  if (trend && currentValue) {
+    const projected = trend.valueNow + trend.slope * days;
+    improvement = ((projected - currentValue) * direction) / Math.abs(currentValue);
+  }
+  improvement = Math.min(MAX_IMPROVEMENT, Math.max(MIN_IMPROVEMENT, improvement));
+  return currentValue * (1 + direction * improvement);
+}
+
+module.exports = {
+  fitTrend,
+  getDeadline,
+  projectGoal,
+  projectTarget
+};
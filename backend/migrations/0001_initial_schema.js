@@ -0,0 +1,175 @@
+// Migration with the base schema
+// Creates: tasks, runs, users, goals, goal_progress, packs, pack_tasks, app_settings, sessions, comparisons
+//          and ranked_category_progress tables with their indexes.
+// This used to live in initDb; every statement is IF NOT EXISTS, so databases created before
+// versioned migrations apply it without changes. (The migrations table is created by the runner.)
+
+module.exports = {
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS tasks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE,
+        skill_type TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    // NOTE: rows with NULL hash are allowed, but we also add a UNIQUE index on hash
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id INTEGER REFERENCES tasks(id),
+        hash TEXT,                     -- SHA1 of CSV contents for dedupe
+        filename TEXT,
+        path TEXT,                     -- absolute file path (for backfill)
+        played_at TEXT,                -- ISO
+        score REAL,
+        accuracy REAL,                 -- 0-100
+        hits INTEGER,
+        shots INTEGER,
+        duration REAL,                 -- seconds (if available)
+        score_per_min REAL,            -- derived when possible
+        avg_ttk REAL,
+        overshots INTEGER,
+        reloads INTEGER,
+        fps_avg REAL,
+        meta TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    // User profile table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL DEFAULT 'Player',
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    // Goals table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS goals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        goal_type TEXT NOT NULL,        -- 'accuracy', 'score', 'consistency', 'playtime', 'ttk'
+        target_value REAL NOT NULL,     -- target to achieve
+        target_task_id INTEGER,         -- optional: specific task for goal
+        target_pack_id INTEGER,         -- optional: specific pack for goal
+        target_timeframe INTEGER,       -- optional: days to complete goal
+        target_date TEXT,               -- optional: user-specified completion date
+        is_active BOOLEAN DEFAULT 1,
+        is_auto_generated BOOLEAN DEFAULT 0,
+        is_user_created BOOLEAN DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    // Goal progress tracking
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS goal_progress (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        goal_id INTEGER REFERENCES goals(id),
+        current_value REAL DEFAULT 0,
+        is_completed BOOLEAN DEFAULT 0,
+        completed_at TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now')),
+        UNIQUE(goal_id)
+      )
+    `);
+
+    // Packs table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS packs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        game_focus TEXT,               -- e.g., 'Valorant', 'CS:GO', 'CoD'
+        is_public BOOLEAN DEFAULT 1,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    // Pack tasks relationship
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS pack_tasks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pack_id INTEGER REFERENCES packs(id),
+        task_id INTEGER REFERENCES tasks(id),
+        added_at TEXT DEFAULT (datetime('now')),
+        UNIQUE(pack_id, task_id)
+      )
+    `);
+
+    // App settings table
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS app_settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    // Sessions table - manual session tracking
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        notes TEXT,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        is_active BOOLEAN DEFAULT 1,
+        total_runs INTEGER DEFAULT 0,
+        total_duration REAL DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+
+    // Comparisons table - saved comparison presets
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS comparisons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        left_type TEXT NOT NULL,
+        left_value TEXT NOT NULL,
+        right_type TEXT NOT NULL,
+        right_value TEXT NOT NULL,
+        task_scope TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        last_used_at TEXT
+      )
+    `);
+
+    // Ranked category progress - XP/progress tracking per category
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS ranked_category_progress (
+        category TEXT PRIMARY KEY,
+        xp INTEGER NOT NULL DEFAULT 0,
+        progress_points INTEGER NOT NULL DEFAULT 0,
+        last_updated_at TEXT,
+        last_run_at TEXT,
+        runs_count INTEGER NOT NULL DEFAULT 0,
+        distinct_tasks_count INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    // Create indexes for performance
+    await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS runs_hash_idx ON runs(hash)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS runs_task_time_idx ON runs(task_id, played_at)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS goals_active_idx ON goals(is_active)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS goal_progress_completed_idx ON goal_progress(is_completed)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS pack_tasks_pack_idx ON pack_tasks(pack_id)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS pack_tasks_task_idx ON pack_tasks(task_id)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS sessions_active_idx ON sessions(is_active)`);
+    await db.run(`CREATE INDEX IF NOT EXISTS sessions_time_idx ON sessions(started_at, ended_at)`);
+
+    console.log('   ✓ Created base tables and indexes');
+  }
+
+  // No down: rolling back past the base schema would delete all data
+};
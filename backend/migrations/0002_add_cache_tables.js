@@ -1,4 +1,4 @@
-// backend/config/migrations/add_cache_tables.js
+// backend/migrations/0002_add_cache_tables.js
 // Migration to add performance caching tables
 
 module.exports = {
@@ -23,11 +23,7 @@ module.exports = {
     } catch (err) {
       if (!err.message.includes('duplicate column')) throw err;
     }
-  },
-  
-  down: async (db) => {
-    // SQLite doesn't support DROP COLUMN easily, so rollback would require table recreation
-    // Not implemented for this migration
-    console.log('⚠️  Rollback not supported - SQLite limitation');
   }
+
+  // No down: the columns are part of the base schema (0001) for databases created since, so they stay
 };
@@ -0,0 +1,32 @@
+// Migration to keep a per-file import report
+// Adds: import_log table (latest outcome for every stats file the importers have seen)
+
+module.exports = {
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS import_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        path TEXT NOT NULL UNIQUE,
+        filename TEXT,
+        importer TEXT,                 -- importer id, NULL if no importer claimed the file
+        status TEXT NOT NULL,          -- 'inserted' | 'duplicate' | 'failed'
+        reason TEXT,                   -- why a file failed (or notes on partial imports)
+        runs_inserted INTEGER DEFAULT 0,
+        runs_duplicate INTEGER DEFAULT 0,
+        attempts INTEGER DEFAULT 1,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('   ✓ Created import_log table');
+
+    await db.run(`CREATE INDEX IF NOT EXISTS import_log_status_idx ON import_log(status, last_attempt_at)`);
+    console.log('   ✓ Added index for import log status');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS import_log_status_idx');
+    await db.run('DROP TABLE IF EXISTS import_log');
+    console.log('✅ import_log table removed');
+  }
+};
@@ -0,0 +1,30 @@
+// Migration to keep a history of database health checks
+// Adds: integrity_reports table (one row per IntegrityChecker run, from the app, on startup or after large imports)
+
+module.exports = {
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS integrity_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL,         -- 'manual' | 'fix' | 'startup' | 'import'
+        healthy INTEGER NOT NULL,
+        errors INTEGER DEFAULT 0,
+        warnings INTEGER DEFAULT 0,
+        info INTEGER DEFAULT 0,
+        issues TEXT NOT NULL,          -- JSON array of issues
+        fixes TEXT,                    -- JSON array of auto-fix results applied along with this check
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+    console.log('   ✓ Created integrity_reports table');
+
+    await db.run(`CREATE INDEX IF NOT EXISTS integrity_reports_created_idx ON integrity_reports(created_at DESC)`);
+    console.log('   ✓ Added index for integrity reports');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS integrity_reports_created_idx');
+    await db.run('DROP TABLE IF EXISTS integrity_reports');
+    console.log('✅ integrity_reports table removed');
+  }
+};
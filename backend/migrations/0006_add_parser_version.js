@@ -0,0 +1,30 @@
+// Migration to stamp runs with the parser version that produced them
+// Adds: parser_version column to runs (NULL = parsed before versions were tracked)
+// The importer that produced a run is already recorded in runs.source
+// (source is added by a later migration, so index parser_version alone)
+
+const { dropColumn } = require('../utils/schema');
+
+module.exports = {
+  up: async (db) => {
+    try {
+      await db.run(`ALTER TABLE runs ADD COLUMN parser_version INTEGER DEFAULT NULL`);
+      console.log('   ✓ Added parser_version column to runs table');
+    } catch (err) {
+      if (!err.message.includes('duplicate column')) throw err;
+    }
+
+    try {
+      await db.run(`CREATE INDEX IF NOT EXISTS runs_parser_version_idx ON runs(parser_version)`);
+      console.log('   ✓ Added index for parser version');
+    } catch (err) {
+      console.error('   ⚠️  Index creation failed:', err.message);
+    }
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS runs_parser_version_idx');
+    await dropColumn(db, 'runs', 'parser_version');
+    console.log('✅ parser_version column removed');
+  }
+};
@@ -1,4 +1,4 @@
-// backend/migrations/add_performance_indexes.js
+// backend/migrations/0007_add_performance_indexes.js
 // Add critical indexes for query performance optimization
 
 module.exports = {
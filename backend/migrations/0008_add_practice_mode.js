@@ -1,6 +1,8 @@
 // Migration to add practice mode functionality
 // Adds: is_practice column to runs table
 
+const { dropColumn } = require('../utils/schema');
+
 module.exports = {
   up: async (db) => {
     // Add is_practice column to runs table
@@ -21,7 +23,8 @@ module.exports = {
   },
   
   down: async (db) => {
-    // SQLite doesn't support DROP COLUMN easily, so rollback would require table recreation
-    console.log('⚠️  Rollback not supported - SQLite limitation');
+    await db.run('DROP INDEX IF EXISTS runs_practice_idx');
+    await dropColumn(db, 'runs', 'is_practice');
+    console.log('✅ is_practice column removed from runs table');
   }
 };
@@ -0,0 +1,76 @@
+// Migration to store practice mode history as time intervals
+// Adds: practice_intervals table (started_at, ended_at; open interval while practice mode is on)
+// Backfill: every streak of practice-tagged runs becomes an interval, so recomputing tags keeps them
+
+const { toLocalISOString } = require('../utils/time');
+
+module.exports = {
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS practice_intervals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        origin TEXT NOT NULL DEFAULT 'toggle',
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+    console.log('   ✓ Created practice_intervals table');
+
+    try {
+      await db.run(`CREATE INDEX IF NOT EXISTS practice_intervals_time_idx ON practice_intervals(started_at, ended_at)`);
+      console.log('   ✓ Added index for practice intervals');
+    } catch (err) {
+      console.error('   ⚠️  Index creation failed:', err.message);
+    }
+
+    const existing = await db.get('SELECT COUNT(*) AS count FROM practice_intervals');
+    if (existing.count > 0) return;
+
+    const runs = await db.all(`
+      SELECT played_at, is_practice FROM runs
+      WHERE played_at IS NOT NULL
+      ORDER BY played_at ASC, id ASC
+    `);
+
+    const streaks = [];
+    let current = null;
+    for (const run of runs) {
+      if (run.is_practice) {
+        if (!current) {
+          current = { started_at: run.played_at, ended_at: run.played_at };
+          streaks.push(current);
+        }
+        current.ended_at = run.played_at;
+      } else {
+        current = null;
+      }
+    }
+
+    // Practice mode is on right now: the latest streak (or a new interval) stays open
+    const setting = await db.get(`SELECT value FROM app_settings WHERE key = 'practice_mode_active'`);
+    const practiceActive = setting && (setting.value === 'true' || setting.value === '1');
+    if (practiceActive) {
+      if (current) {
+        current.ended_at = null;
+      } else {
+        streaks.push({ started_at: toLocalISOString(new Date()), ended_at: null });
+      }
+    }
+
+    for (const streak of streaks) {
+      await db.run(
+        `INSERT INTO practice_intervals (started_at, ended_at, origin) VALUES (?, ?, 'backfill')`,
+        [streak.started_at, streak.ended_at]
+      );
+    }
+    if (streaks.length > 0) {
+      console.log(`   ✓ Backfilled ${streaks.length} practice intervals from tagged runs`);
+    }
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS practice_intervals_time_idx');
+    await db.run('DROP TABLE IF EXISTS practice_intervals');
+  }
+};
@@ -0,0 +1,20 @@
+// Migration to remember the last tier of each ranked category
+// Adds: skill_tier column to ranked_category_progress, so tier changes can be announced after a run
+
+const { dropColumn } = require('../utils/schema');
+
+module.exports = {
+  up: async (db) => {
+    try {
+      await db.run(`ALTER TABLE ranked_category_progress ADD COLUMN skill_tier TEXT DEFAULT NULL`);
+      console.log('   ✓ Added skill_tier column to ranked_category_progress table');
+    } catch (err) {
+      if (!err.message.includes('duplicate column')) throw err;
+    }
+  },
+
+  down: async (db) => {
+    await dropColumn(db, 'ranked_category_progress', 'skill_tier');
+    console.log('✅ skill_tier column removed');
+  }
+};
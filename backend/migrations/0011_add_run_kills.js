@@ -0,0 +1,31 @@
+// Migration to store kill-by-kill rows from Kovaak's CSVs
+// Adds: run_kills table linked to runs
+
+module.exports = {
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS run_kills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL REFERENCES runs(id),
+        kill_number INTEGER,
+        timestamp TEXT,                -- raw HH:MM:SS.mmm from the CSV
+        elapsed REAL,                  -- seconds since challenge start (if known)
+        ttk REAL,
+        shots INTEGER,
+        hits INTEGER,
+        accuracy REAL,                 -- 0-100
+        overshots INTEGER
+      )
+    `);
+    console.log('   ✓ Created run_kills table');
+
+    await db.run(`CREATE INDEX IF NOT EXISTS run_kills_run_idx ON run_kills(run_id, kill_number)`);
+    console.log('   ✓ Added index for run kills');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS run_kills_run_idx');
+    await db.run('DROP TABLE IF EXISTS run_kills');
+    console.log('✅ run_kills table removed');
+  }
+};
@@ -0,0 +1,34 @@
+// Migration to tag runs with the aim trainer they were imported from
+// Adds: source column to runs (backfilled from meta.source, Kovaak's for older runs)
+
+const { dropColumn } = require('../utils/schema');
+
+module.exports = {
+  up: async (db) => {
+    try {
+      await db.run(`ALTER TABLE runs ADD COLUMN source TEXT DEFAULT 'kovaaks-csv'`);
+      console.log('   ✓ Added source column to runs table');
+    } catch (err) {
+      if (!err.message.includes('duplicate column')) throw err;
+    }
+
+    await db.run(`
+      UPDATE runs
+      SET source = COALESCE(json_extract(meta, '$.source'), 'kovaaks-csv')
+      WHERE source IS NULL OR source = 'kovaaks-csv'
+    `);
+
+    try {
+      await db.run(`CREATE INDEX IF NOT EXISTS runs_source_idx ON runs(source)`);
+      console.log('   ✓ Added index for run source');
+    } catch (err) {
+      console.error('   ⚠️  Index creation failed:', err.message);
+    }
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS runs_source_idx');
+    await dropColumn(db, 'runs', 'source');
+    console.log('✅ source column removed');
+  }
+};
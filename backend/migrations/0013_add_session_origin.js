@@ -0,0 +1,21 @@
+// Migration to record how a session was created
+// Adds: origin column to sessions table ('manual' = start/end buttons, 'detected' = accepted from play clusters,
+//       'auto' = opened and closed by auto session mode)
+
+const { dropColumn } = require('../utils/schema');
+
+module.exports = {
+  up: async (db) => {
+    try {
+      await db.run(`ALTER TABLE sessions ADD COLUMN origin TEXT DEFAULT 'manual'`);
+      console.log('   ✓ Added origin column to sessions table');
+    } catch (err) {
+      if (!err.message.includes('duplicate column')) throw err;
+    }
+  },
+
+  down: async (db) => {
+    await dropColumn(db, 'sessions', 'origin');
+    console.log('✅ origin column removed from sessions table');
+  }
+};
@@ -1,6 +1,8 @@
 // Migration to add practice mode support to sessions
 // Adds: is_practice column to sessions table
 
+const { dropColumn } = require('../utils/schema');
+
 module.exports = {
   up: async (db) => {
     // Add is_practice column to sessions table
@@ -21,7 +23,8 @@ module.exports = {
   },
   
   down: async (db) => {
-    // SQLite doesn't support DROP COLUMN easily, so rollback would require table recreation
-    console.log('⚠️  Rollback not supported - SQLite limitation');
+    await db.run('DROP INDEX IF EXISTS sessions_practice_idx');
+    await dropColumn(db, 'sessions', 'is_practice');
+    console.log('✅ is_practice column removed from sessions table');
   }
 };
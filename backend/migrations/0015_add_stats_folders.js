@@ -0,0 +1,43 @@
+// Migration to support several watched stats folders
+// Adds: stats_folders table (path, label, importer, enabled flag) and runs.stats_folder_id
+// The configured stats folder is registered as the first folder on the next app start.
+
+const { dropColumn } = require('../utils/schema');
+
+module.exports = {
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS stats_folders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        path TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        importer TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        last_scan_at TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+    console.log('   ✓ Created stats_folders table');
+
+    try {
+      await db.run(`ALTER TABLE runs ADD COLUMN stats_folder_id INTEGER`);
+      console.log('   ✓ Added stats_folder_id column to runs table');
+    } catch (err) {
+      if (!err.message.includes('duplicate column')) throw err;
+    }
+
+    try {
+      await db.run(`CREATE INDEX IF NOT EXISTS runs_stats_folder_idx ON runs(stats_folder_id)`);
+      console.log('   ✓ Added index for run stats folder');
+    } catch (err) {
+      console.error('   ⚠️  Index creation failed:', err.message);
+    }
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS runs_stats_folder_idx');
+    await dropColumn(db, 'runs', 'stats_folder_id');
+    await db.run('DROP TABLE IF EXISTS stats_folders');
+    console.log('✅ stats_folders table and stats_folder_id column removed');
+  }
+};
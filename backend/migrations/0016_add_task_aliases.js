@@ -0,0 +1,41 @@
+// Migration to support merging duplicate tasks
+// Adds: task_aliases table (old/variant names that resolve to a canonical task on import)
+//       task_merges table (undo log: what each merge moved, so it can be reverted)
+
+module.exports = {
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS task_aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alias TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        task_id INTEGER NOT NULL REFERENCES tasks(id),
+        merge_id INTEGER,              -- merge that created the alias, NULL if added by hand
+        created_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+    console.log('   ✓ Created task_aliases table');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS task_merges (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target_task_id INTEGER NOT NULL,
+        source_task_id INTEGER NOT NULL,
+        source_task TEXT NOT NULL,     -- JSON copy of the deleted source task row
+        details TEXT NOT NULL,         -- JSON: ids of moved runs, pack links, goals and aliases
+        merged_at TEXT DEFAULT (datetime('now')),
+        undone_at TEXT
+      )
+    `);
+    console.log('   ✓ Created task_merges table');
+
+    await db.run(`CREATE INDEX IF NOT EXISTS task_aliases_task_idx ON task_aliases(task_id)`);
+    console.log('   ✓ Added index for task aliases');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS task_aliases_task_idx');
+    await db.run('DROP TABLE IF EXISTS task_merges');
+    await db.run('DROP TABLE IF EXISTS task_aliases');
+    console.log('✅ task_aliases and task_merges tables removed');
+  }
+};
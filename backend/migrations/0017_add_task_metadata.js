@@ -0,0 +1,42 @@
+// Migration to store scenario metadata on tasks
+// Adds: duration, weapon and target info read from Kovaak's scenario files,
+//       plus where the task's skill_type came from ('ranked', 'scenario' or 'name')
+
+const { dropColumn } = require('../utils/schema');
+
+const COLUMNS = [
+  ['scenario_duration', 'REAL'],     // seconds (scenario time limit)
+  ['weapon_name', 'TEXT'],
+  ['weapon_type', 'TEXT'],           // 'hitscan' | 'projectile'
+  ['target_count', 'INTEGER'],       // most targets alive at once
+  ['skill_type_source', 'TEXT'],
+  ['metadata_updated_at', 'TEXT']
+];
+
+module.exports = {
+  up: async (db) => {
+    for (const [name, type] of COLUMNS) {
+      try {
+        await db.run(`ALTER TABLE tasks ADD COLUMN ${name} ${type} DEFAULT NULL`);
+        console.log(`   ✓ Added ${name} column to tasks table`);
+      } catch (err) {
+        if (!err.message.includes('duplicate column')) throw err;
+      }
+    }
+
+    try {
+      await db.run(`CREATE INDEX IF NOT EXISTS tasks_skill_type_idx ON tasks(skill_type)`);
+      console.log('   ✓ Added index for task skill type');
+    } catch (err) {
+      console.error('   ⚠️  Index creation failed:', err.message);
+    }
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS tasks_skill_type_idx');
+    for (const [name] of COLUMNS) {
+      await dropColumn(db, 'tasks', name);
+    }
+    console.log('✅ task metadata columns removed');
+  }
+};
@@ -0,0 +1,30 @@
+// Migration to make destructive operations undoable
+// Adds: trash table (JSON copies of deleted sessions, goals and playlists with their dependent rows,
+//       plus bulk clears that point at the safety backup taken before them)
+
+module.exports = {
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS trash (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_type TEXT NOT NULL,       -- 'session', 'goal', 'playlist' or 'clear-data'
+        item_id INTEGER,               -- id of the deleted row, NULL for bulk clears
+        label TEXT NOT NULL,
+        payload TEXT NOT NULL,         -- JSON: { rows: { table: [row, ...] } } or { backupPath, tables }
+        deleted_at TEXT DEFAULT (datetime('now')),
+        expires_at TEXT NOT NULL,
+        restored_at TEXT
+      )
+    `);
+    console.log('   ✓ Created trash table');
+
+    await db.run(`CREATE INDEX IF NOT EXISTS trash_deleted_idx ON trash(deleted_at DESC)`);
+    console.log('   ✓ Added index for trash');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS trash_deleted_idx');
+    await db.run('DROP TABLE IF EXISTS trash');
+    console.log('✅ trash table removed');
+  }
+};
@@ -0,0 +1,30 @@
+// Migration to let goals measure over a window of recent runs instead of all history
+// Adds: goals.window_type ('all' | 'runs' | 'days' | 'since_created'), goals.window_size
+//       (number of runs or days; unused for 'all' and 'since_created')
+
+const { dropColumn } = require('../utils/schema');
+
+module.exports = {
+  up: async (db) => {
+    try {
+      // Existing goals keep measuring over all runs, as they did before
+      await db.run(`ALTER TABLE goals ADD COLUMN window_type TEXT DEFAULT 'all'`);
+      console.log('   ✓ Added window_type column to goals table');
+    } catch (err) {
+      if (!err.message.includes('duplicate column')) throw err;
+    }
+
+    try {
+      await db.run(`ALTER TABLE goals ADD COLUMN window_size INTEGER DEFAULT NULL`);
+      console.log('   ✓ Added window_size column to goals table');
+    } catch (err) {
+      if (!err.message.includes('duplicate column')) throw err;
+    }
+  },
+
+  down: async (db) => {
+    await dropColumn(db, 'goals', 'window_size');
+    await dropColumn(db, 'goals', 'window_type');
+    console.log('✅ goal window columns removed');
+  }
+};
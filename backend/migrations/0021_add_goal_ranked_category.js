@@ -0,0 +1,21 @@
+// Migration for ranked goals ("reach Diamond in Tracking")
+// Adds: goals.target_category (ranked category the goal tracks: 'Flicking', 'Tracking',
+//       'Target Switching' or 'Overall'; NULL for run-based goals)
+
+const { dropColumn } = require('../utils/schema');
+
+module.exports = {
+  up: async (db) => {
+    try {
+      await db.run(`ALTER TABLE goals ADD COLUMN target_category TEXT DEFAULT NULL`);
+      console.log('   ✓ Added target_category column to goals table');
+    } catch (err) {
+      if (!err.message.includes('duplicate column')) throw err;
+    }
+  },
+
+  down: async (db) => {
+    await dropColumn(db, 'goals', 'target_category');
+    console.log('✅ goal ranked category column removed');
+  }
+};
@@ -0,0 +1,25 @@
+// Migration for goal progress history
+// Adds: goal_progress_history (one row each time a goal's value changes, so progress can be charted)
+
+module.exports = {
+  up: async (db) => {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS goal_progress_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        goal_id INTEGER NOT NULL REFERENCES goals(id),
+        value REAL NOT NULL,
+        recorded_at TEXT DEFAULT (datetime('now'))
+      )
+    `);
+    console.log('   ✓ Created goal_progress_history table');
+
+    await db.run(`CREATE INDEX IF NOT EXISTS idx_goal_progress_history_goal ON goal_progress_history(goal_id, recorded_at)`);
+    console.log('   ✓ Added index for goal progress history');
+  },
+
+  down: async (db) => {
+    await db.run('DROP INDEX IF EXISTS idx_goal_progress_history_goal');
+    await db.run('DROP TABLE IF EXISTS goal_progress_history');
+    console.log('✅ goal progress history removed');
+  }
+};
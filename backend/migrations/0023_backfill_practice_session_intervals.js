@@ -0,0 +1,25 @@
+// Migration to give a practice session that is running at upgrade time its practice interval
+// Backfill: the active practice session gets an open 'session' interval from its start, so ending it
+// closes the interval as it does for sessions started after the upgrade
+
+module.exports = {
+  up: async (db) => {
+    const session = await db.get(`SELECT started_at FROM sessions WHERE is_active = 1 AND is_practice = 1 AND started_at IS NOT NULL`);
+    if (!session) return;
+
+    const open = await db.get(`SELECT id FROM practice_intervals WHERE ended_at IS NULL AND origin = 'session'`);
+    if (open) return;
+
+    await db.run(`INSERT INTO practice_intervals (started_at, origin) VALUES (?, 'session')`, [session.started_at]);
+    console.log('   ✓ Backfilled the practice interval of the active practice session');
+  },
+
+  down: async (db) => {
+    // The backfilled interval is the open one starting with the active practice session
+    await db.run(`
+      DELETE FROM practice_intervals
+      WHERE origin = 'session' AND ended_at IS NULL
+        AND started_at IN (SELECT started_at FROM sessions WHERE is_active = 1 AND is_practice = 1)
+    `);
+  }
+};
@@ -0,0 +1,164 @@
+// backend/routes/backups.js
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const { BackupManager } = require('../services/backupManager');
+const CacheManager = require('../services/cacheManager');
+const { setSetting } = require('../services/settings');
+const { refreshWatchedFolders } = require('../core/data-import/watcher');
+const events = require('../utils/events');
+
+// Limits offered for the retention policy (max age 0 = keep regardless of age)
+const MAX_COUNT_RANGE = [1, 365];
+const MAX_AGE_RANGE = [0, 3650];
+
+function formatBackup(backup) {
+    return {
+        filename: backup.filename,
+        reason: backup.reason,
+        size: backup.size,
+        created: backup.created,
+        modified: backup.modified
+    };
+}
+
+function inRange(value, [min, max]) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+module.exports = (db) => {
+    // Backups live next to the database file; an in-memory database has none
+    const hasDbFile = () => !!db.path && db.path !== ':memory:';
+    const getManager = () => new BackupManager(db.path, db);
+
+    router.use((_req, res, next) => {
+        if (!hasDbFile()) {
+            return res.status(503).json({ error: 'Backups are unavailable: database file unknown' });
+        }
+        next();
+    });
+
+    // All backups, newest first
+    router.get('/', async (_req, res) => {
+        try {
+            const backups = await getManager().listBackups();
+            res.json(backups.map(formatBackup));
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to list backups' });
+        }
+    });
+
+    // Count, size and retention policy
+    router.get('/stats', async (_req, res) => {
+        try {
+            const stats = await getManager().getBackupStats();
+            res.json({
+                count: stats.count,
+                totalSize: stats.totalSize,
+                totalSizeMB: stats.totalSizeMB,
+                backupDir: stats.backupDir,
+                oldestBackup: stats.oldestBackup ? formatBackup(stats.oldestBackup) : null,
+                newestBackup: stats.newestBackup ? formatBackup(stats.newestBackup) : null,
+                retention: { maxBackups: stats.maxBackups, maxAgeDays: stats.maxAgeDays }
+            });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fetch backup stats' });
+        }
+    });
+
+    // Create a manual backup
+    router.post('/', async (_req, res) => {
+        try {
+            const manager = getManager();
+            const backupPath = await manager.createBackup('manual');
+            const backup = (await manager.listBackups()).find(b => b.path === backupPath);
+            res.status(201).json({ success: true, backup: backup ? formatBackup(backup) : null });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to create backup' });
+        }
+    });
+
+    // Update the retention policy and apply it right away
+    router.put('/retention', async (req, res) => {
+        try {
+            const { maxBackups, maxAgeDays } = req.body || {};
+            if (maxBackups !== undefined && !inRange(maxBackups, MAX_COUNT_RANGE)) {
+                return res.status(400).json({ error: `maxBackups must be a whole number from ${MAX_COUNT_RANGE[0]} to ${MAX_COUNT_RANGE[1]}` });
+            }
+            if (maxAgeDays !== undefined && !inRange(maxAgeDays, MAX_AGE_RANGE)) {
+                return res.status(400).json({ error: `maxAgeDays must be a whole number from ${MAX_AGE_RANGE[0]} to ${MAX_AGE_RANGE[1]}` });
+            }
+
+            if (maxBackups !== undefined) await setSetting(db, 'backup_max_count', maxBackups);
+            if (maxAgeDays !== undefined) await setSetting(db, 'backup_max_age_days', maxAgeDays);
+
+            const manager = getManager();
+            const removed = await manager.cleanOldBackups();
+            res.json({ success: true, retention: manager.getRetention(), removed });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to update retention policy' });
+        }
+    });
+
+    // Check a backup without restoring it
+    router.get('/:filename/verify', async (req, res) => {
+        try {
+            const manager = getManager();
+            const backup = await manager.getBackup(req.params.filename);
+            if (!backup) {
+                return res.status(404).json({ error: 'Backup not found' });
+            }
+            const { ok, problems } = await manager.verifyBackup(backup.path);
+            res.json({ ok, problems });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to verify backup' });
+        }
+    });
+
+    // Replace the live data with a backup (verified first, a pre-restore backup is taken)
+    router.post('/:filename/restore', async (req, res) => {
+        try {
+            const manager = getManager();
+            const backup = await manager.getBackup(req.params.filename);
+            if (!backup) {
+                return res.status(404).json({ error: 'Backup not found' });
+            }
+
+            const { safetyBackup } = await manager.restoreFromBackup(backup.path);
+
+            // Caches and watched folders follow the restored data
+            await new CacheManager(db).initializeCache();
+            await refreshWatchedFolders(db);
+            events.emitNewRun();
+
+            res.json({ success: true, restored: backup.filename, safetyBackup: path.basename(safetyBackup) });
+        } catch (e) {
+            if (e.code === 'BACKUP_INVALID') {
+                return res.status(422).json({ error: 'Backup failed the integrity check and was not restored', problems: e.problems });
+            }
+            console.error(e);
+            res.status(500).json({ error: 'Failed to restore backup' });
+        }
+    });
+
+    // Delete a backup file
+    router.delete('/:filename', async (req, res) => {
+        try {
+            const removed = await getManager().deleteBackup(req.params.filename);
+            if (!removed) {
+                return res.status(404).json({ error: 'Backup not found' });
+            }
+            res.json({ success: true });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to delete backup' });
+        }
+    });
+
+    return router;
+};
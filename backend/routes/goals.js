@@ -2,8 +2,25 @@
 const express = require('express');
 const router = express.Router();
 const goals = require('../core/goals/goals');
+const { GOAL_TYPES, GOAL_CATEGORIES, parseWindow, computeGoalValue } = require('../core/goals/evaluation');
+const { projectGoal } = require('../core/goals/pacing');
+const { TrashManager } = require('../services/trashManager');
+const { getRankTier, getAllRankTiers } = require('../utils/ranked');
+
+// Ranked goals store percentiles (0-1); rank points run from 0 to 3000
+const MAX_RANK_POINTS = 3000;
 
 module.exports = (db) => {
+    // Tier names for ranked goals, so the client doesn't need the tier table
+    function withRankTiers(goal) {
+        if (!GOAL_TYPES[goal.goal_type]?.ranked) return goal;
+        return {
+            ...goal,
+            current_tier: goal.current_value != null ? getRankTier(goal.current_value).tier : null,
+            target_tier: getRankTier(goal.target_value).tier
+        };
+    }
+
     // Get goals with optional filtering
     router.get('/', async (req, res) => {
         try {
@@ -40,7 +57,14 @@ module.exports = (db) => {
             }
 
             const rows = await db.all(sql, params);
-            res.json(rows);
+
+            // Pacing (ahead / on_track / behind and a projected completion date) for goals still in progress
+            const result = [];
+            for (const row of rows) {
+                const pacing = row.is_completed ? null : await projectGoal(db, row);
+                result.push({ ...withRankTiers(row), pacing });
+            }
+            res.json(result);
         } catch (e) {
             console.error(e);
             res.status(500).json({ error: 'goals query failed' });
@@ -170,6 +194,36 @@ module.exports = (db) => {
         }
     });
 
+    // Current value a goal would start at, for the creation form
+    router.get('/preview', async (req, res) => {
+        try {
+            const { goal_type, target_task_id, target_pack_id, target_category } = req.query;
+            if (!GOAL_TYPES[goal_type]) {
+                return res.status(400).json({ error: 'Invalid goal_type' });
+            }
+            if (GOAL_TYPES[goal_type].ranked && !GOAL_CATEGORIES.includes(target_category)) {
+                return res.status(400).json({ error: `target_category must be one of: ${GOAL_CATEGORIES.join(', ')}` });
+            }
+            const { windowType, windowSize, error } = parseWindow(goal_type, req.query);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const result = await computeGoalValue(db, {
+                goal_type,
+                target_task_id: target_task_id ? parseInt(target_task_id) : null,
+                target_pack_id: target_pack_id ? parseInt(target_pack_id) : null,
+                target_category: target_category || null,
+                window_type: windowType,
+                window_size: windowSize
+            });
+            res.json({ ...result, window_type: windowType, window_size: windowSize });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to preview goal' });
+        }
+    });
+
     // Create a new user goal
     router.post('/create', async (req, res) => {
         try {
@@ -180,70 +234,79 @@ module.exports = (db) => {
                 target_value, 
                 target_task_id, 
                 target_pack_id,
-                time_window,
-                time_window_hours,
-                time_window_type
+                target_category,
+                target_tier,
+                target_date
             } = req.body;
 
-            if (!title || !goal_type || !target_value) {
+            // Tier goals can name the tier ("Diamond"); the target is the percentile it starts at
+            let targetValue = target_value;
+            if (goal_type === 'ranked_tier' && target_tier) {
+                const tier = getAllRankTiers().find(t => t.tier.toLowerCase() === String(target_tier).toLowerCase());
+                if (!tier || tier.minPoints === 0) {
+                    return res.status(400).json({ error: 'target_tier must be a rank tier above Bronze' });
+                }
+                targetValue = tier.minPoints / MAX_RANK_POINTS;
+            }
+
+            if (!title || !goal_type || !targetValue) {
                 return res.status(400).json({ error: 'Missing required fields' });
             }
 
-            const validTypes = ['accuracy', 'score', 'ttk'];
-            if (!validTypes.includes(goal_type)) {
+            if (!GOAL_TYPES[goal_type]) {
                 return res.status(400).json({ error: 'Invalid goal_type' });
             }
 
-            if (!target_task_id && !target_pack_id) {
+            if (GOAL_TYPES[goal_type].ranked) {
+                if (!GOAL_CATEGORIES.includes(target_category)) {
+                    return res.status(400).json({ error: `target_category must be one of: ${GOAL_CATEGORIES.join(', ')}` });
+                }
+                if (!(targetValue > 0 && targetValue <= 1)) {
+                    return res.status(400).json({ error: 'Ranked targets are percentiles between 0 and 1' });
+                }
+            } else if (!target_task_id && !target_pack_id) {
                 return res.status(400).json({ error: 'Must specify either target_task_id or target_pack_id' });
             }
 
-            let currentValue = 0;
-            if (target_task_id) {
-                const stats = await db.get(`
-                    SELECT AVG(CASE 
-                        WHEN ? = 'accuracy' THEN accuracy
-                        WHEN ? = 'score' THEN score
-                        WHEN ? = 'ttk' THEN avg_ttk
-                    END) as current_value
-                    FROM runs
-                    WHERE task_id = ?
-                `, [goal_type, goal_type, goal_type, target_task_id]);
-                currentValue = stats?.current_value || 0;
-            } else if (target_pack_id) {
-                const stats = await db.get(`
-                    SELECT AVG(CASE 
-                        WHEN ? = 'accuracy' THEN r.accuracy
-                        WHEN ? = 'score' THEN r.score
-                        WHEN ? = 'ttk' THEN r.avg_ttk
-                    END) as current_value
-                    FROM runs r
-                    JOIN pack_tasks pt ON r.task_id = pt.task_id
-                    WHERE pt.pack_id = ?
-                `, [goal_type, goal_type, goal_type, target_pack_id]);
-                currentValue = stats?.current_value || 0;
+            if (GOAL_TYPES[goal_type].taskOnly && !target_task_id) {
+                return res.status(400).json({ error: `${goal_type} goals need a target_task_id` });
+            }
+
+            const { windowType, windowSize, error } = parseWindow(goal_type, req.body);
+            if (error) {
+                return res.status(400).json({ error });
             }
 
             const result = await db.run(`
                 INSERT INTO goals (
                     title, description, goal_type, target_value,
-                    target_task_id, target_pack_id,
+                    target_task_id, target_pack_id, target_category, target_date,
+                    window_type, window_size,
                     is_active, is_user_created
-                ) VALUES (?, ?, ?, ?, ?, ?, 1, 1)
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, 1)
             `, [
                 title, 
                 description || null, 
                 goal_type, 
-                target_value,
-                target_task_id || null, 
-                target_pack_id || null
+                targetValue,
+                GOAL_TYPES[goal_type].ranked ? null : target_task_id || null, 
+                GOAL_TYPES[goal_type].ranked ? null : target_pack_id || null,
+                GOAL_TYPES[goal_type].ranked ? target_category : null,
+                target_date || null,
+                windowType,
+                windowSize
             ]);
 
+            // Starting value over the goal's window; null until something can be measured (e.g. an average since creation)
+            const goal = await db.get('SELECT * FROM goals WHERE id = ?', [result.lastID]);
+            const { value: currentValue } = await computeGoalValue(db, goal);
+
             // Create goal_progress entry
             await db.run(`
                 INSERT INTO goal_progress (goal_id, current_value, is_completed)
                 VALUES (?, ?, 0)
             `, [result.lastID, currentValue]);
+            await goals.recordProgressHistory(db, result.lastID, currentValue);
 
             const newGoal = await db.get(`
                 SELECT g.*, gp.current_value, gp.is_completed
@@ -251,13 +314,36 @@ module.exports = (db) => {
                 LEFT JOIN goal_progress gp ON g.id = gp.goal_id
                 WHERE g.id = ?
             `, [result.lastID]);
-            res.json(newGoal);
+            res.json(withRankTiers(newGoal));
         } catch (e) {
             console.error(e);
             res.status(500).json({ error: 'Failed to create goal' });
         }
     });
 
+    // Progress timeline: every value the goal has had, oldest first
+    router.get('/:id/history', async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const goal = await db.get('SELECT id FROM goals WHERE id = ?', [id]);
+            if (!goal) {
+                return res.status(404).json({ error: 'Goal not found' });
+            }
+
+            const points = await db.all(`
+                SELECT value, recorded_at
+                FROM goal_progress_history
+                WHERE goal_id = ?
+                ORDER BY recorded_at, id
+            `, [id]);
+            res.json({ goalId: goal.id, points });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to load goal history' });
+        }
+    });
+
     // Delete a user-created goal
     router.delete('/:id', async (req, res) => {
         try {
@@ -268,8 +354,9 @@ module.exports = (db) => {
                 return res.status(404).json({ error: 'Goal not found' });
             }
 
-            await db.run('DELETE FROM goals WHERE id = ?', [id]);
-            res.json({ success: true, deletedGoalId: id });
+            // Moved to the trash together with its progress, restorable until it expires
+            const entry = await new TrashManager(db).moveToTrash('goal', id);
+            res.json({ success: true, deletedGoalId: id, trashId: entry.id });
         } catch (e) {
             console.error(e);
             res.status(500).json({ error: 'Failed to delete goal' });
@@ -0,0 +1,232 @@
+// backend/routes/import.js
+const express = require('express');
+const fs = require('fs');
+const router = express.Router();
+const { importFile, scanStatsFolders, refreshWatchedFolders, getWatcherStatus } = require('../core/data-import/watcher');
+const importers = require('../core/data-import/importers');
+const statsFolders = require('../core/data-import/statsFolders');
+const { getImportLog, getImportLogEntry, MAX_LOG_ENTRIES } = require('../core/data-import/importLog');
+const { findScenariosFolder, importScenarioMetadata } = require('../core/data-import/scenarioImporter');
+const { getSetting } = require('../services/settings');
+const events = require('../utils/events');
+
+module.exports = (db) => {
+    // Per-file import outcomes (optional ?status=inserted|duplicate|failed&limit=N)
+    router.get('/log', async (req, res) => {
+        try {
+            const { status } = req.query;
+            const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), MAX_LOG_ENTRIES);
+            const log = await getImportLog(db, { status: status || null, limit });
+            res.json(log);
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fetch import log' });
+        }
+    });
+
+    // Retry importing a single file from the log
+    router.post('/log/:id/retry', async (req, res) => {
+        try {
+            const entry = await getImportLogEntry(db, req.params.id);
+            if (!entry) {
+                return res.status(404).json({ error: 'Import log entry not found' });
+            }
+
+            let result = null;
+            try {
+                result = await importFile(db, entry.path);
+            } catch (err) {
+                console.error('Retry import failed:', err.message, 'file:', entry.path);
+            }
+
+            if (result?.isNew) events.emitNewRun();
+
+            const updated = await getImportLogEntry(db, entry.id);
+            res.json({ success: updated.status !== 'failed', entry: updated });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to retry import' });
+        }
+    });
+
+    // Retry every file currently marked as failed
+    router.post('/retry-failed', async (_req, res) => {
+        try {
+            const failed = await db.all(`SELECT id, path FROM import_log WHERE status = 'failed'`);
+            let recovered = 0;
+            let imported = 0;
+
+            for (const entry of failed) {
+                try {
+                    const result = await importFile(db, entry.path);
+                    if (result.status !== 'failed') recovered++;
+                    imported += result.imported;
+                } catch (err) {
+                    console.error('Retry import failed:', err.message, 'file:', entry.path);
+                }
+            }
+
+            if (imported > 0) events.emitNewRun();
+
+            res.json({
+                success: true,
+                attempted: failed.length,
+                recovered,
+                stillFailing: failed.length - recovered,
+                imported
+            });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to retry failed imports' });
+        }
+    });
+
+    // Live watcher health: state, last event/import time, errors and folder reachability
+    router.get('/status', (_req, res) => {
+        res.json(getWatcherStatus());
+    });
+
+    // Registered importers (importer types a stats folder can be limited to)
+    router.get('/importers', (_req, res) => {
+        res.json(importers.getImporters().map(i => ({ id: i.id, name: i.name })));
+    });
+
+    // Watched stats folders with run counts
+    router.get('/folders', async (_req, res) => {
+        try {
+            res.json(await statsFolders.listStatsFolders(db));
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fetch stats folders' });
+        }
+    });
+
+    // Add a stats folder ({ path, label, importer, enabled }); its files are imported in the background
+    router.post('/folders', async (req, res) => {
+        try {
+            const { path: folderPath, label, importer = null, enabled = true } = req.body;
+            if (!folderPath || !String(folderPath).trim()) {
+                return res.status(400).json({ error: 'Folder path is required' });
+            }
+            if (importer && !importers.getImporter(importer)) {
+                return res.status(400).json({ error: `Unknown importer: ${importer}` });
+            }
+
+            const resolved = statsFolders.normalizeFolderPath(folderPath);
+            if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+                return res.status(400).json({ error: 'Folder does not exist' });
+            }
+            const existing = await db.get('SELECT id FROM stats_folders WHERE path = ?', [resolved]);
+            if (existing) {
+                return res.status(409).json({ error: 'This folder is already watched' });
+            }
+
+            const folder = await statsFolders.addStatsFolder(db, { path: resolved, label, importer, enabled });
+            await refreshWatchedFolders(db);
+
+            if (folder.enabled) {
+                scanStatsFolders(db, [folder]).catch(err => console.error('Stats folder scan failed:', err.message));
+            }
+
+            res.json({ success: true, folder });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to add stats folder' });
+        }
+    });
+
+    // Rename, enable/disable or change the importer type of a folder
+    router.put('/folders/:id', async (req, res) => {
+        try {
+            const folder = await statsFolders.getStatsFolder(db, req.params.id);
+            if (!folder) {
+                return res.status(404).json({ error: 'Stats folder not found' });
+            }
+
+            const { label, importer, enabled } = req.body;
+            if (label !== undefined && !String(label).trim()) {
+                return res.status(400).json({ error: 'Label cannot be empty' });
+            }
+            if (importer && !importers.getImporter(importer)) {
+                return res.status(400).json({ error: `Unknown importer: ${importer}` });
+            }
+            const primary = await getSetting(db, 'stats_folder', '');
+            if (enabled === false && primary && statsFolders.normalizeFolderPath(primary) === folder.path) {
+                return res.status(409).json({ error: 'The main stats folder is always watched' });
+            }
+
+            const updated = await statsFolders.updateStatsFolder(db, folder.id, { label, importer, enabled });
+            await refreshWatchedFolders(db);
+
+            // Catch up on files added while the folder was disabled
+            if (!folder.enabled && updated.enabled) {
+                scanStatsFolders(db, [updated], { scan: 'incremental', incremental: true })
+                    .catch(err => console.error('Stats folder scan failed:', err.message));
+            }
+
+            res.json({ success: true, folder: updated });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to update stats folder' });
+        }
+    });
+
+    // Stop watching a folder (its runs are kept)
+    router.delete('/folders/:id', async (req, res) => {
+        try {
+            const folder = await statsFolders.getStatsFolder(db, req.params.id);
+            if (!folder) {
+                return res.status(404).json({ error: 'Stats folder not found' });
+            }
+
+            const primary = await getSetting(db, 'stats_folder', '');
+            if (primary && statsFolders.normalizeFolderPath(primary) === folder.path) {
+                return res.status(409).json({ error: 'This is the main stats folder; change it instead of removing it' });
+            }
+
+            await statsFolders.removeStatsFolder(db, folder.id);
+            await refreshWatchedFolders(db);
+            res.json({ success: true });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to remove stats folder' });
+        }
+    });
+
+    // Full rescan of one folder
+    router.post('/folders/:id/rescan', async (req, res) => {
+        try {
+            const folder = await statsFolders.getStatsFolder(db, req.params.id);
+            if (!folder) {
+                return res.status(404).json({ error: 'Stats folder not found' });
+            }
+            if (!fs.existsSync(folder.path)) {
+                return res.status(400).json({ error: 'Folder does not exist' });
+            }
+
+            const result = await scanStatsFolders(db, [folder]);
+            res.json({ success: true, ...result });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to rescan stats folder' });
+        }
+    });
+
+    // Re-read Kovaak's scenario files and refresh task metadata / skill types
+    router.post('/scenarios', async (_req, res) => {
+        try {
+            const statsFolder = await getSetting(db, 'stats_folder', '');
+            const scenariosFolder = await findScenariosFolder(db, statsFolder);
+            const result = await importScenarioMetadata(scenariosFolder, db);
+
+            if (result.updated > 0 || result.inferred > 0) events.emitNewRun();
+
+            res.json({ success: true, scenariosFolder, ...result });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to import scenario metadata' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,44 @@
+// backend/routes/integrity.js
+const express = require('express');
+const router = express.Router();
+const integrityReports = require('../services/integrityReports');
+const events = require('../utils/events');
+
+module.exports = (db) => {
+    // Run all integrity checks now (the report is added to the history)
+    router.get('/check', async (_req, res) => {
+        try {
+            res.json(await integrityReports.runCheck(db, 'manual'));
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to run integrity checks' });
+        }
+    });
+
+    // Apply every available fix, then check again
+    router.post('/fix', async (_req, res) => {
+        try {
+            const report = await integrityReports.runFix(db);
+            if (report.fixes && report.fixes.some(f => f.success)) {
+                events.emitNewRun();
+            }
+            res.json(report);
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fix integrity issues' });
+        }
+    });
+
+    // Stored reports, newest first (optional ?limit=N)
+    router.get('/reports', async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), integrityReports.REPORT_HISTORY_LIMIT);
+            res.json(await integrityReports.getReportHistory(db, limit));
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fetch integrity reports' });
+        }
+    });
+
+    return router;
+};
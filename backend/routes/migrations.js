@@ -0,0 +1,57 @@
+// backend/routes/migrations.js
+const express = require('express');
+const router = express.Router();
+const { runMigrations, rollbackMigrations, getMigrationStatus } = require('../config/migrationRunner');
+const events = require('../utils/events');
+
+function parseVersion(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return Number(value);
+}
+
+module.exports = (db) => {
+    // Schema version, applied and pending migrations
+    router.get('/status', async (_req, res) => {
+        try {
+            res.json(await getMigrationStatus(db));
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fetch migration status' });
+        }
+    });
+
+    // Apply pending migrations (body: { dryRun, targetVersion })
+    router.post('/migrate', async (req, res) => {
+        try {
+            const { dryRun = false } = req.body || {};
+            const targetVersion = parseVersion(req.body?.targetVersion);
+            if (targetVersion !== null && (!Number.isInteger(targetVersion) || targetVersion < 0)) {
+                return res.status(400).json({ error: 'Target version must be a whole number of 0 or more' });
+            }
+
+            const result = await runMigrations(db, { dryRun: !!dryRun, targetVersion });
+            if (!result.dryRun && result.migrations.length > 0) events.emitNewRun();
+            res.json(result);
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to run migrations' });
+        }
+    });
+
+    // Revert migrations above a version (body: { targetVersion, dryRun })
+    router.post('/rollback', async (req, res) => {
+        try {
+            const { dryRun = false } = req.body || {};
+            const result = await rollbackMigrations(db, parseVersion(req.body?.targetVersion), { dryRun: !!dryRun });
+            if (!result.dryRun && result.migrations.length > 0) events.emitNewRun();
+            res.json(result);
+        } catch (e) {
+            if (e.code === 'INVALID_TARGET') return res.status(400).json({ error: e.message });
+            if (e.code === 'IRREVERSIBLE') return res.status(409).json({ error: e.message });
+            console.error(e);
+            res.status(500).json({ error: 'Failed to roll back migrations' });
+        }
+    });
+
+    return router;
+};
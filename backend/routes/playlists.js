@@ -4,6 +4,8 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const { getSetting } = require('../services/settings');
+const { resolveTaskAlias } = require('../services/taskMerger');
+const { TrashManager } = require('../services/trashManager');
 
 // Get all playlists with task count
 router.get('/', async (req, res) => {
@@ -82,16 +84,18 @@ router.get('/:id/stats', async (req, res) => {
     }
 });
 
-// Delete a playlist
+// Delete a playlist (moved to the trash with its task list, restorable until it expires)
 router.delete('/:id', async (req, res) => {
     try {
         const db = req.app.get('db');
         const playlistId = req.params.id;
         
-        await db.run(`DELETE FROM pack_tasks WHERE pack_id = ?`, [playlistId]);
-        await db.run(`DELETE FROM packs WHERE id = ?`, [playlistId]);
+        const entry = await new TrashManager(db).moveToTrash('playlist', playlistId);
+        if (!entry) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
         
-        res.json({ success: true });
+        res.json({ success: true, trashId: entry.id });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Failed to delete playlist' });
@@ -123,8 +127,9 @@ router.post('/', async (req, res) => {
         
         if (tasks && tasks.length > 0) {
             console.log('🔗 Linking tasks to playlist...');
-            for (const taskName of tasks) {
-                // Case-insensitive task lookup
+            for (const requestedName of tasks) {
+                // Case-insensitive task lookup (merged-away names resolve to the surviving task)
+                const taskName = await resolveTaskAlias(db, requestedName);
                 const task = await db.get(`SELECT id FROM tasks WHERE LOWER(TRIM(name)) = LOWER(?)`, [taskName]);
                 if (task) {
                     await db.run(
@@ -229,8 +234,9 @@ router.post('/create', async (req, res) => {
                 console.log(`✅ Added playlist to database with ID: ${playlistId}`);
                 
                 // Link tasks to playlist
-                for (const scenarioName of scenarios) {
+                for (const rawScenarioName of scenarios) {
                     // Find or create task
+                    const scenarioName = await resolveTaskAlias(db, rawScenarioName);
                     let task = await db.get(
                         'SELECT id FROM tasks WHERE LOWER(TRIM(name)) = LOWER(?)',
                         [scenarioName]
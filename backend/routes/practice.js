@@ -2,6 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const { daysAgoIso } = require('../utils/time');
+const { setPracticeMode, getPracticeIntervals, recomputePracticeFlags } = require('../services/practiceMode');
+const { rebuildAfterImport } = require('../core/data-import/batchImport');
+const events = require('../utils/events');
 
 module.exports = (db) => {
     /**
@@ -37,12 +40,8 @@ module.exports = (db) => {
                 });
             }
             
-            const value = enabled ? '1' : '0';
-            
-            await db.run(
-                `INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)`,
-                ['practice_mode_active', value]
-            );
+            // Also opens/closes the practice interval runs are matched against
+            await setPracticeMode(db, !!enabled);
             
             console.log(`🎯 Practice mode ${enabled ? 'ENABLED' : 'DISABLED'}`);
             res.json({ isPracticeMode: enabled });
@@ -52,6 +51,56 @@ module.exports = (db) => {
         }
     });
 
+    /**
+     * Practice mode history (intervals runs are tagged from)
+     */
+    router.get('/intervals', async (_req, res) => {
+        try {
+            res.json(await getPracticeIntervals(db));
+        } catch (e) {
+            console.error('Error fetching practice intervals:', e);
+            res.status(500).json({ error: 'Failed to fetch practice intervals' });
+        }
+    });
+
+    /**
+     * Re-tag every run as practice or not from the interval history
+     */
+    router.post('/recompute', async (_req, res) => {
+        try {
+            const result = await recomputePracticeFlags(db);
+
+            if (result.changed > 0) {
+                // Stats, goals and ranked progress only count non-practice runs
+                const latestByTask = new Map();
+                for (const taskId of result.taskIds) {
+                    const run = await db.get(`
+                        SELECT t.name AS task_name, r.accuracy, r.score, r.duration, r.played_at
+                        FROM runs r
+                        JOIN tasks t ON t.id = r.task_id
+                        WHERE r.task_id = ? AND r.is_practice = 0
+                        ORDER BY r.played_at DESC
+                        LIMIT 1
+                    `, [taskId]);
+                    if (run) latestByTask.set(run.task_name, run);
+                }
+                await rebuildAfterImport(db, latestByTask);
+                events.emitNewRun();
+            }
+
+            console.log(`🎯 Practice tags recomputed: ${result.changed} of ${result.total} runs changed`);
+            res.json({
+                success: true,
+                total: result.total,
+                changed: result.changed,
+                practiceRuns: result.practiceRuns
+            });
+        } catch (e) {
+            console.error('Error recomputing practice runs:', e);
+            res.status(500).json({ error: 'Failed to recompute practice runs' });
+        }
+    });
+
     /**
      * Get practice mode statistics
      */
@@ -1,13 +1,14 @@
 // backend/routes/runs.js
 const express = require('express');
 const router = express.Router();
-const { daysAgoIso } = require('../utils/time');
+const { daysAgoIso, toLocalISOString } = require('../utils/time');
+const { isRankedTask, scoreToPercentile, percentileToPoints, getRankTier } = require('../utils/ranked');
 
 module.exports = (db) => {
-    // Get runs with optional filters (task, days, limit)
+    // Get runs with optional filters (task, days, limit, source)
     router.get('/', async (req, res) => {
         try {
-            const { task, days, limit } = req.query;
+            const { task, days, limit, source } = req.query;
             const params = [];
             const where = ['r.is_practice = 0'];
 
@@ -15,6 +16,10 @@ module.exports = (db) => {
                 where.push('t.name = ?');
                 params.push(task);
             }
+            if (source) {
+                where.push('r.source = ?');
+                params.push(source);
+            }
             if (days) {
                 const numDays = Number(days);
                 if (numDays === 1) {
@@ -107,6 +112,147 @@ module.exports = (db) => {
         }
     });
 
+    // Get everything captured for a single run (meta, source, ranked, session, neighbours)
+    router.get('/:id', async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const run = await db.get(`
+                SELECT 
+                    r.*,
+                    t.name AS task_name,
+                    CASE 
+                        WHEN r.accuracy <= 1 THEN r.accuracy * 100
+                        ELSE r.accuracy
+                    END as accuracy
+                FROM runs r
+                LEFT JOIN tasks t ON t.id = r.task_id
+                WHERE r.id = ?
+            `, [id]);
+
+            if (!run) {
+                return res.status(404).json({ error: 'Run not found' });
+            }
+
+            let meta = {};
+            try {
+                meta = run.meta ? JSON.parse(run.meta) : {};
+            } catch {
+                meta = {};
+            }
+
+            // Ranked percentile (only for tasks in the ranked pool)
+            let ranked = null;
+            const rankedTaskData = isRankedTask(run.task_name);
+            if (rankedTaskData && run.score != null) {
+                const percentile = scoreToPercentile(rankedTaskData.leaderboardId, run.score);
+                ranked = {
+                    category: rankedTaskData.category,
+                    leaderboardId: rankedTaskData.leaderboardId,
+                    percentile,
+                    points: percentileToPoints(percentile),
+                    tier: getRankTier(percentile)
+                };
+            }
+
+            // Session windows are matched the same way the sessions routes do it
+            const session = await db.get(`
+                SELECT id, name, started_at, ended_at, is_active, is_practice
+                FROM sessions
+                WHERE started_at <= ?
+                  AND COALESCE(ended_at, ?) >= ?
+                  AND COALESCE(is_practice, 0) = ?
+                ORDER BY started_at DESC
+                LIMIT 1
+            `, [run.played_at, toLocalISOString(new Date()), run.played_at, run.is_practice ? 1 : 0]);
+
+            // Previous / next runs of the same task
+            const previous = await db.get(`
+                SELECT id, played_at FROM runs
+                WHERE task_id = ?
+                  AND (played_at < ? OR (played_at = ? AND id < ?))
+                ORDER BY played_at DESC, id DESC
+                LIMIT 1
+            `, [run.task_id, run.played_at, run.played_at, run.id]);
+
+            const next = await db.get(`
+                SELECT id, played_at FROM runs
+                WHERE task_id = ?
+                  AND (played_at > ? OR (played_at = ? AND id > ?))
+                ORDER BY played_at ASC, id ASC
+                LIMIT 1
+            `, [run.task_id, run.played_at, run.played_at, run.id]);
+
+            const kills = await db.get('SELECT COUNT(*) as count FROM run_kills WHERE run_id = ?', [run.id]);
+
+            res.json({
+                ...run,
+                meta,
+                is_practice: run.is_practice ? 1 : 0,
+                ranked,
+                session: session || null,
+                previous_run_id: previous?.id ?? null,
+                next_run_id: next?.id ?? null,
+                kill_count: kills?.count || 0
+            });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fetch run' });
+        }
+    });
+
+    // Get kill-by-kill timeline for a single run
+    router.get('/:id/kills', async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const run = await db.get('SELECT id FROM runs WHERE id = ?', [id]);
+            if (!run) {
+                return res.status(404).json({ error: 'Run not found' });
+            }
+
+            const kills = await db.all(`
+                SELECT 
+                    kill_number,
+                    timestamp,
+                    elapsed,
+                    ttk,
+                    shots,
+                    hits,
+                    accuracy,
+                    overshots
+                FROM run_kills
+                WHERE run_id = ?
+                ORDER BY kill_number ASC, id ASC
+            `, [id]);
+
+            res.json(kills);
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fetch run kills' });
+        }
+    });
+
+    // Re-parse stored files and update changed columns in place (body: { dryRun, limit, source, outdatedOnly })
+    router.post('/reimport', async (req, res) => {
+        const { reimportRuns } = require('../core/data-import/reimport');
+
+        try {
+            const summary = await reimportRuns(db, {
+                dryRun: req.body?.dryRun === true,
+                limit: req.body?.limit != null ? Number(req.body.limit) : null,
+                source: req.body?.source || null,
+                outdatedOnly: req.body?.outdatedOnly === true
+            });
+
+            console.log(`🔁 Reimport ${summary.dryRun ? '(dry run) ' : ''}complete: ${summary.updated} updated, ${summary.unchanged} unchanged`);
+            res.json({ success: true, ...summary });
+        } catch (e) {
+            console.error('Reimport error:', e);
+            res.status(500).json({ error: 'Reimport failed' });
+        }
+    });
+
     // Backfill duration for runs
     router.post('/backfill-duration', async (req, res) => {
         const { parseCsvToRun } = require('../core/data-import/csvParser');
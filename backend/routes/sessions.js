@@ -2,6 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const { toLocalISOString } = require('../utils/time');
+const { detectPlayClusters, createDetectedSessions } = require('../services/sessionDetection');
+const { TrashManager } = require('../services/trashManager');
+const { startPracticeSession, endPracticeSession } = require('../services/practiceMode');
 
 module.exports = (db) => {
     // Start a new training session
@@ -27,6 +30,8 @@ module.exports = (db) => {
             const session = await db.get('SELECT * FROM sessions WHERE id = ?', [result.lastID]);
             
             if (isPracticeMode) {
+                // Runs in the session count as practice even if practice mode is switched off meanwhile
+                await startPracticeSession(db, startedAt);
                 console.log('🎯 Practice session started');
             }
             
@@ -72,6 +77,7 @@ module.exports = (db) => {
             const updated = await db.get('SELECT * FROM sessions WHERE id = ?', [id]);
             
             if (isPractice) {
+                await endPracticeSession(db, endedAt);
                 console.log('🎯 Practice session ended');
             }
             
@@ -82,6 +88,40 @@ module.exports = (db) => {
         }
     });
 
+    // Detect play clusters in the run history that are not covered by a session yet
+    router.get('/detect', async (req, res) => {
+        try {
+            const idleMinutes = Number(req.query.idleMinutes) || undefined;
+            const minRuns = Math.max(1, Number(req.query.minRuns) || 3);
+            const result = await detectPlayClusters(db, { idleMinutes, minRuns });
+            res.json(result);
+        } catch (e) {
+            console.error('Error detecting sessions:', e);
+            res.status(500).json({ error: 'Failed to detect sessions' });
+        }
+    });
+
+    // Create ended sessions from accepted clusters
+    router.post('/detect', async (req, res) => {
+        try {
+            const { sessions } = req.body;
+            if (!Array.isArray(sessions) || sessions.length === 0) {
+                return res.status(400).json({ error: 'sessions must be a non-empty array' });
+            }
+            const invalid = sessions.some(s => !s.started_at || !s.ended_at || s.started_at > s.ended_at);
+            if (invalid) {
+                return res.status(400).json({ error: 'Each session needs started_at before ended_at' });
+            }
+
+            const result = await createDetectedSessions(db, sessions);
+            console.log(`🗂️ Created ${result.created.length} sessions from play history`);
+            res.json({ success: true, ...result });
+        } catch (e) {
+            console.error('Error creating detected sessions:', e);
+            res.status(500).json({ error: 'Failed to create sessions' });
+        }
+    });
+
     // Get all sessions
     router.get('/', async (req, res) => {
         try {
@@ -202,12 +242,22 @@ module.exports = (db) => {
         }
     });
 
-    // Delete session
+    // Delete session (moved to the trash, restorable until it expires)
     router.delete('/:id', async (req, res) => {
         try {
             const { id } = req.params;
-            await db.run('DELETE FROM sessions WHERE id = ?', [id]);
-            res.json({ success: true, deletedSessionId: id });
+
+            // Deleting a running practice session ends its practice interval
+            const session = await db.get('SELECT is_active, is_practice FROM sessions WHERE id = ?', [id]);
+            if (session?.is_active && session.is_practice) {
+                await endPracticeSession(db, toLocalISOString(new Date()));
+            }
+
+            const entry = await new TrashManager(db).moveToTrash('session', id);
+            if (!entry) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            res.json({ success: true, deletedSessionId: id, trashId: entry.id });
         } catch (e) {
             console.error('Error deleting session:', e);
             res.status(500).json({ error: 'Failed to delete session' });
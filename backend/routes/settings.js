@@ -4,7 +4,11 @@ const router = express.Router();
 
 module.exports = (db) => {
     const { getSetting, setSetting } = require('../services/settings');
-    const { scanAllCsvs } = require('../core/data-import/watcher');
+    const { scanStatsFolders, refreshWatchedFolders } = require('../core/data-import/watcher');
+    const { ensurePrimaryStatsFolder, getEnabledStatsFolders } = require('../core/data-import/statsFolders');
+    const { getIdleMinutes } = require('../services/sessionDetection');
+    const { NAMING_MODES, getAutoSessionSettings } = require('../services/autoSessions');
+    const { TrashManager } = require('../services/trashManager');
 
     // Get all application settings
     router.get('/', async (_req, res) => {
@@ -14,6 +18,9 @@ module.exports = (db) => {
             
             const statsFolder = await getSetting(db, 'stats_folder', '');
             const playlistsFolder = await getSetting(db, 'playlists_folder', '');
+            const scenariosFolder = await getSetting(db, 'scenarios_folder', '');
+            const sessionIdleMinutes = await getIdleMinutes(db);
+            const autoSession = await getAutoSessionSettings(db);
             const theme = await getSetting(db, 'theme', 'default');
             const autoGoals = await getSetting(db, 'auto_goals', 'true') === 'true';
             const notifications = await getSetting(db, 'notifications', 'true') === 'true';
@@ -23,6 +30,10 @@ module.exports = (db) => {
                 username,
                 statsFolder,
                 playlistsFolder,
+                scenariosFolder,
+                sessionIdleMinutes,
+                autoSessions: autoSession.enabled,
+                autoSessionNaming: autoSession.naming,
                 theme,
                 autoGoals,
                 notifications,
@@ -37,7 +48,14 @@ module.exports = (db) => {
     // Update settings
     router.post('/', async (req, res) => {
         try {
-            const { username, statsFolder, playlistsFolder, theme, autoGoals, notifications, darkMode } = req.body;
+            const { username, statsFolder, playlistsFolder, scenariosFolder, sessionIdleMinutes, autoSessions, autoSessionNaming, theme, autoGoals, notifications, darkMode } = req.body;
+
+            if (sessionIdleMinutes !== undefined && !(Number(sessionIdleMinutes) > 0)) {
+                return res.status(400).json({ error: 'sessionIdleMinutes must be a positive number' });
+            }
+            if (autoSessionNaming !== undefined && !NAMING_MODES.includes(autoSessionNaming)) {
+                return res.status(400).json({ error: `autoSessionNaming must be one of: ${NAMING_MODES.join(', ')}` });
+            }
             
             if (username !== undefined) {
                 await db.run(`
@@ -47,10 +65,24 @@ module.exports = (db) => {
             }
             if (statsFolder !== undefined) {
                 await setSetting(db, 'stats_folder', statsFolder);
+                await ensurePrimaryStatsFolder(db, statsFolder);
+                await refreshWatchedFolders(db);
             }
             if (playlistsFolder !== undefined) {
                 await setSetting(db, 'playlists_folder', playlistsFolder);
             }
+            if (scenariosFolder !== undefined) {
+                await setSetting(db, 'scenarios_folder', scenariosFolder);
+            }
+            if (sessionIdleMinutes !== undefined) {
+                await setSetting(db, 'session_idle_minutes', String(Number(sessionIdleMinutes)));
+            }
+            if (autoSessionNaming !== undefined) {
+                await setSetting(db, 'auto_session_naming', autoSessionNaming);
+            }
+            if (autoSessions !== undefined) {
+                await setSetting(db, 'auto_sessions', autoSessions ? 'true' : 'false');
+            }
             if (theme !== undefined) {
                 await setSetting(db, 'theme', theme);
             }
@@ -71,33 +103,29 @@ module.exports = (db) => {
         }
     });
 
-    // Clear all data
+    // Clear all data (a safety backup is taken first so the clear can be undone from the trash)
     router.post('/clear-data', async (_req, res) => {
         try {
-            await db.run('DELETE FROM runs');
-            await db.run('DELETE FROM tasks');
-            await db.run('DELETE FROM goals');
-            await db.run('DELETE FROM packs');
-            await db.run('DELETE FROM pack_tasks');
+            const entry = await new TrashManager(db).clearAllData();
             
-            res.json({ success: true, message: 'All data cleared successfully' });
+            res.json({ success: true, message: 'All data cleared successfully', trashId: entry.id });
         } catch (e) {
             console.error(e);
             res.status(500).json({ error: 'Failed to clear data' });
         }
     });
 
-    // Rescan stats folder
+    // Rescan every enabled stats folder
     router.post('/rescan', async (_req, res) => {
         try {
-            const statsFolder = await getSetting(db, 'stats_folder', '');
+            const folders = await getEnabledStatsFolders(db);
             
-            if (!statsFolder) {
+            if (folders.length === 0) {
                 return res.status(400).json({ error: 'Stats folder not configured' });
             }
 
-            console.log('🔄 Starting manual rescan of:', statsFolder);
-            const result = await scanAllCsvs(statsFolder, db);
+            console.log('🔄 Starting manual rescan of:', folders.map(f => f.path).join(', '));
+            const result = await scanStatsFolders(db, folders);
             console.log(`✅ Rescan complete: ${result.newFiles} new, ${result.duplicates} duplicates`);
             
             res.json({ 
@@ -105,6 +133,7 @@ module.exports = (db) => {
                 message: `Scan complete: ${result.newFiles} new runs imported, ${result.duplicates} duplicates skipped`,
                 newFiles: result.newFiles,
                 duplicates: result.duplicates,
+                failed: result.failed,
                 total: result.total
             });
         } catch (e) {
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const CacheManager = require('../services/cacheManager');
 const { daysAgoIso } = require('../utils/time');
+const { getImporter } = require('../core/data-import/importers');
 
 module.exports = (db) => {
     const cacheManager = new CacheManager(db);
@@ -10,10 +11,10 @@ module.exports = (db) => {
     // Get global statistics from cache
     router.get('/global', async (req, res) => {
         try {
-            const { days, pack_id, task } = req.query;
+            const { days, pack_id, task, source, skill_type } = req.query;
             
             // For simple overall stats, use cache
-            if (!days && !pack_id && !task) {
+            if (!days && !pack_id && !task && !source && !skill_type) {
                 const cachedStats = await cacheManager.getOverallStats();
                 return res.json(cachedStats);
             }
@@ -45,12 +46,22 @@ module.exports = (db) => {
                 params.push(task);
             }
             
+            if (source) {
+                whereConditions.push('r.source = ?');
+                params.push(source);
+            }
+            
+            if (skill_type) {
+                whereConditions.push('t.skill_type = ?');
+                params.push(skill_type);
+            }
+            
             const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
             
             let fromClause = 'FROM runs r';
             if (pack_id) {
                 fromClause += ' LEFT JOIN tasks t ON t.id = r.task_id LEFT JOIN pack_tasks pt ON t.id = pt.task_id';
-            } else if (task) {
+            } else if (task || skill_type) {
                 fromClause += ' LEFT JOIN tasks t ON t.id = r.task_id';
             }
 
@@ -87,7 +98,7 @@ module.exports = (db) => {
     // Overall performance history (optimized)
     router.get('/history', async (req, res) => {
         try {
-            const { days, limit = 1000, pack_id } = req.query;
+            const { days, limit = 1000, pack_id, source, skill_type } = req.query;
             
             let whereConditions = ['r.is_practice = 0'];
             const params = [];
@@ -110,6 +121,16 @@ module.exports = (db) => {
                 params.push(parseInt(pack_id));
             }
             
+            if (source) {
+                whereConditions.push('r.source = ?');
+                params.push(source);
+            }
+            
+            if (skill_type) {
+                whereConditions.push('t.skill_type = ?');
+                params.push(skill_type);
+            }
+            
             const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
             
             const history = await db.all(`
@@ -139,6 +160,53 @@ module.exports = (db) => {
         }
     });
 
+    // Trainers that runs were imported from (for the stats source filter)
+    router.get('/sources', async (_req, res) => {
+        try {
+            const rows = await db.all(`
+                SELECT source, COUNT(*) AS runs, MAX(played_at) AS last_played
+                FROM runs
+                WHERE is_practice = 0 AND source IS NOT NULL
+                GROUP BY source
+                ORDER BY runs DESC
+            `);
+
+            res.json(rows.map(row => ({
+                ...row,
+                name: getImporter(row.source)?.name ?? row.source
+            })));
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'sources lookup failed' });
+        }
+    });
+
+    // Per skill type totals (scenario metadata and ranked categories; for the stats skill filter)
+    router.get('/skill-types', async (_req, res) => {
+        try {
+            const rows = await db.all(`
+                SELECT
+                    t.skill_type,
+                    COUNT(DISTINCT t.id) AS tasks,
+                    COUNT(r.id) AS runs,
+                    CASE
+                        WHEN AVG(r.accuracy) <= 1 THEN AVG(r.accuracy) * 100
+                        ELSE AVG(r.accuracy)
+                    END AS avg_accuracy,
+                    MAX(r.played_at) AS last_played
+                FROM tasks t
+                JOIN runs r ON r.task_id = t.id AND r.is_practice = 0
+                WHERE t.skill_type IS NOT NULL AND t.skill_type <> ''
+                GROUP BY t.skill_type
+                ORDER BY runs DESC
+            `);
+            res.json(rows);
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'skill types lookup failed' });
+        }
+    });
+
     // Get task-specific stats from cache
     router.get('/task/:taskId', async (req, res) => {
         try {
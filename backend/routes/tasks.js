@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const { daysAgoIso } = require('../utils/time');
+const { TaskMerger } = require('../services/taskMerger');
 
 module.exports = (db) => {
     // Get all tasks with basic stats
@@ -30,9 +31,11 @@ module.exports = (db) => {
     // Get unique task names for filters
     router.get('/names', async (req, res) => {
         try {
-            const { pack_id } = req.query;
+            const { pack_id, source, skill_type } = req.query;
             let sql;
             const params = [];
+            let sourceFilter = source ? 'AND r.source = ?' : '';
+            if (skill_type) sourceFilter += ' AND t.skill_type = ?';
             
             if (pack_id) {
                 sql = `
@@ -40,7 +43,7 @@ module.exports = (db) => {
                     FROM tasks t
                     INNER JOIN pack_tasks pt ON t.id = pt.task_id
                     INNER JOIN runs r ON r.task_id = t.id
-                    WHERE pt.pack_id = ?
+                    WHERE pt.pack_id = ? ${sourceFilter}
                     ORDER BY t.name
                 `;
                 params.push(pack_id);
@@ -49,9 +52,12 @@ module.exports = (db) => {
                     SELECT DISTINCT t.name
                     FROM tasks t
                     INNER JOIN runs r ON r.task_id = t.id
+                    WHERE 1 = 1 ${sourceFilter}
                     ORDER BY t.name
                 `;
             }
+            if (source) params.push(source);
+            if (skill_type) params.push(skill_type);
             
             const tasks = await db.all(sql, params);
             const taskNames = tasks.map(t => t.name);
@@ -65,7 +71,7 @@ module.exports = (db) => {
     // Task summary (for tasks table)
     router.get('/summary', async (req, res) => {
         try {
-            const { pack_id, days, limit = 50 } = req.query;
+            const { pack_id, days, limit = 50, source, skill_type } = req.query;
             
             let timeFilter = '';
             const params = [];
@@ -83,12 +89,23 @@ module.exports = (db) => {
                 }
             }
             
+            if (source) {
+                timeFilter += ' AND r.source = ?';
+                params.push(source);
+            }
+            
+            if (skill_type) {
+                timeFilter += ' AND t.skill_type = ?';
+                params.push(skill_type);
+            }
+            
             let sql;
             
             if (pack_id) {
                 sql = `
                     SELECT 
                         t.name AS task_name,
+                        t.skill_type,
                         COUNT(r.id) AS runs,
                         ROUND(CASE 
                             WHEN AVG(r.accuracy) <= 1 THEN AVG(r.accuracy) * 100
@@ -121,6 +138,7 @@ module.exports = (db) => {
                 sql = `
                     SELECT 
                         t.name AS task_name,
+                        t.skill_type,
                         COUNT(r.id) AS runs,
                         ROUND(CASE 
                             WHEN AVG(r.accuracy) <= 1 THEN AVG(r.accuracy) * 100
@@ -151,6 +169,87 @@ module.exports = (db) => {
         }
     });
 
+    // Alias names (from merges) and the task they resolve to
+    router.get('/aliases', async (_req, res) => {
+        try {
+            const merger = new TaskMerger(db);
+            res.json(await merger.listAliases());
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fetch task aliases' });
+        }
+    });
+
+    // Likely duplicate tasks (names that differ only by casing, spacing or punctuation)
+    router.get('/duplicates', async (_req, res) => {
+        try {
+            const merger = new TaskMerger(db);
+            res.json(await merger.findDuplicateCandidates());
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to find duplicate tasks' });
+        }
+    });
+
+    // Merge sourceTask into targetTask (both by name)
+    router.post('/merge', async (req, res) => {
+        try {
+            const { targetTask, sourceTask } = req.body || {};
+            if (!targetTask || !sourceTask) {
+                return res.status(400).json({ error: 'targetTask and sourceTask are required' });
+            }
+            if (targetTask === sourceTask) {
+                return res.status(400).json({ error: 'Cannot merge a task into itself' });
+            }
+
+            const merger = new TaskMerger(db);
+            const target = await merger.findTask(targetTask);
+            const source = await merger.findTask(sourceTask);
+            if (!target || !source) {
+                return res.status(404).json({ error: `Task not found: ${!target ? targetTask : sourceTask}` });
+            }
+
+            const merge = await merger.mergeTasks(target, source);
+            res.json({ success: true, merge });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to merge tasks' });
+        }
+    });
+
+    // Merge history (newest first)
+    router.get('/merges', async (req, res) => {
+        try {
+            const limit = Math.min(Number(req.query.limit) || 50, 500);
+            const merger = new TaskMerger(db);
+            res.json(await merger.listMerges(limit));
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fetch task merges' });
+        }
+    });
+
+    // Undo a merge, recreating the merged-away task
+    router.post('/merges/:id/undo', async (req, res) => {
+        try {
+            const merger = new TaskMerger(db);
+            const merge = await db.get('SELECT * FROM task_merges WHERE id = ?', [req.params.id]);
+            if (!merge) {
+                return res.status(404).json({ error: 'Merge not found' });
+            }
+            const blocker = await merger.getUndoBlocker(merge);
+            if (blocker) {
+                return res.status(409).json({ error: blocker });
+            }
+
+            const undone = await merger.undoMerge(merge.id);
+            res.json({ success: true, merge: undone });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to undo merge' });
+        }
+    });
+
     // Best sensitivity settings for a task
     router.get('/:taskName/best-settings', async (req, res) => {
         try {
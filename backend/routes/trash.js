@@ -0,0 +1,74 @@
+// backend/routes/trash.js
+const express = require('express');
+const router = express.Router();
+const { TrashManager, TRASH_RETENTION_DAYS } = require('../services/trashManager');
+const events = require('../utils/events');
+
+module.exports = (db) => {
+    const trash = new TrashManager(db);
+
+    // Deleted items that can still be restored
+    router.get('/', async (_req, res) => {
+        try {
+            res.json({ retentionDays: TRASH_RETENTION_DAYS, items: await trash.listTrash() });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to fetch trash' });
+        }
+    });
+
+    // Undo the most recent destructive action
+    router.post('/undo', async (_req, res) => {
+        try {
+            const entry = await trash.undoLast();
+            events.emitNewRun();
+            res.json({ success: true, restored: entry });
+        } catch (e) {
+            if (e.code === 'NOT_FOUND') return res.status(404).json({ error: e.message });
+            if (e.code === 'RESTORE_BLOCKED') return res.status(409).json({ error: e.message });
+            console.error(e);
+            res.status(500).json({ error: 'Failed to undo' });
+        }
+    });
+
+    // Restore one item
+    router.post('/:id/restore', async (req, res) => {
+        try {
+            const entry = await trash.restore(Number(req.params.id));
+            events.emitNewRun();
+            res.json({ success: true, restored: entry });
+        } catch (e) {
+            if (e.code === 'NOT_FOUND') return res.status(404).json({ error: e.message });
+            if (e.code === 'RESTORE_BLOCKED') return res.status(409).json({ error: e.message });
+            console.error(e);
+            res.status(500).json({ error: 'Failed to restore item' });
+        }
+    });
+
+    // Delete one item permanently
+    router.delete('/:id', async (req, res) => {
+        try {
+            const removed = await trash.purge(Number(req.params.id));
+            if (!removed) {
+                return res.status(404).json({ error: 'Trash item not found' });
+            }
+            res.json({ success: true });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to delete item' });
+        }
+    });
+
+    // Empty the trash
+    router.delete('/', async (_req, res) => {
+        try {
+            const removed = await trash.purge();
+            res.json({ success: true, removed });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Failed to empty trash' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,141 @@
+// backend/services/autoSessions.js
+// Auto session mode. The first freshly played run opens a session, and it is closed at its last run
+// once no new run arrives for the idle threshold (session_idle_minutes, shared with session detection).
+// Only sessions opened here (origin 'auto') are closed automatically; manual sessions are left alone.
+
+const { getSettingBoolean, getSetting } = require('./settings');
+const { getIdleMinutes } = require('./sessionDetection');
+const { toLocalISOString } = require('../utils/time');
+const events = require('../utils/events');
+
+const NAMING_MODES = ['none', 'date', 'playlist'];
+
+async function getAutoSessionSettings(db) {
+    const naming = await getSetting(db, 'auto_session_naming', 'date');
+    return {
+        enabled: await getSettingBoolean(db, 'auto_sessions', false),
+        idleMinutes: await getIdleMinutes(db),
+        naming: NAMING_MODES.includes(naming) ? naming : 'date'
+    };
+}
+
+// e.g. "Evening session · Mon, Oct 19"
+function dateSessionName(startedAt) {
+    const date = new Date(startedAt);
+    const hour = date.getHours();
+    const partOfDay = hour < 5 ? 'Night' : hour < 12 ? 'Morning' : hour < 17 ? 'Afternoon' : hour < 22 ? 'Evening' : 'Night';
+    const day = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    return `${partOfDay} session · ${day}`;
+}
+
+// The playlist most of the session's runs belong to, or null
+async function mainPlaylistName(db, session, endedAt) {
+    const row = await db.get(`
+        SELECT p.name, COUNT(*) AS runs
+        FROM runs r
+        JOIN pack_tasks pt ON pt.task_id = r.task_id
+        JOIN packs p ON p.id = pt.pack_id
+        WHERE r.played_at >= ? AND r.played_at <= ? AND r.is_practice = ?
+        GROUP BY p.id
+        ORDER BY runs DESC, p.name ASC
+        LIMIT 1
+    `, [session.started_at, endedAt, session.is_practice || 0]);
+    return row ? row.name : null;
+}
+
+async function startAutoSession(db, run, naming) {
+    // played_at is when the run finished; the session starts when it began
+    const startedAt = toLocalISOString(new Date(new Date(run.played_at).getTime() - (run.duration || 0) * 1000));
+    const name = naming === 'date' ? dateSessionName(startedAt) : null;
+
+    const result = await db.run(`
+        INSERT INTO sessions (name, started_at, is_active, is_practice, origin)
+        VALUES (?, ?, 1, ?, 'auto')
+    `, [name, startedAt, run.is_practice ? 1 : 0]);
+
+    const session = await db.get('SELECT * FROM sessions WHERE id = ?', [result.lastID]);
+    console.log('🕒 Auto session started');
+    events.emitSessionChanged({ sessionId: session.id, action: 'started', name: session.name });
+    return session;
+}
+
+async function endAutoSession(db, session, naming) {
+    const isPractice = session.is_practice || 0;
+    const last = await db.get(`
+        SELECT MAX(played_at) AS played_at FROM runs
+        WHERE played_at >= ? AND is_practice = ?
+    `, [session.started_at, isPractice]);
+    const endedAt = last?.played_at || session.started_at;
+
+    const stats = await db.get(`
+        SELECT COUNT(*) as total_runs, SUM(duration) as total_duration
+        FROM runs
+        WHERE played_at >= ? AND played_at <= ? AND is_practice = ?
+    `, [session.started_at, endedAt, isPractice]);
+
+    let name = session.name;
+    if (!name && naming === 'playlist') {
+        const playlist = await mainPlaylistName(db, session, endedAt);
+        name = playlist
+            ? `${playlist} · ${new Date(session.started_at).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}`
+            : dateSessionName(session.started_at);
+    }
+
+    await db.run(`
+        UPDATE sessions
+        SET ended_at = ?, is_active = 0, total_runs = ?, total_duration = ?, name = ?
+        WHERE id = ?
+    `, [endedAt, stats.total_runs || 0, stats.total_duration || 0, name, session.id]);
+
+    console.log('🕒 Auto session ended');
+    events.emitSessionChanged({ sessionId: session.id, action: 'ended', name });
+}
+
+/**
+ * Called for every freshly played run the watcher imports
+ *
+ * @param {object} db - Database wrapper
+ * @param {object} run - { played_at, duration, is_practice }
+ */
+async function handleAutoSessionRun(db, run) {
+    const settings = await getAutoSessionSettings(db);
+    if (!settings.enabled || !run.played_at) return;
+
+    const active = await db.get('SELECT * FROM sessions WHERE is_active = 1');
+    if (active) {
+        // Switching practice mode mid-session splits an auto session, since sessions only count one kind of run
+        if (active.origin !== 'auto' || (active.is_practice || 0) === (run.is_practice ? 1 : 0)) return;
+        await endAutoSession(db, active, settings.naming);
+    }
+
+    await startAutoSession(db, run, settings.naming);
+}
+
+/**
+ * Close the active auto session once its last run is older than the idle threshold
+ *
+ * @returns {Promise<boolean>} - Whether a session was closed
+ */
+async function closeIdleAutoSessions(db, now = new Date()) {
+    const active = await db.get(`SELECT * FROM sessions WHERE is_active = 1 AND origin = 'auto'`);
+    if (!active) return false;
+
+    const settings = await getAutoSessionSettings(db);
+    const last = await db.get(`
+        SELECT MAX(played_at) AS played_at FROM runs
+        WHERE played_at >= ? AND is_practice = ?
+    `, [active.started_at, active.is_practice || 0]);
+    const lastActivity = new Date(last?.played_at || active.started_at).getTime();
+
+    if (now.getTime() - lastActivity < settings.idleMinutes * 60000) return false;
+
+    await endAutoSession(db, active, settings.naming);
+    return true;
+}
+
+module.exports = {
+    NAMING_MODES,
+    getAutoSessionSettings,
+    handleAutoSessionRun,
+    closeIdleAutoSessions
+};
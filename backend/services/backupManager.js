@@ -3,13 +3,28 @@
 
 const fs = require('fs');
 const path = require('path');
-const { app } = require('electron');
+const { openReadOnlyDb } = require('../config/database');
+const { IntegrityChecker } = require('./integrityChecker');
+const { TransactionManager } = require('./transactionManager');
+const { getSettingNumber } = require('./settings');
+
+const DEFAULT_MAX_BACKUPS = 30;
+
+// Bookkeeping tables a restore leaves alone: the live schema stays on its migration version
+const RESTORE_SKIP_TABLES = ['migrations', 'sqlite_sequence'];
 
 class BackupManager {
-  constructor(dbPath) {
+  /**
+   * @param {string} dbPath - Database file
+   * @param {object} db - Open database wrapper (optional). Needed for retention settings,
+   *                      consistent copies of a database in WAL mode and live restores.
+   */
+  constructor(dbPath, db = null) {
     this.dbPath = dbPath;
+    this.db = db;
     this.backupDir = path.join(path.dirname(dbPath), 'backups');
-    this.maxBackups = 30; // Keep last 30 backups
+    this.maxBackups = DEFAULT_MAX_BACKUPS; // Keep last 30 backups
+    this.maxAgeDays = 0; // 0 = no age limit
     
     // Ensure backup directory exists
     if (!fs.existsSync(this.backupDir)) {
@@ -29,6 +44,11 @@ class BackupManager {
 
       console.log(`📦 Creating backup: ${backupFileName}`);
 
+      // The copy only sees the main file; flush the WAL into it first so it holds every committed row
+      if (this.db) {
+        await this.db.run('PRAGMA wal_checkpoint(TRUNCATE)');
+      }
+
       // Copy database file
       await fs.promises.copyFile(this.dbPath, backupPath);
 
@@ -82,8 +102,11 @@ class BackupManager {
         .map(f => {
           const fullPath = path.join(this.backupDir, f);
           const stats = fs.statSync(fullPath);
+          // Format: vantage-<reason>-2026-01-10T15-30-00.db
+          const reason = f.match(/^vantage-(.+)-\d{4}-\d{2}-\d{2}T/);
           return {
             filename: f,
+            reason: reason ? reason[1] : 'unknown',
             path: fullPath,
             size: stats.size,
             created: stats.birthtime,
@@ -100,47 +123,212 @@ class BackupManager {
   }
 
   /**
-   * Remove old backups, keeping only the most recent ones
+   * Find a backup by file name (only files inside the backup folder)
+   */
+  async getBackup(filename) {
+    const backups = await this.listBackups();
+    return backups.find(b => b.filename === filename) || null;
+  }
+
+  async deleteBackup(filename) {
+    const backup = await this.getBackup(filename);
+    if (!backup) return false;
+    await fs.promises.unlink(backup.path);
+    console.log(`🗑️ Deleted backup: ${backup.filename}`);
+    return true;
+  }
+
+  /**
+   * Read the retention policy from app settings (backup_max_count, backup_max_age_days)
+   */
+  async loadRetention() {
+    if (!this.db) return this.getRetention();
+    // The daily backup can run before migrations have created app_settings
+    const hasSettings = await this.db.get(`SELECT 1 AS found FROM sqlite_master WHERE type = 'table' AND name = 'app_settings'`);
+    if (!hasSettings) return this.getRetention();
+    const maxBackups = await getSettingNumber(this.db, 'backup_max_count', DEFAULT_MAX_BACKUPS);
+    const maxAgeDays = await getSettingNumber(this.db, 'backup_max_age_days', 0);
+    this.maxBackups = maxBackups > 0 ? Math.floor(maxBackups) : DEFAULT_MAX_BACKUPS;
+    this.maxAgeDays = maxAgeDays > 0 ? maxAgeDays : 0;
+    return this.getRetention();
+  }
+
+  getRetention() {
+    return { maxBackups: this.maxBackups, maxAgeDays: this.maxAgeDays };
+  }
+
+  /**
+   * Safety backups that a "clear all data" in the trash can still be undone from
+   *
+   * @returns {Promise<Set<string>>} - Backup paths
+   */
+  async getHeldBackups() {
+    if (!this.db) return new Set();
+    const hasTrash = await this.db.get(`SELECT 1 AS found FROM sqlite_master WHERE type = 'table' AND name = 'trash'`);
+    if (!hasTrash) return new Set();
+
+    const entries = await this.db.all(`
+      SELECT payload FROM trash
+      WHERE item_type = 'clear-data' AND restored_at IS NULL AND expires_at > datetime('now')
+    `);
+    const held = new Set();
+    for (const entry of entries) {
+      try {
+        const { backupPath } = JSON.parse(entry.payload);
+        if (backupPath) held.add(path.resolve(backupPath));
+      } catch {
+        // Unreadable payload: nothing to hold on to
+      }
+    }
+    return held;
+  }
+
+  /**
+   * Remove old backups, keeping only the most recent ones (the newest backup is always kept).
+   * Backups the trash still needs (getHeldBackups) are kept until their entry expires and don't count.
    */
   async cleanOldBackups() {
     try {
-      const backups = await this.listBackups();
-      
-      if (backups.length > this.maxBackups) {
-        const toDelete = backups.slice(this.maxBackups);
-        
-        for (const backup of toDelete) {
-          await fs.promises.unlink(backup.path);
-          console.log(`🗑️ Deleted old backup: ${backup.filename}`);
-        }
+      await this.loadRetention();
+      const held = await this.getHeldBackups();
+      const backups = (await this.listBackups()).filter(backup => !held.has(path.resolve(backup.path)));
+      const cutoff = this.maxAgeDays > 0 ? Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+      const toDelete = backups.filter((backup, index) =>
+        index > 0 && (index >= this.maxBackups || (cutoff !== null && backup.modified.getTime() < cutoff))
+      );
+
+      for (const backup of toDelete) {
+        await fs.promises.unlink(backup.path);
+        console.log(`🗑️ Deleted old backup: ${backup.filename}`);
       }
+      return toDelete.length;
     } catch (error) {
       console.error('Error cleaning old backups:', error);
+      return 0;
     }
   }
 
   /**
-   * Restore database from backup
+   * Check a backup before it replaces live data: SQLite's own integrity check,
+   * the core tables, and the app's integrity checks (cache drift is ignored, caches are rebuilt after a restore)
+   *
+   * @returns {Promise<{ok: boolean, problems: string[], report: object|null}>}
+   */
+  async verifyBackup(backupPath) {
+    const problems = [];
+    let report = null;
+    let backupDb;
+
+    try {
+      backupDb = await openReadOnlyDb(backupPath);
+    } catch (error) {
+      return { ok: false, problems: [`Backup cannot be opened: ${error.message}`], report };
+    }
+
+    try {
+      let messages;
+      try {
+        messages = (await backupDb.all('PRAGMA integrity_check')).map(row => row.integrity_check);
+      } catch (error) {
+        // Files that are not SQLite databases only fail once they are read
+        return { ok: false, problems: [`Backup is not a readable database: ${error.message}`], report };
+      }
+      if (messages.length !== 1 || messages[0] !== 'ok') {
+        problems.push(`SQLite integrity check failed: ${messages.slice(0, 3).join('; ')}`);
+        return { ok: false, problems, report };
+      }
+
+      const tables = (await backupDb.all(`SELECT name FROM sqlite_master WHERE type = 'table'`)).map(t => t.name);
+      for (const required of ['runs', 'tasks']) {
+        if (!tables.includes(required)) problems.push(`Backup has no ${required} table`);
+      }
+
+      if (problems.length === 0) {
+        try {
+          report = await new IntegrityChecker(backupDb).runAllChecks();
+          report.issues
+            .filter(issue => issue.severity === 'error' && issue.category !== 'cache_sync')
+            .forEach(issue => problems.push(issue.message));
+        } catch (error) {
+          // Backups from older versions may lack newer columns; the SQLite check above still applies
+          console.warn('⚠️  App integrity checks skipped for backup:', error.message);
+        }
+      }
+    } finally {
+      await backupDb.close();
+    }
+
+    return { ok: problems.length === 0, problems, report };
+  }
+
+  /**
+   * Replace the given tables in the live database with their contents in a backup file.
+   * Columns are matched by name, so backups from older schema versions restore into the current schema.
+   */
+  async copyTablesFromBackup(backupPath, tables) {
+    if (!this.db) throw new Error('No open database to restore into');
+
+    await this.db.run('ATTACH DATABASE ? AS backup', [backupPath]);
+    try {
+      await new TransactionManager(this.db).withTransaction(async (tx) => {
+        for (const table of tables) {
+          const backupColumns = await tx.all(`PRAGMA backup.table_info(${table})`);
+          const currentColumns = new Set((await tx.all(`PRAGMA main.table_info(${table})`)).map(c => c.name));
+          if (backupColumns.length === 0 || currentColumns.size === 0) continue;
+          const columns = backupColumns.map(c => c.name).filter(name => currentColumns.has(name)).join(', ');
+
+          await tx.run(`DELETE FROM main.${table}`);
+          await tx.run(`INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM backup.${table}`);
+        }
+      });
+    } finally {
+      await this.db.run('DETACH DATABASE backup');
+    }
+  }
+
+  /**
+   * Restore database from backup.
+   * With an open database the backup is verified first and its tables are copied into the live database;
+   * without one the file is copied over the database (the caller closes the connection first).
+   *
+   * @returns {Promise<{safetyBackup: string, verification: object|null}>}
    */
   async restoreFromBackup(backupPath) {
     try {
       console.log(`🔄 Restoring from backup: ${backupPath}`);
 
-      // Create safety backup before restore
-      await this.createBackup('pre-restore');
-
       // Verify backup file exists
       if (!fs.existsSync(backupPath)) {
         throw new Error(`Backup file not found: ${backupPath}`);
       }
 
-      // Close current database connection first (handled by caller)
-      
-      // Replace database with backup
-      await fs.promises.copyFile(backupPath, this.dbPath);
+      let verification = null;
+      if (this.db) {
+        verification = await this.verifyBackup(backupPath);
+        if (!verification.ok) {
+          const error = new Error(`Backup failed verification: ${verification.problems.join('; ')}`);
+          error.code = 'BACKUP_INVALID';
+          error.problems = verification.problems;
+          throw error;
+        }
+      }
+
+      // Create safety backup before restore
+      const safetyBackup = await this.createBackup('pre-restore');
+
+      if (this.db) {
+        const tables = (await this.db.all(`SELECT name FROM sqlite_master WHERE type = 'table'`))
+          .map(t => t.name)
+          .filter(name => !RESTORE_SKIP_TABLES.includes(name));
+        await this.copyTablesFromBackup(backupPath, tables);
+      } else {
+        // Replace database with backup
+        await fs.promises.copyFile(backupPath, this.dbPath);
+      }
 
       console.log('✅ Database restored successfully');
-      return true;
+      return { safetyBackup, verification };
     } catch (error) {
       console.error('❌ Restore failed:', error);
       throw error;
@@ -155,6 +343,8 @@ class BackupManager {
     const totalSize = backups.reduce((sum, b) => sum + b.size, 0);
     
     return {
+      ...(await this.loadRetention()),
+      backupDir: this.backupDir,
       count: backups.length,
       totalSize: totalSize,
       totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
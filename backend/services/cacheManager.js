@@ -160,6 +160,12 @@ class CacheManager {
 
     // Update all task stats (for initialization)
     async updateAllTaskStats() {
+        // Tasks without counted runs any more (cleared, merged away, only practice) drop out of the cache
+        await this.db.run(`
+            DELETE FROM cached_task_stats
+            WHERE task_id NOT IN (SELECT DISTINCT task_id FROM runs WHERE is_practice = 0)
+        `);
+
         const tasks = await this.db.all(`
             SELECT DISTINCT task_id FROM runs WHERE is_practice = 0
         `);
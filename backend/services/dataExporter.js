@@ -3,6 +3,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getImporters } = require('../core/data-import/importers');
 
 class DataExporter {
   constructor(db) {
@@ -29,8 +30,10 @@ class DataExporter {
 
       // Build export object with calculated stats
       const exportData = {
-        version: '1.0',
+        version: '1.1',
         exported_at: new Date().toISOString(),
+        // Parser version per importer at export time (runs carry their own source/parser_version)
+        parsers: getImporters().reduce((acc, importer) => ({ ...acc, [importer.id]: importer.version }), {}),
         data: data,
         stats: {
           total_runs: data.runs.length,
@@ -77,7 +80,9 @@ class DataExporter {
           r.overshots,
           r.reloads,
           r.fps_avg,
-          r.is_practice
+          r.is_practice,
+          r.source,
+          r.parser_version
         FROM runs r
         JOIN tasks t ON r.task_id = t.id
         ORDER BY r.played_at
@@ -87,7 +92,7 @@ class DataExporter {
       const header = [
         'id', 'task_name', 'played_at', 'score', 'accuracy', 
         'hits', 'shots', 'duration', 'avg_ttk', 'overshots', 
-        'reloads', 'fps_avg', 'is_practice'
+        'reloads', 'fps_avg', 'is_practice', 'source', 'parser_version'
       ];
 
       // Create CSV rows
@@ -132,7 +137,7 @@ class DataExporter {
         throw new Error('Invalid export format');
       }
 
-      const TransactionManager = require('./transactionManager');
+      const { TransactionManager } = require('./transactionManager');
       const txManager = new TransactionManager(this.db);
 
       const results = await txManager.safeImport(importData.data);
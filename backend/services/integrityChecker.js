@@ -1,6 +1,9 @@
 // backend/services/integrityChecker.js
 // Database integrity validation and health checks
 
+const { getOutdatedRuns, reimportRuns } = require('../core/data-import/reimport');
+const CacheManager = require('./cacheManager');
+
 class IntegrityChecker {
   constructor(db) {
     this.db = db;
@@ -20,6 +23,7 @@ class IntegrityChecker {
     await this.checkNullRequiredFields();
     await this.checkGoalProgress();
     await this.checkSessionData();
+    await this.checkOutdatedParserRuns();
     
     return this.generateReport();
   }
@@ -179,6 +183,30 @@ class IntegrityChecker {
     }
   }
 
+  /**
+   * Check for runs produced by an older parser version than the current importers
+   */
+  async checkOutdatedParserRuns() {
+    const outdated = await getOutdatedRuns(this.db);
+    const total = outdated.reduce((sum, row) => sum + row.count, 0);
+
+    if (total > 0) {
+      const breakdown = outdated
+        .map(row => `${row.source || 'unknown'} v${row.parser_version ?? '?'} → v${row.current_version ?? '?'}: ${row.count}`)
+        .join(', ');
+
+      this.issues.push({
+        severity: 'info',
+        category: 'outdated_parser',
+        message: `Found ${total} runs parsed by an outdated parser (${breakdown})`,
+        fixable: true,
+        // Reads every affected stats file and rewrites the runs, so only on request, never at startup
+        manualOnly: true,
+        fix: 'reparseOutdatedRuns'
+      });
+    }
+  }
+
   /**
    * Generate integrity report
    */
@@ -212,35 +240,57 @@ class IntegrityChecker {
 
   /**
    * Attempt to fix known issues automatically
+   *
+   * @param {object} options - { includeManual: also apply fixes marked manualOnly (an explicit fix request) }
+   * @returns {Promise<Array<{fix: string, message: string, success: boolean, error?: string}>>}
    */
-  async autoFixIssues(report) {
+  async autoFixIssues(report, { includeManual = false } = {}) {
     console.log('🔧 Attempting automatic fixes...');
     
-    const fixableIssues = report.issues.filter(i => i.fixable);
+    const fixableIssues = report.issues.filter(i => i.fixable && (includeManual || !i.manualOnly));
+    const results = [];
     
     if (fixableIssues.length === 0) {
       console.log('   No fixable issues found');
-      return;
+      return results;
     }
 
+    // Several issues can share a fix (e.g. both cache checks); run each fix once
+    const applied = new Set();
+
     for (const issue of fixableIssues) {
+      if (applied.has(issue.fix)) continue;
+      applied.add(issue.fix);
+
       try {
         switch (issue.fix) {
           case 'rebuildCache':
             await this.rebuildCache();
             break;
+          case 'createMissingTasks':
+            await this.createMissingTasks();
+            break;
           case 'cleanOrphanedGoalProgress':
             await this.cleanOrphanedGoalProgress();
             break;
           case 'fixSessionEndTimes':
             await this.fixSessionEndTimes();
             break;
+          case 'reparseOutdatedRuns':
+            await this.reparseOutdatedRuns();
+            break;
+          default:
+            throw new Error(`No fix available: ${issue.fix}`);
         }
         console.log(`   ✅ Fixed: ${issue.message}`);
+        results.push({ fix: issue.fix, message: issue.message, success: true });
       } catch (error) {
         console.error(`   ❌ Failed to fix: ${issue.message}`, error);
+        results.push({ fix: issue.fix, message: issue.message, success: false, error: error.message });
       }
     }
+
+    return results;
   }
 
   /**
@@ -248,10 +298,20 @@ class IntegrityChecker {
    */
   async rebuildCache() {
     console.log('   🔄 Rebuilding cache...');
-    
-    // Note: This would trigger the actual cache rebuild logic
-    // For now, just log that it should be done
-    console.log('   ℹ️  Cache rebuild should be triggered by cache initialization');
+    await new CacheManager(this.db).initializeCache();
+  }
+
+  /**
+   * Give runs that point at a missing task a placeholder task so they show up again
+   */
+  async createMissingTasks() {
+    const missing = await this.db.all(`
+      SELECT DISTINCT task_id FROM runs
+      WHERE task_id IS NOT NULL AND task_id NOT IN (SELECT id FROM tasks)
+    `);
+    for (const { task_id } of missing) {
+      await this.db.run('INSERT INTO tasks (id, name) VALUES (?, ?)', [task_id, `Unknown task #${task_id}`]);
+    }
   }
 
   /**
@@ -262,6 +322,10 @@ class IntegrityChecker {
       DELETE FROM goal_progress
       WHERE goal_id NOT IN (SELECT id FROM goals)
     `);
+    await this.db.run(`
+      DELETE FROM goal_progress_history
+      WHERE goal_id NOT IN (SELECT id FROM goals)
+    `);
   }
 
   /**
@@ -275,6 +339,15 @@ class IntegrityChecker {
     `);
   }
 
+  /**
+   * Re-parse runs stamped by an outdated parser from their stored files
+   */
+  async reparseOutdatedRuns() {
+    const summary = await reimportRuns(this.db, { outdatedOnly: true });
+    console.log(`   🔁 Re-parsed outdated runs: ${summary.updated} updated, ${summary.restamped} restamped, ${summary.skippedMissingFile} missing files`);
+    return summary;
+  }
+
   /**
    * Get database statistics
    */
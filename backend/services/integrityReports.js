@@ -0,0 +1,110 @@
+// backend/services/integrityReports.js
+// Stored history of database health checks, and the check that runs after large imports.
+// Imports report how many runs they added; once enough have come in, a check is queued for when
+// importing has been quiet for a moment, so a long initial scan is checked once at the end.
+
+const { IntegrityChecker } = require('./integrityChecker');
+
+const REPORT_HISTORY_LIMIT = 50;
+const LARGE_IMPORT_RUNS = 100;
+const IMPORT_CHECK_DELAY_MS = 60 * 1000;
+
+let importedSinceCheck = 0;
+let importCheckTimer = null;
+
+function formatReport(row) {
+    return {
+        id: row.id,
+        trigger: row.trigger,
+        healthy: !!row.healthy,
+        errors: row.errors,
+        warnings: row.warnings,
+        info: row.info,
+        issues: JSON.parse(row.issues || '[]'),
+        fixes: row.fixes ? JSON.parse(row.fixes) : null,
+        created_at: row.created_at
+    };
+}
+
+/**
+ * Store a report from IntegrityChecker.runAllChecks and trim the history
+ *
+ * @param {string} trigger - 'manual' | 'fix' | 'startup' | 'import'
+ * @param {object[]|null} fixes - Results of autoFixIssues when the check followed a fix
+ */
+async function saveReport(db, report, trigger, fixes = null) {
+    const result = await db.run(`
+        INSERT INTO integrity_reports (trigger, healthy, errors, warnings, info, issues, fixes)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+        trigger,
+        report.healthy ? 1 : 0,
+        report.errors,
+        report.warnings,
+        report.info,
+        JSON.stringify(report.issues),
+        fixes ? JSON.stringify(fixes) : null
+    ]);
+
+    await db.run(`
+        DELETE FROM integrity_reports
+        WHERE id NOT IN (SELECT id FROM integrity_reports ORDER BY id DESC LIMIT ?)
+    `, [REPORT_HISTORY_LIMIT]);
+
+    return formatReport(await db.get('SELECT * FROM integrity_reports WHERE id = ?', [result.lastID]));
+}
+
+async function getReportHistory(db, limit = 20) {
+    const rows = await db.all('SELECT * FROM integrity_reports ORDER BY id DESC LIMIT ?', [limit]);
+    return rows.map(formatReport);
+}
+
+async function runCheck(db, trigger) {
+    const report = await new IntegrityChecker(db).runAllChecks();
+    return await saveReport(db, report, trigger);
+}
+
+/**
+ * Fix what can be fixed, then check again; the stored report shows what is left and what was done
+ */
+async function runFix(db) {
+    const checker = new IntegrityChecker(db);
+    const before = await checker.runAllChecks();
+    const fixes = await checker.autoFixIssues(before, { includeManual: true });
+    const after = await checker.runAllChecks();
+    return await saveReport(db, after, 'fix', fixes);
+}
+
+/**
+ * Called by imports with the number of runs they added
+ */
+function noteImportedRuns(db, count) {
+    if (!count) return;
+    importedSinceCheck += count;
+    if (importedSinceCheck < LARGE_IMPORT_RUNS) return;
+
+    // Restart the delay on every import so a check never runs in the middle of a scan
+    if (importCheckTimer) clearTimeout(importCheckTimer);
+    importCheckTimer = setTimeout(async () => {
+        importCheckTimer = null;
+        const imported = importedSinceCheck;
+        importedSinceCheck = 0;
+        try {
+            console.log(`🩺 Checking database health after importing ${imported} runs`);
+            await runCheck(db, 'import');
+        } catch (err) {
+            console.error('Scheduled integrity check failed:', err.message);
+        }
+    }, IMPORT_CHECK_DELAY_MS);
+    importCheckTimer.unref?.();
+}
+
+module.exports = {
+    REPORT_HISTORY_LIMIT,
+    LARGE_IMPORT_RUNS,
+    saveReport,
+    getReportHistory,
+    runCheck,
+    runFix,
+    noteImportedRuns
+};
@@ -1,4 +1,6 @@
 // backend/services/packs.js
+const { resolveTaskAlias } = require('./taskMerger');
+
 const packs = {
   // Initialize default packs for popular games
   async initializeDefaultPacks(db) {
@@ -28,8 +30,9 @@ const packs = {
         }
 
         // Add tasks to pack
-        for (const taskName of packData.tasks) {
-          // Find or create task
+        for (const packTaskName of packData.tasks) {
+          // Find or create task (merged-away names resolve to the surviving task)
+          const taskName = await resolveTaskAlias(db, packTaskName);
           await db.run(`INSERT OR IGNORE INTO tasks (name) VALUES (?)`, [taskName]);
           const task = await db.get(`SELECT id FROM tasks WHERE name = ?`, [taskName]);
           
@@ -80,7 +83,8 @@ const packs = {
       
       // Add tasks to pack
       if (packData.tasks && Array.isArray(packData.tasks)) {
-        for (const taskName of packData.tasks) {
+        for (const packTaskName of packData.tasks) {
+          const taskName = await resolveTaskAlias(db, packTaskName);
           await db.run(`INSERT OR IGNORE INTO tasks (name) VALUES (?)`, [taskName]);
           const task = await db.get(`SELECT id FROM tasks WHERE name = ?`, [taskName]);
           
@@ -0,0 +1,122 @@
+// backend/services/practiceMode.js
+// Practice mode history. Every time practice mode is switched on an interval is opened, and it is
+// closed when practice mode goes off. Practice sessions get an interval of their own (origin 'session')
+// for as long as they run, so their runs stay practice runs whatever the toggle does.
+// A run is a practice run if its played_at falls inside an interval, no matter when its file is imported.
+
+const { setSetting } = require('./settings');
+const { toLocalISOString } = require('../utils/time');
+
+// SQL flag (1/0): the `runs` row was played while practice mode was on
+const PRACTICE_AT_RUN_SQL = `(CASE WHEN EXISTS (
+    SELECT 1 FROM practice_intervals p
+    WHERE p.started_at <= runs.played_at
+      AND (p.ended_at IS NULL OR p.ended_at >= runs.played_at)
+) THEN 1 ELSE 0 END)`;
+
+/**
+ * Switch practice mode and record the change in the interval history
+ *
+ * @param {object} db - Database wrapper
+ * @param {boolean} enabled - New state
+ * @param {Date} at - When the switch happened (defaults to now)
+ */
+async function setPracticeMode(db, enabled, at = new Date()) {
+    const timestamp = toLocalISOString(at);
+    // Everything but session intervals follows the toggle, including the one migration 0009 left open
+    const open = await db.get(`SELECT id FROM practice_intervals WHERE ended_at IS NULL AND origin <> 'session' ORDER BY started_at DESC LIMIT 1`);
+
+    if (enabled && !open) {
+        await db.run(`INSERT INTO practice_intervals (started_at, origin) VALUES (?, 'toggle')`, [timestamp]);
+    } else if (!enabled && open) {
+        await db.run(`UPDATE practice_intervals SET ended_at = ? WHERE ended_at IS NULL AND origin <> 'session'`, [timestamp]);
+    }
+
+    await setSetting(db, 'practice_mode_active', enabled ? '1' : '0');
+}
+
+/**
+ * Open the interval of a practice session that is starting
+ *
+ * @param {string} startedAt - Local ISO timestamp the session started at
+ */
+async function startPracticeSession(db, startedAt) {
+    await db.run(`UPDATE practice_intervals SET ended_at = ? WHERE ended_at IS NULL AND origin = 'session'`, [startedAt]);
+    await db.run(`INSERT INTO practice_intervals (started_at, origin) VALUES (?, 'session')`, [startedAt]);
+}
+
+/**
+ * Close the interval of the practice session that is ending
+ *
+ * @param {string} endedAt - Local ISO timestamp the session ended at
+ */
+async function endPracticeSession(db, endedAt) {
+    await db.run(`UPDATE practice_intervals SET ended_at = ? WHERE ended_at IS NULL AND origin = 'session'`, [endedAt]);
+}
+
+/**
+ * All intervals, oldest first (ended_at is null for the interval that is still open)
+ */
+async function getPracticeIntervals(db) {
+    return await db.all('SELECT * FROM practice_intervals ORDER BY started_at ASC, id ASC');
+}
+
+/**
+ * Whether practice mode was on at a given time
+ *
+ * @param {object[]} intervals - From getPracticeIntervals (load once per import batch)
+ * @param {string} playedAt - Local ISO timestamp of the run
+ */
+function isPracticeAt(intervals, playedAt) {
+    if (!playedAt) return false;
+    return intervals.some(i => i.started_at <= playedAt && (i.ended_at === null || i.ended_at >= playedAt));
+}
+
+async function wasPracticeModeAt(db, playedAt) {
+    if (!playedAt) return false;
+    const row = await db.get(`
+        SELECT 1 AS hit FROM practice_intervals
+        WHERE started_at <= ? AND (ended_at IS NULL OR ended_at >= ?)
+        LIMIT 1
+    `, [playedAt, playedAt]);
+    return !!row;
+}
+
+/**
+ * Re-tag every run from the interval history
+ *
+ * @returns {Promise<{total: number, changed: number, practiceRuns: number, taskIds: number[]}>}
+ */
+async function recomputePracticeFlags(db) {
+    const changedRows = await db.all(`
+        SELECT id, task_id
+        FROM runs
+        WHERE COALESCE(is_practice, 0) <> ${PRACTICE_AT_RUN_SQL}
+    `);
+
+    if (changedRows.length > 0) {
+        await db.run(`
+            UPDATE runs
+            SET is_practice = ${PRACTICE_AT_RUN_SQL}
+            WHERE COALESCE(is_practice, 0) <> ${PRACTICE_AT_RUN_SQL}
+        `);
+    }
+
+    const totals = await db.get(`SELECT COUNT(*) AS total, SUM(CASE WHEN is_practice = 1 THEN 1 ELSE 0 END) AS practice FROM runs`);
+    return {
+        total: totals.total,
+        changed: changedRows.length,
+        practiceRuns: totals.practice || 0,
+        taskIds: [...new Set(changedRows.map(r => r.task_id))]
+    };
+}
+
+module.exports = {
+    setPracticeMode,
+    startPracticeSession,
+    endPracticeSession,
+    getPracticeIntervals,
+    isPracticeAt,
+    wasPracticeModeAt,
+    recomputePracticeFlags
+};
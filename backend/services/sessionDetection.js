@@ -0,0 +1,152 @@
+// backend/services/sessionDetection.js
+// Finds sessions after the fact. Runs are grouped into play clusters wherever the gap between two
+// consecutive runs is shorter than the idle threshold; practice and normal runs are clustered
+// separately, the same way sessions only count runs with their own is_practice flag.
+
+const { getSettingNumber } = require('./settings');
+const { toLocalISOString } = require('../utils/time');
+
+const DEFAULT_IDLE_MINUTES = 30;
+
+async function getIdleMinutes(db) {
+    const minutes = await getSettingNumber(db, 'session_idle_minutes', DEFAULT_IDLE_MINUTES);
+    return minutes > 0 ? minutes : DEFAULT_IDLE_MINUTES;
+}
+
+function gapMinutes(from, to) {
+    return (new Date(to).getTime() - new Date(from).getTime()) / 60000;
+}
+
+/**
+ * Group runs (ordered by played_at) into clusters
+ *
+ * @param {object[]} runs - Rows with played_at, duration, task_name
+ * @param {number} idleMinutes - A longer gap between two runs starts a new cluster
+ */
+function clusterRuns(runs, idleMinutes) {
+    const clusters = [];
+    let current = null;
+
+    for (const run of runs) {
+        if (!current || gapMinutes(current.ended_at, run.played_at) - (run.duration || 0) / 60 > idleMinutes) {
+            // played_at is when a run finished, so the cluster starts when its first run began
+            const startedAt = toLocalISOString(new Date(new Date(run.played_at).getTime() - (run.duration || 0) * 1000));
+            current = { started_at: startedAt, ended_at: run.played_at, runs: [] };
+            clusters.push(current);
+        }
+        current.ended_at = run.played_at;
+        current.runs.push(run);
+    }
+
+    return clusters;
+}
+
+function summarizeCluster(cluster, isPractice) {
+    const taskCounts = new Map();
+    for (const run of cluster.runs) {
+        taskCounts.set(run.task_name, (taskCounts.get(run.task_name) || 0) + 1);
+    }
+    const topTasks = [...taskCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([name, runs]) => ({ name, runs }));
+
+    const playSeconds = cluster.runs.reduce((sum, run) => sum + (run.duration || 0), 0);
+    const wallClockSeconds = Math.max(0, Math.floor(gapMinutes(cluster.started_at, cluster.ended_at) * 60));
+
+    return {
+        started_at: cluster.started_at,
+        ended_at: cluster.ended_at,
+        is_practice: isPractice ? 1 : 0,
+        total_runs: cluster.runs.length,
+        // Clamped like the sessions list, so the number matches once the cluster is accepted
+        total_duration: Math.min(playSeconds, wallClockSeconds),
+        task_count: taskCounts.size,
+        top_tasks: topTasks
+    };
+}
+
+/**
+ * Play clusters that are not covered by an existing session yet, newest first
+ *
+ * @param {object} db - Database wrapper
+ * @param {object} options - { idleMinutes, minRuns }
+ */
+async function detectPlayClusters(db, { idleMinutes, minRuns = 3 } = {}) {
+    const idle = idleMinutes > 0 ? idleMinutes : await getIdleMinutes(db);
+
+    const runs = await db.all(`
+        SELECT r.played_at, r.duration, COALESCE(r.is_practice, 0) AS is_practice, t.name AS task_name
+        FROM runs r
+        JOIN tasks t ON t.id = r.task_id
+        WHERE r.played_at IS NOT NULL
+        ORDER BY r.played_at ASC, r.id ASC
+    `);
+    const sessions = await db.all('SELECT started_at, ended_at, COALESCE(is_practice, 0) AS is_practice FROM sessions');
+
+    const candidates = [];
+    for (const isPractice of [0, 1]) {
+        const clusters = clusterRuns(runs.filter(r => r.is_practice === isPractice), idle);
+        for (const cluster of clusters) {
+            if (cluster.runs.length < minRuns) continue;
+            if (overlapsSession(sessions, cluster, isPractice)) continue;
+            candidates.push(summarizeCluster(cluster, isPractice));
+        }
+    }
+
+    candidates.sort((a, b) => (a.started_at < b.started_at ? 1 : -1));
+    return { idleMinutes: idle, candidates };
+}
+
+// An active session has no ended_at yet; it covers everything after its start
+function overlapsSession(sessions, range, isPractice) {
+    return sessions.some(s =>
+        s.is_practice === isPractice &&
+        s.started_at <= range.ended_at &&
+        (s.ended_at === null || s.ended_at >= range.started_at)
+    );
+}
+
+/**
+ * Store accepted clusters as ended sessions. Ranges that overlap an existing session are skipped.
+ *
+ * @param {object} db - Database wrapper
+ * @param {object[]} ranges - { started_at, ended_at, is_practice, name, notes }
+ * @returns {Promise<{created: object[], skipped: number}>}
+ */
+async function createDetectedSessions(db, ranges) {
+    const created = [];
+    let skipped = 0;
+
+    for (const range of ranges) {
+        const isPractice = range.is_practice ? 1 : 0;
+        const sessions = await db.all('SELECT started_at, ended_at, COALESCE(is_practice, 0) AS is_practice FROM sessions');
+        if (overlapsSession(sessions, range, isPractice)) {
+            skipped++;
+            continue;
+        }
+
+        const stats = await db.get(`
+            SELECT COUNT(*) as total_runs, COALESCE(SUM(duration), 0) as total_duration
+            FROM runs
+            WHERE played_at >= ? AND played_at <= ? AND is_practice = ?
+        `, [range.started_at, range.ended_at, isPractice]);
+
+        const result = await db.run(`
+            INSERT INTO sessions (name, notes, started_at, ended_at, is_active, is_practice, total_runs, total_duration, origin)
+            VALUES (?, ?, ?, ?, 0, ?, ?, ?, 'detected')
+        `, [range.name || null, range.notes || null, range.started_at, range.ended_at, isPractice, stats.total_runs || 0, stats.total_duration || 0]);
+
+        created.push(await db.get('SELECT * FROM sessions WHERE id = ?', [result.lastID]));
+    }
+
+    return { created, skipped };
+}
+
+module.exports = {
+    DEFAULT_IDLE_MINUTES,
+    getIdleMinutes,
+    clusterRuns,
+    detectPlayClusters,
+    createDetectedSessions
+};
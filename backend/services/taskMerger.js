@@ -0,0 +1,278 @@
+// backend/services/taskMerger.js
+// Merges duplicate tasks (renamed scenarios, casing/spacing variants) and undoes merges.
+// The merged-away name is kept as an alias so future imports land on the surviving task.
+
+const { TransactionManager } = require('./transactionManager');
+const CacheManager = require('./cacheManager');
+const goals = require('../core/goals/goals');
+
+// Loose key used to spot likely duplicates: "1wall 6targets TE" and "1Wall6Targets te" share one
+function duplicateKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function parseJson(raw, fallback) {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Map an imported task name onto its canonical task name if it is a known alias
+ */
+async function resolveTaskAlias(db, taskName) {
+  if (!taskName) return taskName;
+  const row = await db.get(`
+    SELECT t.name
+    FROM task_aliases a
+    JOIN tasks t ON t.id = a.task_id
+    WHERE a.alias = ?
+  `, [taskName]);
+  return row ? row.name : taskName;
+}
+
+/**
+ * Load every alias at once (for batch imports): lowercased alias → canonical task name
+ */
+async function loadTaskAliases(db) {
+  const rows = await db.all(`
+    SELECT a.alias, t.name
+    FROM task_aliases a
+    JOIN tasks t ON t.id = a.task_id
+  `);
+  return new Map(rows.map(row => [row.alias.toLowerCase(), row.name]));
+}
+
+class TaskMerger {
+  constructor(db) {
+    this.db = db;
+    this.transactionManager = new TransactionManager(db);
+  }
+
+  async findTask(name) {
+    return await this.db.get('SELECT * FROM tasks WHERE name = ?', [name]);
+  }
+
+  /**
+   * Group tasks whose names only differ by casing, spacing or punctuation
+   */
+  async findDuplicateCandidates() {
+    const tasks = await this.db.all(`
+      SELECT t.id, t.name, COUNT(r.id) AS runs, MAX(r.played_at) AS last_played
+      FROM tasks t
+      LEFT JOIN runs r ON r.task_id = t.id
+      GROUP BY t.id
+    `);
+
+    const groups = new Map();
+    for (const task of tasks) {
+      const key = duplicateKey(task.name);
+      if (!key) continue;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(task);
+    }
+
+    return [...groups.values()]
+      .filter(group => group.length > 1)
+      .map(group => {
+        // Suggest keeping the task with the most history
+        const sorted = group.sort((a, b) => b.runs - a.runs || a.id - b.id);
+        return { target: sorted[0], duplicates: sorted.slice(1) };
+      });
+  }
+
+  /**
+   * Merge the source task into the target task.
+   * Runs, pack/playlist links, goals and aliases move to the target, the source row is removed
+   * and its name becomes an alias of the target.
+   *
+   * @param {object} target - Task row that survives
+   * @param {object} source - Task row merged away
+   * @returns {Promise<object>} - The merge record
+   */
+  async mergeTasks(target, source) {
+    if (target.id === source.id) throw new Error('Cannot merge a task into itself');
+
+    const mergeId = await this.transactionManager.withTransaction(async (tx) => {
+      // Full row, metadata included, so undoing the merge recreates the task as it was
+      const sourceRow = await tx.get('SELECT * FROM tasks WHERE id = ?', [source.id]);
+
+      const runIds = (await tx.all('SELECT id FROM runs WHERE task_id = ?', [source.id])).map(r => r.id);
+      await tx.run('UPDATE runs SET task_id = ? WHERE task_id = ?', [target.id, source.id]);
+
+      // pack_tasks is UNIQUE(pack_id, task_id): links already present on the target are dropped instead of moved
+      const packLinks = await tx.all(`
+        SELECT pt.id, pt.pack_id,
+               EXISTS (SELECT 1 FROM pack_tasks x WHERE x.pack_id = pt.pack_id AND x.task_id = ?) AS on_target
+        FROM pack_tasks pt
+        WHERE pt.task_id = ?
+      `, [target.id, source.id]);
+      const movedPackLinkIds = packLinks.filter(l => !l.on_target).map(l => l.id);
+      const droppedPackIds = packLinks.filter(l => l.on_target).map(l => l.pack_id);
+      await tx.run('DELETE FROM pack_tasks WHERE task_id = ? AND pack_id IN (SELECT pack_id FROM pack_tasks WHERE task_id = ?)', [source.id, target.id]);
+      await tx.run('UPDATE pack_tasks SET task_id = ? WHERE task_id = ?', [target.id, source.id]);
+
+      const goalIds = (await tx.all('SELECT id FROM goals WHERE target_task_id = ?', [source.id])).map(g => g.id);
+      await tx.run('UPDATE goals SET target_task_id = ? WHERE target_task_id = ?', [target.id, source.id]);
+
+      // Aliases of the source (from earlier merges) now resolve to the target
+      const aliasIds = (await tx.all('SELECT id FROM task_aliases WHERE task_id = ?', [source.id])).map(a => a.id);
+      await tx.run('UPDATE task_aliases SET task_id = ? WHERE task_id = ?', [target.id, source.id]);
+
+      await tx.run('DELETE FROM cached_task_stats WHERE task_id = ?', [source.id]);
+      await tx.run('DELETE FROM tasks WHERE id = ?', [source.id]);
+
+      const details = { runIds, movedPackLinkIds, droppedPackIds, goalIds, aliasIds };
+      const result = await tx.run(`
+        INSERT INTO task_merges (target_task_id, source_task_id, source_task, details)
+        VALUES (?, ?, ?, ?)
+      `, [target.id, source.id, JSON.stringify(sourceRow || source), JSON.stringify(details)]);
+
+      await tx.run(`
+        INSERT INTO task_aliases (alias, task_id, merge_id) VALUES (?, ?, ?)
+        ON CONFLICT(alias) DO UPDATE SET task_id = excluded.task_id, merge_id = excluded.merge_id
+      `, [source.name, target.id, result.lastID]);
+
+      return result.lastID;
+    });
+
+    await this.refreshTasks([target.id, source.id]);
+    await goals.updateGoalProgress(this.db, { task_name: target.name });
+
+    console.log(`🔀 Merged task "${source.name}" into "${target.name}"`);
+    return await this.getMerge(mergeId);
+  }
+
+  /**
+   * Revert a merge: recreate the source task and move back exactly what the merge moved.
+   * Runs imported under the alias after the merge stay on the target.
+   */
+  async undoMerge(mergeId) {
+    const merge = await this.db.get('SELECT * FROM task_merges WHERE id = ?', [mergeId]);
+    const blocker = await this.getUndoBlocker(merge);
+    if (blocker) throw new Error(blocker);
+
+    const target = await this.db.get('SELECT * FROM tasks WHERE id = ?', [merge.target_task_id]);
+    const source = parseJson(merge.source_task, null);
+    const details = parseJson(merge.details, {});
+
+    await this.transactionManager.withTransaction(async (tx) => {
+      // Every saved column the tasks table still has (merges recorded before metadata existed only have a few)
+      const taskColumns = new Set((await tx.all('PRAGMA table_info(tasks)')).map(c => c.name));
+      const columns = Object.keys(source).filter(column => taskColumns.has(column));
+      await tx.run(
+        `INSERT INTO tasks (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => source[column])
+      );
+
+      await this.moveBack(tx, 'runs', 'task_id', details.runIds, source.id, target.id);
+      await this.moveBack(tx, 'pack_tasks', 'task_id', details.movedPackLinkIds, source.id, target.id);
+      for (const packId of details.droppedPackIds || []) {
+        await tx.run('INSERT OR IGNORE INTO pack_tasks (pack_id, task_id) VALUES (?, ?)', [packId, source.id]);
+      }
+      await this.moveBack(tx, 'goals', 'target_task_id', details.goalIds, source.id, target.id);
+      await this.moveBack(tx, 'task_aliases', 'task_id', details.aliasIds, source.id, target.id);
+
+      await tx.run('DELETE FROM task_aliases WHERE merge_id = ?', [merge.id]);
+      await tx.run(`UPDATE task_merges SET undone_at = datetime('now') WHERE id = ?`, [merge.id]);
+    });
+
+    await this.refreshTasks([target.id, source.id]);
+    await goals.updateGoalProgress(this.db, { task_name: source.name });
+    await goals.updateGoalProgress(this.db, { task_name: target.name });
+
+    console.log(`↩️  Undid merge of "${source.name}" into "${target.name}"`);
+    return await this.getMerge(merge.id);
+  }
+
+  /**
+   * Why a merge cannot be undone right now, or null if it can
+   */
+  async getUndoBlocker(merge) {
+    if (!merge) return 'Merge not found';
+    if (merge.undone_at) return 'Merge was already undone';
+
+    const target = await this.db.get('SELECT id FROM tasks WHERE id = ?', [merge.target_task_id]);
+    if (!target) return 'The surviving task was merged into another task since; undo that merge first';
+
+    const source = parseJson(merge.source_task, null);
+    if (!source || !source.name) return 'Merge record is unreadable';
+
+    const clash = await this.db.get('SELECT id FROM tasks WHERE id = ? OR name = ?', [source.id, source.name]);
+    if (clash) return `A task named "${source.name}" already exists`;
+    return null;
+  }
+
+  // Move the listed rows from the target back to the source (rows that changed since are left alone)
+  async moveBack(tx, table, column, ids, sourceId, targetId) {
+    if (!Array.isArray(ids) || ids.length === 0) return;
+    for (let i = 0; i < ids.length; i += 500) {
+      const chunk = ids.slice(i, i + 500);
+      const placeholders = chunk.map(() => '?').join(',');
+      await tx.run(
+        `UPDATE ${table} SET ${column} = ? WHERE ${column} = ? AND id IN (${placeholders})`,
+        [sourceId, targetId, ...chunk]
+      );
+    }
+  }
+
+  async refreshTasks(taskIds) {
+    const cacheManager = new CacheManager(this.db);
+    for (const id of taskIds) {
+      await this.db.run('DELETE FROM cached_task_stats WHERE task_id = ?', [id]);
+      await cacheManager.updateTaskStats(id);
+    }
+    await cacheManager.updateOverallStats();
+    await cacheManager.updateTimeStats();
+  }
+
+  async getMerge(mergeId) {
+    const merge = await this.db.get(`
+      SELECT m.*, t.name AS target_name
+      FROM task_merges m
+      LEFT JOIN tasks t ON t.id = m.target_task_id
+      WHERE m.id = ?
+    `, [mergeId]);
+    return merge ? this.formatMerge(merge) : null;
+  }
+
+  async listMerges(limit = 50) {
+    const merges = await this.db.all(`
+      SELECT m.*, t.name AS target_name
+      FROM task_merges m
+      LEFT JOIN tasks t ON t.id = m.target_task_id
+      ORDER BY m.merged_at DESC, m.id DESC
+      LIMIT ?
+    `, [limit]);
+    return merges.map(m => this.formatMerge(m));
+  }
+
+  async listAliases() {
+    return await this.db.all(`
+      SELECT a.id, a.alias, a.task_id, t.name AS task_name, a.merge_id, a.created_at
+      FROM task_aliases a
+      JOIN tasks t ON t.id = a.task_id
+      ORDER BY t.name, a.alias
+    `);
+  }
+
+  formatMerge(merge) {
+    const source = parseJson(merge.source_task, {});
+    const details = parseJson(merge.details, {});
+    return {
+      id: merge.id,
+      target_task_id: merge.target_task_id,
+      target_name: merge.target_name ?? null,
+      source_task_id: merge.source_task_id,
+      source_name: source.name ?? null,
+      runs_moved: (details.runIds || []).length,
+      goals_moved: (details.goalIds || []).length,
+      merged_at: merge.merged_at,
+      undone_at: merge.undone_at
+    };
+  }
+}
+
+module.exports = { TaskMerger, resolveTaskAlias, loadTaskAliases };
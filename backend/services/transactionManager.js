@@ -1,6 +1,16 @@
 // backend/services/transactionManager.js
 // Safe transaction wrapper for database operations
 
+const { AsyncLocalStorage } = require('async_hooks');
+
+// The app shares one SQLite connection, and SQLite has one transaction per connection: transactions
+// on the same connection wait for each other instead of failing with "cannot start a transaction
+// within a transaction". Keyed by the raw connection, so every wrapper and manager shares the queue.
+const transactionQueues = new WeakMap();
+
+// Connection whose transaction the current async call runs inside, so nested calls join it
+const activeTransaction = new AsyncLocalStorage();
+
 class TransactionManager {
   constructor(db) {
     this.db = db;
@@ -8,9 +18,22 @@ class TransactionManager {
 
   /**
    * Execute operations within a transaction
-   * Automatically rolls back on error
+   * Automatically rolls back on error. Waits for other transactions on the same connection to
+   * finish first; called from inside a transaction, the operations join that transaction.
    */
   async withTransaction(operations) {
+    const connection = this.db.raw || this.db;
+    if (activeTransaction.getStore() === connection) {
+      return await operations(this.db);
+    }
+
+    const previous = transactionQueues.get(connection) || Promise.resolve();
+    const current = previous.then(() => activeTransaction.run(connection, () => this.runTransaction(operations)));
+    transactionQueues.set(connection, current.catch(() => {}));
+    return await current;
+  }
+
+  async runTransaction(operations) {
     try {
       await this.db.run('BEGIN IMMEDIATE TRANSACTION');
       
@@ -19,7 +42,7 @@ class TransactionManager {
       await this.db.run('COMMIT');
       return result;
     } catch (error) {
-      await this.db.run('ROLLBACK');
+      await this.db.run('ROLLBACK').catch(() => {});
       console.error('❌ Transaction failed, rolled back:', error.message);
       throw error;
     }
@@ -27,6 +50,7 @@ class TransactionManager {
 
   /**
    * Batch insert runs with transaction safety
+   * Returns { id, hash } for every run that was actually inserted (duplicates by hash are skipped)
    */
   async batchInsertRuns(runs) {
     return await this.withTransaction(async (db) => {
@@ -37,8 +61,8 @@ class TransactionManager {
           `INSERT OR IGNORE INTO runs 
            (task_id, hash, filename, path, played_at, score, accuracy, 
             hits, shots, duration, score_per_min, avg_ttk, overshots, 
-            reloads, fps_avg, meta, is_practice)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            reloads, fps_avg, meta, is_practice, source, parser_version, stats_folder_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             run.task_id,
             run.hash,
@@ -56,12 +80,15 @@ class TransactionManager {
             run.reloads,
             run.fps_avg,
             JSON.stringify(run.meta || {}),
-            run.is_practice || 0
+            run.is_practice || 0,
+            run.source || 'kovaaks-csv',
+            run.parser_version ?? null,
+            run.stats_folder_id ?? null
           ]
         );
         
         if (result.changes > 0) {
-          inserted.push(result.lastID);
+          inserted.push({ id: result.lastID, hash: run.hash });
         }
       }
       
@@ -115,8 +142,8 @@ class TransactionManager {
             const result = await db.run(
               `INSERT OR IGNORE INTO runs 
                (task_id, hash, filename, played_at, score, accuracy, 
-                duration, is_practice)
-               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                duration, is_practice, source, parser_version)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
               [
                 run.task_id,
                 run.hash,
@@ -125,7 +152,10 @@ class TransactionManager {
                 run.score,
                 run.accuracy,
                 run.duration,
-                run.is_practice || 0
+                run.is_practice || 0,
+                // Keep the original importer stamps so outdated rows stay detectable after a restore
+                run.source || 'kovaaks-csv',
+                run.parser_version ?? null
               ]
             );
             
@@ -0,0 +1,257 @@
+// backend/services/trashManager.js
+// Undo for destructive operations. Deleted sessions, goals and playlists are moved into the trash table
+// (a JSON copy of the row and the rows that hang off it) and can be restored until they expire.
+// Clearing all data keeps a safety backup instead; restoring it copies the cleared tables back.
+
+const fs = require('fs');
+const { TransactionManager } = require('./transactionManager');
+const { BackupManager } = require('./backupManager');
+const CacheManager = require('./cacheManager');
+
+const TRASH_RETENTION_DAYS = 7;
+
+// What a trashed item consists of: its own row plus dependent rows found by `column`
+const TRASHABLE = {
+  session: { table: 'sessions', dependents: [], label: (row) => row.name || `Session ${row.id}` },
+  goal: {
+    table: 'goals',
+    dependents: [{ table: 'goal_progress', column: 'goal_id' }, { table: 'goal_progress_history', column: 'goal_id' }],
+    label: (row) => row.title
+  },
+  playlist: { table: 'packs', dependents: [{ table: 'pack_tasks', column: 'pack_id' }], label: (row) => row.name }
+};
+
+// Tables emptied by "clear all data", in delete order
+const CLEAR_DATA_TABLES = [
+  'run_kills', 'runs', 'tasks', 'goal_progress_history', 'goal_progress', 'goals', 'packs', 'pack_tasks',
+  'import_log', 'task_aliases', 'task_merges'
+];
+
+function parseJson(raw, fallback) {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+class TrashManager {
+  constructor(db) {
+    this.db = db;
+    this.transactionManager = new TransactionManager(db);
+  }
+
+  /**
+   * Delete a session, goal or playlist by moving it to the trash
+   *
+   * @returns {Promise<object|null>} - The trash entry, or null if the item does not exist
+   */
+  async moveToTrash(itemType, id) {
+    const spec = TRASHABLE[itemType];
+    if (!spec) throw new Error(`Unknown trash item type: ${itemType}`);
+
+    const row = await this.db.get(`SELECT * FROM ${spec.table} WHERE id = ?`, [id]);
+    if (!row) return null;
+
+    const trashId = await this.transactionManager.withTransaction(async (tx) => {
+      const rows = { [spec.table]: [row] };
+      for (const dep of spec.dependents) {
+        rows[dep.table] = await tx.all(`SELECT * FROM ${dep.table} WHERE ${dep.column} = ?`, [id]);
+        await tx.run(`DELETE FROM ${dep.table} WHERE ${dep.column} = ?`, [id]);
+      }
+      await tx.run(`DELETE FROM ${spec.table} WHERE id = ?`, [id]);
+
+      const result = await tx.run(`
+        INSERT INTO trash (item_type, item_id, label, payload, expires_at)
+        VALUES (?, ?, ?, ?, datetime('now', ?))
+      `, [itemType, id, spec.label(row), JSON.stringify({ rows }), `+${TRASH_RETENTION_DAYS} days`]);
+      return result.lastID;
+    });
+
+    console.log(`🗑️ Moved ${itemType} "${spec.label(row)}" to the trash`);
+    return this.formatEntry(await this.getEntry(trashId));
+  }
+
+  /**
+   * Clear all imported data after taking a safety backup that the clear can be undone from
+   */
+  async clearAllData() {
+    if (!this.db.path || this.db.path === ':memory:') {
+      throw new Error('Database file unknown, cannot create a safety backup');
+    }
+    const backupPath = await new BackupManager(this.db.path, this.db).createSafetyBackup('clear-data');
+
+    const counts = await this.db.get(`
+      SELECT (SELECT COUNT(*) FROM runs) AS runs, (SELECT COUNT(*) FROM tasks) AS tasks
+    `);
+
+    const trashId = await this.transactionManager.withTransaction(async (tx) => {
+      for (const table of CLEAR_DATA_TABLES) {
+        await tx.run(`DELETE FROM ${table}`);
+      }
+      const result = await tx.run(`
+        INSERT INTO trash (item_type, item_id, label, payload, expires_at)
+        VALUES ('clear-data', NULL, ?, ?, datetime('now', ?))
+      `, [
+        `All data (${counts.runs} runs, ${counts.tasks} tasks)`,
+        JSON.stringify({ backupPath, tables: CLEAR_DATA_TABLES }),
+        `+${TRASH_RETENTION_DAYS} days`
+      ]);
+      return result.lastID;
+    });
+    await new CacheManager(this.db).initializeCache();
+
+    return this.formatEntry(await this.getEntry(trashId));
+  }
+
+  /**
+   * Why an entry cannot be restored right now, or null if it can
+   */
+  async getRestoreBlocker(entry) {
+    if (!entry) return 'Trash item not found';
+    if (entry.restored_at) return 'Item was already restored';
+    if (entry.expired) return 'Item has expired from the trash';
+
+    const payload = parseJson(entry.payload, null);
+    if (!payload) return 'Trash record is unreadable';
+
+    if (entry.item_type === 'clear-data') {
+      if (!payload.backupPath || !fs.existsSync(payload.backupPath)) return 'The safety backup for this clear no longer exists';
+      return null;
+    }
+
+    const spec = TRASHABLE[entry.item_type];
+    const clash = await this.db.get(`SELECT id FROM ${spec.table} WHERE id = ?`, [entry.item_id]);
+    if (clash) return `${entry.label} already exists again`;
+    if (entry.item_type === 'playlist') {
+      const nameClash = await this.db.get('SELECT id FROM packs WHERE LOWER(TRIM(name)) = LOWER(TRIM(?))', [entry.label]);
+      if (nameClash) return `A playlist named "${entry.label}" already exists`;
+    }
+    return null;
+  }
+
+  /**
+   * Put a trashed item back exactly as it was
+   */
+  async restore(trashId) {
+    const entry = await this.getEntry(trashId);
+    const blocker = await this.getRestoreBlocker(entry);
+    if (blocker) {
+      const error = new Error(blocker);
+      error.code = entry ? 'RESTORE_BLOCKED' : 'NOT_FOUND';
+      throw error;
+    }
+
+    const payload = parseJson(entry.payload, {});
+    if (entry.item_type === 'clear-data') {
+      await new BackupManager(this.db.path, this.db).copyTablesFromBackup(payload.backupPath, payload.tables || CLEAR_DATA_TABLES);
+      await new CacheManager(this.db).initializeCache();
+    } else {
+      await this.transactionManager.withTransaction(async (tx) => {
+        // Parent rows first so dependents never point at a missing row
+        for (const [table, rows] of Object.entries(payload.rows || {})) {
+          for (const row of rows) {
+            const columns = Object.keys(row);
+            await tx.run(
+              `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+              columns.map(c => row[c])
+            );
+          }
+        }
+      });
+    }
+
+    await this.db.run(`UPDATE trash SET restored_at = datetime('now') WHERE id = ?`, [trashId]);
+    console.log(`↩️  Restored ${entry.item_type} "${entry.label}" from the trash`);
+    return this.formatEntry(await this.getEntry(trashId));
+  }
+
+  /**
+   * Restore the most recent destructive action that can still be undone
+   */
+  async undoLast() {
+    const latest = await this.db.get(`
+      SELECT id FROM trash
+      WHERE restored_at IS NULL AND expires_at > datetime('now')
+      ORDER BY deleted_at DESC, id DESC
+      LIMIT 1
+    `);
+    if (!latest) {
+      const error = new Error('Nothing to undo');
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    return await this.restore(latest.id);
+  }
+
+  async getEntry(trashId) {
+    const entry = await this.db.get(`
+      SELECT *, CASE WHEN expires_at <= datetime('now') THEN 1 ELSE 0 END AS expired
+      FROM trash WHERE id = ?
+    `, [trashId]);
+    return entry ? { ...entry, expired: !!entry.expired } : null;
+  }
+
+  formatEntry(entry) {
+    return {
+      id: entry.id,
+      item_type: entry.item_type,
+      item_id: entry.item_id,
+      label: entry.label,
+      deleted_at: entry.deleted_at,
+      expires_at: entry.expires_at,
+      restored_at: entry.restored_at ?? null
+    };
+  }
+
+  /**
+   * Items that can still be restored, newest first
+   */
+  async listTrash() {
+    await this.purgeExpired();
+    const entries = await this.db.all(`
+      SELECT * FROM trash
+      WHERE restored_at IS NULL
+      ORDER BY deleted_at DESC, id DESC
+    `);
+    return entries.map(entry => this.formatEntry(entry));
+  }
+
+  /**
+   * Permanently delete one item (or every item) from the trash
+   */
+  async purge(trashId = null) {
+    const where = trashId === null ? 'restored_at IS NULL' : 'id = ? AND restored_at IS NULL';
+    const params = trashId === null ? [] : [trashId];
+    await this.deleteLeftoverDependents(where, params);
+    const result = await this.db.run(`DELETE FROM trash WHERE ${where}`, params);
+    return result.changes;
+  }
+
+  // Expired and restored entries are only kept for a day so the log stays small
+  async purgeExpired() {
+    const where = `expires_at <= datetime('now') OR (restored_at IS NOT NULL AND restored_at <= datetime('now', '-1 day'))`;
+    await this.deleteLeftoverDependents(where);
+    await this.db.run(`DELETE FROM trash WHERE ${where}`);
+  }
+
+  /**
+   * Dependent rows (e.g. goal progress history) still pointing at a purged item that no longer exists,
+   * so an item that later reuses the id doesn't inherit them
+   */
+  async deleteLeftoverDependents(where, params = []) {
+    const entries = await this.db.all(`SELECT item_type, item_id FROM trash WHERE ${where}`, params);
+    for (const entry of entries) {
+      const spec = TRASHABLE[entry.item_type];
+      if (!spec || entry.item_id == null) continue;
+      for (const dep of spec.dependents) {
+        await this.db.run(
+          `DELETE FROM ${dep.table} WHERE ${dep.column} = ? AND NOT EXISTS (SELECT 1 FROM ${spec.table} WHERE id = ?)`,
+          [entry.item_id, entry.item_id]
+        );
+      }
+    }
+  }
+}
+
+module.exports = { TrashManager, TRASH_RETENTION_DAYS, CLEAR_DATA_TABLES };
@@ -2,8 +2,55 @@ const { EventEmitter } = require('events');
 
 const events = new EventEmitter();
 
+// Event names forwarded to the frontend over the /api/events SSE stream (the name becomes the payload `type`)
+events.SSE_EVENTS = [
+    'new-run',
+    'scan-start',
+    'scan-progress',
+    'scan-complete',
+    'run-imported',
+    'goal-completed',
+    'rank-tier-changed',
+    'session-changed'
+];
+
 events.emitNewRun = function emitNewRun() {
     events.emit('new-run');
 };
 
+// A batch scan is starting: { scan, total }
+events.emitScanStart = function emitScanStart(scan) {
+    events.emit('scan-start', scan);
+};
+
+// Progress of a batch scan: { scan, phase, processed, total, inserted, duplicates, failed }
+events.emitScanProgress = function emitScanProgress(progress) {
+    events.emit('scan-progress', progress);
+};
+
+// A batch scan finished, same totals as scan-progress
+events.emitScanComplete = function emitScanComplete(result) {
+    events.emit('scan-complete', result);
+};
+
+// A freshly played run was stored: { runId, taskName, score, accuracy, percentile, percentileSource, isPractice, source }
+events.emitRunImported = function emitRunImported(run) {
+    events.emit('run-imported', run);
+};
+
+// A goal reached its target: { goalId, title, goalType, targetValue, currentValue }
+events.emitGoalCompleted = function emitGoalCompleted(goal) {
+    events.emit('goal-completed', goal);
+};
+
+// A ranked category moved to another tier: { category, previousTier, tier, rating, promoted }
+events.emitRankTierChanged = function emitRankTierChanged(change) {
+    events.emit('rank-tier-changed', change);
+};
+
+// An auto session was opened or closed: { sessionId, action: 'started' | 'ended', name }
+events.emitSessionChanged = function emitSessionChanged(change) {
+    events.emit('session-changed', change);
+};
+
 module.exports = events;
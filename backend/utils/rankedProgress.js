@@ -111,7 +111,7 @@ async function initializeCategoryProgress(db, category) {
  * @param {number[]} params.recentPercentiles - Recent percentiles (newest first)
  * @param {number} params.lastRunPercentile - Newest run percentile
  * @param {number} params.distinctTasks - Number of distinct tasks played
- * @returns {object} - Updated progress data with xpGain
+ * @returns {object} - Updated progress data with xpGain and the tier stored before this run
  */
 async function updateCategoryProgress({
     db,
@@ -166,9 +166,10 @@ async function updateCategoryProgress({
             last_updated_at = datetime('now'),
             last_run_at = datetime('now'),
             runs_count = ?,
-            distinct_tasks_count = ?
+            distinct_tasks_count = ?,
+            skill_tier = ?
         WHERE category = ?
-    `, [newXp, Math.round(newProgressPoints), newRunsCount, distinctTasks, category]);
+    `, [newXp, Math.round(newProgressPoints), newRunsCount, distinctTasks, skillTier, category]);
     
     return {
         xp: newXp,
@@ -177,6 +178,7 @@ async function updateCategoryProgress({
         xpGainLastRun: xpGain,
         progressPoints: Math.round(newProgressPoints),
         progressTierDisplay: skillTier,
+        previousTier: current?.skill_tier ?? null,
         isOverflow: newXp > 1000
     };
 }
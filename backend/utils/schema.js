@@ -0,0 +1,30 @@
+// backend/utils/schema.js
+// Schema helpers for migrations
+
+/**
+ * Drop a column (SQLite 3.35+), together with any index that uses it.
+ * Missing columns are skipped so rollbacks can be repeated.
+ *
+ * @returns {Promise<boolean>} - Whether the column existed
+ */
+async function dropColumn(db, table, column) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) return false;
+
+    // SQLite refuses to drop a column an index refers to, including in a partial index's WHERE
+    const mentions = new RegExp(`\\b${column}\\b`);
+    const indexes = await db.all(
+        `SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL`,
+        [table]
+    );
+    for (const index of indexes) {
+        if (mentions.test(index.sql)) {
+            await db.run(`DROP INDEX IF EXISTS ${index.name}`);
+        }
+    }
+
+    await db.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    return true;
+}
+
+module.exports = { dropColumn };
@@ -4,6 +4,7 @@
 const { app } = require('electron');
 const { startServer } = require('../../backend/config/server');
 const { importPlaylistsAsPacks } = require('../../backend/core/data-import/playlistImporter');
+const { findScenariosFolder, importScenarioMetadata } = require('../../backend/core/data-import/scenarioImporter');
 const { createWindow } = require('./windowManager');
 const { setupAutoUpdates } = require('./autoUpdater');
 const { setupDatabase, initializeDatabase } = require('./database');
@@ -63,6 +64,9 @@ async function initializeApp() {
         await importPlaylistsAsPacks(cfg.playlists_path, db);
     }
     
+    // Task duration/weapon/skill type from the game's scenario files
+    await importScenarioMetadata(await findScenariosFolder(db, cfg.stats_path), db);
+    
     console.log('✅ Data loaded! Launching interface...');
     
     // Show dashboard immediately after data is ready
@@ -11,6 +11,7 @@ const { parseCsvToRun } = require('../../backend/core/data-import/csvParser');
 const { getSetting, setSetting } = require('../../backend/services/settings');
 const { BackupManager } = require('../../backend/services/backupManager');
 const { IntegrityChecker } = require('../../backend/services/integrityChecker');
+const { saveReport } = require('../../backend/services/integrityReports');
 
 async function runPlaytimeMigrationIfNeeded(db) {
     const migrationKey = 'playtime_migration_v2_done';
@@ -95,17 +96,13 @@ function setupDatabase(isDev, customDataDir = null) {
 }
 
 async function initializeDatabase(db, config) {
-    // Use custom data directory if specified, otherwise default to userData
-    const dataDirectory = config.data_directory || app.getPath('userData');
-    const dbPath = path.join(dataDirectory, 'data', 'vantage.db');
-    
-    // Initialize backup manager
-    const backupManager = new BackupManager(dbPath);
+    // Initialize backup manager (db.path is the file setupDatabase opened, including the dev database)
+    const backupManager = new BackupManager(db.path, db);
     
     // Create daily backup if needed (before any migrations or changes)
     await backupManager.createDailyBackupIfNeeded();
     
-    // Run database migrations
+    // Run database migrations (a pre-migration backup is taken when an existing database changes)
     await runMigrations(db);
     
     // Initialize stats folder in database settings
@@ -134,9 +131,11 @@ async function initializeDatabase(db, config) {
     const integrityReport = await integrityChecker.runAllChecks();
     
     // Auto-fix minor issues if found
+    let fixes = null;
     if (!integrityReport.healthy && integrityReport.errors === 0) {
-        await integrityChecker.autoFixIssues(integrityReport);
+        fixes = await integrityChecker.autoFixIssues(integrityReport);
     }
+    await saveReport(db, integrityReport, 'startup', fixes);
     
     // Log database stats
     const dbStats = await integrityChecker.getDatabaseStats();
@@ -6,6 +6,7 @@ const fs = require('fs');
 const path = require('path');
 const { startServer } = require('../../backend/config/server');
 const { importPlaylistsAsPacks } = require('../../backend/core/data-import/playlistImporter');
+const { findScenariosFolder, importScenarioMetadata } = require('../../backend/core/data-import/scenarioImporter');
 const { getSetting } = require('../../backend/services/settings');
 const { checkForUpdates, downloadUpdate } = require('./autoUpdater');
 const { getMainWindow, switchToDashboard } = require('./windowManager');
@@ -103,6 +104,9 @@ function initializeIpcHandlers(database) {
             await importPlaylistsAsPacks(newCfg.playlists_path, db);
         }
         
+        // Task duration/weapon/skill type from the game's scenario files
+        await importScenarioMetadata(await findScenariosFolder(db, newCfg.stats_path), db);
+        
         console.log('✅ Setup complete! Loading dashboard...');
         
         // Switch to dashboard immediately after scan completes
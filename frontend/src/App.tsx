@@ -1,13 +1,17 @@
 import { HashRouter as Router, Routes, Route } from "react-router-dom";
-import { lazy, Suspense } from "react";
+import { lazy, Suspense, useState, useCallback } from "react";
 import Nav from "./components/layout/Nav";
 import { ThemeProvider } from "./contexts/ThemeContext.tsx";
 import { PracticeModeProvider } from "./contexts/PracticeModeContext";
 import { SessionProvider } from "./contexts/SessionContext";
 import GoalNotification from "./components/goals/GoalNotification";
 import UpdateDialog from "./components/feedback/UpdateDialog";
+import ImportProgressBar from "./components/feedback/ImportProgressBar";
+import Toast from "./components/feedback/Toast";
 import { useGoalNotifications } from "./hooks/useGoalNotifications";
 import { useRealTimeUpdates } from "./hooks/useRealTimeUpdates";
+import { formatScore } from "./utils/format";
+import type { RunImportedEvent, ScanProgress, ToastMessage } from "./types";
 
 // Lazy load page components for code splitting
 const Profile = lazy(() => import("./pages/Profile"));
@@ -35,8 +39,21 @@ function Dashboard() {
   return <Profile />;
 }
 
+function describeRun(run: RunImportedEvent) {
+  const parts = [`${run.taskName}: ${formatScore(run.score)}`];
+  if (run.percentile !== null) {
+    const pct = Math.round(run.percentile * 100);
+    parts.push(run.percentileSource === 'ranked' ? `${pct}th percentile` : `better than ${pct}% of your runs`);
+  }
+  if (run.isPractice) parts.push('practice');
+  return parts.join(' · ');
+}
+
 function AppContent() {
-  const { notifications, dismissNotification } = useGoalNotifications();
+  const { notifications, dismissNotification, checkAchievements } = useGoalNotifications();
+  const [scanProgress, setScanProgress] = useState<ScanProgress | null>(null);
+  const [liveToast, setLiveToast] = useState<ToastMessage | null>(null);
+  const closeLiveToast = useCallback(() => setLiveToast(null), []);
 
   // Listen for real-time updates from backend
   useRealTimeUpdates({
@@ -44,6 +61,44 @@ function AppContent() {
       // Dispatch custom event that components can listen to
       window.dispatchEvent(new CustomEvent('data-updated'));
     },
+    onScanStart: ({ scan, total }) => {
+      // Nothing to show for an incremental scan that found no new files
+      if (total > 0) setScanProgress({ scan, total, processed: 0, inserted: 0, duplicates: 0, failed: 0 });
+    },
+    onScanProgress: (progress) => {
+      if (progress.total > 0) setScanProgress(progress);
+    },
+    onScanComplete: (result) => {
+      setScanProgress(null);
+      if (result.inserted > 0 || result.failed > 0) {
+        setLiveToast({
+          message: `Import complete: ${result.inserted} new runs${result.failed > 0 ? `, ${result.failed} files failed` : ''}`,
+          type: result.failed > 0 ? 'warning' : 'success'
+        });
+      }
+    },
+    onRunImported: (run) => {
+      setLiveToast({ message: describeRun(run), type: 'info' });
+    },
+    onGoalCompleted: () => {
+      // Show the achievement now instead of waiting for the next poll
+      checkAchievements();
+    },
+    onRankTierChanged: (change) => {
+      setLiveToast({
+        message: `${change.category}: ${change.promoted ? 'promoted' : 'dropped'} from ${change.previousTier} to ${change.tier}`,
+        type: change.promoted ? 'success' : 'warning'
+      });
+    },
+    onSessionChanged: (change) => {
+      window.dispatchEvent(new CustomEvent('data-updated'));
+      setLiveToast({
+        message: change.action === 'started'
+          ? 'Session started automatically'
+          : `Session ended${change.name ? `: ${change.name}` : ''}`,
+        type: 'info'
+      });
+    },
     onConnect: () => {
       console.log('📡 Real-time updates connected globally');
     },
@@ -81,6 +136,12 @@ function AppContent() {
         ))}
       </div>
 
+      {/* Live import feedback */}
+      {scanProgress && <ImportProgressBar progress={scanProgress} />}
+      {liveToast && (
+        <Toast key={liveToast.message} message={liveToast.message} type={liveToast.type} onClose={closeLiveToast} />
+      )}
+
       {/* Update Dialog */}
       <UpdateDialog />
     </div>
@@ -39,6 +39,8 @@ type ChartHostProps = {
     height?: number;
     taskName?: string;
     packId?: string;
+    source?: string; // Only show runs from this trainer (importer id)
+    skillType?: string; // Only show runs of tasks with this skill type
     timeframe?: string; // 'day', 'week', 'month', 'overall'
     isPractice?: boolean; // If true, fetch practice mode data
 };
@@ -71,7 +73,7 @@ const calculateMovingAverage = (data: number[], windowSize: number = 15): number
     return result;
 };
 
-export default function ChartHost({ title, height = 400, taskName, packId, timeframe = 'overall', isPractice = false }: ChartHostProps) {
+export default function ChartHost({ title, height = 400, taskName, packId, source, skillType, timeframe = 'overall', isPractice = false }: ChartHostProps) {
     const [chartData, setChartData] = useState<ChartData[]>([]);
     const [bestSettings, setBestSettings] = useState<BestSettings | null>(null);
     const [bestFilter, setBestFilter] = useState<'score' | 'accuracy' | 'ttk'>('score');
@@ -84,7 +86,7 @@ export default function ChartHost({ title, height = 400, taskName, packId, timef
     useEffect(() => {
         fetchChartData();
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [taskName, packId, bestFilter, timeframe]);
+    }, [taskName, packId, source, skillType, bestFilter, timeframe]);
 
     const getTimeframeDays = () => {
         switch (timeframe) {
@@ -110,6 +112,9 @@ export default function ChartHost({ title, height = 400, taskName, packId, timef
                 if (days !== null) {
                     url += `&days=${days}`;
                 }
+                if (source) {
+                    url += `&source=${encodeURIComponent(source)}`;
+                }
                 
                 const runsResponse = await fetch(getApiUrl(url));
                 if (runsResponse.ok) {
@@ -138,6 +143,12 @@ export default function ChartHost({ title, height = 400, taskName, packId, timef
                 if (days !== null) {
                     params.append('days', days.toString());
                 }
+                if (source) {
+                    params.append('source', source);
+                }
+                if (skillType) {
+                    params.append('skill_type', skillType);
+                }
                 const queryString = params.toString();
                 const baseUrl = isPractice ? '/api/practice/stats/history' : '/api/stats/history';
                 const url = queryString ? `${baseUrl}?${queryString}` : baseUrl;
@@ -0,0 +1,39 @@
+import type { ScanProgress } from "../../types";
+
+type ImportProgressBarProps = {
+  progress: ScanProgress;
+};
+
+const scanLabels: Record<ScanProgress['scan'], string> = {
+  initial: 'Importing stats history',
+  incremental: 'Importing runs played while offline',
+  rescan: 'Rescanning stats folder'
+};
+
+export default function ImportProgressBar({ progress }: ImportProgressBarProps) {
+  const percent = progress.total > 0 ? Math.round((progress.processed / progress.total) * 100) : 0;
+  const rebuilding = progress.phase === 'rebuilding';
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 w-full max-w-md px-4">
+      <div className="bg-theme-secondary border border-theme-primary rounded-lg shadow-lg p-4">
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-sm font-medium text-white">{scanLabels[progress.scan] ?? 'Importing'}</p>
+          <p className="text-xs text-theme-muted">
+            {rebuilding ? 'Updating stats…' : `${progress.processed} / ${progress.total} files`}
+          </p>
+        </div>
+        <div className="h-2 bg-theme-tertiary rounded-full overflow-hidden">
+          <div
+            className={`h-full bg-theme-accent transition-all duration-300 ${rebuilding ? 'animate-pulse' : ''}`}
+            style={{ width: `${rebuilding ? 100 : percent}%` }}
+          />
+        </div>
+        <p className="text-xs text-theme-muted mt-2">
+          {progress.inserted} new · {progress.duplicates} duplicates
+          {progress.failed > 0 && <span className="text-red-400"> · {progress.failed} failed</span>}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,11 @@
 import { useState, useEffect, useCallback } from "react";
 import { getApiUrl } from "../../hooks/useApi";
+import { useGoalPreview } from "../../hooks/useGoalPreview";
+import { formatGoalWindow } from "../../utils/format";
+import { DEFAULT_WINDOW_SIZES, GOAL_TYPE_INFO, RUN_GOAL_TYPES, formatGoalValue, sharedGoalWindows, type GoalType } from "../../utils/goalTypes";
+import GoalWindowPicker from "./GoalWindowPicker";
 
-import type { Playlist, PlaylistStats } from "../../types";
+import type { GoalWindowType, Playlist, PlaylistStats } from "../../types";
 
 type CreatePlaylistGoalModalProps = {
   onClose: () => void;
@@ -9,20 +13,17 @@ type CreatePlaylistGoalModalProps = {
 };
 
 type Step = "selectPlaylist" | "selectMetrics" | "setTarget" | "setDate";
-type MetricType = "accuracy" | "score" | "ttk";
 
 export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: CreatePlaylistGoalModalProps) {
   const [step, setStep] = useState<Step>("selectPlaylist");
   const [playlists, setPlaylists] = useState<Playlist[]>([]);
   const [selectedPlaylist, setSelectedPlaylist] = useState<Playlist | null>(null);
   const [playlistStats, setPlaylistStats] = useState<PlaylistStats | null>(null);
-  const [selectedMetrics, setSelectedMetrics] = useState<MetricType[]>([]);
-  const [targetValues, setTargetValues] = useState<Record<MetricType, number>>({
-    accuracy: 0,
-    score: 0,
-    ttk: 0
-  });
+  const [selectedMetrics, setSelectedMetrics] = useState<GoalType[]>([]);
+  const [targetValues, setTargetValues] = useState<Partial<Record<GoalType, number>>>({});
   const [targetDate, setTargetDate] = useState<string>("");
+  const [windowType, setWindowType] = useState<GoalWindowType>("runs");
+  const [windowSize, setWindowSize] = useState(20);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string>("");
 
@@ -32,8 +33,10 @@ export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: Crea
     setSelectedPlaylist(null);
     setPlaylistStats(null);
     setSelectedMetrics([]);
-    setTargetValues({ accuracy: 0, score: 0, ttk: 0 });
+    setTargetValues({});
     setTargetDate("");
+    setWindowType("runs");
+    setWindowSize(20);
     setError("");
   }, []);
 
@@ -83,7 +86,7 @@ export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: Crea
     setStep("selectMetrics");
   };
 
-  const handleMetricToggle = (metric: MetricType) => {
+  const handleMetricToggle = (metric: GoalType) => {
     setSelectedMetrics(prev => {
       if (prev.includes(metric)) {
         return prev.filter(m => m !== metric);
@@ -93,35 +96,68 @@ export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: Crea
     });
   };
 
+  const previews = useGoalPreview("target_pack_id", selectedPlaylist?.id, selectedMetrics, windowType, windowSize);
+
+  // Where a goal would start over the chosen window: all-time stats until the preview loads,
+  // null when no runs fall inside the window yet
+  const baselineFor = (metric: GoalType): number | null => {
+    const preview = previews[metric];
+    if (preview) return preview.value;
+    return statFor(metric);
+  };
+
+  // All-time average from the stats endpoint; only the averaged goal types have one
+  const statFor = (metric: GoalType): number | null => {
+    const value = playlistStats?.[`avg_${metric}` as keyof PlaylistStats];
+    return typeof value === "number" ? value : null;
+  };
+
+  const allowedWindows = sharedGoalWindows(selectedMetrics);
+  const usesWindow = selectedMetrics.some(metric => GOAL_TYPE_INFO[metric].windows?.length !== 0);
+
+  const handleWindowChange = (type: GoalWindowType, size: number) => {
+    setWindowType(type);
+    setWindowSize(size);
+  };
+
   const handleNext = () => {
     if (step === "selectMetrics") {
       if (selectedMetrics.length === 0) {
         setError("Please select at least one metric");
         return;
       }
+      // Switch to a window every selected goal type can be measured over
+      const windows = sharedGoalWindows(selectedMetrics);
+      if (!windows.includes(windowType)) {
+        setWindowType(windows[0]);
+        setWindowSize(DEFAULT_WINDOW_SIZES[windows[0]] ?? windowSize);
+      }
       setError("");
       setStep("setTarget");
     } else if (step === "setTarget") {
       // Validate target values
       for (const metric of selectedMetrics) {
-        const targetVal = targetValues[metric];
-        const currentVal = playlistStats?.[`avg_${metric}` as keyof PlaylistStats] || 0;
+        const targetVal = targetValues[metric] ?? 0;
+        const currentVal = baselineFor(metric);
         
         if (!targetVal || targetVal <= 0) {
-          setError(`Please set a target value for ${metric}`);
+          setError(`Please set a target value for ${GOAL_TYPE_INFO[metric].label}`);
           return;
         }
+
+        // Nothing to compare against until a run falls inside the window
+        if (currentVal === null) continue;
         
         // For TTK, lower is better - target must be LESS than current
-        if (metric === 'ttk') {
+        if (GOAL_TYPE_INFO[metric].lowerIsBetter) {
           if (targetVal >= currentVal) {
-            setError(`TTK target must be lower than current avg (${currentVal.toFixed(3)}s) - lower is better!`);
+            setError(`${GOAL_TYPE_INFO[metric].label} target must be lower than current (${formatStat(currentVal, metric)}) - lower is better!`);
             return;
           }
         } else {
-          // For accuracy and score, higher is better - target must be MORE than current
+          // For everything else, higher is better - target must be MORE than current
           if (targetVal <= currentVal) {
-            setError(`${metric.charAt(0).toUpperCase() + metric.slice(1)} target must be higher than current avg (${formatStat(currentVal, metric)})`);
+            setError(`${GOAL_TYPE_INFO[metric].label} target must be higher than current (${formatStat(currentVal, metric)})`);
             return;
           }
         }
@@ -151,15 +187,19 @@ export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: Crea
     try {
       // Create goals for each selected metric
       for (const metric of selectedMetrics) {
-        const title = `${selectedPlaylist.name} - ${metric.toUpperCase()} Goal`;
-        const currentVal = playlistStats?.[`avg_${metric}` as keyof PlaylistStats] || 0;
-        const targetVal = targetValues[metric];
+        const title = `${selectedPlaylist.name} - ${GOAL_TYPE_INFO[metric].label} Goal`;
+        const currentVal = baselineFor(metric);
+        const targetVal = targetValues[metric] ?? 0;
         
         let description;
-        if (metric === 'ttk') {
+        if (currentVal === null) {
+          description = `Reach ${formatStat(targetVal, metric)} ${GOAL_TYPE_INFO[metric].label.toLowerCase()} (${formatGoalWindow(windowType, windowSize).toLowerCase()})`;
+        } else if (metric === 'ttk') {
           description = `Improve avg ${metric} for all tasks from ${currentVal.toFixed(3)}s to ${targetVal.toFixed(3)}s`;
-        } else {
+        } else if (metric === 'accuracy' || metric === 'score') {
           description = `Improve avg ${metric} for all tasks from ${currentVal.toFixed(1)} to ${targetVal.toFixed(1)}`;
+        } else {
+          description = `Improve ${GOAL_TYPE_INFO[metric].label.toLowerCase()} from ${formatStat(currentVal, metric)} to ${formatStat(targetVal, metric)}`;
         }
 
         const response = await fetch(getApiUrl("/api/goals/create"), {
@@ -172,6 +212,8 @@ export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: Crea
             target_value: targetVal,
             target_pack_id: selectedPlaylist.id,
             target_date: targetDate || null,
+            window_type: windowType,
+            window_size: windowSize,
             metrics: selectedMetrics
           })
         });
@@ -190,12 +232,7 @@ export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: Crea
     }
   };
 
-  const formatStat = (value: number | undefined, metric: MetricType): string => {
-    if (value === undefined || value === null) return "N/A";
-    if (metric === "ttk") return `${value.toFixed(3)}s`;
-    if (metric === "accuracy") return `${value.toFixed(1)}%`;
-    return value.toFixed(0);
-  };
+  const formatStat = (value: number | null | undefined, metric: GoalType): string => formatGoalValue(metric, value);
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -261,10 +298,10 @@ export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: Crea
           <div>
             <h3 className="text-lg font-semibold text-white mb-4">Select Metrics to Track</h3>
             <p className="text-sm text-theme-muted mb-4">
-              These metrics will be averaged across all tasks in the playlist
+              These metrics cover runs on every task in the playlist
             </p>
             <div className="space-y-4">
-              {(["accuracy", "score", "ttk"] as MetricType[]).map(metric => (
+              {RUN_GOAL_TYPES.filter(metric => !GOAL_TYPE_INFO[metric].taskOnly).map(metric => (
                 <button
                   key={metric}
                   onClick={() => handleMetricToggle(metric)}
@@ -285,10 +322,11 @@ export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: Crea
                       )}
                     </div>
                     <div className="flex-1">
-                      <p className="font-medium text-white capitalize">{metric}</p>
-                      {playlistStats && (
+                      <p className="font-medium text-white">{GOAL_TYPE_INFO[metric].label}</p>
+                      <p className="text-sm text-theme-muted">{GOAL_TYPE_INFO[metric].description}</p>
+                      {statFor(metric) !== null && (
                         <p className="text-sm text-theme-muted">
-                          Current Avg: {formatStat(playlistStats[`avg_${metric}` as keyof PlaylistStats], metric)}
+                          Current Avg: {formatStat(statFor(metric), metric)}
                         </p>
                       )}
                     </div>
@@ -318,23 +356,35 @@ export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: Crea
           <div>
             <h3 className="text-lg font-semibold text-white mb-4">Set Target Values</h3>
             <p className="text-sm text-theme-muted mb-4">
-              Set the target average for all tasks in this playlist
+              Set the target for all tasks in this playlist
             </p>
+            {usesWindow && (
+              <div className="mb-4">
+                <GoalWindowPicker
+                  windowType={windowType}
+                  windowSize={windowSize}
+                  allowed={allowedWindows}
+                  onChange={handleWindowChange}
+                />
+              </div>
+            )}
             <div className="space-y-4">
               {selectedMetrics.map(metric => (
                 <div key={metric} className="bg-theme-tertiary border border-theme-primary rounded-lg p-4">
-                  <label className="block text-white font-medium mb-2 capitalize">
-                    Average {metric} Goal
+                  <label className="block text-white font-medium mb-2">
+                    {GOAL_TYPE_INFO[metric].label} Goal
                   </label>
-                  {playlistStats && (
-                    <p className="text-sm text-theme-muted mb-3">
-                      Current Avg: {formatStat(playlistStats[`avg_${metric}` as keyof PlaylistStats], metric)}
-                    </p>
-                  )}
+                  <p className="text-sm text-theme-muted mb-3">
+                    {baselineFor(metric) === null
+                      ? "No runs in this window yet"
+                      : !GOAL_TYPE_INFO[metric].windows || GOAL_TYPE_INFO[metric].windows.length > 0
+                      ? `Current Avg (${formatGoalWindow(windowType, windowSize).toLowerCase()}): ${formatStat(baselineFor(metric), metric)}`
+                      : `Current: ${formatStat(baselineFor(metric), metric)}`}
+                  </p>
                   <input
                     type="number"
-                    step={metric === "ttk" ? "0.001" : metric === "accuracy" ? "0.1" : "1"}
-                    value={targetValues[metric] === 0 ? "" : targetValues[metric]}
+                    step={GOAL_TYPE_INFO[metric].step}
+                    value={targetValues[metric] || ""}
                     onChange={(e) => {
                       const val = e.target.value === '' ? 0 : parseFloat(e.target.value);
                       if (!isNaN(val)) {
@@ -342,7 +392,7 @@ export default function CreatePlaylistGoalModal({ onClose, onGoalCreated }: Crea
                       }
                     }}
                     className="w-full border border-theme-primary rounded-lg px-4 py-3 focus:outline-none focus:border-theme-accent"
-                    placeholder={`Enter target ${metric}${metric === "ttk" ? " (lower is better)" : ""}`}
+                    placeholder={`Enter target (${GOAL_TYPE_INFO[metric].unit})${GOAL_TYPE_INFO[metric].lowerIsBetter ? " - lower is better" : ""}`}
                     style={{ backgroundColor: '#1a1a1a', color: '#ffffff' }}
                   />
                   {metric === "ttk" && (
@@ -0,0 +1,306 @@
+import { useState } from "react";
+import { useQuery, getApiUrl } from "../../hooks/useApi";
+import { GOAL_TYPE_INFO } from "../../utils/goalTypes";
+
+import type { RankedStats, RankTierInfo } from "../../types";
+
+type CreateRankedGoalModalProps = {
+  onClose: () => void;
+  onGoalCreated: () => void;
+};
+
+type Step = "selectCategory" | "setTarget" | "setDate";
+type RankedGoalType = "ranked_tier" | "ranked_percentile";
+type RankedCategory = "Flicking" | "Tracking" | "Target Switching" | "Overall";
+
+const CATEGORIES: RankedCategory[] = ["Flicking", "Tracking", "Target Switching", "Overall"];
+
+// Rank points run from 0 to 3000; goals store the matching percentile (0-1)
+const MAX_RANK_POINTS = 3000;
+
+export default function CreateRankedGoalModal({ onClose, onGoalCreated }: CreateRankedGoalModalProps) {
+  const [step, setStep] = useState<Step>("selectCategory");
+  const [category, setCategory] = useState<RankedCategory | null>(null);
+  const [goalType, setGoalType] = useState<RankedGoalType>("ranked_tier");
+  const [targetTier, setTargetTier] = useState<string>("");
+  const [targetPercentile, setTargetPercentile] = useState<number>(0);
+  const [targetDate, setTargetDate] = useState<string>("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string>("");
+
+  // Same cache keys as the Ranked page
+  const { data: rankedStats } = useQuery<RankedStats>("rankedStats", "/api/ranked/stats", {
+    staleTime: 2 * 60 * 1000
+  });
+  const { data: tiersData } = useQuery<{ tiers: RankTierInfo[] }>("rankTiers", "/api/ranked/tiers", {
+    staleTime: 60 * 60 * 1000
+  });
+
+  const statsFor = (name: RankedCategory) => {
+    if (!rankedStats) return null;
+    if (name === "Overall") {
+      return { percentile: rankedStats.overall.rating, isProvisional: rankedStats.overall.isProvisional, tier: rankedStats.overall.tier };
+    }
+    const stats = rankedStats.categories[name];
+    return { percentile: stats.rating, isProvisional: stats.isProvisional, tier: stats.tier };
+  };
+
+  const current = category ? statsFor(category) : null;
+  const currentPercentile = current?.percentile ?? null;
+
+  // Tiers above where the category currently stands
+  const reachableTiers = (tiersData?.tiers || []).filter(tier =>
+    tier.minPoints > 0 && (currentPercentile === null || tier.minPoints / MAX_RANK_POINTS > currentPercentile)
+  );
+
+  const targetValue = goalType === "ranked_tier"
+    ? (tiersData?.tiers.find(tier => tier.tier === targetTier)?.minPoints ?? 0) / MAX_RANK_POINTS
+    : targetPercentile / 100;
+
+  const handleCategorySelect = (name: RankedCategory) => {
+    setCategory(name);
+    setTargetTier("");
+    setTargetPercentile(0);
+    setStep("setTarget");
+  };
+
+  const handleNext = () => {
+    if (goalType === "ranked_tier" && !targetTier) {
+      setError("Please choose a tier");
+      return;
+    }
+    if (goalType === "ranked_percentile") {
+      if (!targetPercentile || targetPercentile <= 0 || targetPercentile > 100) {
+        setError("Please set a percentile between 0 and 100");
+        return;
+      }
+      if (currentPercentile !== null && targetValue <= currentPercentile) {
+        setError(`Target must be higher than current (${GOAL_TYPE_INFO.ranked_percentile.format(currentPercentile)})`);
+        return;
+      }
+    }
+    setError("");
+    setStep("setDate");
+  };
+
+  const handleBack = () => {
+    setError("");
+    if (step === "setTarget") {
+      setStep("selectCategory");
+      setCategory(null);
+    } else if (step === "setDate") {
+      setStep("setTarget");
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!category) return;
+
+    setLoading(true);
+    setError("");
+
+    try {
+      const target = goalType === "ranked_tier" ? targetTier : GOAL_TYPE_INFO.ranked_percentile.format(targetValue);
+      const response = await fetch(getApiUrl("/api/goals/create"), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          title: `${category} - Reach ${target}`,
+          description: currentPercentile === null
+            ? `Reach ${target} in ${category}`
+            : `Raise ${category} from ${current?.tier.tier} (${GOAL_TYPE_INFO.ranked_percentile.format(currentPercentile)}) to ${target}`,
+          goal_type: goalType,
+          target_value: targetValue,
+          target_tier: goalType === "ranked_tier" ? targetTier : undefined,
+          target_category: category,
+          target_date: targetDate || null
+        })
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || "Failed to create goal");
+      }
+
+      onGoalCreated();
+    } catch (err) {
+      console.error("Failed to create goal:", err);
+      setError(err instanceof Error ? err.message : "Failed to create goal");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-white">
+            Create Ranked Goal
+            {category && ` - ${category}`}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-theme-muted hover:text-white text-2xl"
+          >
+            ×
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-500 bg-opacity-20 border border-red-500 text-red-400 px-4 py-2 rounded-lg mb-4">
+            {error}
+          </div>
+        )}
+
+        {/* Step 1: Select Category */}
+        {step === "selectCategory" && (
+          <div>
+            <h3 className="text-lg font-semibold text-white mb-4">Select a Category</h3>
+            <div className="space-y-2">
+              {CATEGORIES.map(name => {
+                const stats = statsFor(name);
+                return (
+                  <button
+                    key={name}
+                    onClick={() => handleCategorySelect(name)}
+                    className="w-full text-left bg-theme-tertiary hover:bg-theme-accent hover:bg-opacity-20 border border-theme-primary rounded-lg p-4 transition-colors"
+                  >
+                    <div className="flex justify-between items-center">
+                      <p className="font-medium text-white">{name}</p>
+                      {stats && (
+                        <div className="text-sm text-theme-muted">
+                          {stats.percentile === null
+                            ? "Unranked"
+                            : `${stats.tier.tier} · ${GOAL_TYPE_INFO.ranked_percentile.format(stats.percentile)}`}
+                          {stats.isProvisional && " (provisional)"}
+                        </div>
+                      )}
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* Step 2: Set Target */}
+        {step === "setTarget" && (
+          <div>
+            <h3 className="text-lg font-semibold text-white mb-4">Set Target</h3>
+            <p className="text-sm text-theme-muted mb-4">
+              {currentPercentile === null
+                ? "No rating in this category yet"
+                : `Current: ${current?.tier.tier} (${GOAL_TYPE_INFO.ranked_percentile.format(currentPercentile)})`}
+              {current?.isProvisional && " - the goal can't be met until your rating is no longer provisional"}
+            </p>
+            <div className="grid grid-cols-2 gap-2 mb-4">
+              {(["ranked_tier", "ranked_percentile"] as RankedGoalType[]).map(type => (
+                <button
+                  key={type}
+                  onClick={() => setGoalType(type)}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    goalType === type
+                      ? "bg-theme-accent text-white"
+                      : "bg-theme-tertiary text-theme-muted hover:text-white"
+                  }`}
+                >
+                  {GOAL_TYPE_INFO[type].label}
+                </button>
+              ))}
+            </div>
+            {goalType === "ranked_tier" ? (
+              reachableTiers.length > 0 ? (
+                <div className="grid grid-cols-2 gap-2">
+                  {reachableTiers.map(tier => (
+                    <button
+                      key={tier.tier}
+                      onClick={() => setTargetTier(tier.tier)}
+                      className={`border rounded-lg p-3 text-left transition-all ${
+                        targetTier === tier.tier
+                          ? "bg-theme-accent bg-opacity-20 border-theme-accent"
+                          : "bg-theme-tertiary border-theme-primary hover:border-theme-accent"
+                      }`}
+                    >
+                      <p className="font-medium" style={{ color: tier.color }}>{tier.tier}</p>
+                      <p className="text-xs text-theme-muted">{tier.percentileRange}</p>
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <div className="bg-theme-tertiary border border-theme-primary rounded-lg p-8 text-center">
+                  <p className="text-theme-muted">You're already in the top tier - try a percentile goal instead.</p>
+                </div>
+              )
+            ) : (
+              <div className="bg-theme-tertiary border border-theme-primary rounded-lg p-4">
+                <label className="block text-white font-medium mb-2">Target Percentile</label>
+                <input
+                  type="number"
+                  step={GOAL_TYPE_INFO.ranked_percentile.step}
+                  min={0}
+                  max={100}
+                  value={targetPercentile || ""}
+                  onChange={(e) => {
+                    const val = e.target.value === '' ? 0 : parseFloat(e.target.value);
+                    if (!isNaN(val)) setTargetPercentile(val);
+                  }}
+                  className="w-full border border-theme-primary rounded-lg px-4 py-3 focus:outline-none focus:border-theme-accent"
+                  placeholder="e.g. 85"
+                  style={{ backgroundColor: '#1a1a1a', color: '#ffffff' }}
+                />
+              </div>
+            )}
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={handleBack}
+                className="px-4 py-2 bg-theme-tertiary text-white rounded-lg hover:bg-opacity-80 transition-colors"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleNext}
+                className="flex-1 px-4 py-2 bg-theme-accent text-white rounded-lg hover:bg-opacity-80 transition-colors"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Step 3: Set Date */}
+        {step === "setDate" && (
+          <div>
+            <h3 className="text-lg font-semibold text-white mb-4">Set Target Date (Optional)</h3>
+            <p className="text-theme-muted mb-4">
+              When would you like to achieve this goal by?
+            </p>
+            <input
+              type="date"
+              value={targetDate}
+              onChange={(e) => setTargetDate(e.target.value)}
+              min={new Date().toISOString().split('T')[0]}
+              className="w-full border border-theme-primary rounded-lg px-4 py-3 focus:outline-none focus:border-theme-accent"
+              style={{ backgroundColor: '#1a1a1a', color: '#ffffff', colorScheme: 'dark' }}
+            />
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={handleBack}
+                className="px-4 py-2 bg-theme-tertiary text-white rounded-lg hover:bg-opacity-80 transition-colors"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={loading}
+                className="flex-1 px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? "Creating..." : "Create Goal"}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { Line } from "react-chartjs-2";
+import {
+  Chart as ChartJS, LineElement, PointElement, LinearScale, Legend, Tooltip,
+} from "chart.js";
+import { useQuery } from "../../hooks/useApi";
+import { formatGoalValue } from "../../utils/goalTypes";
+import type { Goal, GoalHistory } from "../../types";
+
+ChartJS.register(LineElement, PointElement, LinearScale, Legend, Tooltip);
+
+const utcToLocal = (ts: string) => new Date(`${ts.replace(' ', 'T')}Z`);
+
+// Local midnight at the end of the target day (target_date is "YYYY-MM-DD")
+const endOfTargetDate = (date: string) => new Date(`${date}T23:59:59`).getTime();
+
+export default function GoalHistoryChart({ goal }: { goal: Goal }) {
+  const { data: history, loading } = useQuery<GoalHistory>(
+    `goalHistory-${goal.id}`,
+    `/api/goals/${goal.id}/history`
+  );
+
+  if (loading && !history) {
+    return <p className="text-sm text-theme-muted">Loading history...</p>;
+  }
+
+  const points = (history?.points || []).map(p => ({ x: utcToLocal(p.recorded_at).getTime(), y: p.value }));
+  if (points.length === 0) {
+    return <p className="text-sm text-theme-muted">No progress recorded yet</p>;
+  }
+
+  const lastX = points[points.length - 1].x;
+  const targetX = goal.target_date ? endOfTargetDate(goal.target_date) : null;
+  const maxX = Math.max(lastX, targetX ?? lastX);
+
+  const datasets = [
+    {
+      label: "Progress",
+      data: points,
+      borderColor: "#3b82f6",
+      backgroundColor: "#3b82f6",
+      tension: 0.25
+    },
+    {
+      label: "Target",
+      data: [{ x: points[0].x, y: goal.target_value }, { x: maxX, y: goal.target_value }],
+      borderColor: "#22c55e",
+      borderDash: [6, 4],
+      pointRadius: 0
+    }
+  ];
+
+  // Straight line from the first value to the target on the target date: above it (below it for
+  // lower-is-better goals) means ahead of pace
+  if (targetX !== null) {
+    datasets.push({
+      label: "Pace",
+      data: [points[0], { x: targetX, y: goal.target_value }],
+      borderColor: "#9aa4b2",
+      borderDash: [2, 4],
+      pointRadius: 0
+    });
+  }
+
+  return (
+    <div className="bg-theme-tertiary border border-theme-primary rounded-lg p-4">
+      <Line
+        data={{ datasets }}
+        options={{
+          parsing: false,
+          plugins: {
+            legend: { labels: { color: "#cdd9e5" } },
+            tooltip: {
+              callbacks: {
+                title: (items) => new Date(items[0].parsed.x ?? 0).toLocaleString(),
+                label: (item) => `${item.dataset.label}: ${formatGoalValue(goal.goal_type, item.parsed.y)}`
+              }
+            }
+          },
+          scales: {
+            x: {
+              type: "linear",
+              min: points[0].x,
+              max: maxX,
+              ticks: { color: "#9aa4b2", maxTicksLimit: 6, callback: (value) => new Date(Number(value)).toLocaleDateString() },
+              grid: { color: "#222838" }
+            },
+            y: {
+              ticks: { color: "#9aa4b2", callback: (value) => formatGoalValue(goal.goal_type, Number(value)) },
+              grid: { color: "#222838" }
+            }
+          }
+        }}
+      />
+    </div>
+  );
+}
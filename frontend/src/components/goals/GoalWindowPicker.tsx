@@ -0,0 +1,64 @@
+import type { GoalWindowType } from "../../types";
+import { DEFAULT_WINDOW_SIZES } from "../../utils/goalTypes";
+
+type GoalWindowPickerProps = {
+  windowType: GoalWindowType;
+  windowSize: number;
+  allowed?: GoalWindowType[];
+  onChange: (windowType: GoalWindowType, windowSize: number) => void;
+};
+
+const WINDOW_OPTIONS: { type: GoalWindowType; label: string; hint: string }[] = [
+  { type: "runs", label: "Recent runs", hint: "Your last N runs" },
+  { type: "days", label: "Recent days", hint: "Runs from the last N days" },
+  { type: "since_created", label: "From now on", hint: "Only runs played after the goal is created" },
+  { type: "all", label: "All runs", hint: "Every run you've played" }
+];
+
+const MAX_SIZES: Partial<Record<GoalWindowType, number>> = { runs: 1000, days: 365 };
+
+export default function GoalWindowPicker({ windowType, windowSize, allowed, onChange }: GoalWindowPickerProps) {
+  const maxSize = MAX_SIZES[windowType];
+
+  return (
+    <div className="bg-theme-tertiary border border-theme-primary rounded-lg p-4">
+      <label className="block text-white font-medium mb-1">Measure Over</label>
+      <p className="text-sm text-theme-muted mb-3">
+        {WINDOW_OPTIONS.find(option => option.type === windowType)?.hint}
+      </p>
+      <div className="grid grid-cols-2 gap-2">
+        {WINDOW_OPTIONS.filter(option => !allowed || allowed.includes(option.type)).map(option => (
+          <button
+            key={option.type}
+            onClick={() => onChange(option.type, DEFAULT_WINDOW_SIZES[option.type] ?? windowSize)}
+            className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+              windowType === option.type
+                ? "bg-theme-accent text-white"
+                : "bg-theme-secondary text-theme-muted hover:text-white"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {maxSize && (
+        <div className="flex items-center gap-3 mt-3">
+          <input
+            type="number"
+            min={1}
+            max={maxSize}
+            step={1}
+            value={windowSize}
+            onChange={(e) => {
+              const size = parseInt(e.target.value);
+              if (!isNaN(size)) onChange(windowType, Math.min(maxSize, Math.max(1, size)));
+            }}
+            className="w-28 border border-theme-primary rounded-lg px-3 py-2 focus:outline-none focus:border-theme-accent"
+            style={{ backgroundColor: '#1a1a1a', color: '#ffffff' }}
+          />
+          <span className="text-sm text-theme-muted">{windowType === "runs" ? "runs" : "days"}</span>
+        </div>
+      )}
+    </div>
+  );
+}
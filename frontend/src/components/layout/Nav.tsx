@@ -1,12 +1,18 @@
 import { Link, useLocation } from "react-router-dom";
 import { usePracticeMode } from "../../hooks/usePracticeMode";
 import { useSession } from "../../hooks/useSession";
+import { useQuery } from "../../hooks/useApi";
+import type { WatcherStatus } from "../../types";
 import logoImg from "../../assets/vs-icon-logo.png";
 
 export default function Nav() {
     const location = useLocation();
     const { isPracticeMode } = usePracticeMode();
     const { activeSession } = useSession();
+    const { data: watcherStatus } = useQuery<WatcherStatus>("watcherStatus", "/api/import/status", { refetchInterval: 15000 });
+    const watcherProblem = watcherStatus && (watcherStatus.state === 'degraded' || watcherStatus.state === 'error')
+        ? watcherStatus
+        : null;
     
     // Detect dev mode - Vite dev server runs on localhost:5173
     const isDevMode = window.location.port === '5173' || window.location.hostname === 'localhost';
@@ -28,8 +34,22 @@ export default function Nav() {
                     </Link>
                     
                     {/* Status Indicators */}
-                    {(isPracticeMode || activeSession || isDevMode) && (
+                    {(isPracticeMode || activeSession || isDevMode || watcherProblem) && (
                         <div className="flex items-center gap-2">
+                            {watcherProblem && (
+                                <Link
+                                    to="/settings"
+                                    title={watcherProblem.message ?? undefined}
+                                    className={`flex items-center gap-1.5 px-2 py-1 rounded text-xs font-semibold ${
+                                        watcherProblem.state === 'error'
+                                            ? 'bg-red-500/20 border border-red-500/30 text-red-400'
+                                            : 'bg-yellow-500/20 border border-yellow-500/30 text-yellow-400'
+                                    }`}
+                                >
+                                    <span className={`w-2 h-2 rounded-full ${watcherProblem.state === 'error' ? 'bg-red-400' : 'bg-yellow-400'}`} />
+                                    {watcherProblem.state === 'error' ? 'Import Stopped' : 'Folder Offline'}
+                                </Link>
+                            )}
                             {isDevMode && (
                                 <span className="flex items-center gap-1.5 px-2 py-1 bg-orange-500/20 border border-orange-500/30 rounded text-xs font-semibold text-orange-400">
                                     <span className="w-2 h-2 bg-orange-400 rounded-full" />
@@ -0,0 +1,85 @@
+import { useState } from "react";
+import { useQuery, getApiUrl } from "../../hooks/useApi";
+import { formatWhen } from "../../utils/format";
+import type { PracticeInterval } from "../../types";
+
+type PracticeHistoryProps = {
+  isPracticeMode: boolean;
+};
+
+const formatSpan = (interval: PracticeInterval) => {
+  if (!interval.ended_at) return "ongoing";
+  const minutes = Math.round((new Date(interval.ended_at).getTime() - new Date(interval.started_at).getTime()) / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+export default function PracticeHistory({ isPracticeMode }: PracticeHistoryProps) {
+  // Key on the toggle state so the list refreshes when practice mode is switched
+  const { data: intervals } = useQuery<PracticeInterval[]>(`practiceIntervals-${isPracticeMode}`, "/api/practice/intervals");
+  const [recomputing, setRecomputing] = useState(false);
+  const [result, setResult] = useState<string | null>(null);
+
+  const handleRecompute = async () => {
+    setRecomputing(true);
+    setResult(null);
+    try {
+      const response = await fetch(getApiUrl('/api/practice/recompute'), { method: 'POST' });
+      const data = await response.json();
+      if (response.ok) {
+        setResult(data.changed > 0
+          ? `${data.changed} runs re-tagged (${data.practiceRuns} practice runs in total)`
+          : 'All runs already match the practice history');
+        if (data.changed > 0) window.dispatchEvent(new CustomEvent('data-updated'));
+      } else {
+        setResult(data.error || 'Failed to re-tag runs');
+      }
+    } catch {
+      setResult('Failed to re-tag runs');
+    } finally {
+      setRecomputing(false);
+    }
+  };
+
+  const recent = (intervals ?? []).slice(-8).reverse();
+
+  return (
+    <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
+      <div className="flex items-center justify-between gap-4 mb-3">
+        <div>
+          <h2 className="text-xl font-bold text-white">Practice History</h2>
+          <p className="text-sm text-theme-muted">
+            Runs count as practice when they were played while practice mode was on, even if their stats file is imported later.
+          </p>
+        </div>
+        <button
+          onClick={handleRecompute}
+          disabled={recomputing}
+          className="px-4 py-2 bg-theme-tertiary hover:bg-theme-hover disabled:cursor-not-allowed text-white border border-theme-primary rounded-lg text-sm font-medium transition-colors whitespace-nowrap"
+        >
+          {recomputing ? 'Re-tagging...' : 'Re-tag Runs'}
+        </button>
+      </div>
+
+      {result && <p className="text-sm text-theme-muted mb-3">{result}</p>}
+
+      {recent.length > 0 ? (
+        <div className="space-y-1">
+          {recent.map(interval => (
+            <div key={interval.id} className="flex items-center justify-between px-3 py-2 bg-theme-tertiary rounded-lg text-sm">
+              <span className="text-white">
+                {formatWhen(interval.started_at)} → {interval.ended_at ? formatWhen(interval.ended_at) : 'now'}
+              </span>
+              <span className={interval.ended_at ? "text-theme-muted" : "text-green-400"}>
+                {formatSpan(interval)}
+                {interval.origin === 'backfill' && ' · from tagged runs'}
+                {interval.origin === 'session' && ' · practice session'}
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-theme-muted">Practice mode has not been used yet.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState, useEffect } from "react";
+import { getApiUrl } from "../../hooks/useApi";
+
+type NamingMode = 'none' | 'date' | 'playlist';
+
+type AutoSettings = {
+  autoSessions: boolean;
+  autoSessionNaming: NamingMode;
+  sessionIdleMinutes: number;
+};
+
+const IDLE_OPTIONS = [10, 15, 20, 30, 45, 60, 90];
+
+export default function AutoSessionSettings() {
+  const [settings, setSettings] = useState<AutoSettings | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetch(getApiUrl('/api/settings'))
+      .then(res => res.json())
+      .then(data => setSettings({
+        autoSessions: !!data.autoSessions,
+        autoSessionNaming: data.autoSessionNaming || 'date',
+        sessionIdleMinutes: data.sessionIdleMinutes || 30
+      }))
+      .catch(err => console.error('Failed to load auto session settings:', err));
+  }, []);
+
+  const save = async (updates: Partial<AutoSettings>) => {
+    if (!settings) return;
+    const previous = settings;
+    setSettings({ ...settings, ...updates });
+    setSaving(true);
+    try {
+      const response = await fetch(getApiUrl('/api/settings'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates)
+      });
+      if (!response.ok) setSettings(previous);
+    } catch (err) {
+      console.error('Failed to save auto session settings:', err);
+      setSettings(previous);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) return null;
+
+  // Keep a custom threshold (e.g. saved from session detection) selectable
+  const idleOptions = IDLE_OPTIONS.includes(settings.sessionIdleMinutes)
+    ? IDLE_OPTIONS
+    : [...IDLE_OPTIONS, settings.sessionIdleMinutes].sort((a, b) => a - b);
+
+  return (
+    <div className="mt-4 pt-4 border-t border-theme-primary flex flex-wrap items-center gap-x-6 gap-y-3">
+      <label className="flex items-center gap-2 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={settings.autoSessions}
+          onChange={(e) => save({ autoSessions: e.target.checked })}
+          disabled={saving}
+          className="w-4 h-4"
+        />
+        <span className="text-sm text-white font-medium">Auto sessions</span>
+      </label>
+
+      <div className={`flex flex-wrap items-center gap-x-6 gap-y-3 ${settings.autoSessions ? '' : 'opacity-50'}`}>
+        <label className="flex items-center gap-2 text-sm text-theme-muted">
+          End after
+          <select
+            value={settings.sessionIdleMinutes}
+            onChange={(e) => save({ sessionIdleMinutes: Number(e.target.value) })}
+            disabled={saving || !settings.autoSessions}
+            className="px-2 py-1 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm"
+          >
+            {idleOptions.map(minutes => <option key={minutes} value={minutes}>{minutes} min</option>)}
+          </select>
+          without a new run
+        </label>
+
+        <label className="flex items-center gap-2 text-sm text-theme-muted">
+          Name by
+          <select
+            value={settings.autoSessionNaming}
+            onChange={(e) => save({ autoSessionNaming: e.target.value as NamingMode })}
+            disabled={saving || !settings.autoSessions}
+            className="px-2 py-1 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm"
+          >
+            <option value="date">Date</option>
+            <option value="playlist">Main playlist</option>
+            <option value="none">Don't name</option>
+          </select>
+        </label>
+      </div>
+
+      <p className="w-full text-xs text-theme-muted">
+        A session starts with the first run you play and ends at your last run once you stop playing. Manually started sessions are never ended automatically.
+      </p>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useState, useEffect } from "react";
 import { useSession } from "../../hooks/useSession";
+import AutoSessionSettings from "./AutoSessionSettings";
 
 type SessionControlProps = {
   onSessionEnd?: () => void;
@@ -86,6 +87,9 @@ export default function SessionControl({ onSessionEnd }: SessionControlProps) {
                 <div className="flex items-center gap-2">
                   <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse" />
                   <span className="text-green-400 font-medium">Active</span>
+                  {activeSession.origin === 'auto' && (
+                    <span className="text-xs text-theme-muted">(started automatically)</span>
+                  )}
                 </div>
                 <span className="text-white font-mono text-lg">
                   {formatElapsedTime(elapsedTime)}
@@ -118,6 +122,8 @@ export default function SessionControl({ onSessionEnd }: SessionControlProps) {
         </div>
       </div>
 
+      <AutoSessionSettings />
+
       {/* Session Name Prompt Modal */}
       {showNamePrompt && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
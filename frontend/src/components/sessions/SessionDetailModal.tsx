@@ -119,6 +119,7 @@ export default function SessionDetailModal({ sessionId, onClose, onUpdate }: Ses
         method: 'DELETE'
       });
       if (!response.ok) throw new Error('Failed to delete session');
+      window.dispatchEvent(new CustomEvent('data-updated'));
       onUpdate();
       onClose();
     } catch (error) {
@@ -463,7 +464,7 @@ export default function SessionDetailModal({ sessionId, onClose, onUpdate }: Ses
       <ConfirmDialog
         isOpen={showDeleteConfirm}
         title="Delete Session"
-        message={`Are you sure you want to delete "${session?.name || `Session ${sessionId}`}"? This cannot be undone.`}
+        message={`Delete "${session?.name || `Session ${sessionId}`}"? It stays in the Trash (Settings) for 7 days.`}
         confirmText="Delete"
         cancelText="Cancel"
         onConfirm={handleDeleteConfirm}
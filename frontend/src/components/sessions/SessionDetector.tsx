@@ -0,0 +1,215 @@
+import { useState, useEffect } from "react";
+import { getApiUrl } from "../../hooks/useApi";
+import type { DetectedSession } from "../../types";
+
+const candidateKey = (c: DetectedSession) => `${c.is_practice}-${c.started_at}`;
+
+const defaultName = (c: DetectedSession) =>
+  new Date(c.started_at).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+const formatDuration = (seconds: number) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+export default function SessionDetector() {
+  const [idleMinutes, setIdleMinutes] = useState('30');
+  const [minRuns, setMinRuns] = useState('3');
+  const [candidates, setCandidates] = useState<DetectedSession[] | null>(null);
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [names, setNames] = useState<Record<string, string>>({});
+  const [detecting, setDetecting] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetch(getApiUrl('/api/settings'))
+      .then(res => res.json())
+      .then(data => {
+        if (data.sessionIdleMinutes) setIdleMinutes(String(data.sessionIdleMinutes));
+      })
+      .catch(err => console.error('Failed to load idle threshold:', err));
+  }, []);
+
+  const handleDetect = async () => {
+    setDetecting(true);
+    setMessage(null);
+    try {
+      // Remember the threshold so the next detection starts from it
+      await fetch(getApiUrl('/api/settings'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionIdleMinutes: Number(idleMinutes) })
+      });
+
+      const params = new URLSearchParams({ idleMinutes, minRuns });
+      const response = await fetch(getApiUrl(`/api/sessions/detect?${params}`));
+      const data = await response.json();
+      if (!response.ok) {
+        setMessage(data.error || 'Failed to detect sessions');
+        return;
+      }
+      setCandidates(data.candidates);
+      setSelected(new Set(data.candidates.map(candidateKey)));
+      setNames({});
+    } catch {
+      setMessage('Failed to detect sessions');
+    } finally {
+      setDetecting(false);
+    }
+  };
+
+  const toggle = (key: string) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const handleCreate = async () => {
+    if (!candidates) return;
+    const accepted = candidates.filter(c => selected.has(candidateKey(c)));
+    setCreating(true);
+    setMessage(null);
+    try {
+      const response = await fetch(getApiUrl('/api/sessions/detect'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sessions: accepted.map(c => ({
+            started_at: c.started_at,
+            ended_at: c.ended_at,
+            is_practice: c.is_practice,
+            name: names[candidateKey(c)]?.trim() || defaultName(c)
+          }))
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setMessage(data.error || 'Failed to create sessions');
+        return;
+      }
+      setMessage(data.skipped > 0
+        ? `Created ${data.created.length} sessions, skipped ${data.skipped} that overlap an existing session`
+        : `Created ${data.created.length} sessions`);
+      setCandidates(candidates.filter(c => !selected.has(candidateKey(c))));
+      setSelected(new Set());
+      window.dispatchEvent(new CustomEvent('data-updated'));
+    } catch {
+      setMessage('Failed to create sessions');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
+      <h2 className="text-xl font-bold text-white mb-1">Find Past Sessions</h2>
+      <p className="text-sm text-theme-muted mb-4">
+        Groups your run history into sessions wherever you stopped playing for longer than the idle gap, so older play can be compared too.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-theme-muted mb-1">Idle gap (minutes)</label>
+          <input
+            type="number"
+            min={1}
+            value={idleMinutes}
+            onChange={(e) => setIdleMinutes(e.target.value)}
+            className="w-32 px-3 py-2 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-theme-muted mb-1">Minimum runs</label>
+          <input
+            type="number"
+            min={1}
+            value={minRuns}
+            onChange={(e) => setMinRuns(e.target.value)}
+            className="w-32 px-3 py-2 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm"
+          />
+        </div>
+        <button
+          onClick={handleDetect}
+          disabled={detecting || !(Number(idleMinutes) > 0)}
+          className="px-4 py-2 bg-theme-accent hover:bg-theme-accent/80 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+        >
+          {detecting ? 'Detecting...' : 'Detect Sessions'}
+        </button>
+      </div>
+
+      {message && <p className="text-sm text-theme-muted mb-3">{message}</p>}
+
+      {candidates && candidates.length === 0 && (
+        <p className="text-sm text-theme-muted">All of your play is already covered by sessions.</p>
+      )}
+
+      {candidates && candidates.length > 0 && (
+        <>
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm text-theme-muted">
+              {candidates.length} clusters found · {selected.size} selected
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setSelected(selected.size === candidates.length ? new Set() : new Set(candidates.map(candidateKey)))}
+                className="px-3 py-1.5 bg-theme-tertiary hover:bg-theme-hover border border-theme-primary text-white rounded-lg text-sm font-medium transition-colors"
+              >
+                {selected.size === candidates.length ? 'Select None' : 'Select All'}
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={creating || selected.size === 0}
+                className="px-3 py-1.5 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+              >
+                {creating ? 'Creating...' : `Create ${selected.size} Sessions`}
+              </button>
+            </div>
+          </div>
+
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {candidates.map(candidate => {
+              const key = candidateKey(candidate);
+              return (
+                <div key={key} className="flex items-center gap-3 p-3 bg-theme-tertiary rounded-lg">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(key)}
+                    onChange={() => toggle(key)}
+                    className="w-4 h-4"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={names[key] ?? ''}
+                        onChange={(e) => setNames(prev => ({ ...prev, [key]: e.target.value }))}
+                        placeholder={defaultName(candidate)}
+                        className="flex-1 min-w-0 px-2 py-1 bg-theme-secondary border border-theme-secondary rounded text-white text-sm placeholder:text-gray-400"
+                      />
+                      {candidate.is_practice === 1 && (
+                        <span className="px-2 py-0.5 bg-purple-500/20 border border-purple-500/50 text-purple-300 text-xs font-medium rounded whitespace-nowrap">
+                          🎯 Practice
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-xs text-theme-muted mt-1">
+                      {new Date(candidate.started_at).toLocaleString()} → {new Date(candidate.ended_at).toLocaleTimeString()}
+                      {' · '}{candidate.total_runs} runs · {formatDuration(candidate.total_duration)} played
+                      {' · '}{candidate.top_tasks.map(t => t.name).join(', ')}
+                      {candidate.task_count > candidate.top_tasks.length && ` +${candidate.task_count - candidate.top_tasks.length} more`}
+                    </p>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -81,6 +81,16 @@ export default function SessionsList({ sessions, loading, onCompare }: SessionsL
                       🎯 Practice
                     </span>
                   )}
+                  {session.origin === 'auto' && (
+                    <span className="px-2 py-0.5 bg-theme-primary text-theme-muted text-xs font-medium rounded whitespace-nowrap" title="Started and ended by auto session mode">
+                      Auto
+                    </span>
+                  )}
+                  {session.origin === 'detected' && (
+                    <span className="px-2 py-0.5 bg-theme-primary text-theme-muted text-xs font-medium rounded whitespace-nowrap" title="Created from play history">
+                      Detected
+                    </span>
+                  )}
                   <span className="text-xs text-theme-muted whitespace-nowrap">
                     {formatDate(session.started_at)}
                   </span>
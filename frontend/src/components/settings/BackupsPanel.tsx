@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback } from "react";
+import { getApiUrl } from "../../hooks/useApi";
+import ConfirmDialog from "../feedback/ConfirmDialog";
+import type { Backup, BackupStats, ToastMessage } from "../../types";
+
+type BackupsPanelProps = {
+  onToast: (toast: ToastMessage) => void;
+};
+
+const COUNT_OPTIONS = [5, 10, 20, 30, 60, 90];
+const AGE_OPTIONS = [0, 7, 14, 30, 90, 180, 365];
+
+const REASON_LABELS: Record<string, string> = {
+  daily: 'Daily',
+  manual: 'Manual',
+  'pre-restore': 'Before restore',
+  'pre-clear-data': 'Before clearing data'
+};
+
+const formatSize = (bytes: number) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+// Keep a value saved outside the presets (e.g. through the API) selectable
+const withValue = (options: number[], value: number) =>
+  options.includes(value) ? options : [...options, value].sort((a, b) => a - b);
+
+export default function BackupsPanel({ onToast }: BackupsPanelProps) {
+  const [backups, setBackups] = useState<Backup[]>([]);
+  const [stats, setStats] = useState<BackupStats | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [confirmRestore, setConfirmRestore] = useState<Backup | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [listResponse, statsResponse] = await Promise.all([
+        fetch(getApiUrl('/api/backups')),
+        fetch(getApiUrl('/api/backups/stats'))
+      ]);
+      if (listResponse.ok) setBackups(await listResponse.json());
+      if (statsResponse.ok) setStats(await statsResponse.json());
+    } catch (err) {
+      console.error('Failed to load backups:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    // Clearing data takes a safety backup
+    window.addEventListener('data-updated', load);
+    return () => window.removeEventListener('data-updated', load);
+  }, [load]);
+
+  const createBackup = async () => {
+    setBusy(true);
+    try {
+      const response = await fetch(getApiUrl('/api/backups'), { method: 'POST' });
+      const result = await response.json();
+      if (response.ok) {
+        onToast({ message: 'Backup created', type: 'success' });
+      } else {
+        onToast({ message: result.error || 'Failed to create backup', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Failed to create backup', type: 'error' });
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const saveRetention = async (updates: Partial<BackupStats['retention']>) => {
+    setBusy(true);
+    try {
+      const response = await fetch(getApiUrl('/api/backups/retention'), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates)
+      });
+      const result = await response.json();
+      if (response.ok) {
+        onToast({
+          message: result.removed > 0 ? `Retention updated, removed ${result.removed} old backup(s)` : 'Retention updated',
+          type: 'success'
+        });
+      } else {
+        onToast({ message: result.error || 'Failed to update retention', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Failed to update retention', type: 'error' });
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const restoreBackup = async (backup: Backup) => {
+    setBusy(true);
+    try {
+      const response = await fetch(getApiUrl(`/api/backups/${encodeURIComponent(backup.filename)}/restore`), { method: 'POST' });
+      const result = await response.json();
+      if (response.ok) {
+        onToast({ message: 'Backup restored', type: 'success' });
+        window.dispatchEvent(new CustomEvent('data-updated'));
+      } else if (result.problems?.length) {
+        onToast({ message: `${result.error}: ${result.problems[0]}`, type: 'error' });
+      } else {
+        onToast({ message: result.error || 'Restore failed', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Restore failed', type: 'error' });
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const deleteBackup = async (backup: Backup) => {
+    setBusy(true);
+    try {
+      const response = await fetch(getApiUrl(`/api/backups/${encodeURIComponent(backup.filename)}`), { method: 'DELETE' });
+      if (response.ok) {
+        onToast({ message: 'Backup deleted', type: 'success' });
+      } else {
+        const result = await response.json();
+        onToast({ message: result.error || 'Failed to delete backup', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Failed to delete backup', type: 'error' });
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  return (
+    <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
+      <div className="flex items-center justify-between gap-4 mb-1">
+        <h2 className="text-xl font-bold text-white">Backups</h2>
+        <button
+          onClick={createBackup}
+          disabled={busy}
+          className="px-3 py-1.5 bg-theme-accent bg-theme-accent-hover disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+        >
+          Create Backup
+        </button>
+      </div>
+      <p className="text-sm text-theme-muted mb-4">
+        A backup is taken every day and before risky operations.
+        {stats && ` ${stats.count} backups, ${stats.totalSizeMB} MB in ${stats.backupDir}.`}
+      </p>
+
+      {stats && (
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-3 mb-4">
+          <label className="flex items-center gap-2 text-sm text-theme-muted">
+            Keep at most
+            <select
+              value={stats.retention.maxBackups}
+              onChange={(e) => saveRetention({ maxBackups: Number(e.target.value) })}
+              disabled={busy}
+              className="px-2 py-1 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm"
+            >
+              {withValue(COUNT_OPTIONS, stats.retention.maxBackups).map(count => (
+                <option key={count} value={count}>{count} backups</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-sm text-theme-muted">
+            Delete after
+            <select
+              value={stats.retention.maxAgeDays}
+              onChange={(e) => saveRetention({ maxAgeDays: Number(e.target.value) })}
+              disabled={busy}
+              className="px-2 py-1 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm"
+            >
+              {withValue(AGE_OPTIONS, stats.retention.maxAgeDays).map(days => (
+                <option key={days} value={days}>{days === 0 ? 'Never' : `${days} days`}</option>
+              ))}
+            </select>
+          </label>
+          <p className="w-full text-xs text-theme-muted">The newest backup is always kept.</p>
+        </div>
+      )}
+
+      {backups.length === 0 ? (
+        <p className="text-sm text-theme-muted">No backups yet.</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {backups.map(backup => (
+            <div key={backup.filename} className="flex items-center justify-between gap-3 p-3 bg-theme-tertiary rounded-lg">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-white truncate">{new Date(backup.modified).toLocaleString()}</p>
+                <p className="text-xs text-theme-muted">
+                  {REASON_LABELS[backup.reason] || backup.reason} · {formatSize(backup.size)}
+                </p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <button
+                  onClick={() => setConfirmRestore(backup)}
+                  disabled={busy}
+                  className="px-3 py-1.5 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => deleteBackup(backup)}
+                  disabled={busy}
+                  className="px-3 py-1.5 bg-theme-hover disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={confirmRestore !== null}
+        title="Restore backup?"
+        message={`All current data will be replaced with the backup from ${confirmRestore ? new Date(confirmRestore.modified).toLocaleString() : ''}. The backup is checked first, and a backup of the current data is taken so the restore can be reverted.`}
+        confirmText="Restore"
+        danger
+        onConfirm={() => {
+          const backup = confirmRestore;
+          setConfirmRestore(null);
+          if (backup) restoreBackup(backup);
+        }}
+        onCancel={() => setConfirmRestore(null)}
+      />
+    </div>
+  );
+}
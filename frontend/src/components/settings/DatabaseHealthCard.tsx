@@ -0,0 +1,149 @@
+import { useState, useEffect, useCallback } from "react";
+import { getApiUrl } from "../../hooks/useApi";
+import type { IntegrityIssue, IntegrityReport, ToastMessage } from "../../types";
+
+type DatabaseHealthCardProps = {
+  onToast: (toast: ToastMessage) => void;
+};
+
+const TRIGGER_LABELS: Record<IntegrityReport['trigger'], string> = {
+  manual: 'Manual check',
+  fix: 'After fixing',
+  startup: 'On startup',
+  import: 'After import'
+};
+
+const SEVERITY_STYLES: Record<IntegrityIssue['severity'], string> = {
+  error: 'text-red-400',
+  warning: 'text-yellow-400',
+  info: 'text-theme-muted'
+};
+
+// report timestamps come from SQLite datetime('now') (UTC, no zone suffix)
+const utcToLocal = (ts: string) => new Date(`${ts.replace(' ', 'T')}Z`);
+
+const summarize = (report: IntegrityReport) =>
+  report.healthy ? 'Healthy' : `${report.errors} errors, ${report.warnings} warnings`;
+
+export default function DatabaseHealthCard({ onToast }: DatabaseHealthCardProps) {
+  const [reports, setReports] = useState<IntegrityReport[]>([]);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await fetch(getApiUrl('/api/integrity/reports?limit=10'));
+      if (response.ok) setReports(await response.json());
+    } catch (err) {
+      console.error('Failed to load health reports:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (url: string, method: 'GET' | 'POST') => {
+    setBusy(true);
+    try {
+      const response = await fetch(getApiUrl(url), { method });
+      const result = await response.json();
+      if (!response.ok) {
+        onToast({ message: result.error || 'Health check failed', type: 'error' });
+        return;
+      }
+      const report = result as IntegrityReport;
+      if (report.fixes) {
+        const failed = report.fixes.filter(f => !f.success).length;
+        onToast({
+          message: failed > 0 ? `${failed} fix(es) failed, see the report` : `Applied ${report.fixes.length} fix(es)`,
+          type: failed > 0 ? 'error' : 'success'
+        });
+        window.dispatchEvent(new CustomEvent('data-updated'));
+      } else {
+        onToast({ message: `Database check: ${summarize(report)}`, type: report.healthy ? 'success' : 'warning' });
+      }
+    } catch {
+      onToast({ message: 'Health check failed', type: 'error' });
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const latest = reports[0];
+  const canFix = latest?.issues.some(issue => issue.fixable) ?? false;
+
+  return (
+    <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
+      <div className="flex items-center justify-between gap-4 mb-1">
+        <h2 className="text-xl font-bold text-white">Database health</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={() => run('/api/integrity/check', 'GET')}
+            disabled={busy}
+            className="px-3 py-1.5 bg-theme-accent bg-theme-accent-hover disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            {busy ? 'Checking...' : 'Run Check'}
+          </button>
+          <button
+            onClick={() => run('/api/integrity/fix', 'POST')}
+            disabled={busy || !canFix}
+            className="px-3 py-1.5 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            Fix Issues
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-theme-muted mb-4">
+        Looks for orphaned runs, stale caches, duplicates and broken sessions. Checks also run on startup and after large imports.
+      </p>
+
+      {!latest ? (
+        <p className="text-sm text-theme-muted">No checks have run yet.</p>
+      ) : (
+        <>
+          <div className="p-3 bg-theme-tertiary rounded-lg mb-4">
+            <p className={`text-sm font-medium ${latest.healthy ? 'text-green-400' : latest.errors > 0 ? 'text-red-400' : 'text-yellow-400'}`}>
+              {summarize(latest)}
+            </p>
+            <p className="text-xs text-theme-muted mb-2">
+              {TRIGGER_LABELS[latest.trigger]} · {utcToLocal(latest.created_at).toLocaleString()}
+            </p>
+            {latest.issues.length > 0 && (
+              <ul className="space-y-1">
+                {latest.issues.map((issue, index) => (
+                  <li key={index} className={`text-sm ${SEVERITY_STYLES[issue.severity]}`}>
+                    {issue.message}{issue.fixable ? ' (fixable)' : ''}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {latest.fixes && latest.fixes.some(f => !f.success) && (
+              <ul className="mt-2 space-y-1">
+                {latest.fixes.filter(f => !f.success).map(f => (
+                  <li key={f.fix} className="text-xs text-red-400">Fix failed: {f.message} ({f.error})</li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {reports.length > 1 && (
+            <div>
+              <h3 className="text-sm font-semibold text-white mb-2">History</h3>
+              <div className="space-y-1 max-h-48 overflow-y-auto">
+                {reports.slice(1).map(report => (
+                  <div key={report.id} className="flex items-center justify-between gap-3 text-xs text-theme-muted">
+                    <span>{utcToLocal(report.created_at).toLocaleString()} · {TRIGGER_LABELS[report.trigger]}</span>
+                    <span className={report.healthy ? 'text-green-400' : report.errors > 0 ? 'text-red-400' : 'text-yellow-400'}>
+                      {summarize(report)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useState, useEffect, useCallback } from "react";
+import { getApiUrl } from "../../hooks/useApi";
+import { formatWhen } from "../../utils/format";
+import type { ImportLog, ToastMessage } from "../../types";
+
+type ImportLogPanelProps = {
+  onToast: (toast: ToastMessage) => void;
+};
+
+// import_log timestamps come from SQLite CURRENT_TIMESTAMP (UTC, no zone suffix)
+const utcToLocal = (ts: string) => formatWhen(ts.includes('T') ? ts : `${ts.replace(' ', 'T')}Z`);
+
+export default function ImportLogPanel({ onToast }: ImportLogPanelProps) {
+  const [log, setLog] = useState<ImportLog | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [retryingId, setRetryingId] = useState<number | null>(null);
+  const [retryingAll, setRetryingAll] = useState(false);
+
+  const loadLog = useCallback(async () => {
+    try {
+      const response = await fetch(getApiUrl('/api/import/log?status=failed&limit=100'));
+      if (response.ok) {
+        setLog(await response.json());
+      }
+    } catch (err) {
+      console.error('Failed to load import log:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLog();
+  }, [loadLog]);
+
+  const handleRetry = async (id: number) => {
+    setRetryingId(id);
+    try {
+      const response = await fetch(getApiUrl(`/api/import/log/${id}/retry`), { method: 'POST' });
+      if (response.ok) {
+        const result = await response.json();
+        onToast(result.success
+          ? { message: `Imported ${result.entry.filename}`, type: 'success' }
+          : { message: `Still failing: ${result.entry.reason || 'unknown error'}`, type: 'warning' });
+      } else {
+        onToast({ message: 'Retry failed', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Retry failed', type: 'error' });
+    } finally {
+      setRetryingId(null);
+      loadLog();
+    }
+  };
+
+  const handleRetryAll = async () => {
+    setRetryingAll(true);
+    try {
+      const response = await fetch(getApiUrl('/api/import/retry-failed'), { method: 'POST' });
+      if (response.ok) {
+        const result = await response.json();
+        onToast({
+          message: `Recovered ${result.recovered} of ${result.attempted} files (${result.imported} runs imported)`,
+          type: result.stillFailing > 0 ? 'warning' : 'success'
+        });
+      } else {
+        onToast({ message: 'Retry failed', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Retry failed', type: 'error' });
+    } finally {
+      setRetryingAll(false);
+      loadLog();
+    }
+  };
+
+  const failed = log?.entries ?? [];
+
+  return (
+    <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-white">Import Report</h2>
+        {failed.length > 0 && (
+          <button
+            onClick={handleRetryAll}
+            disabled={retryingAll}
+            className="px-4 py-2 bg-theme-accent bg-theme-accent-hover disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            {retryingAll ? 'Retrying...' : 'Retry All'}
+          </button>
+        )}
+      </div>
+
+      {log && (
+        <div className="grid grid-cols-3 gap-3 mb-4">
+          <div className="text-center bg-theme-hover rounded-lg p-2">
+            <p className="text-xl font-bold text-green-400">{log.summary.inserted}</p>
+            <p className="text-xs text-theme-muted">Imported</p>
+          </div>
+          <div className="text-center bg-theme-hover rounded-lg p-2">
+            <p className="text-xl font-bold text-theme-muted">{log.summary.duplicate}</p>
+            <p className="text-xs text-theme-muted">Duplicates</p>
+          </div>
+          <div className="text-center bg-theme-hover rounded-lg p-2">
+            <p className={`text-xl font-bold ${log.summary.failed > 0 ? 'text-red-400' : 'text-theme-muted'}`}>{log.summary.failed}</p>
+            <p className="text-xs text-theme-muted">Failed</p>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-theme-muted text-sm">Loading...</p>
+      ) : failed.length === 0 ? (
+        <p className="text-theme-muted text-sm">No failed files. Every stats file was imported or skipped as a duplicate.</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {failed.map(entry => (
+            <div key={entry.id} className="flex items-center justify-between gap-3 p-3 bg-theme-tertiary rounded-lg">
+              <div className="min-w-0">
+                <p className="text-white text-sm font-medium truncate" title={entry.path}>{entry.filename ?? entry.path}</p>
+                <p className="text-xs text-red-400">{entry.reason || 'Unknown error'}</p>
+                <p className="text-xs text-theme-muted">
+                  {utcToLocal(entry.last_attempt_at)} · {entry.attempts} attempt{entry.attempts === 1 ? '' : 's'}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRetry(entry.id)}
+                disabled={retryingId === entry.id || retryingAll}
+                className="px-3 py-1.5 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors whitespace-nowrap"
+              >
+                {retryingId === entry.id ? 'Retrying...' : 'Retry'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
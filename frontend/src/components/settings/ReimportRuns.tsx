@@ -0,0 +1,102 @@
+import { useState } from "react";
+import { getApiUrl } from "../../hooks/useApi";
+import type { ReimportSummary, ToastMessage } from "../../types";
+
+type ReimportRunsProps = {
+  onToast: (toast: ToastMessage) => void;
+};
+
+export default function ReimportRuns({ onToast }: ReimportRunsProps) {
+  const [preview, setPreview] = useState<ReimportSummary | null>(null);
+  const [running, setRunning] = useState(false);
+
+  const runReimport = async (dryRun: boolean) => {
+    setRunning(true);
+    try {
+      const response = await fetch(getApiUrl('/api/runs/reimport'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dryRun })
+      });
+
+      if (response.ok) {
+        const summary: ReimportSummary = await response.json();
+        if (dryRun) {
+          setPreview(summary);
+          if (summary.updated === 0 && summary.restamped === 0) {
+            onToast({ message: `All ${summary.total} runs are up to date`, type: 'info' });
+          }
+        } else {
+          setPreview(null);
+          onToast({
+            message: `Updated ${summary.updated} runs (${summary.unchanged} unchanged, ${summary.restamped} marked current)`,
+            type: 'success'
+          });
+        }
+      } else {
+        onToast({ message: 'Re-parse failed', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Re-parse failed', type: 'error' });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="border-b border-theme-primary pb-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="font-medium text-white">Re-parse Existing Runs</p>
+          <p className="text-sm text-theme-muted">Re-read stored stats files and update runs the parser now reads differently</p>
+        </div>
+        <button
+          onClick={() => runReimport(true)}
+          disabled={running}
+          className="px-4 py-2 bg-theme-accent bg-theme-accent-hover disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors whitespace-nowrap"
+        >
+          {running && !preview ? 'Checking...' : 'Check for Changes'}
+        </button>
+      </div>
+
+      {preview && (preview.updated > 0 || preview.restamped > 0) && (
+        <div className="mt-3 p-3 bg-theme-tertiary rounded-lg space-y-2">
+          <p className="text-sm text-white">
+            {preview.updated} of {preview.total} runs would change
+            {preview.restamped > 0 && <span className="text-theme-muted"> · {preview.restamped} only need the current parser version</span>}
+            {preview.skippedMissingFile > 0 && <span className="text-theme-muted"> · {preview.skippedMissingFile} files missing</span>}
+            {preview.errors > 0 && <span className="text-red-400"> · {preview.errors} errors</span>}
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(preview.fields).map(([field, count]) => (
+              <span key={field} className="px-2 py-0.5 bg-theme-hover rounded text-xs text-theme-muted">
+                {field}: {count}
+              </span>
+            ))}
+            {preview.killsRefreshed > 0 && (
+              <span className="px-2 py-0.5 bg-theme-hover rounded text-xs text-theme-muted">
+                kill timelines: {preview.killsRefreshed}
+              </span>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => runReimport(false)}
+              disabled={running}
+              className="px-4 py-2 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              {running ? 'Updating...' : `Update ${preview.updated + preview.restamped} Runs`}
+            </button>
+            <button
+              onClick={() => setPreview(null)}
+              disabled={running}
+              className="px-4 py-2 bg-theme-hover text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,270 @@
+import { useState, useEffect, useCallback } from "react";
+import { getApiUrl } from "../../hooks/useApi";
+import { formatWhen } from "../../utils/format";
+import ConfirmDialog from "../feedback/ConfirmDialog";
+import type { ImporterInfo, StatsFolder, ToastMessage, WatcherStatus } from "../../types";
+
+type StatsFoldersPanelProps = {
+  onToast: (toast: ToastMessage) => void;
+};
+
+export default function StatsFoldersPanel({ onToast }: StatsFoldersPanelProps) {
+  const [folders, setFolders] = useState<StatsFolder[]>([]);
+  const [importers, setImporters] = useState<ImporterInfo[]>([]);
+  const [status, setStatus] = useState<WatcherStatus | null>(null);
+  const [newPath, setNewPath] = useState('');
+  const [newLabel, setNewLabel] = useState('');
+  const [newImporter, setNewImporter] = useState('');
+  const [busyId, setBusyId] = useState<number | 'new' | null>(null);
+  const [removing, setRemoving] = useState<StatsFolder | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [foldersRes, importersRes, statusRes] = await Promise.all([
+        fetch(getApiUrl('/api/import/folders')),
+        fetch(getApiUrl('/api/import/importers')),
+        fetch(getApiUrl('/api/import/status'))
+      ]);
+      if (foldersRes.ok) setFolders(await foldersRes.json());
+      if (importersRes.ok) setImporters(await importersRes.json());
+      if (statusRes.ok) setStatus(await statusRes.json());
+    } catch (err) {
+      console.error('Failed to load stats folders:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const isUnreachable = (folder: StatsFolder) =>
+    status?.folders.some(f => f.id === folder.id && f.reachable === false) ?? false;
+
+  const importerName = (id: string | null) => id ? importers.find(i => i.id === id)?.name ?? id : 'Any trainer';
+
+  const handleBrowse = async () => {
+    if (window.require) {
+      try {
+        const { ipcRenderer } = window.require('electron');
+        const folder = await ipcRenderer.invoke('pick-folder');
+        if (folder) setNewPath(folder);
+      } catch (err) {
+        console.error('Failed to open folder picker:', err);
+      }
+    }
+  };
+
+  const handleAdd = async () => {
+    setBusyId('new');
+    try {
+      const response = await fetch(getApiUrl('/api/import/folders'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ path: newPath, label: newLabel || undefined, importer: newImporter || null })
+      });
+      const result = await response.json();
+      if (response.ok) {
+        onToast({ message: `Watching "${result.folder.label}" - importing its runs in the background`, type: 'success' });
+        setNewPath('');
+        setNewLabel('');
+        setNewImporter('');
+        load();
+      } else {
+        onToast({ message: result.error || 'Failed to add folder', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Failed to add folder', type: 'error' });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleUpdate = async (folder: StatsFolder, updates: Partial<Pick<StatsFolder, 'label' | 'importer' | 'enabled'>>) => {
+    setBusyId(folder.id);
+    try {
+      const response = await fetch(getApiUrl(`/api/import/folders/${folder.id}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates)
+      });
+      if (!response.ok) {
+        const result = await response.json();
+        onToast({ message: result.error || 'Failed to update folder', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Failed to update folder', type: 'error' });
+    } finally {
+      setBusyId(null);
+      load();
+    }
+  };
+
+  const handleRescan = async (folder: StatsFolder) => {
+    setBusyId(folder.id);
+    try {
+      const response = await fetch(getApiUrl(`/api/import/folders/${folder.id}/rescan`), { method: 'POST' });
+      const result = await response.json();
+      if (response.ok) {
+        onToast({ message: `${folder.label}: ${result.newFiles} new runs imported, ${result.duplicates} duplicates skipped`, type: 'success' });
+      } else {
+        onToast({ message: result.error || 'Rescan failed', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Rescan failed', type: 'error' });
+    } finally {
+      setBusyId(null);
+      load();
+    }
+  };
+
+  const handleRemove = async (folder: StatsFolder) => {
+    setRemoving(null);
+    setBusyId(folder.id);
+    try {
+      const response = await fetch(getApiUrl(`/api/import/folders/${folder.id}`), { method: 'DELETE' });
+      const result = await response.json();
+      if (response.ok) {
+        onToast({ message: `Stopped watching "${folder.label}"`, type: 'success' });
+      } else {
+        onToast({ message: result.error || 'Failed to remove folder', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Failed to remove folder', type: 'error' });
+    } finally {
+      setBusyId(null);
+      load();
+    }
+  };
+
+  return (
+    <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
+      <h2 className="text-xl font-bold mb-1 text-white">Watched Folders</h2>
+      <p className="text-sm text-theme-muted mb-4">
+        Import runs from more than one place: a second install, a folder synced from another PC, or an archive of old stats files.
+      </p>
+
+      {status?.state === 'error' && status.message && (
+        <div className="mb-4 px-3 py-2 bg-red-500/20 border border-red-500/30 rounded-lg text-sm text-red-400">
+          {status.message}. Watching resumes automatically once the folder is back.
+        </div>
+      )}
+
+      <div className="space-y-2 mb-4">
+        {folders.map(folder => (
+          <div key={folder.id} className={`p-3 bg-theme-tertiary rounded-lg ${folder.enabled ? '' : 'opacity-60'}`}>
+            <div className="flex items-center justify-between gap-3">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-white truncate">
+                  {folder.label}
+                  {folder.is_primary && <span className="ml-2 text-xs text-theme-muted">(main)</span>}
+                  {folder.enabled && isUnreachable(folder) && <span className="ml-2 text-xs text-red-400">Not reachable</span>}
+                </p>
+                <p className="text-xs text-theme-muted break-all">{folder.path}</p>
+                <p className="text-xs text-theme-muted">
+                  {importerName(folder.importer)} · {folder.runs} runs
+                  {folder.last_scan_at && ` · scanned ${formatWhen(folder.last_scan_at)}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                <select
+                  value={folder.importer ?? ''}
+                  onChange={(e) => handleUpdate(folder, { importer: e.target.value || null })}
+                  disabled={busyId === folder.id}
+                  className="px-2 py-1.5 bg-theme-secondary border border-theme-secondary rounded-lg text-white text-sm"
+                >
+                  <option value="">Any trainer</option>
+                  {importers.map(i => <option key={i.id} value={i.id}>{i.name}</option>)}
+                </select>
+                <button
+                  onClick={() => handleUpdate(folder, { enabled: !folder.enabled })}
+                  disabled={busyId === folder.id || folder.is_primary}
+                  title={folder.is_primary ? 'The main stats folder is always watched' : undefined}
+                  className="px-3 py-1.5 bg-theme-hover disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+                >
+                  {folder.enabled ? 'Disable' : 'Enable'}
+                </button>
+                <button
+                  onClick={() => handleRescan(folder)}
+                  disabled={busyId === folder.id || !folder.enabled}
+                  className="px-3 py-1.5 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+                >
+                  Rescan
+                </button>
+                {!folder.is_primary && (
+                  <button
+                    onClick={() => setRemoving(folder)}
+                    disabled={busyId === folder.id}
+                    className="px-3 py-1.5 bg-red-500/20 hover:bg-red-500/30 text-red-400 rounded-lg text-sm font-medium transition-colors"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+        {folders.length === 0 && (
+          <p className="text-sm text-theme-muted">No folders yet - set your stats folder above.</p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-[2fr_1fr_1fr_auto] gap-2 items-end">
+        <div>
+          <label className="block text-sm font-medium text-theme-muted mb-1">Folder</label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newPath}
+              onChange={(e) => setNewPath(e.target.value)}
+              placeholder="Folder path"
+              className="w-full px-3 py-2 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm placeholder:text-gray-400"
+            />
+            <button
+              onClick={handleBrowse}
+              className="px-3 py-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              Browse
+            </button>
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-theme-muted mb-1">Label</label>
+          <input
+            type="text"
+            value={newLabel}
+            onChange={(e) => setNewLabel(e.target.value)}
+            placeholder="e.g. Laptop"
+            className="w-full px-3 py-2 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm placeholder:text-gray-400"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-theme-muted mb-1">Trainer</label>
+          <select
+            value={newImporter}
+            onChange={(e) => setNewImporter(e.target.value)}
+            className="w-full px-3 py-2 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm"
+          >
+            <option value="">Any trainer</option>
+            {importers.map(i => <option key={i.id} value={i.id}>{i.name}</option>)}
+          </select>
+        </div>
+        <button
+          onClick={handleAdd}
+          disabled={busyId === 'new' || !newPath.trim()}
+          className="px-4 py-2 bg-theme-accent bg-theme-accent-hover disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+        >
+          Add Folder
+        </button>
+      </div>
+
+      <ConfirmDialog
+        isOpen={removing !== null}
+        title="Stop watching folder?"
+        message={removing ? `"${removing.label}" will no longer be scanned. Runs already imported from it are kept.` : ''}
+        confirmText="Remove"
+        onConfirm={() => removing && handleRemove(removing)}
+        onCancel={() => setRemoving(null)}
+      />
+    </div>
+  );
+}
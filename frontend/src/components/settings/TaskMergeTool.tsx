@@ -0,0 +1,193 @@
+import { useState, useEffect, useCallback } from "react";
+import { getApiUrl } from "../../hooks/useApi";
+import ConfirmDialog from "../feedback/ConfirmDialog";
+import type { DuplicateTaskGroup, TaskMerge, ToastMessage } from "../../types";
+
+type TaskMergeToolProps = {
+  onToast: (toast: ToastMessage) => void;
+};
+
+type PendingMerge = {
+  targetTask: string;
+  sourceTask: string;
+};
+
+// task_merges timestamps come from SQLite datetime('now') (UTC, no zone suffix)
+const utcToLocalDate = (ts: string) => new Date(`${ts.replace(' ', 'T')}Z`).toLocaleDateString();
+
+export default function TaskMergeTool({ onToast }: TaskMergeToolProps) {
+  const [duplicates, setDuplicates] = useState<DuplicateTaskGroup[]>([]);
+  const [merges, setMerges] = useState<TaskMerge[]>([]);
+  const [taskNames, setTaskNames] = useState<string[]>([]);
+  const [targetTask, setTargetTask] = useState('');
+  const [sourceTask, setSourceTask] = useState('');
+  const [pending, setPending] = useState<PendingMerge | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [dupRes, mergeRes, namesRes] = await Promise.all([
+        fetch(getApiUrl('/api/tasks/duplicates')),
+        fetch(getApiUrl('/api/tasks/merges?limit=20')),
+        fetch(getApiUrl('/api/tasks/names'))
+      ]);
+      if (dupRes.ok) setDuplicates(await dupRes.json());
+      if (mergeRes.ok) setMerges(await mergeRes.json());
+      if (namesRes.ok) setTaskNames(await namesRes.json());
+    } catch (err) {
+      console.error('Failed to load task merge data:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const afterChange = () => {
+    load();
+    // Every page shows per-task data, so refresh them all
+    window.dispatchEvent(new CustomEvent('data-updated'));
+  };
+
+  const runMerge = async ({ targetTask, sourceTask }: PendingMerge) => {
+    setPending(null);
+    setBusy(true);
+    try {
+      const response = await fetch(getApiUrl('/api/tasks/merge'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ targetTask, sourceTask })
+      });
+      const result = await response.json();
+      if (response.ok) {
+        onToast({ message: `Merged "${sourceTask}" into "${targetTask}" (${result.merge.runs_moved} runs moved)`, type: 'success' });
+        setSourceTask('');
+        afterChange();
+      } else {
+        onToast({ message: result.error || 'Merge failed', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Merge failed', type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const undoMerge = async (merge: TaskMerge) => {
+    setBusy(true);
+    try {
+      const response = await fetch(getApiUrl(`/api/tasks/merges/${merge.id}/undo`), { method: 'POST' });
+      const result = await response.json();
+      if (response.ok) {
+        onToast({ message: `Restored "${merge.source_name}" as a separate task`, type: 'success' });
+        afterChange();
+      } else {
+        onToast({ message: result.error || 'Undo failed', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Undo failed', type: 'error' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
+      <h2 className="text-xl font-bold mb-1 text-white">Merge Tasks</h2>
+      <p className="text-sm text-theme-muted mb-4">
+        Combine duplicate tasks (renamed scenarios, casing or spacing variants). Future runs under the merged name are imported into the task you keep.
+      </p>
+
+      {duplicates.length > 0 && (
+        <div className="mb-4 space-y-2">
+          <p className="text-sm font-medium text-white">Possible duplicates</p>
+          {duplicates.map(group => group.duplicates.map(dup => (
+            <div key={dup.id} className="flex items-center justify-between gap-3 p-3 bg-theme-tertiary rounded-lg">
+              <p className="text-sm text-white min-w-0 truncate">
+                "{dup.name}" <span className="text-theme-muted">({dup.runs} runs)</span>
+                <span className="text-theme-muted"> → </span>
+                "{group.target.name}" <span className="text-theme-muted">({group.target.runs} runs)</span>
+              </p>
+              <button
+                onClick={() => setPending({ targetTask: group.target.name, sourceTask: dup.name })}
+                disabled={busy}
+                className="px-3 py-1.5 bg-blue-500 hover:bg-blue-600 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors whitespace-nowrap"
+              >
+                Merge
+              </button>
+            </div>
+          )))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-[1fr_1fr_auto] gap-2 items-end mb-4">
+        <div>
+          <label className="block text-sm font-medium text-theme-muted mb-1">Keep</label>
+          <select
+            value={targetTask}
+            onChange={(e) => setTargetTask(e.target.value)}
+            className="w-full px-3 py-2 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm"
+          >
+            <option value="">Select task…</option>
+            {taskNames.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-theme-muted mb-1">Merge into it</label>
+          <select
+            value={sourceTask}
+            onChange={(e) => setSourceTask(e.target.value)}
+            className="w-full px-3 py-2 bg-theme-tertiary border border-theme-secondary rounded-lg text-white text-sm"
+          >
+            <option value="">Select task…</option>
+            {taskNames.filter(name => name !== targetTask).map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        <button
+          onClick={() => setPending({ targetTask, sourceTask })}
+          disabled={busy || !targetTask || !sourceTask || targetTask === sourceTask}
+          className="px-4 py-2 bg-theme-accent bg-theme-accent-hover disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+        >
+          Merge
+        </button>
+      </div>
+
+      {merges.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-white">Recent merges</p>
+          {merges.map(merge => (
+            <div key={merge.id} className="flex items-center justify-between gap-3 p-3 bg-theme-tertiary rounded-lg">
+              <div className="min-w-0">
+                <p className="text-sm text-white truncate">
+                  "{merge.source_name}" → "{merge.target_name ?? 'deleted task'}"
+                </p>
+                <p className="text-xs text-theme-muted">
+                  {utcToLocalDate(merge.merged_at)} · {merge.runs_moved} runs{merge.goals_moved > 0 ? ` · ${merge.goals_moved} goals` : ''}
+                  {merge.undone_at && ' · undone'}
+                </p>
+              </div>
+              {!merge.undone_at && (
+                <button
+                  onClick={() => undoMerge(merge)}
+                  disabled={busy}
+                  className="px-3 py-1.5 bg-theme-hover disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors whitespace-nowrap"
+                >
+                  Undo
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={pending !== null}
+        title="Merge tasks?"
+        message={pending ? `All runs, playlist entries and goals of "${pending.sourceTask}" move to "${pending.targetTask}". You can undo this from the merge history.` : ''}
+        confirmText="Merge"
+        onConfirm={() => pending && runMerge(pending)}
+        onCancel={() => setPending(null)}
+      />
+    </div>
+  );
+}
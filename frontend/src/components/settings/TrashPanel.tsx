@@ -0,0 +1,157 @@
+import { useState, useEffect, useCallback } from "react";
+import { getApiUrl } from "../../hooks/useApi";
+import ConfirmDialog from "../feedback/ConfirmDialog";
+import type { ToastMessage, TrashItem } from "../../types";
+
+type TrashPanelProps = {
+  onToast: (toast: ToastMessage) => void;
+};
+
+const ITEM_LABELS: Record<TrashItem['item_type'], string> = {
+  session: 'Session',
+  goal: 'Goal',
+  playlist: 'Playlist',
+  'clear-data': 'Cleared data'
+};
+
+// trash timestamps come from SQLite datetime('now') (UTC, no zone suffix)
+const utcToLocal = (ts: string) => new Date(`${ts.replace(' ', 'T')}Z`);
+
+const daysLeft = (item: TrashItem) =>
+  Math.max(0, Math.ceil((utcToLocal(item.expires_at).getTime() - Date.now()) / (24 * 60 * 60 * 1000)));
+
+export default function TrashPanel({ onToast }: TrashPanelProps) {
+  const [items, setItems] = useState<TrashItem[]>([]);
+  const [retentionDays, setRetentionDays] = useState(7);
+  const [busy, setBusy] = useState(false);
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await fetch(getApiUrl('/api/trash'));
+      if (response.ok) {
+        const data = await response.json();
+        setItems(data.items);
+        setRetentionDays(data.retentionDays);
+      }
+    } catch (err) {
+      console.error('Failed to load trash:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    // Deleting a session, goal or playlist elsewhere refreshes the list
+    window.addEventListener('data-updated', load);
+    return () => window.removeEventListener('data-updated', load);
+  }, [load]);
+
+  const restore = async (url: string) => {
+    setBusy(true);
+    try {
+      const response = await fetch(getApiUrl(url), { method: 'POST' });
+      const result = await response.json();
+      if (response.ok) {
+        onToast({ message: `Restored ${result.restored.label}`, type: 'success' });
+        window.dispatchEvent(new CustomEvent('data-updated'));
+      } else {
+        onToast({ message: result.error || 'Restore failed', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Restore failed', type: 'error' });
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const remove = async (url: string, message: string) => {
+    setBusy(true);
+    try {
+      const response = await fetch(getApiUrl(url), { method: 'DELETE' });
+      if (response.ok) {
+        onToast({ message, type: 'success' });
+      } else {
+        const result = await response.json();
+        onToast({ message: result.error || 'Failed to delete', type: 'error' });
+      }
+    } catch {
+      onToast({ message: 'Failed to delete', type: 'error' });
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  return (
+    <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
+      <div className="flex items-center justify-between gap-4 mb-1">
+        <h2 className="text-xl font-bold text-white">Trash</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={() => restore('/api/trash/undo')}
+            disabled={busy || items.length === 0}
+            className="px-3 py-1.5 bg-theme-accent bg-theme-accent-hover disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            Undo Last Delete
+          </button>
+          <button
+            onClick={() => setConfirmEmpty(true)}
+            disabled={busy || items.length === 0}
+            className="px-3 py-1.5 bg-red-500/20 hover:bg-red-500/30 disabled:opacity-50 disabled:cursor-not-allowed text-red-400 rounded-lg text-sm font-medium transition-colors"
+          >
+            Empty Trash
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-theme-muted mb-4">
+        Deleted sessions, goals and playlists, and cleared data, can be restored for {retentionDays} days.
+      </p>
+
+      {items.length === 0 ? (
+        <p className="text-sm text-theme-muted">The trash is empty.</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {items.map(item => (
+            <div key={item.id} className="flex items-center justify-between gap-3 p-3 bg-theme-tertiary rounded-lg">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-white truncate">{item.label}</p>
+                <p className="text-xs text-theme-muted">
+                  {ITEM_LABELS[item.item_type]} · deleted {utcToLocal(item.deleted_at).toLocaleString()} · {daysLeft(item)} days left
+                </p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <button
+                  onClick={() => restore(`/api/trash/${item.id}/restore`)}
+                  disabled={busy}
+                  className="px-3 py-1.5 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => remove(`/api/trash/${item.id}`, `Permanently deleted ${item.label}`)}
+                  disabled={busy}
+                  className="px-3 py-1.5 bg-theme-hover disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <ConfirmDialog
+        isOpen={confirmEmpty}
+        title="Empty trash?"
+        message="Everything in the trash will be deleted permanently and can no longer be restored."
+        confirmText="Empty Trash"
+        onConfirm={() => {
+          setConfirmEmpty(false);
+          remove('/api/trash', 'Trash emptied');
+        }}
+        onCancel={() => setConfirmEmpty(false)}
+      />
+    </div>
+  );
+}
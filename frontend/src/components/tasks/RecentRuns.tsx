@@ -1,4 +1,6 @@
+import { useState } from "react";
 import Section from "../ui/Section";
+import RunDetailModal from "./RunDetailModal";
 import { formatScore, formatWhen } from "../../utils/format";
 
 export type RunRow = {
@@ -11,6 +13,8 @@ export type RunRow = {
 };
 
 export default function RecentRuns({ rows }: { rows: RunRow[] }) {
+    const [selectedRunId, setSelectedRunId] = useState<number | null>(null);
+
     return (
         <Section title="Recent runs">
             <div className="overflow-auto">
@@ -33,7 +37,12 @@ export default function RecentRuns({ rows }: { rows: RunRow[] }) {
                             </tr>
                         )}
                         {rows.map((r) => (
-                            <tr key={r.id}>
+                            <tr
+                                key={r.id}
+                                onClick={() => setSelectedRunId(r.id)}
+                                className="cursor-pointer"
+                                title="View run details"
+                            >
                                 <td className="whitespace-nowrap">{formatWhen(r.played_at)}</td>
                                 <td className="max-w-[340px] truncate">{r.task}</td>
                                 <td>{(r.accuracy)}</td>
@@ -44,6 +53,12 @@ export default function RecentRuns({ rows }: { rows: RunRow[] }) {
                     </tbody>
                 </table>
             </div>
+            {selectedRunId !== null && (
+                <RunDetailModal
+                    runId={selectedRunId}
+                    onClose={() => setSelectedRunId(null)}
+                />
+            )}
         </Section>
     );
 }
@@ -0,0 +1,190 @@
+import { useState, useEffect } from "react";
+import { getApiUrl } from "../../hooks/useApi";
+import { formatScore, formatWhen } from "../../utils/format";
+import type { RunDetail } from "../../types";
+
+type RunDetailModalProps = {
+  runId: number;
+  onClose: () => void;
+};
+
+export default function RunDetailModal({ runId, onClose }: RunDetailModalProps) {
+  const [currentId, setCurrentId] = useState(runId);
+  const [run, setRun] = useState<RunDetail | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setCurrentId(runId);
+  }, [runId]);
+
+  useEffect(() => {
+    let alive = true;
+
+    const fetchRun = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await fetch(getApiUrl(`/api/runs/${currentId}`));
+        if (response.ok) {
+          const data = await response.json();
+          if (alive) setRun(data);
+        } else if (alive) {
+          setError(response.status === 404 ? 'Run not found' : 'Failed to fetch run details');
+        }
+      } catch {
+        if (alive) setError('Error fetching run details');
+      } finally {
+        if (alive) setLoading(false);
+      }
+    };
+
+    fetchRun();
+    return () => { alive = false; };
+  }, [currentId]);
+
+  const stat = (label: string, value: string, color = "text-white") => (
+    <div className="bg-[#111623] border border-[#1d2230] rounded-lg p-3">
+      <p className="text-xs text-[#9aa4b2] mb-1">{label}</p>
+      <p className={`text-lg font-semibold ${color}`}>{value}</p>
+    </div>
+  );
+
+  const fmt = (v: number | null | undefined, digits: number, suffix = "") =>
+    v !== null && v !== undefined && Number.isFinite(v) ? `${v.toFixed(digits)}${suffix}` : "—";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60] p-4">
+      <div className="bg-[#0d1424] border border-[#1b2440] rounded-lg max-w-3xl w-full max-h-[85vh] overflow-hidden">
+        {/* Header */}
+        <div className="flex justify-between items-start p-6 border-b border-[#1b2440]">
+          <div>
+            <h2 className="text-xl font-bold text-white">{run?.task_name ?? 'Run Details'}</h2>
+            {run && (
+              <div className="flex flex-wrap items-center gap-2 mt-1">
+                <span className="text-sm text-[#9aa4b2]">{formatWhen(run.played_at)}</span>
+                {run.is_practice === 1 && (
+                  <span className="px-2 py-0.5 bg-purple-500/20 border border-purple-500/50 text-purple-300 text-xs font-medium rounded">
+                    Practice
+                  </span>
+                )}
+                {run.ranked && (
+                  <span
+                    className="px-2 py-0.5 rounded text-xs font-semibold"
+                    style={{ background: run.ranked.tier.gradient, color: run.ranked.tier.textColor }}
+                  >
+                    {run.ranked.tier.tier}
+                  </span>
+                )}
+              </div>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="text-[#9aa4b2] hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 overflow-y-auto max-h-[60vh] space-y-6">
+          {loading ? (
+            <div className="text-center py-8 text-[#9aa4b2]">Loading...</div>
+          ) : error ? (
+            <div className="text-center py-8 text-red-400">{error}</div>
+          ) : run ? (
+            <>
+              {/* Performance */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {stat("Score", formatScore(run.score), "text-blue-400")}
+                {stat("Accuracy", fmt(run.accuracy, 1, "%"), "text-green-400")}
+                {stat("Avg TTK", fmt(run.avg_ttk, 3, "s"), "text-cyan-400")}
+                {stat("Duration", fmt(run.duration, 1, "s"), "text-orange-400")}
+                {stat("Shots / Hits", `${run.shots ?? "—"} / ${run.hits ?? "—"}`, "text-purple-400")}
+                {stat("Score / Min", fmt(run.score_per_min, 1))}
+                {stat("Overshots", run.overshots != null ? String(run.overshots) : "—")}
+                {stat("Avg FPS", fmt(run.fps_avg, 0))}
+              </div>
+
+              {/* Settings */}
+              <div>
+                <h3 className="text-sm font-semibold text-white mb-2">Settings</h3>
+                <div className="grid grid-cols-3 gap-3">
+                  {stat("DPI", run.meta.dpi != null ? String(run.meta.dpi) : "—")}
+                  {stat("Sensitivity", run.meta.sens_h != null ? String(run.meta.sens_h) : "—")}
+                  {stat("FOV", run.meta.fov != null ? String(run.meta.fov) : "—")}
+                </div>
+              </div>
+
+              {/* Ranked */}
+              {run.ranked && (
+                <div>
+                  <h3 className="text-sm font-semibold text-white mb-2">Ranked</h3>
+                  <div className="grid grid-cols-3 gap-3">
+                    {stat("Category", run.ranked.category)}
+                    {stat("Percentile", run.ranked.percentile != null ? `${(run.ranked.percentile * 100).toFixed(1)}%` : "—", "text-yellow-400")}
+                    {stat("Points", run.ranked.points != null ? String(run.ranked.points) : "—")}
+                  </div>
+                </div>
+              )}
+
+              {/* Session & Source */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+                <div className="bg-[#111623] border border-[#1d2230] rounded-lg p-3">
+                  <p className="text-xs text-[#9aa4b2] mb-1">Session</p>
+                  {run.session ? (
+                    <>
+                      <p className="text-white font-medium">{run.session.name || `Session ${run.session.id}`}</p>
+                      <p className="text-xs text-[#9aa4b2]">
+                        {formatWhen(run.session.started_at)} - {run.session.ended_at ? formatWhen(run.session.ended_at) : 'Active'}
+                      </p>
+                    </>
+                  ) : (
+                    <p className="text-[#9aa4b2]">Not part of a session</p>
+                  )}
+                </div>
+                <div className="bg-[#111623] border border-[#1d2230] rounded-lg p-3">
+                  <p className="text-xs text-[#9aa4b2] mb-1">Source</p>
+                  <p className="text-white font-medium break-all">{run.filename ?? "—"}</p>
+                  <p className="text-xs text-[#9aa4b2] break-all" title={run.path ?? undefined}>
+                    {run.source ?? run.meta.source ?? "unknown"}
+                    {run.parser_version != null ? ` · parser v${run.parser_version}` : " · legacy parser"}
+                    {run.kill_count > 0 ? ` · ${run.kill_count} kills recorded` : ""}
+                  </p>
+                </div>
+              </div>
+            </>
+          ) : null}
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-[#1b2440] flex justify-between items-center">
+          <button
+            onClick={() => run?.previous_run_id && setCurrentId(run.previous_run_id)}
+            disabled={!run?.previous_run_id || loading}
+            className="px-4 py-2 bg-[#111623] hover:bg-[#1b2440] disabled:opacity-40 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            ← Previous run
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            Close
+          </button>
+          <button
+            onClick={() => run?.next_run_id && setCurrentId(run.next_run_id)}
+            disabled={!run?.next_run_id || loading}
+            className="px-4 py-2 bg-[#111623] hover:bg-[#1b2440] disabled:opacity-40 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            Next run →
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useState, useEffect } from "react";
 import { getApiUrl } from "../../hooks/useApi";
+import RunDetailModal from "./RunDetailModal";
 
 type TaskDetail = {
   id: number;
@@ -23,6 +24,7 @@ export default function TaskDetailModal({ isOpen, onClose, taskName }: TaskDetai
   const [taskDetails, setTaskDetails] = useState<TaskDetail[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [selectedRunId, setSelectedRunId] = useState<number | null>(null);
 
   useEffect(() => {
     if (isOpen && taskName) {
@@ -92,7 +94,12 @@ export default function TaskDetailModal({ isOpen, onClose, taskName }: TaskDetai
                 </thead>
                 <tbody className="[&>tr:hover]:bg-[#111623] [&>tr>td]:py-3 [&>tr>td]:px-4 [&>tr>td]:border-b [&>tr>td]:border-[#1d2230]">
                   {taskDetails.map((detail, index) => (
-                    <tr key={index}>
+                    <tr
+                      key={index}
+                      onClick={() => setSelectedRunId(detail.id)}
+                      className="cursor-pointer"
+                      title="View run details"
+                    >
                       <td className="whitespace-nowrap text-white">
                         {new Date(detail.played_at).toLocaleDateString()} {new Date(detail.played_at).toLocaleTimeString()}
                       </td>
@@ -139,6 +146,13 @@ export default function TaskDetailModal({ isOpen, onClose, taskName }: TaskDetai
           </button>
         </div>
       </div>
+
+      {selectedRunId !== null && (
+        <RunDetailModal
+          runId={selectedRunId}
+          onClose={() => setSelectedRunId(null)}
+        />
+      )}
     </div>
   );
 }
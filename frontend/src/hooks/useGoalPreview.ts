@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { getApiUrl } from './useApi';
+import type { GoalPreview, GoalWindowType } from '../types';
+
+type GoalScope = 'target_task_id' | 'target_pack_id';
+
+// Current value of each metric over a window, i.e. where a new goal would start
+export function useGoalPreview(
+  scope: GoalScope,
+  targetId: number | undefined,
+  metrics: string[],
+  windowType: GoalWindowType,
+  windowSize: number
+) {
+  const [previews, setPreviews] = useState<Record<string, GoalPreview>>({});
+  const metricList = metrics.join(',');
+
+  useEffect(() => {
+    if (!targetId || !metricList) return;
+    let cancelled = false;
+
+    const load = async () => {
+      const entries = await Promise.all(metricList.split(',').map(async metric => {
+        const params = new URLSearchParams({
+          goal_type: metric,
+          [scope]: String(targetId),
+          window_type: windowType,
+          window_size: String(windowSize)
+        });
+        try {
+          const response = await fetch(getApiUrl(`/api/goals/preview?${params.toString()}`));
+          return response.ok ? [metric, await response.json() as GoalPreview] as const : null;
+        } catch (err) {
+          console.error('Failed to load goal preview:', err);
+          return null;
+        }
+      }));
+      if (!cancelled) {
+        setPreviews(Object.fromEntries(entries.filter(entry => entry !== null)));
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [scope, targetId, metricList, windowType, windowSize]);
+
+  return previews;
+}
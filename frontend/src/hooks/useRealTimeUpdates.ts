@@ -3,16 +3,29 @@
 
 import { useEffect, useCallback, useRef } from 'react';
 import { getApiUrl } from './useApi';
+import type { ScanProgress, RunImportedEvent, GoalCompletedEvent, RankTierChangedEvent, SessionChangedEvent } from '../types';
 
-interface RealTimeEvent {
-  type: 'new-run' | 'stats-updated';
-  data?: unknown;
-  timestamp: number;
-}
+type RealTimeEvent =
+  | { type: 'new-run' }
+  | { type: 'stats-updated'; data?: unknown }
+  | ({ type: 'scan-start' } & Pick<ScanProgress, 'scan' | 'total'>)
+  | ({ type: 'scan-progress' } & ScanProgress)
+  | ({ type: 'scan-complete' } & ScanProgress)
+  | ({ type: 'run-imported' } & RunImportedEvent)
+  | ({ type: 'goal-completed' } & GoalCompletedEvent)
+  | ({ type: 'rank-tier-changed' } & RankTierChangedEvent)
+  | ({ type: 'session-changed' } & SessionChangedEvent);
 
 interface UseRealTimeUpdatesOptions {
   onNewRun?: () => void;
   onStatsUpdated?: (data?: unknown) => void;
+  onScanStart?: (scan: Pick<ScanProgress, 'scan' | 'total'>) => void;
+  onScanProgress?: (progress: ScanProgress) => void;
+  onScanComplete?: (result: ScanProgress) => void;
+  onRunImported?: (run: RunImportedEvent) => void;
+  onGoalCompleted?: (goal: GoalCompletedEvent) => void;
+  onRankTierChanged?: (change: RankTierChangedEvent) => void;
+  onSessionChanged?: (change: SessionChangedEvent) => void;
   onError?: (error: Event) => void;
   onConnect?: () => void;
   onDisconnect?: () => void;
@@ -23,6 +36,12 @@ interface UseRealTimeUpdatesOptions {
  * Triggers callbacks when new data is available with better error handling
  */
 export function useRealTimeUpdates(options: UseRealTimeUpdatesOptions = {}) {
+  // Latest callbacks, read at dispatch time so inline handlers don't reopen the stream on every render
+  const optionsRef = useRef(options);
+  useEffect(() => {
+    optionsRef.current = options;
+  });
+
   const eventSourceRef = useRef<EventSource | null>(null);
   const reconnectTimeoutRef = useRef<NodeJS.Timeout | null>(null);
   const reconnectAttemptsRef = useRef(0);
@@ -41,6 +60,7 @@ export function useRealTimeUpdates(options: UseRealTimeUpdatesOptions = {}) {
       eventSourceRef.current.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data) as RealTimeEvent;
+          const options = optionsRef.current;
           
           switch (data.type) {
             case 'new-run':
@@ -51,8 +71,29 @@ export function useRealTimeUpdates(options: UseRealTimeUpdatesOptions = {}) {
               console.log('🔄 Real-time update: Stats cache updated');
               options.onStatsUpdated?.(data.data);
               break;
+            case 'scan-start':
+              options.onScanStart?.(data);
+              break;
+            case 'scan-progress':
+              options.onScanProgress?.(data);
+              break;
+            case 'scan-complete':
+              options.onScanComplete?.(data);
+              break;
+            case 'run-imported':
+              options.onRunImported?.(data);
+              break;
+            case 'goal-completed':
+              options.onGoalCompleted?.(data);
+              break;
+            case 'rank-tier-changed':
+              options.onRankTierChanged?.(data);
+              break;
+            case 'session-changed':
+              options.onSessionChanged?.(data);
+              break;
             default:
-              console.log('📡 Unknown real-time event:', data.type);
+              console.log('📡 Unknown real-time event:', (data as { type: string }).type);
           }
         } catch (error) {
           console.error('Error parsing SSE event:', error);
@@ -61,7 +102,7 @@ export function useRealTimeUpdates(options: UseRealTimeUpdatesOptions = {}) {
 
       eventSourceRef.current.onerror = (error) => {
         console.error('SSE connection error:', error);
-        options.onError?.(error);
+        optionsRef.current.onError?.(error);
         
         // Attempt to reconnect with exponential backoff
         if (reconnectAttemptsRef.current < maxReconnectAttempts) {
@@ -78,14 +119,14 @@ export function useRealTimeUpdates(options: UseRealTimeUpdatesOptions = {}) {
           }, backoffTime);
         } else {
           console.error('❌ Max reconnection attempts reached. Manual refresh required.');
-          options.onDisconnect?.();
+          optionsRef.current.onDisconnect?.();
         }
       };
 
       eventSourceRef.current.onopen = () => {
         console.log('✅ Real-time updates connected');
         reconnectAttemptsRef.current = 0;
-        options.onConnect?.();
+        optionsRef.current.onConnect?.();
         
         // Clear any pending reconnect timeout
         if (reconnectTimeoutRef.current) {
@@ -96,10 +137,9 @@ export function useRealTimeUpdates(options: UseRealTimeUpdatesOptions = {}) {
 
     } catch (error) {
       console.error('Failed to create SSE connection:', error);
-      options.onError?.(error as Event);
+      optionsRef.current.onError?.(error as Event);
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [options.onNewRun, options.onStatsUpdated, options.onError, options.onConnect, options.onDisconnect]);
+  }, []);
 
   const disconnect = useCallback(() => {
     if (eventSourceRef.current) {
@@ -111,9 +151,8 @@ export function useRealTimeUpdates(options: UseRealTimeUpdatesOptions = {}) {
       reconnectTimeoutRef.current = null;
     }
     reconnectAttemptsRef.current = 0;
-    options.onDisconnect?.();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [options.onDisconnect]);
+    optionsRef.current.onDisconnect?.();
+  }, []);
 
   useEffect(() => {
     connect();
@@ -2,14 +2,26 @@ import { useState } from "react";
 import { useQuery, getApiUrl } from "../hooks/useApi";
 import CreateTaskGoalModal from "../components/goals/CreateTaskGoalModal";
 import CreatePlaylistGoalModal from "../components/goals/CreatePlaylistGoalModal";
+import CreateRankedGoalModal from "../components/goals/CreateRankedGoalModal";
+import GoalHistoryChart from "../components/goals/GoalHistoryChart";
 import ConfirmDialog from "../components/feedback/ConfirmDialog";
-import type { Goal, TabType } from "../types";
+import { formatGoalWindow } from "../utils/format";
+import { GOAL_TYPE_INFO, formatGoalValue, isGoalType } from "../utils/goalTypes";
+import type { Goal, GoalPaceStatus, TabType } from "../types";
+
+const PACE_LABELS: Record<GoalPaceStatus, { label: string; className: string }> = {
+  ahead: { label: "Ahead of pace", className: "text-green-400" },
+  on_track: { label: "On track", className: "text-blue-400" },
+  behind: { label: "Behind pace", className: "text-red-400" }
+};
 
 export default function Goals() {
   const [activeTab, setActiveTab] = useState<TabType>("overall");
   const [filter, setFilter] = useState<"all" | "active" | "completed">("all");
   const [showTaskModal, setShowTaskModal] = useState(false);
   const [showPlaylistModal, setShowPlaylistModal] = useState(false);
+  const [showRankedModal, setShowRankedModal] = useState(false);
+  const [historyGoalId, setHistoryGoalId] = useState<number | null>(null);
   const [deleteConfirm, setDeleteConfirm] = useState<{
     isOpen: boolean;
     goalId: number;
@@ -28,14 +40,17 @@ export default function Goals() {
   // Filter by tab type first
   const tabFilteredGoals = allGoals.filter(goal => {
     if (activeTab === "overall") {
-      // Overall goals are auto-generated and have no task or playlist
-      return !goal.target_task_name && !goal.target_pack_id;
+      // Overall goals are auto-generated and have no task, playlist or ranked category
+      return !goal.target_task_name && !goal.target_pack_id && !goal.target_category;
     } else if (activeTab === "task") {
       // Task goals have a target_task_name
       return !!goal.target_task_name;
     } else if (activeTab === "playlist") {
       // Playlist goals have a target_pack_id
       return !!goal.target_pack_id;
+    } else if (activeTab === "ranked") {
+      // Ranked goals have a target_category
+      return !!goal.target_category;
     }
     return true;
   });
@@ -52,6 +67,7 @@ export default function Goals() {
     refetchCompleted();
     setShowTaskModal(false);
     setShowPlaylistModal(false);
+    setShowRankedModal(false);
   };
 
   const handleDeleteGoal = (goalId: number, goalTitle: string) => {
@@ -81,8 +97,11 @@ export default function Goals() {
   };
 
   const getProgressPercentage = (goal: Goal) => {
-    // For TTK (lower is better), calculate inverse progress
-    if (goal.goal_type === 'ttk') {
+    // No runs inside the goal's window yet
+    if (goal.current_value === null) return 0;
+
+    // For TTK and consistency (lower is better), calculate inverse progress
+    if (isGoalType(goal.goal_type) && GOAL_TYPE_INFO[goal.goal_type].lowerIsBetter) {
       // If current is already at or below target, 100% complete
       if (goal.current_value <= goal.target_value) return 100;
       
@@ -135,6 +154,11 @@ export default function Goals() {
       case "ttk": return "bg-yellow-500";
       case "consistency": return "bg-purple-500";
       case "playtime": return "bg-orange-500";
+      case "pb_count": return "bg-pink-500";
+      case "volume": return "bg-cyan-500";
+      case "streak": return "bg-red-500";
+      case "ranked_tier": return "bg-amber-500";
+      case "ranked_percentile": return "bg-indigo-500";
       default: return "bg-gray-500";
     }
   };
@@ -215,16 +239,30 @@ export default function Goals() {
           >
             Playlist Goals
           </button>
+          <button
+            onClick={() => setActiveTab("ranked")}
+            className={`px-6 py-3 rounded-lg font-medium transition-all ${
+              activeTab === "ranked"
+                ? "bg-theme-accent text-white shadow-lg"
+                : "bg-theme-tertiary text-theme-muted hover:text-white"
+            }`}
+          >
+            Ranked Goals
+          </button>
         </div>
 
         {/* Add Goal Button */}
-        {(activeTab === "task" || activeTab === "playlist") && (
+        {activeTab !== "overall" && (
           <div className="mt-4">
             <button
-              onClick={() => activeTab === "task" ? setShowTaskModal(true) : setShowPlaylistModal(true)}
+              onClick={() =>
+                activeTab === "task" ? setShowTaskModal(true) :
+                activeTab === "playlist" ? setShowPlaylistModal(true) :
+                setShowRankedModal(true)
+              }
               className="px-6 py-3 bg-green-500 hover:bg-green-600 text-white font-medium rounded-lg transition-colors"
             >
-              + Create {activeTab === "task" ? "Task" : "Playlist"} Goal
+              + Create {activeTab === "task" ? "Task" : activeTab === "playlist" ? "Playlist" : "Ranked"} Goal
             </button>
           </div>
         )}
@@ -253,23 +291,20 @@ export default function Goals() {
                     <div>
                       <span className="text-xs text-theme-muted">Current: </span>
                       <span className="text-sm font-semibold text-blue-400">
-                        {goal.goal_type === 'ttk' 
-                          ? `${goal.current_value.toFixed(3)}s`
-                          : goal.goal_type === 'accuracy'
-                          ? `${goal.current_value.toFixed(1)}%`
-                          : Math.round(goal.current_value).toLocaleString()
+                        {goal.current_value === null
+                          ? goal.target_category ? 'Unranked' : 'No runs yet'
+                          : goal.current_tier
+                          ? `${goal.current_tier} (${formatGoalValue(goal.goal_type, goal.current_value)})`
+                          : formatGoalValue(goal.goal_type, goal.current_value)
                         }
                       </span>
                     </div>
                     <div>
                       <span className="text-xs text-theme-muted">Target: </span>
                       <span className="text-sm font-semibold text-theme-accent">
-                        {goal.goal_type === 'ttk' 
-                          ? `${goal.target_value.toFixed(3)}s`
-                          : goal.goal_type === 'accuracy'
-                          ? `${goal.target_value.toFixed(1)}%`
-                          : Math.round(goal.target_value).toLocaleString()
-                        }
+                        {goal.goal_type === 'ranked_tier' && goal.target_tier
+                          ? goal.target_tier
+                          : formatGoalValue(goal.goal_type, goal.target_value)}
                       </span>
                     </div>
                   </div>
@@ -277,11 +312,17 @@ export default function Goals() {
                   <div className="flex flex-wrap gap-4 text-xs text-theme-muted">
                     <div className="flex items-center gap-2">
                       <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: getGoalTypeColor(goal.goal_type).replace('bg-', '#') }} />
-                      <span className="capitalize">{goal.goal_type}</span>
+                      <span>{isGoalType(goal.goal_type) ? GOAL_TYPE_INFO[goal.goal_type].label : goal.goal_type}</span>
                     </div>
                     {goal.target_task_name && (
                       <span>Task: {goal.target_task_name}</span>
                     )}
+                    {goal.target_category && (
+                      <span>Category: {goal.target_category}</span>
+                    )}
+                    {goal.goal_type !== 'streak' && !goal.target_category && (
+                      <span>Measured over: {formatGoalWindow(goal.window_type, goal.window_size)}</span>
+                    )}
                     {goal.target_playlist_name && (
                       <span>Playlist: {goal.target_playlist_name}</span>
                     )}
@@ -291,6 +332,18 @@ export default function Goals() {
                     {goal.target_timeframe && (
                       <span>Timeframe: {goal.target_timeframe} days</span>
                     )}
+                    {goal.pacing?.status && (
+                      <span className={PACE_LABELS[goal.pacing.status].className}>
+                        {PACE_LABELS[goal.pacing.status].label}
+                      </span>
+                    )}
+                    {goal.pacing && (
+                      <span>
+                        {goal.pacing.projected_date
+                          ? `Projected: ${formatDate(goal.pacing.projected_date)}`
+                          : "Recent trend doesn't reach the target"}
+                      </span>
+                    )}
                     {goal.is_completed && goal.completed_at && (
                       <span className="text-green-400">Completed: {formatDate(goal.completed_at)}</span>
                     )}
@@ -335,6 +388,13 @@ export default function Goals() {
                     <span>Goal Achieved!</span>
                   </div>
                 )}
+                <button
+                  onClick={() => setHistoryGoalId(historyGoalId === goal.id ? null : goal.id)}
+                  className="text-xs text-theme-muted hover:text-white transition-colors"
+                >
+                  {historyGoalId === goal.id ? "Hide history" : "Show history"}
+                </button>
+                {historyGoalId === goal.id && <GoalHistoryChart goal={goal} />}
               </div>
             </div>
           ))
@@ -343,12 +403,14 @@ export default function Goals() {
             <h3 className="text-lg font-semibold text-white mb-2">
               {activeTab === "overall" ? "No Overall Goals" :
                activeTab === "task" ? "No Task Goals" :
-               "No Playlist Goals"}
+               activeTab === "playlist" ? "No Playlist Goals" :
+               "No Ranked Goals"}
             </h3>
             <p className="text-theme-muted text-sm">
               {activeTab === "overall" ? "Play some games to unlock your first goals!" :
                activeTab === "task" ? "Create your first task-specific goal!" :
-               "Create your first playlist-specific goal!"}
+               activeTab === "playlist" ? "Create your first playlist-specific goal!" :
+               "Set a rank to reach in a ranked category!"}
             </p>
           </div>
         )}
@@ -367,10 +429,16 @@ export default function Goals() {
           onGoalCreated={handleGoalCreated}
         />
       )}
+      {showRankedModal && (
+        <CreateRankedGoalModal
+          onClose={() => setShowRankedModal(false)}
+          onGoalCreated={handleGoalCreated}
+        />
+      )}
       <ConfirmDialog
         isOpen={deleteConfirm.isOpen}
         title="Delete Goal"
-        message={`Are you sure you want to delete "${deleteConfirm.goalTitle}"? This cannot be undone.`}
+        message={`Delete "${deleteConfirm.goalTitle}"? It stays in the Trash (Settings) for 7 days.`}
         confirmText="Delete"
         cancelText="Cancel"
         onConfirm={confirmDeleteGoal}
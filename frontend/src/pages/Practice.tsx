@@ -1,6 +1,7 @@
 import { useState, useMemo } from "react";
 import ChartHost from "../components/charts/ChartHost";
 import TasksTable, { type TaskRow } from "../components/tasks/TasksTable";
+import PracticeHistory from "../components/practice/PracticeHistory";
 import { useQuery } from "../hooks/useApi";
 import { usePracticeMode } from "../hooks/usePracticeMode";
 import type { Playlist } from "../types";
@@ -124,6 +125,8 @@ export default function Practice() {
         )}
       </div>
 
+      <PracticeHistory isPracticeMode={isPracticeMode} />
+
       {/* Filters */}
       <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
         <h2 className="text-xl font-bold mb-4 text-white">Filters</h2>
@@ -100,6 +100,8 @@ export default function Profile() {
   };
 
   const getProgressPercentage = (goal: Goal) => {
+    if (goal.current_value === null) return 0;
+
     // For TTK (lower is better), calculate inverse progress
     if (goal.description && goal.description.includes('TTK')) {
       // If current is already at or below target, 100% complete
@@ -7,6 +7,7 @@ import ComparisonView from "../components/sessions/ComparisonView";
 import ComparisonWizard from "../components/sessions/ComparisonWizard";
 import SessionComparisonSelector from "../components/sessions/SessionComparisonSelector";
 import QuickComparisonModal from "../components/sessions/QuickComparisonModal";
+import SessionDetector from "../components/sessions/SessionDetector";
 import type { ComparisonResult, Session } from "../types";
 
 export default function Sessions() {
@@ -80,6 +81,9 @@ export default function Sessions() {
         onCompare={(sessionId) => setQuickCompareSessionId(sessionId)} 
       />
 
+      {/* Retroactive sessions from play history */}
+      <SessionDetector />
+
       {/* Comparison Wizard Modal */}
       {showWizard && (
         <ComparisonWizard
@@ -2,6 +2,13 @@ import { useState, useEffect } from "react";
 import { useQuery, getApiUrl } from "../hooks/useApi";
 import Toast from "../components/feedback/Toast";
 import ConfirmDialog from "../components/feedback/ConfirmDialog";
+import ImportLogPanel from "../components/settings/ImportLogPanel";
+import StatsFoldersPanel from "../components/settings/StatsFoldersPanel";
+import ReimportRuns from "../components/settings/ReimportRuns";
+import TaskMergeTool from "../components/settings/TaskMergeTool";
+import TrashPanel from "../components/settings/TrashPanel";
+import BackupsPanel from "../components/settings/BackupsPanel";
+import DatabaseHealthCard from "../components/settings/DatabaseHealthCard";
 import { useTheme } from "../hooks/useTheme";
 import { themes } from "../themes";
 import type { ThemeName } from "../themes";
@@ -22,6 +29,8 @@ export default function Settings() {
   const [username, setUsername] = useState("Player");
   const [statsFolder, setStatsFolder] = useState("");
   const [playlistsFolder, setPlaylistsFolder] = useState("");
+  const [scenariosFolder, setScenariosFolder] = useState("");
+  const [isReadingScenarios, setIsReadingScenarios] = useState(false);
   const [notifications, setNotifications] = useState(true);
   const [autoGoals, setAutoGoals] = useState(true);
   const [toast, setToast] = useState<ToastMessage | null>(null);
@@ -66,6 +75,7 @@ export default function Settings() {
         setUsername(data.username || 'Player');
         setStatsFolder(data.statsFolder || '');
         setPlaylistsFolder(data.playlistsFolder || '');
+        setScenariosFolder(data.scenariosFolder || '');
         setAutoGoals(data.autoGoals ?? true);
         setNotifications(data.notifications ?? true);
       }
@@ -108,7 +118,7 @@ export default function Settings() {
     }
   };
 
-  const saveSettings = async (updates: Partial<{username: string; statsFolder: string; playlistsFolder: string; autoGoals: boolean; notifications: boolean}>) => {
+  const saveSettings = async (updates: Partial<{username: string; statsFolder: string; playlistsFolder: string; scenariosFolder: string; autoGoals: boolean; notifications: boolean}>) => {
     try {
       const response = await fetch(getApiUrl('/api/settings'), {
         method: 'POST',
@@ -195,10 +205,45 @@ export default function Settings() {
     }
   };
 
+  const handleEditScenariosFolder = async () => {
+    if (window.require) {
+      try {
+        const { ipcRenderer } = window.require('electron');
+        const folder = await ipcRenderer.invoke('pick-folder');
+        if (folder) {
+          saveSettings({ scenariosFolder: folder });
+          setScenariosFolder(folder);
+        }
+      } catch (err) {
+        console.error('Failed to open folder picker:', err);
+      }
+    }
+  };
+
+  const handleReadScenarios = async () => {
+    setIsReadingScenarios(true);
+    try {
+      const response = await fetch(getApiUrl('/api/import/scenarios'), { method: 'POST' });
+      const result = await response.json();
+      if (response.ok) {
+        setToast({
+          message: `Scenario metadata: ${result.updated} tasks updated, ${result.inferred} skill types guessed from names`,
+          type: 'success'
+        });
+      } else {
+        setToast({ message: result.error || 'Failed to read scenario files', type: 'error' });
+      }
+    } catch {
+      setToast({ message: 'Failed to read scenario files', type: 'error' });
+    } finally {
+      setIsReadingScenarios(false);
+    }
+  };
+
   const handleClearData = async () => {
     // Show warning toast first
     setToast({ 
-      message: 'WARNING: This will permanently delete ALL your data! Click Clear Data again within 5 seconds to confirm.', 
+      message: 'WARNING: This will delete ALL your data! It can be restored from the Trash for a few days. Click the confirm button within 5 seconds to continue.', 
       type: 'warning' 
     });
     
@@ -223,7 +268,7 @@ export default function Settings() {
       });
       
       if (response.ok) {
-        setToast({ message: 'All data cleared successfully', type: 'success' });
+        setToast({ message: 'All data cleared. Restore it from the Trash if this was a mistake.', type: 'success' });
         // Hide confirm button
         const confirmButton = document.getElementById('confirm-clear-data');
         if (confirmButton) {
@@ -526,6 +571,12 @@ export default function Settings() {
         </div>
       </div>
 
+      {/* Additional stats folders */}
+      <StatsFoldersPanel onToast={setToast} />
+
+      {/* Import Report */}
+      <ImportLogPanel onToast={setToast} />
+
       {/* Playlists Folder Settings */}
       <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
         <h2 className="text-xl font-bold mb-4 text-white">Playlists Folder</h2>
@@ -552,6 +603,41 @@ export default function Settings() {
         </div>
       </div>
 
+      {/* Scenario Files Settings */}
+      <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
+        <h2 className="text-xl font-bold mb-4 text-white">Scenario Files</h2>
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-theme-muted mb-2">
+              Scenarios Folder Path
+            </label>
+            <div className="flex items-center gap-2">
+              <div className="flex-1 px-3 py-2 bg-theme-tertiary border border-theme-secondary rounded-lg text-white break-all">
+                {scenariosFolder || 'Auto (FPSAimTrainer\\Saved\\SandboxScenarios)'}
+              </div>
+              <button
+                onClick={handleEditScenariosFolder}
+                className="px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white rounded-lg text-sm font-medium transition-colors whitespace-nowrap"
+              >
+                Browse
+              </button>
+            </div>
+            <div className="flex items-center justify-between mt-3 pt-3 border-t border-theme-primary">
+              <p className="text-xs text-theme-muted">
+                Scenario (.sce) files give each task its duration, weapon, target count and skill type
+              </p>
+              <button
+                onClick={handleReadScenarios}
+                disabled={isReadingScenarios}
+                className="px-4 py-2 bg-green-500 hover:bg-green-600 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors whitespace-nowrap"
+              >
+                {isReadingScenarios ? 'Reading...' : 'Refresh Metadata'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
       {/* Theme Settings */}
       <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
         <h2 className="text-xl font-bold mb-4 text-white">Theme</h2>
@@ -762,6 +848,9 @@ export default function Settings() {
             </p>
           </div>
 
+          {/* Re-parse Runs */}
+          <ReimportRuns onToast={setToast} />
+
           {/* Clear Data */}
           <div>
             <div className="flex items-center justify-between">
@@ -788,6 +877,18 @@ CONFIRM: Yes, delete everything!
         </div>
       </div>
 
+      {/* Task Merging */}
+      <TaskMergeTool onToast={setToast} />
+
+      {/* Deleted items and undo */}
+      <TrashPanel onToast={setToast} />
+
+      {/* Database backups */}
+      <BackupsPanel onToast={setToast} />
+
+      {/* Database health checks */}
+      <DatabaseHealthCard onToast={setToast} />
+
       {/* Playlist Creation */}
       <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
         <div className="flex justify-between items-center mb-4">
@@ -929,7 +1030,7 @@ CONFIRM: Yes, delete everything!
       <ConfirmDialog
         isOpen={confirmDialog.isOpen}
         title="Delete Playlist"
-        message={`Are you sure you want to delete "${confirmDialog.playlistName}"? This cannot be undone.`}
+        message={`Delete "${confirmDialog.playlistName}"? It stays in the Trash (Settings) for 7 days.`}
         confirmText="Delete"
         cancelText="Cancel"
         onConfirm={confirmDeletePlaylist}
@@ -2,7 +2,7 @@ import { useState, useMemo } from "react";
 import ChartHost from "../components/charts/ChartHost";
 import TasksTable, { type TaskRow } from "../components/tasks/TasksTable";
 import { useQuery } from "../hooks/useApi";
-import type { Playlist } from "../types";
+import type { Playlist, RunSource, SkillTypeStats } from "../types";
 import type { RawTask } from "../types";
 
 const formatDuration = (seconds: number) => {
@@ -18,6 +18,8 @@ export default function Stats() {
   const [selectedTask, setSelectedTask] = useState("all");
   const [selectedPlaylist, setSelectedPlaylist] = useState<number | null>(null);
   const [timeframe, setTimeframe] = useState("overall"); // day, week, month, overall
+  const [selectedSource, setSelectedSource] = useState("all");
+  const [selectedSkill, setSelectedSkill] = useState("all");
 
   const getTimeframeDays = () => {
     switch (timeframe) {
@@ -41,14 +43,24 @@ export default function Stats() {
       params.append('days', days.toString());
     }
     
+    if (selectedSource !== "all") {
+      params.append('source', selectedSource);
+    }
+    
+    if (selectedSkill !== "all") {
+      params.append('skill_type', selectedSkill);
+    }
+    
     const queryString = params.toString();
     return queryString ? `/api/tasks/summary?${queryString}` : "/api/tasks/summary";
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedPlaylist, timeframe]);
+  }, [selectedPlaylist, timeframe, selectedSource, selectedSkill]);
 
   // Real-time updates for new runs
   const { data: tasksRaw } = useQuery<RawTask[]>("tasksSummary", tasksUrl, { refetchInterval: 5000 });
   const { data: playlists } = useQuery<Playlist[]>("playlists", "/api/playlists");
+  const { data: sources } = useQuery<RunSource[]>("runSources", "/api/stats/sources");
+  const { data: skillTypes } = useQuery<SkillTypeStats[]>("skillTypes", "/api/stats/skill-types");
 
   const tasks: TaskRow[] = useMemo(() => {
     const src = tasksRaw ?? [];
@@ -87,13 +99,20 @@ export default function Stats() {
     if (days !== null) params.append('days', days.toString());
     if (selectedPlaylist !== null) params.append('pack_id', selectedPlaylist.toString());
     if (selectedTask && selectedTask !== "all") params.append('task', selectedTask);
+    if (selectedSource !== "all") params.append('source', selectedSource);
+    if (selectedSkill !== "all") params.append('skill_type', selectedSkill);
     const queryString = params.toString();
     return queryString ? `/api/stats/global?${queryString}` : "/api/stats/global";
   })();
 
-  const taskNamesUrl = selectedPlaylist !== null 
-    ? `/api/tasks/names?pack_id=${selectedPlaylist}`
-    : "/api/tasks/names";
+  const taskNamesUrl = (() => {
+    const params = new URLSearchParams();
+    if (selectedPlaylist !== null) params.append('pack_id', selectedPlaylist.toString());
+    if (selectedSource !== "all") params.append('source', selectedSource);
+    if (selectedSkill !== "all") params.append('skill_type', selectedSkill);
+    const queryString = params.toString();
+    return queryString ? `/api/tasks/names?${queryString}` : "/api/tasks/names";
+  })();
   const { data: taskNames } = useQuery<string[]>("taskNames", taskNamesUrl);
   const { data: globalStats } = useQuery<Record<string, number>>("globalStats", globalStatsUrl);
 
@@ -102,7 +121,7 @@ export default function Stats() {
       {/* Filters */}
       <div className="bg-theme-secondary border border-theme-primary rounded-lg p-6">
         <h2 className="text-xl font-bold mb-4 text-white">Filters</h2>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <div>
             <label className="block text-sm font-medium text-theme-muted mb-2">
               Task
@@ -137,6 +156,38 @@ export default function Stats() {
             </select>
           </div>
           
+          <div>
+            <label className="block text-sm font-medium text-theme-muted mb-2">
+              Trainer
+            </label>
+            <select
+              value={selectedSource}
+              onChange={(e) => setSelectedSource(e.target.value)}
+              className="w-full px-3 py-2 bg-theme-tertiary border border-theme-secondary rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-theme-accent"
+            >
+              <option value="all">All Trainers</option>
+              {sources?.map(s => (
+                <option key={s.source} value={s.source}>{s.name} ({s.runs})</option>
+              ))}
+            </select>
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-theme-muted mb-2">
+              Skill
+            </label>
+            <select
+              value={selectedSkill}
+              onChange={(e) => setSelectedSkill(e.target.value)}
+              className="w-full px-3 py-2 bg-theme-tertiary border border-theme-secondary rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-theme-accent"
+            >
+              <option value="all">All Skills</option>
+              {skillTypes?.map(s => (
+                <option key={s.skill_type} value={s.skill_type}>{s.skill_type} ({s.tasks} tasks)</option>
+              ))}
+            </select>
+          </div>
+          
           <div>
             <label className="block text-sm font-medium text-theme-muted mb-2">
               Timeframe
@@ -154,12 +205,14 @@ export default function Stats() {
           </div>
         </div>
         
-        {(selectedTask !== "all" || selectedPlaylist !== null || timeframe !== "overall") && (
+        {(selectedTask !== "all" || selectedPlaylist !== null || selectedSource !== "all" || selectedSkill !== "all" || timeframe !== "overall") && (
           <div className="mt-4 pt-4 border-t border-theme-primary">
             <button
               onClick={() => {
                 setSelectedTask("all");
                 setSelectedPlaylist(null);
+                setSelectedSource("all");
+                setSelectedSkill("all");
                 setTimeframe("overall");
               }}
               className="px-4 py-2 bg-red-500/20 hover:bg-red-500/30 text-red-400 rounded-lg text-sm font-medium transition-colors"
@@ -198,6 +251,8 @@ Clear All Filters
         <h2 className="text-lg font-bold mb-3 text-white">
           {selectedTask && selectedTask !== "all" 
             ? `Statistics: ${selectedTask}` 
+            : selectedSkill !== "all"
+            ? `Statistics: ${selectedSkill}`
             : selectedPlaylist !== null
             ? `Statistics: ${playlists?.find((p: Playlist) => p.id === selectedPlaylist)?.name || 'Selected Playlist'}`
             : "Global Statistics"
@@ -258,6 +313,8 @@ Clear All Filters
           height={selectedTask && selectedTask !== "all" ? 500 : 550}
           taskName={selectedTask && selectedTask !== "all" ? selectedTask : undefined}
           packId={selectedPlaylist !== null ? String(selectedPlaylist) : undefined}
+          source={selectedSource !== "all" ? selectedSource : undefined}
+          skillType={selectedSkill !== "all" ? selectedSkill : undefined}
           timeframe={timeframe}
         />
       </div>
@@ -16,6 +16,152 @@ export type Run = {
     duration?: number | null;
     score_per_min?: number | null;
     meta?: string | null;
+    source?: string | null; // importer id, e.g. 'kovaaks-csv' or 'aimlab'
+    parser_version?: number | null; // null = parsed before versions were tracked
+};
+
+export type RunSource = {
+    source: string;
+    name: string;
+    runs: number;
+    last_played: string | null;
+};
+
+export type PracticeInterval = {
+    id: number;
+    started_at: string;
+    ended_at: string | null; // null while practice mode (or a practice session) is on
+    origin: 'toggle' | 'backfill' | 'session';
+};
+
+export type TrashItem = {
+    id: number;
+    item_type: 'session' | 'goal' | 'playlist' | 'clear-data';
+    item_id: number | null;
+    label: string;
+    deleted_at: string; // SQLite datetime('now'), UTC
+    expires_at: string;
+    restored_at: string | null;
+};
+
+export type Backup = {
+    filename: string;
+    reason: string; // 'daily', 'manual', 'pre-restore', 'pre-clear-data', ...
+    size: number;
+    created: string;
+    modified: string;
+};
+
+export type IntegrityIssue = {
+    severity: 'error' | 'warning' | 'info';
+    category: string;
+    message: string;
+    fixable: boolean;
+    fix?: string;
+};
+
+export type IntegrityReport = {
+    id: number;
+    trigger: 'manual' | 'fix' | 'startup' | 'import';
+    healthy: boolean;
+    errors: number;
+    warnings: number;
+    info: number;
+    issues: IntegrityIssue[];
+    fixes: { fix: string; message: string; success: boolean; error?: string }[] | null;
+    created_at: string; // SQLite datetime('now'), UTC
+};
+
+export type BackupStats = {
+    count: number;
+    totalSize: number;
+    totalSizeMB: string;
+    backupDir: string;
+    oldestBackup: Backup | null;
+    newestBackup: Backup | null;
+    retention: {
+        maxBackups: number;
+        maxAgeDays: number; // 0 = no age limit
+    };
+};
+
+export type StatsFolder = {
+    id: number;
+    path: string;
+    label: string;
+    importer: string | null; // null: any importer
+    enabled: boolean;
+    is_primary: boolean;
+    last_scan_at: string | null;
+    runs: number;
+    last_played: string | null;
+};
+
+export type WatcherStatus = {
+    state: 'ok' | 'degraded' | 'error' | 'stopped';
+    message: string | null;
+    running: boolean;
+    startedAt: string | null;
+    lastEventAt: string | null;
+    lastImportAt: string | null;
+    lastCheckAt: string | null;
+    lastError: { message: string; at: string } | null;
+    restarts: number;
+    folders: {
+        id: number;
+        label: string;
+        path: string;
+        reachable: boolean | null;
+        since: string | null;
+    }[];
+};
+
+export type ImporterInfo = {
+    id: string;
+    name: string;
+};
+
+export type SkillTypeStats = {
+    skill_type: string;
+    tasks: number;
+    runs: number;
+    avg_accuracy: number | null;
+    last_played: string | null;
+};
+
+export type RunMeta = {
+    dpi?: number | null;
+    sens_h?: number | null;
+    fov?: number | null;
+    source?: string | null;
+};
+
+export type RunDetail = Omit<Run, 'meta'> & {
+    id: number;
+    task_id: number;
+    task_name: string;
+    hash?: string | null;
+    meta: RunMeta;
+    is_practice: number; // 0 or 1
+    created_at?: string;
+    ranked: {
+        category: string;
+        leaderboardId: number;
+        percentile: number | null;
+        points: number | null;
+        tier: Tier;
+    } | null;
+    session: {
+        id: number;
+        name: string | null;
+        started_at: string;
+        ended_at: string | null;
+        is_active: number;
+        is_practice: number;
+    } | null;
+    previous_run_id: number | null;
+    next_run_id: number | null;
+    kill_count: number;
 };
 
 export type TaskAgg = {
@@ -57,12 +203,16 @@ export type UserProfile = {
 };
 
 // Goal types
+
+// Which runs a goal averages over: all of them, the last N runs, the last N days, or since it was created
+export type GoalWindowType = 'all' | 'runs' | 'days' | 'since_created';
+
 export type Goal = {
     id: number;
     title: string;
     description: string;
     goal_type: string;
-    current_value: number;
+    current_value: number | null; // null until a run falls inside the goal's window
     target_value: number;
     is_completed: boolean;
     completed_at?: string;
@@ -72,10 +222,43 @@ export type Goal = {
     target_playlist_name?: string;
     target_timeframe?: number;
     target_date?: string;
+    target_category?: string | null; // ranked goals: Flicking, Tracking, Target Switching or Overall
+    current_tier?: string | null;
+    target_tier?: string;
+    window_type?: GoalWindowType;
+    window_size?: number | null;
     is_user_created?: boolean;
+    pacing?: GoalPacing | null; // only for goals in progress that have a trend to project
 };
 
-export type TabType = "overall" | "task" | "playlist";
+export type GoalPaceStatus = "ahead" | "on_track" | "behind";
+
+export type GoalPacing = {
+    status: GoalPaceStatus | null; // null when the goal has no deadline
+    projected_date: string | null; // null when the recent trend doesn't reach the target
+    deadline: string | null;
+    trend_per_day: number;
+    runs: number;
+};
+
+export type GoalHistoryPoint = {
+    value: number;
+    recorded_at: string; // UTC "YYYY-MM-DD HH:MM:SS"
+};
+
+export type GoalHistory = {
+    goalId: number;
+    points: GoalHistoryPoint[];
+};
+
+export type GoalPreview = {
+    value: number | null;
+    runs: number;
+    window_type: GoalWindowType;
+    window_size: number | null;
+};
+
+export type TabType = "overall" | "task" | "playlist" | "ranked";
 
 // Toast and UI types
 export type ToastMessage = {
@@ -83,6 +266,128 @@ export type ToastMessage = {
     type: 'success' | 'error' | 'warning' | 'info';
 };
 
+export type ImportStatus = 'inserted' | 'duplicate' | 'failed';
+
+export type ImportLogEntry = {
+    id: number;
+    path: string;
+    filename: string | null;
+    importer: string | null;
+    status: ImportStatus;
+    reason: string | null;
+    runs_inserted: number;
+    runs_duplicate: number;
+    attempts: number;
+    first_seen_at: string;
+    last_attempt_at: string; // UTC "YYYY-MM-DD HH:MM:SS"
+};
+
+export type ReimportChange = {
+    id: number;
+    path: string;
+    changes: Record<string, { from: number | string | null; to: number | string | null }>;
+    killsRefreshed: boolean;
+};
+
+export type ReimportSummary = {
+    dryRun: boolean;
+    total: number;
+    updated: number;
+    unchanged: number;
+    skippedMissingFile: number;
+    unmatched: number;
+    errors: number;
+    killsRefreshed: number;
+    restamped: number;
+    fields: Record<string, number>;
+    changes: ReimportChange[];
+};
+
+export type ImportLog = {
+    entries: ImportLogEntry[];
+    summary: Record<ImportStatus, number>;
+};
+
+// Task aliasing / merging
+export type TaskMerge = {
+    id: number;
+    target_task_id: number;
+    target_name: string | null;
+    source_task_id: number;
+    source_name: string | null;
+    runs_moved: number;
+    goals_moved: number;
+    merged_at: string;
+    undone_at: string | null;
+};
+
+export type TaskAlias = {
+    id: number;
+    alias: string;
+    task_id: number;
+    task_name: string;
+    merge_id: number | null;
+    created_at: string;
+};
+
+export type DuplicateTask = {
+    id: number;
+    name: string;
+    runs: number;
+    last_played: string | null;
+};
+
+export type DuplicateTaskGroup = {
+    target: DuplicateTask;
+    duplicates: DuplicateTask[];
+};
+
+// Real-time (SSE) event payloads
+export type ScanKind = 'initial' | 'incremental' | 'rescan';
+
+export type ScanProgress = {
+    scan: ScanKind;
+    phase?: 'importing' | 'rebuilding';
+    total: number;
+    processed: number;
+    inserted: number;
+    duplicates: number;
+    failed: number;
+};
+
+export type RunImportedEvent = {
+    runId: number;
+    taskName: string;
+    score: number | null;
+    accuracy: number | null;
+    percentile: number | null; // 0-1, higher is better
+    percentileSource: 'ranked' | 'history' | null;
+    isPractice: boolean;
+    source: string;
+};
+
+export type GoalCompletedEvent = {
+    goalId: number;
+    title: string;
+    goalType: string;
+    targetValue: number;
+    currentValue: number;
+};
+
+export type RankTierChangedEvent = {
+    category: string;
+    previousTier: string;
+    tier: string;
+    rating: number;
+    promoted: boolean;
+};
+
+export type SessionChangedEvent = {
+    sessionId: number;
+    action: 'started' | 'ended';
+    name: string | null;
+};
+
 // Run row types for tables
 export type RunRow = {
     id: number;
@@ -238,6 +543,18 @@ export type Session = {
     total_runs: number;
     total_duration: number;
     created_at: string;
+    origin?: 'manual' | 'detected' | 'auto';
+};
+
+// A play cluster from the run history that no session covers yet
+export type DetectedSession = {
+    started_at: string;
+    ended_at: string;
+    is_practice: number; // 0 or 1
+    total_runs: number;
+    total_duration: number;
+    task_count: number;
+    top_tasks: { name: string; runs: number }[];
 };
 
 export type WindowDefinition = 
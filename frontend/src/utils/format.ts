@@ -9,3 +9,12 @@ export function formatWhen(iso: string) {
   if (Number.isNaN(d.getTime())) return "—";
   return d.toLocaleString();
 }
+
+export function formatGoalWindow(windowType: string | undefined, windowSize?: number | null) {
+  switch (windowType) {
+    case "runs": return `Last ${windowSize} runs`;
+    case "days": return `Last ${windowSize} days`;
+    case "since_created": return "Since created";
+    default: return "All runs";
+  }
+}
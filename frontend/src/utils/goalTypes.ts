@@ -0,0 +1,134 @@
+import type { GoalWindowType } from "../types";
+
+export type GoalType =
+  | "accuracy" | "score" | "ttk" | "consistency" | "pb_count" | "volume" | "playtime" | "streak"
+  | "ranked_tier" | "ranked_percentile";
+
+type GoalTypeInfo = {
+  label: string;
+  description: string;
+  unit: string;
+  step: string;
+  lowerIsBetter?: boolean;
+  taskOnly?: boolean;
+  // Targets a ranked category instead of a task or playlist; values are percentiles from 0 to 1
+  ranked?: boolean;
+  // Windows the goal can be measured over; undefined allows all, empty means the window doesn't apply
+  windows?: GoalWindowType[];
+  format: (value: number) => string;
+};
+
+function formatPercentile(value: number) {
+  return `${(value * 100).toFixed(1)} percentile`;
+}
+
+// Mirrors GOAL_TYPES in backend/core/goals/evaluation.js
+export const GOAL_TYPE_INFO: Record<GoalType, GoalTypeInfo> = {
+  accuracy: {
+    label: "Accuracy",
+    description: "Average accuracy",
+    unit: "%",
+    step: "0.1",
+    format: v => `${v.toFixed(1)}%`
+  },
+  score: {
+    label: "Score",
+    description: "Average score",
+    unit: "points",
+    step: "1",
+    format: v => Math.round(v).toLocaleString()
+  },
+  ttk: {
+    label: "TTK",
+    description: "Average time to kill (lower is better)",
+    unit: "seconds",
+    step: "0.001",
+    lowerIsBetter: true,
+    format: v => `${v.toFixed(3)}s`
+  },
+  consistency: {
+    label: "Consistency",
+    description: "Keep the spread (standard deviation) of your scores under a threshold",
+    unit: "score std dev",
+    step: "1",
+    lowerIsBetter: true,
+    taskOnly: true,
+    format: v => v.toFixed(1)
+  },
+  pb_count: {
+    label: "Personal Bests",
+    description: "Beat your best score a number of times",
+    unit: "PBs",
+    step: "1",
+    format: v => `${Math.round(v)} PB${Math.round(v) === 1 ? "" : "s"}`
+  },
+  volume: {
+    label: "Volume",
+    description: "Play a number of runs per week",
+    unit: "runs per week",
+    step: "1",
+    windows: ["days", "since_created", "all"],
+    format: v => `${v.toFixed(1)} runs/week`
+  },
+  playtime: {
+    label: "Playtime",
+    description: "Total hours played",
+    unit: "hours",
+    step: "0.5",
+    windows: ["days", "since_created", "all"],
+    format: v => `${v.toFixed(1)}h`
+  },
+  streak: {
+    label: "Streak",
+    description: "Play on consecutive days",
+    unit: "days",
+    step: "1",
+    windows: [],
+    format: v => `${Math.round(v)} day${Math.round(v) === 1 ? "" : "s"}`
+  },
+  ranked_tier: {
+    label: "Rank Tier",
+    description: "Reach a rank tier in a ranked category",
+    unit: "tier",
+    step: "1",
+    windows: [],
+    ranked: true,
+    format: formatPercentile
+  },
+  ranked_percentile: {
+    label: "Ranked Percentile",
+    description: "Raise a ranked category's rating to a percentile",
+    unit: "percentile",
+    step: "0.1",
+    windows: [],
+    ranked: true,
+    format: formatPercentile
+  }
+};
+
+export const DEFAULT_WINDOW_SIZES: Partial<Record<GoalWindowType, number>> = { runs: 20, days: 30 };
+
+export const GOAL_TYPES = Object.keys(GOAL_TYPE_INFO) as GoalType[];
+
+// Goal types measured over runs of a task or playlist
+export const RUN_GOAL_TYPES = GOAL_TYPES.filter(type => !GOAL_TYPE_INFO[type].ranked);
+
+export function isGoalType(value: string): value is GoalType {
+  return value in GOAL_TYPE_INFO;
+}
+
+export function formatGoalValue(goalType: string, value: number | null | undefined) {
+  if (value === null || value === undefined) return "N/A";
+  return isGoalType(goalType) ? GOAL_TYPE_INFO[goalType].format(value) : Math.round(value).toLocaleString();
+}
+
+// Windows every one of the goal types can use; types that ignore the window don't restrict it
+export function sharedGoalWindows(goalTypes: GoalType[]): GoalWindowType[] {
+  const all: GoalWindowType[] = ["runs", "days", "since_created", "all"];
+  return all.filter(windowType =>
+    goalTypes.every(type => {
+      const windows = GOAL_TYPE_INFO[type].windows;
+      return !windows || windows.length === 0 || windows.includes(windowType);
+    })
+  );
+}